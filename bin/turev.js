@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+// Komut satırından çalışma kâğıdı grafikleri: her ifade için f ve f' panelli bir SVG (istenirse analiz JSON'u).
+// İfadeler argüman olarak ya da bir JSON toplu iş dosyasıyla verilir; çizim uygulamadakiyle aynıdır.
+
+import { mkdirSync, readFileSync, writeFileSync } from "node:fs";
+import { dirname, isAbsolute, relative, resolve } from "node:path";
+import { parseArgs } from "node:util";
+import { analyze, render } from "../src/lib/headless.js";
+import { LANGS } from "../src/lib/i18n.js";
+
+const HELP = `Kullanım:
+  turev [seçenekler] <ifade> [<ifade> …]
+  turev --batch sayfa.json [seçenekler]
+
+Seçenekler:
+  -o, --out <dizin>     çıktı dizini (varsayılan: .)
+  -b, --batch <dosya>   JSON toplu iş: [girdi] ya da { "defaults": {…}, "graphs": [girdi] };
+                        girdi bir ifade ya da { "expr", "file"?, …seçenekler }; seçenekler: name, x, y,
+                        orders, tangents, params, pieces, marks, width, panelHeight, lang
+      --x <a,b>         x aralığı (varsayılan -10,10)
+      --y <a,b>         f panelinin y aralığı (varsayılan otomatik)
+      --panels <0,1>    çizilecek mertebeler: 0 = f, 1 = f', 2 = f'', 3 = f'''
+  -t, --tangent <x>     bu x'te teğet çiz (tekrarlanabilir)
+      --param <a=2>     parametre değeri (tekrarlanabilir; verilmeyenler 1)
+      --no-marks        kök, ekstremum ve büküm işaretlerini çizme
+      --width <px>      genişlik (varsayılan 800)
+      --height <px>     panel yüksekliği (varsayılan 254)
+      --json            her grafiğin yanına analizini <ad>.json olarak yaz
+      --lang <tr|en>    grafik etiketlerinin, hataların ve JSON'daki sözlü özetin dili
+  -h, --help            bu yardım
+
+Eksiyle başlayan değerler = ile yazılır: --x=-5,5  -t=-1
+`;
+
+// Hatalı değerler Error fırlatır; main kullanım hatası olarak bildirir
+function number(flag, s) {
+  const v = s.trim() === "" ? NaN : Number(s);
+  if (!Number.isFinite(v)) throw new Error(`--${flag}: sayı bekleniyordu: "${s}"`);
+  return v;
+}
+const numbers = (flag, s) => s.split(",").map(p => number(flag, p));
+function range(flag, s) {
+  const v = numbers(flag, s);
+  if (v.length !== 2 || !(v[0] < v[1])) throw new Error(`--${flag}: a,b biçiminde ve a < b olmalı: "${s}"`);
+  return v;
+}
+function positive(flag, s) {
+  const v = number(flag, s);
+  if (!(v > 0)) throw new Error(`--${flag}: pozitif bir sayı olmalı: "${s}"`);
+  return v;
+}
+function param(s) {
+  const m = /^\s*([\p{L}_][\p{L}\p{N}_]*)\s*=\s*(.+)$/u.exec(s);
+  const v = m ? Number(m[2]) : NaN;
+  if (!Number.isFinite(v)) throw new Error(`--param: ad=sayı biçiminde olmalı: "${s}"`);
+  return [m[1], v];
+}
+
+// Komut satırı seçenekleri → render / analyze seçenekleri (yalnızca verilenler)
+function cliOptions(v) {
+  const o = {};
+  if (v.x) o.x = range("x", v.x);
+  if (v.y) o.y = range("y", v.y);
+  if (v.panels) o.orders = numbers("panels", v.panels);
+  if (v.tangent) o.tangents = v.tangent.map(t => number("tangent", t));
+  if (v.param) o.params = Object.fromEntries(v.param.map(param));
+  if (v["no-marks"]) o.marks = false;
+  if (v.width) o.width = positive("width", v.width);
+  if (v.height) o.panelHeight = positive("height", v.height);
+  if (v.lang != null) {
+    if (!Object.hasOwn(LANGS, v.lang)) throw new Error(`--lang: ${Object.keys(LANGS).join(" ya da ")} olmalı: "${v.lang}"`);
+    o.lang = v.lang;
+  }
+  return o;
+}
+
+// Toplu iş dosyası → [{ expr, file?, …seçenekler }]; dosyadaki defaults komut satırındakilerin üstüne yazılır
+function readBatch(path, base) {
+  let data;
+  try { data = JSON.parse(readFileSync(path, "utf8")); } catch (err) { throw new Error(`${path} okunamadı: ${err.message}`); }
+  const graphs = Array.isArray(data) ? data : data?.graphs;
+  if (!Array.isArray(graphs)) throw new Error(`${path}: grafik listesi bulunamadı.`);
+  const defaults = { ...base, ...(Array.isArray(data) ? {} : data.defaults) };
+  return graphs.map((g, i) => {
+    if (typeof g === "string") return { ...defaults, expr: g };
+    if (!g || typeof g !== "object" || Array.isArray(g)) throw new Error(`${path}: ${i + 1}. girdi bir ifade ya da nesne olmalı.`);
+    for (const key of ["expr", "file"]) {
+      if (g[key] != null && typeof g[key] !== "string") throw new Error(`${path}: ${i + 1}. girdinin ${key} alanı metin olmalı.`);
+    }
+    return { ...defaults, ...g };
+  });
+}
+
+const slug = (s) => s.replace(/[^\p{L}\p{N}]+/gu, "_").replace(/^_+|_+$/g, "").slice(0, 40) || "grafik";
+
+function main() {
+  let args;
+  try {
+    args = parseArgs({
+      allowPositionals: true,
+      options: {
+        out: { type: "string", short: "o", default: "." },
+        batch: { type: "string", short: "b" },
+        x: { type: "string" },
+        y: { type: "string" },
+        panels: { type: "string" },
+        tangent: { type: "string", short: "t", multiple: true },
+        param: { type: "string", multiple: true },
+        "no-marks": { type: "boolean" },
+        width: { type: "string" },
+        height: { type: "string" },
+        json: { type: "boolean" },
+        lang: { type: "string" },
+        help: { type: "boolean", short: "h" },
+      },
+    });
+  } catch (err) {
+    console.error(`${err.message}\n\n${HELP}`);
+    return 2;
+  }
+  const { values, positionals } = args;
+  if (values.help || (!values.batch && !positionals.length)) {
+    console.log(HELP);
+    return values.help ? 0 : 2;
+  }
+
+  let base;
+  try {
+    base = cliOptions(values);
+  } catch (err) {
+    console.error(err.message);
+    return 2;
+  }
+  let graphs;
+  try {
+    graphs = [...(values.batch ? readBatch(values.batch, base) : []), ...positionals.map(expr => ({ ...base, expr }))];
+  } catch (err) {
+    console.error(err.message);
+    return 1;
+  }
+  const out = resolve(values.out);
+  mkdirSync(out, { recursive: true });
+
+  // Dosya adları sıra numarasıyla başlar; kâğıttaki soru sırası korunur, aynı ifade iki kez yazılabilir
+  const width = String(graphs.length).length;
+  let failed = 0;
+  graphs.forEach(({ expr, file, ...options }, i) => {
+    const name = file?.replace(/\.svg$/, "") ?? `${String(i + 1).padStart(width, "0")}-${slug(expr ?? options.name ?? "")}`;
+    try {
+      // file alt dizin gösterebilir ama çıktı dizininin dışına çıkamaz
+      const target = (ext) => {
+        const path = resolve(out, `${name}${ext}`);
+        const rel = relative(out, path);
+        if (!rel || rel.startsWith("..") || isAbsolute(rel)) throw new Error(`"${file}" çıktı dizininin dışında.`);
+        return path;
+      };
+      const svgPath = target(".svg");
+      const svg = render(expr, options);
+      mkdirSync(dirname(svgPath), { recursive: true });
+      writeFileSync(svgPath, svg);
+      if (values.json) writeFileSync(target(".json"), JSON.stringify(analyze(expr, options), null, 2) + "\n");
+      console.log(relative(process.cwd(), svgPath) || svgPath);
+    } catch (err) {
+      failed++;
+      console.error(`✗ ${expr ?? name}: ${err.message}`);
+    }
+  });
+  return failed ? 1 : 0;
+}
+
+process.exitCode = main();
@@ -1,127 +1,445 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
-import { create, all } from "mathjs";
-
-const math = create(all, {});
-const clamp = (v, a, b) => Math.max(a, Math.min(b, v));
-const linspace = (a, b, n) => {
-  const step = (b - a) / Math.max(1, n - 1);
-  return Array.from({ length: n }, (_, i) => a + i * step);
-};
-
-function normalizeExpr(raw) {
-  if (!raw || !raw.trim()) return "";
-  let s = raw.trim();
-  if (s.includes("|") && !s.includes("abs")) {
-    const m = s.match(/^\|(.*)\|$/);
-    if (m) s = `abs(${m[1]})`;
-  }
-  return s;
-}
-function compileExpression(expr) {
-  const src = normalizeExpr(expr);
-  if (!src) return null;
+import { math, normalizeExpr, freeSymbols } from "./lib/expr.js";
+import { functionCodes, bindFunction, piecewiseExpr } from "./lib/piecewise.js";
+import { clamp } from "./lib/numeric.js";
+import { worldToScreen, screenToWorld, layoutPanels, panelAt, derivName, equalAspect, drawPlot, drawCursor, MOTION_ORDER } from "./lib/plot.js";
+import { requestSamples } from "./lib/sampler.js";
+import { integrate, riemann, antiderivativeExpr } from "./lib/integrate.js";
+import { bindChain, taylorCoefficients, accurateInterval } from "./lib/taylor.js";
+import { newton } from "./lib/rootFinding.js";
+import { PLANE_MODES, planeCodes, bindPlane } from "./lib/parametric.js";
+import { implicitCodes, bindImplicit, projectToCurve } from "./lib/implicit.js";
+import { odeCodes, bindOde } from "./lib/ode.js";
+import { surfaceCodes, bindSurface, sliceY } from "./lib/surface.js";
+import { motionEvents, motionScale } from "./lib/motion.js";
+import { LANGS, translator } from "./lib/i18n.js";
+import { describeCurve, describePoint } from "./lib/describe.js";
+import { pitchScale, playTone } from "./lib/sonify.js";
+import DerivativeView from "./components/DerivativeView.jsx";
+import PiecewiseView from "./components/PiecewiseView.jsx";
+import AnalysisTable from "./components/AnalysisTable.jsx";
+import PointInspector from "./components/PointInspector.jsx";
+import SecantPanel from "./components/SecantPanel.jsx";
+import IntegralPanel from "./components/IntegralPanel.jsx";
+import TaylorPanel from "./components/TaylorPanel.jsx";
+import NewtonPanel from "./components/NewtonPanel.jsx";
+import MotionPanel from "./components/MotionPanel.jsx";
+import PlanePanel from "./components/PlanePanel.jsx";
+import ImplicitPanel from "./components/ImplicitPanel.jsx";
+import OdePanel from "./components/OdePanel.jsx";
+import SurfacePanel from "./components/SurfacePanel.jsx";
+import ParamSliders from "./components/ParamSliders.jsx";
+import ExportMenu from "./components/ExportMenu.jsx";
+import GraphLibrary from "./components/GraphLibrary.jsx";
+import PracticePanel from "./components/PracticePanel.jsx";
+import ExprPreview from "./components/ExprPreview.jsx";
+import CurveSummary from "./components/CurveSummary.jsx";
+import { toSnapshot, decodeState, stateHash } from "./lib/viewState.js";
+import { loadHistory, saveHistory, pushHistory, loadLang, saveLang } from "./lib/storage.js";
+
+function evalScalar(exprStr) {
   try {
-    const node = math.parse(src);
-    const code = node.compile();
-    return (x) => {
-      try {
-        const v = code.evaluate({ x });
-        return Number.isFinite(v) ? v : NaN;
-      } catch { return NaN; }
-    };
-  } catch { return null; }
+    if (typeof exprStr !== "string") return Number(exprStr);
+    const node = math.parse(normalizeExpr(exprStr));
+    const v = node.evaluate();
+    return Number(v);
+  } catch { return NaN; }
 }
-function compileDerivative(expr) {
-  const src = normalizeExpr(expr);
-  if (!src) return null;
-  try {
-    const dnode = math.derivative(src, "x");
-    const dcode = dnode.compile();
-    return (x) => {
-      try {
-        const v = dcode.evaluate({ x });
-        return Number.isFinite(v) ? v : NaN;
-      } catch { return NaN; }
-    };
-  } catch {
-    const f = compileExpression(src);
-    if (!f) return null;
-    return (x) => {
-      const h = 1e-5 * Math.max(1, Math.abs(x));
-      const y1 = f(x + h), y2 = f(x - h);
-      const d = (y1 - y2) / (2 * h);
-      return Number.isFinite(d) ? d : NaN;
-    };
-  }
+
+const PALETTE = ["#2563eb", "#dc2626", "#16a34a", "#d97706", "#7c3aed", "#0891b2", "#db2777", "#4b5563"];
+const FN_NAMES = ["f", "g", "h", "p", "q", "r", "s", "u", "v", "w"];
+let fnSeq = 0;
+function makeFn(expr, taken = []) {
+  const name = FN_NAMES.find(n => !taken.some(t => t.name === n)) ?? `f${taken.length + 1}`;
+  const color = PALETTE.find(c => !taken.some(t => t.color === c)) ?? PALETTE[taken.length % PALETTE.length];
+  return { id: `fn${++fnSeq}`, name, expr, pieces: null, color, visible: true, showDerivative: true };
 }
-function worldToScreen(x, y, W, H, xMin, xMax, yMin, yMax) {
-  const sx = ((x - xMin) / (xMax - xMin)) * W;
-  const sy = H - ((y - yMin) / (yMax - yMin)) * H;
-  return [sx, sy];
+const DEFAULT_X = [-10, 10];
+const DEFAULT_PARAM = { value: 1, min: -5, max: 5, step: 0.1, playing: false, dir: 1 };
+const PARAM_SWEEP_MS = 4000;
+const SECANT_H_MIN = 1e-5;
+const SECANT_DECADE_MS = 1200;
+const NEWTON_STEP_MS = 700;
+const MOTION_SWEEP_MS = 8000;   // 1× hızda görünür zaman aralığı bu sürede oynatılır
+const MOTION_STRIP_PX = 72;
+const PANEL_ORDERS = [0, 1, 2, 3];
+const DEFAULT_PANELS = PANEL_ORDERS.map(order => ({ order, visible: order < 2, lock: false, min: -5, max: 5 }));
+const DEFAULT_EXPR = "sin(x) + x^2/5";
+// mode: "fx" (y = f(x)), "param", "polar", "implicit", "ode" ya da "surface"; diğer alanlar düzlem eğrisinin ifadeleri,
+// parametre aralığı, kapalı eğrinin denklemi, dy/dx = g(x, y) denkleminin sağ yanı ve iki değişkenli z = f(x, y)
+const DEFAULT_PLANE = { mode: "fx", x: "cos(t)", y: "sin(2*t)", r: "1 + cos(θ)", tMin: "0", tMax: "2π", eq: "x^3 + y^3 = 6xy", g: "x - y", z: "sin(x) * cos(y)" };
+const PLANE_PANELS = [{ order: 0, visible: true }, { order: 1, visible: true }];
+const IMPLICIT_PANELS = [{ order: 0, visible: true }];
+const IMPLICIT_X = [-12, 12];
+const IMPLICIT_CELL_PX = 4;   // marching squares hücresi yaklaşık bu kadar piksel
+const ODE_X = [-6, 6];
+const DEFAULT_ODE = { h: 0.1, dir: "both", euler: false };
+const SURFACE_X = [-6, 6];
+const SURFACE_CELL_PX = 8;    // seviye haritası hücresi
+const DEFAULT_SLICE = { x0: 0, y0: 0, angle: 0 };
+const SNAP_PX = 24;
+const SUMMARY_ID = "curve-summary";
+// Görünmez ama ekran okuyucunun okuduğu canlı bölge
+const SR_ONLY = { position: "absolute", width: 1, height: 1, overflow: "hidden", clip: "rect(0 0 0 0)", whiteSpace: "nowrap" };
+const DEFAULT_PW = [
+  { cond: "x<0", expr: "-x" },
+  { cond: "", expr: "x^2" },
+];
+
+// Düzlem eğrisinin kutusu eşit ölçekli panele sığacak x aralığı
+function fitPlaneX(box, W, H) {
+  const c = 0.5 * (box.x[0] + box.x[1]);
+  const half = 0.5 * Math.max(box.x[1] - box.x[0], (box.y[1] - box.y[0]) * W / H);
+  return [c - half, c + half];
 }
-function screenToWorld(sx, sy, W, H, xMin, xMax, yMin, yMax) {
-  const x = xMin + (sx / W) * (xMax - xMin);
-  const y = yMin + ((H - sy) / H) * (yMax - yMin);
-  return [x, y];
+
+// Canvas'ı CSS boyutuna ve devicePixelRatio'ya uydurup temizler; [ctx, CSS genişliği]
+function prepareCanvas(canvas) {
+  const DPR = window.devicePixelRatio || 1;
+  const Wcss = canvas.clientWidth, Hcss = canvas.clientHeight;
+  const w = Math.floor(Wcss * DPR), h = Math.floor(Hcss * DPR);
+  if (canvas.width !== w || canvas.height !== h) { canvas.width = w; canvas.height = h; }
+  const ctx = canvas.getContext("2d");
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.clearRect(0, 0, w, h);
+  ctx.setTransform(DPR, 0, 0, DPR, 0, 0);
+  return [ctx, Wcss];
 }
-function niceTicks(min, max, target = 8) {
-  const span = max - min || 1;
-  const step0 = span / target;
-  const pow10 = Math.pow(10, Math.floor(Math.log10(step0)));
-  let step = step0 / pow10;
-  if (step >= 5) step = 5; else if (step >= 2) step = 2; else step = 1;
-  step *= pow10;
-  const start = Math.ceil(min / step) * step;
-  const ticks = [];
-  for (let v = start; v <= max + 1e-12; v += step) ticks.push(+v.toFixed(12));
-  return ticks;
+
+const definedOnly = (o) => Object.fromEntries(Object.entries(o).filter(([, v]) => v !== undefined));
+// Hash'ten ya da kitaplıktan gelen (doğrulanmış) anlık görüntüden tam görünüm durumu; eksik alanlar varsayılanla dolar
+function fromSnapshot(snap) {
+  const fns = [];
+  for (const f of snap?.fns ?? [{ expr: DEFAULT_EXPR }]) fns.push({ ...makeFn(f.expr, fns), ...definedOnly(f) });
+  let panels = DEFAULT_PANELS.map(p => ({ ...p, ...snap?.panels?.find(q => q.order === p.order) }));
+  if (!panels.some(p => p.visible)) panels = DEFAULT_PANELS;
+  const [xMin, xMax] = snap?.x ?? DEFAULT_X;
+  return {
+    fns,
+    activeId: fns[snap?.active ?? 0].id,
+    tangentId: fns[snap?.tangent ?? 0].id,
+    lockTangent: snap?.lockTangent ?? false,
+    tangentX: snap?.tangentX ?? "0",
+    xMin, xMax,
+    samples: clamp(Math.round(snap?.samples ?? 800), 100, 4000),
+    panels,
+    panelHeight: clamp(snap?.panelHeight ?? 254, 140, 400),
+    showTangent: snap?.showTangent ?? true,
+    showAnalysis: snap?.showAnalysis ?? true,
+    params: Object.fromEntries(Object.entries(snap?.params ?? {}).map(([k, p]) => [k, { ...DEFAULT_PARAM, ...p }])),
+    pw: snap?.pw ?? DEFAULT_PW,
+    plane: { ...DEFAULT_PLANE, ...definedOnly(snap?.plane ?? {}) },
+  };
 }
 
 export default function App() {
-  const [expr, setExpr] = useState("sin(x) + x^2/5");
-  const exprInputRef = useRef(null);
-  const [lockTangent, setLockTangent] = useState(false);
-  const [tangentX, setTangentX] = useState("0");
+  // Açılışta URL hash'inde paylaşılmış bir görünüm varsa oradan başla
+  const [boot] = useState(() => fromSnapshot(decodeState(window.location.hash)));
+  const [fns, setFns] = useState(boot.fns);
+  const [activeId, setActiveId] = useState(boot.activeId);
+  const [tangentId, setTangentId] = useState(boot.tangentId);
+  const exprInputRefs = useRef({});
+  const [lockTangent, setLockTangent] = useState(boot.lockTangent);
+  const [tangentX, setTangentX] = useState(boot.tangentX);
   const [step, setStep] = useState(0.1);
-  const [xMin, setXMin] = useState(-10);
-  const [xMax, setXMax] = useState(10);
-  const [samples, setSamples] = useState(800);
-  const [showDerivative, setShowDerivative] = useState(true);
-  const [showTangent, setShowTangent] = useState(true);
-  const [error, setError] = useState("");
+  const [xMin, setXMin] = useState(boot.xMin);
+  const [xMax, setXMax] = useState(boot.xMax);
+  const [panels, setPanels] = useState(boot.panels);
+  const [panelHeight, setPanelHeight] = useState(boot.panelHeight);
+  const [samples, setSamples] = useState(boot.samples);
+  const [showTangent, setShowTangent] = useState(boot.showTangent);
+  const [showAnalysis, setShowAnalysis] = useState(boot.showAnalysis);
   const [hoverX, setHoverX] = useState(null);
+  const [secant, setSecant] = useState({ on: false, h: 1, playing: false });
+  const [taylorOpts, setTaylorOpts] = useState({ on: false, order: 3, eps: 0.01 });
+  const [integral, setIntegral] = useState({ on: false, a: 0, b: 2, method: "", n: 10, showF: true });
+  const [newtonOpts, setNewtonOpts] = useState({ on: false, start: "1", shown: 0, playing: false, a: 0, b: 2 });
+  // hareket: seçili eğri konum s(t); t oynatma anı
+  const [motion, setMotion] = useState({ on: false, t: 0, playing: false, speed: 1 });
+  const [plane, setPlane] = useState(boot.plane);
+  const [planeT, setPlaneT] = useState(1);
+  // düzlem moduna geçince ilk örnekler gelince görünüm eğriye sığdırılır
+  const fitPlaneRef = useRef(!!PLANE_MODES[boot.plane.mode]);
+  // eşit ölçekli üst panelin (düzlem ve kapalı eğri) dikey merkezi; ölçek x aralığından gelir
+  const [planeCy, setPlaneCy] = useState(0);
+  const [implicitPt, setImplicitPt] = useState(null);
+  // dy/dx = g(x, y): çözümlerin başlangıç noktaları, adım/yön/Euler seçenekleri ve imlecin altındaki nokta
+  const [odeSeeds, setOdeSeeds] = useState([]);
+  const [odeOpts, setOdeOpts] = useState(DEFAULT_ODE);
+  const [odePt, setOdePt] = useState(null);
+  // z = f(x, y): alt paneldeki kesitin doğrusu ({ x0, y0, angle } derece) ve imlecin altındaki nokta
+  const [surfaceSlice, setSurfaceSlice] = useState(DEFAULT_SLICE);
+  const [surfacePt, setSurfacePt] = useState(null);
+  const [canvasW, setCanvasW] = useState(800);
+  // Erişilebilirlik: klavyeyle adım atınca okunan satır ve her adımda değerin tonu
+  const [announce, setAnnounce] = useState("");
+  const [stepTone, setStepTone] = useState(false);
+  const [lang, setLang] = useState(() => loadLang(LANGS));
+  const t = useMemo(() => translator(lang), [lang]);
+  const [params, setParams] = useState(boot.params);
+  const [history, setHistory] = useState(loadHistory);
   const canvasRef = useRef(null);
+  const overlayRef = useRef(null);
 
-const [pw, setPw] = useState([
-  { cond: "x<0", expr: "-x" },
-  { cond: "", expr: "x^2" },
-]);
+const [pw, setPw] = useState(boot.pw);
 
+// Satırlar yapısıyla saklanır; expr yalnızca gösterim ve parametre bulma için üretilir
 function buildPiecewise(rows) {
-  const parts = rows.filter(r => r.expr.trim() !== "");
+  const parts = rows.filter(r => r.expr.trim() !== "").map(({ cond, expr }) => ({ cond: cond.trim(), expr: expr.trim() }));
   if (parts.length === 0) return;
-  let s = "";
-  for (let i=0;i<parts.length;i++) {
-    const {cond,expr} = parts[i];
-    if (i < parts.length-1 && cond.trim()) {
-      s += `(${cond})?(${expr}):`;
-    } else {
-      s += `(${expr})`;
-    }
-  }
-  setExpr(s);
+  updateFn(activeFn.id, { pieces: parts, expr: piecewiseExpr(parts) });
 }
 
-  const f = useMemo(() => compileExpression(expr), [expr]);
-  const df = useMemo(() => compileDerivative(expr), [expr]);
+  const activeFn = fns.find(fn => fn.id === activeId) ?? fns[0];
+  const expr = activeFn.expr;
+
+  function updateFn(id, patch) {
+    setFns(list => list.map(fn => fn.id === id ? { ...fn, ...patch } : fn));
+  }
+  // Elle düzenlenen ifade parçalı yapıyı bırakır
+  function setExpr(id, value) { updateFn(id, { expr: value, pieces: null }); }
+  function focusFn(fn) {
+    setActiveId(fn.id);
+    if (fn.pieces) setPw(fn.pieces);
+  }
+  function addFn() {
+    const fn = makeFn("", fns);
+    setFns([...fns, fn]);
+    setActiveId(fn.id);
+    requestAnimationFrame(() => exprInputRefs.current[fn.id]?.focus());
+  }
+  // Alıştırmadaki f(x) yeni bir eğri olarak eklenir, teğeti ve türev panelleri onu izler
+  function plotExercise(value) {
+    const fn = makeFn(value, fns);
+    setFns([...fns, fn]);
+    setActiveId(fn.id); setTangentId(fn.id);
+    if (plane.mode !== "fx") setPlaneMode("fx");
+  }
+  function removeFn(id) {
+    if (fns.length === 1) return;
+    const rest = fns.filter(fn => fn.id !== id);
+    setFns(rest);
+    if (activeId === id) setActiveId(rest[0].id);
+    if (tangentId === id) setTangentId(rest[0].id);
+  }
+
+  function openSnapshot(snap) {
+    const v = fromSnapshot(snap);
+    setFns(v.fns); setActiveId(v.activeId); setTangentId(v.tangentId);
+    setLockTangent(v.lockTangent); setTangentX(v.tangentX);
+    setXMin(v.xMin); setXMax(v.xMax); setSamples(v.samples);
+    setPanels(v.panels); setPanelHeight(v.panelHeight);
+    setShowTangent(v.showTangent); setShowAnalysis(v.showAnalysis);
+    setParams(v.params); setPw(v.pw); setHoverX(null);
+    setPlane(v.plane); setPlaneCy(0); setImplicitPt(null); setOdeSeeds([]); setOdePt(null);
+    setSurfaceSlice(DEFAULT_SLICE); setSurfacePt(null);
+  }
+  const openSnapshotRef = useRef(openSnapshot);
+  openSnapshotRef.current = openSnapshot;
+
+  // Görünümün tamamı URL hash'inde; bağlantıyı açan aynı grafiği görür
+  const snapshot = useMemo(
+    () => toSnapshot({ fns, activeId, tangentId, lockTangent, tangentX, xMin, xMax, samples, panels, panelHeight, showTangent, showAnalysis, params, pw, plane }),
+    [fns, activeId, tangentId, lockTangent, tangentX, xMin, xMax, samples, panels, panelHeight, showTangent, showAnalysis, params, pw, plane],
+  );
+  useEffect(() => {
+    // kaydırma ve animasyon sırasında her karede değil, durulunca yaz
+    const t = setTimeout(() => {
+      const hash = stateHash(snapshot);
+      if (window.location.hash !== hash) window.history.replaceState(null, "", hash);
+    }, 300);
+    return () => clearTimeout(t);
+  }, [snapshot]);
+  useEffect(() => {
+    const onHash = () => {
+      const snap = decodeState(window.location.hash);
+      if (snap) openSnapshotRef.current(snap);
+    };
+    window.addEventListener("hashchange", onHash);
+    return () => window.removeEventListener("hashchange", onHash);
+  }, []);
+  useEffect(() => { saveHistory(history); }, [history]);
+  useEffect(() => {
+    saveLang(lang);
+    document.documentElement.lang = lang;
+  }, [lang]);
+  function rememberExpr(c) {
+    if (c.f) setHistory(h => pushHistory(h, c.expr));
+  }
+
+  // Parametrik / kutupsal mod: ifadelerin sembolik türevleri yalnızca ifade değişince, parametre değerleri her karede bağlanır
+  const fxMode = plane.mode === "fx";
+  const planeMode = PLANE_MODES[plane.mode] ?? null;
+  // Kapalı eğri: F, Fₓ, F_y ve dy/dx denklem değişince; eğrinin kendisi görünür bölgede worker'da izlenir
+  const implicitMode = plane.mode === "implicit";
+  const implicitDef = useMemo(() => implicitMode ? implicitCodes(plane.eq) : null, [implicitMode, plane.eq]);
+  // dy/dx = g(x, y): eğim alanı çizimde, çözüm eğrileri worker'da
+  const odeMode = plane.mode === "ode";
+  const odeDef = useMemo(() => odeMode ? odeCodes(plane.g) : null, [odeMode, plane.g]);
+  // z = f(x, y): ∂f/∂x ve ∂f/∂y ifade değişince; seviye haritası ve kesit worker'da, gradyan alanı çizimde
+  const surfaceMode = plane.mode === "surface";
+  const surfaceDef = useMemo(() => surfaceMode ? surfaceCodes(plane.z) : null, [surfaceMode, plane.z]);
+  const planeDefKey = !planeMode ? null : JSON.stringify({ mode: plane.mode, x: plane.x, y: plane.y, r: plane.r });
+  const planeDef = useMemo(() => planeDefKey ? planeCodes(JSON.parse(planeDefKey)) : null, [planeDefKey]);
+  const planeExprs = planeMode ? (plane.mode === "polar" ? [plane.r] : [plane.x, plane.y])
+    : implicitDef?.exprs ? [implicitDef.exprs.F] : odeDef?.expr ? [odeDef.expr] : surfaceDef?.exprs ? [surfaceDef.exprs.f] : [];
+  const planeTMin = evalScalar(plane.tMin), planeTMax = evalScalar(plane.tMax);
+  const planeTRange = useMemo(
+    () => planeMode && Number.isFinite(planeTMin) && Number.isFinite(planeTMax) && planeTMax > planeTMin ? [planeTMin, planeTMax] : null,
+    [planeMode, planeTMin, planeTMax],
+  );
+  const planeT0 = planeTRange ? clamp(planeT, planeTRange[0], planeTRange[1]) : null;
+  function setPlaneMode(mode) {
+    fitPlaneRef.current = !!PLANE_MODES[mode];
+    setImplicitPt(null); setOdePt(null); setSurfacePt(null);
+    if (mode === "fx") { setXMin(DEFAULT_X[0]); setXMax(DEFAULT_X[1]); }
+    if (mode === "implicit") { setXMin(IMPLICIT_X[0]); setXMax(IMPLICIT_X[1]); setPlaneCy(0); }
+    if (mode === "ode") { setXMin(ODE_X[0]); setXMax(ODE_X[1]); setPlaneCy(0); }
+    if (mode === "surface") { setXMin(SURFACE_X[0]); setXMax(SURFACE_X[1]); setPlaneCy(0); }
+    setPlane(p => ({ ...p, mode, tMin: mode === plane.mode ? p.tMin : DEFAULT_PLANE.tMin, tMax: mode === plane.mode ? p.tMax : DEFAULT_PLANE.tMax }));
+  }
+
+  // analiz için f'' her zaman gerekli
+  const maxOrder = Math.max(2, ...panels.filter(p => p.visible).map(p => p.order));
+  // İfadelerdeki serbest semboller birer parametre olur; ayarlanmamışlar varsayılan değerle başlar
+  const planeExprsKey = JSON.stringify(planeExprs);
+  const paramNames = useMemo(() => {
+    const vars = planeMode?.variable ?? ["x", "y"];
+    const names = !fxMode
+      ? JSON.parse(planeExprsKey).flatMap(e => freeSymbols(e, vars))
+      : fns.flatMap(fn => freeSymbols(fn.expr));
+    return [...new Set(names)].sort();
+  }, [fns, fxMode, planeMode, planeExprsKey]);
+  const paramList = useMemo(
+    () => paramNames.map(name => ({ name, ...DEFAULT_PARAM, ...params[name] })),
+    [paramNames, params],
+  );
+  const scope = useMemo(() => Object.fromEntries(paramList.map(p => [p.name, p.value])), [paramList]);
+  function updateParam(name, patch) {
+    setParams(ps => ({ ...ps, [name]: { ...DEFAULT_PARAM, ...ps[name], ...patch } }));
+  }
+  const playing = paramList.some(p => p.playing);
+  useEffect(() => {
+    if (!playing) return;
+    let raf, last = performance.now();
+    const tick = (now) => {
+      const dt = Math.min(100, now - last); last = now;
+      setParams(ps => {
+        const next = { ...ps };
+        for (const [name, p] of Object.entries(ps)) {
+          if (!p.playing || !(p.max > p.min)) continue;
+          let v = p.value + p.dir * (p.max - p.min) * dt / PARAM_SWEEP_MS, dir = p.dir;
+          if (v > p.max) { v = p.max; dir = -1; }
+          if (v < p.min) { v = p.min; dir = 1; }
+          next[name] = { ...p, value: v, dir };
+        }
+        return next;
+      });
+      raf = requestAnimationFrame(tick);
+    };
+    raf = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(raf);
+  }, [playing]);
+
+  // Sembolik türevler yalnızca ifade değişince; parametre değerleri her karede yeniden bağlanır
+  const defsKey = JSON.stringify(fns.map(fn => ({ expr: fn.expr, pieces: fn.pieces })));
+  const codes = useMemo(() => JSON.parse(defsKey).map(def => functionCodes(def, maxOrder)), [defsKey, maxOrder]);
+  // Her eğri kendi [f, f', f'', …] dizisini taşır; çizim ve aralıklar bunların birleşimi üzerinden.
+  // Parçalı eğrilerde breakpoints kesim noktalarındaki limitleri ve süreklilik/türevlenebilirliği taşır.
+  const curves = useMemo(() => fns.map((fn, i) => {
+    const { ders, breakpoints, regions } = bindFunction(codes[i], scope);
+    return { ...fn, ders, breakpoints, regions, error: codes[i]?.error ?? null, f: ders[0] ?? null, df: ders[1] ?? null };
+  }), [fns, codes, scope]);
+  const tangentCurve = fxMode ? curves.find(c => c.id === tangentId && c.visible && c.f) ?? null : null;
+  const planeFns = useMemo(() => bindPlane(planeDef, scope), [planeDef, scope]);
+  const implicitFns = useMemo(() => bindImplicit(implicitDef, scope), [implicitDef, scope]);
+  const odeFn = useMemo(() => bindOde(odeDef, scope), [odeDef, scope]);
+  const surfaceFns = useMemo(() => bindSurface(surfaceDef, scope), [surfaceDef, scope]);
+  // Eşit ölçekli üst panelin görünür y aralığı; kapalı eğri tam bu bölgede izlenir
+  const planeYRange = useMemo(
+    () => equalAspect([planeCy, planeCy], xMin, xMax, canvasW, panelHeight),
+    [planeCy, xMin, xMax, canvasW, panelHeight],
+  );
+
+  // Örnekleme, aralıklar ve analiz worker'da; görünüm değişene kadar sonuç yeniden kullanılır.
+  // Yeni sonuç gelene dek önceki örnekler güncel eksenlerde çizilir.
+  const visibleKey = panels.map(p => p.visible ? "1" : "0").join("");
+  // analiz sözlü özet için de gerekli; grafikteki işaretler ve tablo yalnızca "analiz" açıkken
+  const analyzeId = tangentCurve?.id ?? null;
+  const inspectId = tangentCurve?.id ?? null;
+  // İntegral modu seçili eğriye uygulanır; ters türev paneli için sembolik F varsa worker onu örnekler
+  const integrand = integral.on ? tangentCurve : null;
+  const integrandExpr = integrand && !integrand.pieces ? integrand.expr : null;
+  const Fexpr = useMemo(() => integrandExpr ? antiderivativeExpr(integrandExpr) : null, [integrandExpr]);
+  const showF = !!integrand && integral.showF;
+  const antiderivative = showF ? { id: integrand.id, a: integral.a, expr: Fexpr } : null;
+  const antiderivativeKey = JSON.stringify(antiderivative);
+  // Taylor: seçili eğrinin (parçalıysa her dalın) yüksek mertebe türev zincirleri worker'da
+  const taylorOn = taylorOpts.on && showTangent && !!tangentCurve;
+  const taylorExprs = taylorOn ? (tangentCurve.pieces ? tangentCurve.pieces.map(p => p.expr) : [tangentCurve.expr]) : null;
+  const taylorKey = JSON.stringify(taylorExprs);
+  // Düzlem modunda f(x) eğrileri örneklenmez; yalnızca düzlem eğrisi ve x'(t), y'(t)
+  const planeJobKey = planeDefKey && planeTRange ? JSON.stringify({ ...JSON.parse(planeDefKey), tMin: planeTRange[0], tMax: planeTRange[1] }) : "null";
+  const implicitNx = clamp(Math.round(canvasW / IMPLICIT_CELL_PX), 40, 400);
+  const implicitJobKey = implicitMode && implicitDef?.exprs ? JSON.stringify({
+    eq: plane.eq, xMin, xMax, yMin: planeYRange[0], yMax: planeYRange[1],
+    nx: implicitNx, ny: Math.max(10, Math.round(implicitNx * panelHeight / canvasW)),
+  }) : "null";
+  const odeJobKey = odeMode && odeDef?.expr ? JSON.stringify({
+    g: plane.g, seeds: odeSeeds, ...odeOpts, xMin, xMax, yMin: planeYRange[0], yMax: planeYRange[1],
+  }) : "null";
+  const surfaceNx = clamp(Math.round(canvasW / SURFACE_CELL_PX), 20, 200);
+  const surfaceJobKey = surfaceMode && surfaceDef?.exprs ? JSON.stringify({
+    z: plane.z, xMin, xMax, yMin: planeYRange[0], yMax: planeYRange[1],
+    nx: surfaceNx, ny: Math.max(6, Math.round(surfaceNx * panelHeight / canvasW)), slice: surfaceSlice,
+  }) : "null";
+  const samplingJob = useMemo(() => {
+    const orders = PANEL_ORDERS.filter(o => visibleKey[o] === "1");
+    return {
+      curves: !fxMode ? [] : fns.filter(fn => fn.visible && fn.expr.trim() !== "")
+        .map(fn => ({ id: fn.id, expr: fn.expr, pieces: fn.pieces, orders: orders.filter(o => o === 0 || fn.showDerivative) })),
+      scope, xMin, xMax, samples, analyzeId, inspectId,
+      antiderivative: JSON.parse(antiderivativeKey),
+      taylor: taylorKey === "null" ? null : { exprs: JSON.parse(taylorKey) },
+      plane: JSON.parse(planeJobKey),
+      implicit: JSON.parse(implicitJobKey),
+      ode: JSON.parse(odeJobKey),
+      surface: JSON.parse(surfaceJobKey),
+    };
+  }, [fxMode, fns, visibleKey, scope, xMin, xMax, samples, analyzeId, inspectId, antiderivativeKey, taylorKey, planeJobKey, implicitJobKey, odeJobKey, surfaceJobKey]);
+  const [sampled, setSampled] = useState(null);
+  useEffect(() => {
+    let live = true;
+    requestSamples(samplingJob).then(r => {
+      if (!live || !r) return;
+      setSampled(r);
+      if (r.plane && fitPlaneRef.current) {
+        fitPlaneRef.current = false;
+        const [xa, xb] = fitPlaneX(r.plane.box, canvasRef.current?.clientWidth || 800, viewRef.current.layout[0].height);
+        setXMin(xa); setXMax(xb); setPlaneCy(0.5 * (r.plane.box.y[0] + r.plane.box.y[1]));
+      }
+    });
+    return () => { live = false; };
+  }, [samplingJob]);
+  const analysis = analyzeId != null && sampled?.analyzeId === analyzeId ? sampled.analysis : null;
+  const summaryLines = useMemo(() => tangentCurve && describeCurve({
+    f: tangentCurve.f, analysis, range: [xMin, xMax],
+    singular: sampled?.curves[analyzeId]?.[0]?.singular,
+    asymptotes: sampled?.asymptotes[analyzeId],
+  }, t), [tangentCurve, analyzeId, analysis, xMin, xMax, sampled, t]);
+  function lockTangentAt(x) {
+    setShowTangent(true);
+    setLockTangent(true);
+    setTangentX(String(+x.toPrecision(12)));
+  }
 
   function insertSnippet(before, after = "", cursorDelta = 0) {
-  const el = exprInputRef.current;
+  const el = exprInputRefs.current[activeFn.id];
   const start = el?.selectionStart ?? expr.length;
   const end = el?.selectionEnd ?? expr.length;
   const sel = expr.slice(start, end);
   const next = expr.slice(0, start) + before + sel + after + expr.slice(end);
-  setExpr(next);
+  setExpr(activeFn.id, next);
   requestAnimationFrame(() => {
     const pos = start + before.length + (sel ? sel.length : 0) + cursorDelta;
     if (el) el.setSelectionRange(pos, pos);
@@ -129,334 +447,435 @@ function buildPiecewise(rows) {
 }
 function insertCall(name) { insertSnippet(`${name}(`, `)`); }
 
-  const [yRange, setYRange] = useState([-5, 5]);
+  // Sabitlenmiş panelde elle girilen aralık, değilse otomatik aralık
+  // Düzlem ve kapalı eğri modunda: eşit ölçekli üst panel (sürükleyip yakınlaştırınca merkezi kayar) ve x'(t), y'(t) aralığı
+  const ranges = useMemo(
+    () => fxMode
+      ? panels.map((p, i) => p.lock ? [p.min, p.max] : sampled?.ranges[i] ?? [-5, 5])
+      : [planeYRange, (odeMode ? sampled?.ode?.dRange : surfaceMode ? sampled?.surface?.sliceRange : sampled?.plane?.dRange) ?? [-5, 5]],
+    [fxMode, odeMode, surfaceMode, panels, sampled, planeYRange],
+  );
+  // Hareket: seçili eğrinin v = 0 anları ve okların ölçeği görünür zaman aralığında
+  const motionCurve = fxMode && motion.on && tangentCurve?.df ? tangentCurve : null;
+  const motionT = motionCurve ? clamp(motion.t, xMin, xMax) : null;
+  const motionScene = useMemo(() => motionCurve && {
+    curve: motionCurve, events: motionEvents(motionCurve.ders, xMin, xMax), scale: motionScale(motionCurve.ders, xMin, xMax),
+  }, [motionCurve, xMin, xMax]);
+  const layout = useMemo(() => {
+    const fxPanels = [
+      ...(motionCurve ? [{ order: MOTION_ORDER, visible: true, height: MOTION_STRIP_PX }] : []),
+      ...(showF ? [{ order: -1, visible: true }] : []),
+      ...panels,
+    ];
+    return layoutPanels(implicitMode ? IMPLICIT_PANELS : !fxMode ? PLANE_PANELS : fxPanels, panelHeight);
+  }, [fxMode, implicitMode, motionCurve, showF, panels, panelHeight]);
+  const lastPanel = layout[layout.length - 1];
+  const canvasHeight = lastPanel ? lastPanel.top + lastPanel.height : panelHeight;
+  const viewRef = useRef(null);
+  viewRef.current = {
+    xMin, xMax, y: ranges, fx: fxMode, lock: fxMode ? panels.map(p => p.lock) : [true, false], layout, integrate: integral.on,
+    plane: planeFns && planeTRange ? { fns: planeFns, t: planeT0, tRange: planeTRange, points: sampled?.plane ?? null } : null,
+    implicit: implicitFns ? { fns: implicitFns, segments: sampled?.implicit?.segments ?? null } : null,
+    ode: odeFn,
+    surface: surfaceFns ? { slice: surfaceSlice } : null,
+  };
+
+  function updatePanel(order, patch) {
+    setPanels(p => p.map(pn => pn.order === order ? { ...pn, ...patch } : pn));
+  }
+  function setPanelVisible(order, visible) {
+    if (!visible && layout.filter(p => p.order >= 0).length === 1) return;
+    updatePanel(order, { visible });
+  }
+  function setPanelLock(order, lock) {
+    const cur = ranges[order];
+    updatePanel(order, { lock, min: +cur[0].toPrecision(6), max: +cur[1].toPrecision(6) });
+  }
+  function setPanelBound(order, key, value) {
+    if (!Number.isFinite(value)) return;
+    updatePanel(order, { [key]: value });
+  }
+  function fitPlane() {
+    const box = sampled?.plane?.box;
+    if (!box) return;
+    const [xa, xb] = fitPlaneX(box, canvasRef.current?.clientWidth || 800, panelHeight);
+    setXMin(xa); setXMax(xb); setPlaneCy(0.5 * (box.y[0] + box.y[1]));
+  }
+  function resetView() {
+    if (implicitMode) { setXMin(IMPLICIT_X[0]); setXMax(IMPLICIT_X[1]); setPlaneCy(0); return; }
+    if (odeMode) { setXMin(ODE_X[0]); setXMax(ODE_X[1]); setPlaneCy(0); return; }
+    if (surfaceMode) { setXMin(SURFACE_X[0]); setXMax(SURFACE_X[1]); setPlaneCy(0); return; }
+    if (!fxMode) { fitPlane(); return; }
+    setXMin(DEFAULT_X[0]); setXMax(DEFAULT_X[1]);
+    setPanels(p => p.map(pn => ({ ...pn, lock: false })));
+  }
+
+  // İKİ MOD: kilitliyse x0, değilse hover
+  const lockedX = lockTangent ? evalScalar(tangentX) : null;
+  const cursorX = lockTangent ? lockedX : hoverX;
+  // Kesen: |h| görünür aralığın dörtte birinden 1e-5'e kadar; ▶ her SECANT_DECADE_MS'de bir basamak küçültür
+  const secantHMax = (xMax - xMin) / 4;
+  const secantH = secant.on && showTangent
+    ? Math.sign(secant.h) * clamp(Math.abs(secant.h), SECANT_H_MIN, secantHMax)
+    : null;
+  // Klavye: ←/→ teğet noktasını step kadar (Shift ile on katı), Home/End görünür aralığın uçlarına taşır.
+  // Nokta aralıktan çıkarsa görünüm onu izler; yeni nokta canlı bölgede okunur, istenirse tonu çalınır.
+  function onCanvasKey(e) {
+    if (!tangentCurve) return;
+    const from = lockTangent && Number.isFinite(lockedX) ? lockedX : hoverX ?? 0.5 * (xMin + xMax);
+    const moves = { ArrowRight: from + step * (e.shiftKey ? 10 : 1), ArrowLeft: from - step * (e.shiftKey ? 10 : 1), Home: xMin, End: xMax };
+    if (!(e.key in moves)) return;
+    e.preventDefault();
+    const x = +moves[e.key].toPrecision(12);
+    const shift = x < xMin ? x - xMin : x > xMax ? x - xMax : 0;
+    if (shift) { setXMin(xMin + shift); setXMax(xMax + shift); }
+    lockTangentAt(x);
+    setAnnounce(describePoint(tangentCurve, x, t));
+    if (stepTone) playTone(pitchScale(tangentCurve.f, xMin + shift, xMax + shift)(tangentCurve.f(x)));
+  }
+  function toggleSecantPlay() {
+    setSecant(s => s.playing ? { ...s, playing: false }
+      : { ...s, playing: true, h: Math.abs(s.h) <= SECANT_H_MIN * 1.01 ? Math.sign(s.h) * secantHMax : s.h });
+  }
   useEffect(() => {
-    if (!f) { setError("İfade yorumlanamadı. math.js sözdizimi kullan."); return; }
-    setError("");
-    const xs = linspace(xMin, xMax, Math.min(samples, 400));
-    let ymin = Infinity, ymax = -Infinity;
-    for (const x of xs) {
-      const y = f(x);
-      if (!Number.isFinite(y)) continue;
-      ymin = Math.min(ymin, y); ymax = Math.max(ymax, y);
-    }
-    if (!Number.isFinite(ymin) || !Number.isFinite(ymax)) { ymin = -1; ymax = 1; }
-    if (ymin === ymax) { ymin -= 1; ymax += 1; }
-    const pad = (ymax - ymin) * 0.1 + 1e-9;
-    setYRange([ymin - pad, ymax + pad]);
-  }, [expr, f, xMin, xMax, samples]);
-
-  const [dRange, setDRange] = useState([-5, 5]);
+    if (!secant.playing) return;
+    let raf, last = performance.now();
+    const tick = (now) => {
+      const dt = Math.min(100, now - last); last = now;
+      setSecant(s => {
+        const h = s.h * 10 ** (-dt / SECANT_DECADE_MS);
+        return Math.abs(h) <= SECANT_H_MIN ? { ...s, h: Math.sign(s.h) * SECANT_H_MIN, playing: false } : { ...s, h };
+      });
+      raf = requestAnimationFrame(tick);
+    };
+    raf = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(raf);
+  }, [secant.playing]);
+
+  // Taylor: zincirler gelince parametrelerle bağlanır; x₀'daki katsayılar ve |f − Pₙ| < ε aralığı her imleç hareketinde
+  const taylorChains = sampled?.taylor && JSON.stringify(sampled.taylor.exprs) === taylorKey ? sampled.taylor.chains : null;
+  const taylorDers = useMemo(
+    () => taylorChains?.map(chain => bindChain(chain, scope)) ?? null,
+    [taylorChains, scope],
+  );
+  const taylorX0 = cursorX != null && Number.isFinite(cursorX) ? clamp(cursorX, xMin, xMax) : null;
+  // parçalı eğride x₀'ın bulunduğu dal
+  const taylorRow = taylorDers && taylorX0 != null
+    ? tangentCurve.regions ? tangentCurve.regions.find(r => taylorX0 >= r.from && taylorX0 < r.to)?.row ?? -1 : 0
+    : -1;
+  const taylorAvailable = taylorDers ? (taylorRow >= 0 ? taylorDers[taylorRow].length - 1 : 0) : null;
+  const taylorResult = useMemo(() => {
+    if (!taylorDers || taylorRow < 0) return null;
+    const ders = taylorDers[taylorRow].slice(0, taylorOpts.order + 1);
+    const { coeffs, cut } = taylorCoefficients(ders, taylorX0);
+    if (coeffs.length === 0) return null;
+    return { x0: taylorX0, coeffs, cut, eps: taylorOpts.eps, interval: accurateInterval(tangentCurve.f, coeffs, taylorX0, xMin, xMax, taylorOpts.eps) };
+  }, [taylorDers, taylorRow, taylorX0, taylorOpts.order, taylorOpts.eps, tangentCurve, xMin, xMax]);
+  // Newton: iterasyonlar x₀'dan hep baştan hesaplanır, ilk shown adımı gösterilir; ▶▶ her NEWTON_STEP_MS'de bir adım ilerler
+  const newtonCurve = newtonOpts.on && tangentCurve?.df ? tangentCurve : null;
+  const newtonStart = evalScalar(newtonOpts.start);
+  const newtonRun = useMemo(
+    () => newtonCurve && Number.isFinite(newtonStart) ? newton(newtonCurve.f, newtonCurve.df, newtonStart) : null,
+    [newtonCurve, newtonStart],
+  );
+  const newtonTotal = newtonRun?.steps.length ?? 0;
+  const newtonShown = Math.min(newtonOpts.shown, newtonTotal);
+  const newtonPlaying = newtonOpts.playing && newtonShown < newtonTotal;
+  const newtonScene = useMemo(() => newtonRun && { ...newtonRun, shown: newtonShown }, [newtonRun, newtonShown]);
+  function toggleNewtonPlay() {
+    setNewtonOpts(s => newtonPlaying ? { ...s, playing: false }
+      : { ...s, playing: true, shown: newtonShown >= newtonTotal ? 0 : newtonShown });
+  }
+  // ▶: t her karede hızla orantılı ilerler, aralığın sonunda durur; sondayken ▶ baştan başlatır
+  const motionPlaying = !!motionCurve && motion.playing;
+  function toggleMotionPlay() {
+    setMotion(m => m.playing ? { ...m, playing: false } : { ...m, playing: true, t: motionT >= xMax ? xMin : motionT });
+  }
+  useEffect(() => {
+    if (!motionPlaying) return;
+    let raf, last = performance.now();
+    const tick = (now) => {
+      const dt = Math.min(100, now - last); last = now;
+      setMotion(m => {
+        const t = clamp(m.t, xMin, xMax) + m.speed * (xMax - xMin) * dt / MOTION_SWEEP_MS;
+        return t >= xMax ? { ...m, t: xMax, playing: false } : { ...m, t };
+      });
+      raf = requestAnimationFrame(tick);
+    };
+    raf = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(raf);
+  }, [motionPlaying, xMin, xMax]);
   useEffect(() => {
-    if (!df) return;
-    const xs = linspace(xMin, xMax, Math.min(samples, 400));
-    let ymin = Infinity, ymax = -Infinity;
-    for (const x of xs) {
-      const y = df(x);
-      if (!Number.isFinite(y)) continue;
-      ymin = Math.min(ymin, y); ymax = Math.max(ymax, y);
-    }
-    if (!Number.isFinite(ymin) || !Number.isFinite(ymax)) { ymin = -1; ymax = 1; }
-    if (ymin === ymax) { ymin -= 1; ymax += 1; }
-    const pad = (ymax - ymin) * 0.1 + 1e-9;
-    setDRange([ymin - pad, ymax + pad]);
-  }, [expr, df, xMin, xMax, samples]);
+    if (!newtonPlaying) return;
+    const t = setTimeout(() => setNewtonOpts(s => ({ ...s, shown: newtonShown + 1 })), NEWTON_STEP_MS);
+    return () => clearTimeout(t);
+  }, [newtonPlaying, newtonShown]);
+  // Çizimin ihtiyaç duyduğu her şey; ekran, PNG ve SVG aynı sahneyi çizer
+  const integralResult = useMemo(() => {
+    if (!integrand) return null;
+    const { a, b, method, n } = integral;
+    return { value: integrate(integrand.f, a, b), riemann: method ? riemann(integrand.f, a, b, n, method) : null };
+  }, [integrand, integral]);
+  const integralScene = useMemo(() => integrand && {
+    a: integral.a, b: integral.b,
+    rects: integralResult?.riemann?.rects ?? null,
+    F: sampled?.antiderivative?.id === integrand.id ? sampled.antiderivative : null,
+  }, [integrand, integral.a, integral.b, integralResult, sampled]);
+  const planeScene = useMemo(() => planeFns && planeTRange && {
+    sym: planeMode.sym,
+    legend: plane.mode === "polar" ? `r(θ) = ${plane.r}` : `x(t) = ${plane.x},  y(t) = ${plane.y}`,
+    fns: planeFns, tMin: planeTRange[0], tMax: planeTRange[1],
+    points: sampled?.plane ?? null,
+  }, [planeFns, planeTRange, planeMode, plane.mode, plane.r, plane.x, plane.y, sampled]);
+  const implicitScene = useMemo(() => implicitMode && implicitFns && {
+    legend: plane.eq, fns: implicitFns, points: sampled?.implicit ?? null,
+  }, [implicitMode, implicitFns, plane.eq, sampled]);
+  const implicitPt0 = implicitScene ? implicitPt : null;
+  const odeScene = useMemo(() => odeMode && odeFn && {
+    legend: `dy/dx = ${plane.g}`, g: odeFn, points: sampled?.ode ?? null,
+  }, [odeMode, odeFn, plane.g, sampled]);
+  const odePt0 = odeScene ? odePt : null;
+  const surfaceScene = useMemo(() => surfaceMode && surfaceFns && {
+    legend: `z = ${plane.z}`, fns: surfaceFns, slice: surfaceSlice, points: sampled?.surface ?? null,
+  }, [surfaceMode, surfaceFns, plane.z, surfaceSlice, sampled]);
+  const surfacePt0 = surfaceScene ? surfacePt : null;
+  const scene = useMemo(
+    () => ({ layout, xMin, xMax, ranges, samples, sampled, curves: fxMode ? curves : [], tangentCurve, analysis: showAnalysis ? analysis : null, integral: integralScene, plane: planeScene, implicit: implicitScene, ode: odeScene, surface: surfaceScene, motion: motionScene, t }),
+    [layout, xMin, xMax, ranges, samples, sampled, fxMode, curves, tangentCurve, showAnalysis, analysis, integralScene, planeScene, implicitScene, odeScene, surfaceScene, motionScene, t],
+  );
 
+  // Alt katman yalnızca sahne değişince, üst katman (imleç ve teğet) her imleç hareketinde çizilir
   useEffect(() => {
     const canvas = canvasRef.current;
-    if (!canvas || !f) return;
-    const ctx = canvas.getContext("2d");
-
-    const DPR = window.devicePixelRatio || 1;
-    const Wcss = canvas.clientWidth, Hcss = canvas.clientHeight;
-    canvas.width = Math.floor(Wcss * DPR);
-    canvas.height = Math.floor(Hcss * DPR);
-    ctx.setTransform(DPR, 0, 0, DPR, 0, 0);
-
-    const W = Wcss, H = Hcss;
-    const gap = 12, panelH = (H - gap) / 2;
-
-    function drawAxes(xMin_, xMax_, yMin_, yMax_, yOffset) {
-      ctx.save(); ctx.translate(0, yOffset);
-      ctx.fillStyle = "#fff"; ctx.fillRect(0, 0, W, panelH);
-
-      const xt = niceTicks(xMin_, xMax_);
-      const yt = niceTicks(yMin_, yMax_);
-      ctx.strokeStyle = "#e5e7eb";
-      for (const x of xt) {
-        const [sx] = worldToScreen(x, 0, W, panelH, xMin_, xMax_, yMin_, yMax_);
-        ctx.beginPath(); ctx.moveTo(sx, 0); ctx.lineTo(sx, panelH); ctx.stroke();
-      }
-      for (const y of yt) {
-        const [, sy] = worldToScreen(0, y, W, panelH, xMin_, xMax_, yMin_, yMax_);
-        ctx.beginPath(); ctx.moveTo(0, sy); ctx.lineTo(W, sy); ctx.stroke();
-      }
-
-      ctx.strokeStyle = "#94a3b8";
-      if (yMin_ < 0 && yMax_ > 0) {
-        const [, sy] = worldToScreen(0, 0, W, panelH, xMin_, xMax_, yMin_, yMax_);
-        ctx.beginPath(); ctx.moveTo(0, sy); ctx.lineTo(W, sy); ctx.stroke();
-      }
-      if (xMin_ < 0 && xMax_ > 0) {
-        const [sx] = worldToScreen(0, 0, W, panelH, xMin_, xMax_, yMin_, yMax_);
-        ctx.beginPath(); ctx.moveTo(sx, 0); ctx.lineTo(sx, panelH); ctx.stroke();
-      }
+    if (!canvas) return;
+    const [ctx, Wcss] = prepareCanvas(canvas);
+    drawPlot(ctx, { ...scene, width: Wcss });
+  }, [scene]);
+  useEffect(() => {
+    const canvas = overlayRef.current;
+    if (!canvas) return;
+    const [ctx, Wcss] = prepareCanvas(canvas);
+    drawCursor(ctx, { ...scene, width: Wcss, cursorX: showTangent ? cursorX : null, secantH, taylor: taylorResult, newton: newtonScene, planeT: planeT0, implicitPt: implicitPt0, odePt: odePt0, surfacePt: surfacePt0, motionT });
+  }, [scene, cursorX, showTangent, secantH, taylorResult, newtonScene, planeT0, implicitPt0, odePt0, surfacePt0, motionT]);
+  // Eşit ölçekli panellerin y aralığı ve kapalı eğri ızgarası canvas genişliğine bağlı
+  useEffect(() => {
+    const el = canvasRef.current;
+    if (!el) return;
+    setCanvasW(el.clientWidth || 800);
+    if (typeof ResizeObserver === "undefined") return;
+    const ro = new ResizeObserver(() => setCanvasW(el.clientWidth || 800));
+    ro.observe(el);
+    return () => ro.disconnect();
+  }, []);
+
+
+  // Fare, kalem ve dokunma: sürükle = kaydır, tekerlek / iki parmak = imlece göre yakınlaştır,
+  // tek parmak = teğeti gezdir. İntegral modunda f panelinde sürüklemek [a, b] seçer.
+  // Düzlem modunda noktanın üstünden sürüklemek onu eğri boyunca taşır, alt panelde sürüklemek parametreyi seçer.
+  // Kapalı eğri modunda imleç yakınındaki eğri noktasına oturur. Eğim alanında üst panele tıklamak
+  // (sürüklemeden bırakmak) o noktadan geçen çözümü başlatır; z = f(x, y) modunda kesit doğrusunu oraya taşır.
+  // Art arda gelen olaylar render beklemeden viewRef üzerinden birikir.
+  useEffect(() => {
+    const el = canvasRef.current; if (!el) return;
+    const pointers = new Map();
+    let pinch = null;
 
-      ctx.fillStyle = "#64748b"; ctx.font = "12px system-ui";
-      ctx.textAlign = "center"; ctx.textBaseline = "top";
-      for (const x of xt) {
-        const [sx] = worldToScreen(x, 0, W, panelH, xMin_, xMax_, yMin_, yMax_);
-        ctx.fillText(String(x), sx, 2);
+    const local = (e) => {
+      const r = el.getBoundingClientRect();
+      return [e.clientX - r.left, e.clientY - r.top];
+    };
+    const applyView = (xa, xb, ys) => {
+      const v = viewRef.current;
+      if (!(xb - xa > 1e-9) || xb - xa > 1e9) return;
+      v.xMin = xa; v.xMax = xb;
+      setXMin(xa); setXMax(xb);
+      if (!ys) return;
+      ys.forEach((r, i) => { if (r && v.lock[i]) v.y[i] = r; });
+      // eşit ölçekli üst panelin yalnızca merkezi saklanır
+      if (!v.fx) { if (ys[0]) setPlaneCy(0.5 * (ys[0][0] + ys[0][1])); return; }
+      setPanels(p => p.map((pn, i) => ys[i] && pn.lock ? { ...pn, min: ys[i][0], max: ys[i][1] } : pn));
+    };
+    const panBy = (dsx, dsy, panel) => {
+      const v = viewRef.current, W = el.clientWidth;
+      const dx = -(dsx / W) * (v.xMax - v.xMin);
+      const ys = v.y.map(() => null);
+      if (panel) {
+        const [a, b] = v.y[panel.order];
+        const dy = (dsy / panel.height) * (b - a);
+        ys[panel.order] = [a + dy, b + dy];
       }
-      ctx.textAlign = "right"; ctx.textBaseline = "middle";
-      for (const y of yt) {
-        const [, sy] = worldToScreen(0, y, W, panelH, xMin_, xMax_, yMin_, yMax_);
-        ctx.fillText(String(y), W - 4, sy);
+      applyView(v.xMin + dx, v.xMax + dx, ys);
+    };
+    const zoomAt = (sx, sy, factor, panel) => {
+      const v = viewRef.current, W = el.clientWidth;
+      const ax = v.xMin + (sx / W) * (v.xMax - v.xMin);
+      const ys = v.y.map(() => null);
+      if (panel) {
+        const [a, b] = v.y[panel.order];
+        const [, ay] = screenToWorld(sx, sy - panel.top, W, panel.height, v.xMin, v.xMax, a, b);
+        ys[panel.order] = [ay - (ay - a) * factor, ay + (b - ay) * factor];
       }
-      ctx.restore();
-    }
-    function drawCurve(fun, color, xMin_, xMax_, yMin_, yMax_, yOffset) {
-  ctx.save(); ctx.translate(0, yOffset);
-  ctx.lineWidth = 2; ctx.strokeStyle = color;
-
-  const N = samples;
-  const xs = linspace(xMin_, xMax_, N);
-
-  const JUMP_ABS = 0.75;  // atlama algısı (mutlak)
-  const JUMP_REL = 0.4;   // atlama algısı (göreli)
-
-  ctx.beginPath();
-  let started = false;
-  let lastY = null;
-
-  for (let i = 0; i < xs.length; i++) {
-    const x = xs[i];
-    const y = fun(x);
-
-    if (!Number.isFinite(y)) {
-      // tanımsızsa path’i kopar
-      started = false;
-      continue;
-    }
-
-    const [sx, sy] = worldToScreen(x, y, W, panelH, xMin_, xMax_, yMin_, yMax_);
-
-    // önceki noktaya göre atlama var mı?
-    if (started && Number.isFinite(lastY)) {
-      const absJump = Math.abs(y - lastY);
-      const relJump = absJump / Math.max(1e-9, Math.max(Math.abs(y), Math.abs(lastY)));
-      if (absJump > JUMP_ABS && relJump > JUMP_REL) {
-        // path’i KES – yeni segment başlat
-        ctx.stroke();
-        ctx.beginPath();
-        started = false;
+      applyView(ax - (ax - v.xMin) * factor, ax + (v.xMax - ax) * factor, ys);
+    };
+    const xAt = (sx) => {
+      const v = viewRef.current;
+      return v.xMin + (sx / el.clientWidth) * (v.xMax - v.xMin);
+    };
+    const hoverAt = (sx, sy) => {
+      if (viewRef.current.implicit) setImplicitPt(implicitSnap(sx, sy));
+      else if (viewRef.current.ode) setOdePt(odeAt(sx, sy));
+      else if (viewRef.current.surface) setSurfacePt(surfaceAt(sx, sy));
+      else setHoverX(xAt(sx));
+    };
+    // Düzlem noktası: alt panelde t doğrudan yatay konumdan, üstte imlece en yakın örneğin t'si
+    const planeScreen = () => {
+      const v = viewRef.current, panel = v.layout[0], W = el.clientWidth;
+      const [ya, yb] = equalAspect(v.y[0], v.xMin, v.xMax, W, panel.height);
+      return (x, y) => { const [px, py] = worldToScreen(x, y, W, panel.height, v.xMin, v.xMax, ya, yb); return [px, py + panel.top]; };
+    };
+    const planeGrab = (sx, sy, panel) => {
+      const pl = viewRef.current.plane;
+      if (!pl || !panel) return null;
+      if (panel.order === 1) return "t";
+      const [px, py] = planeScreen()(pl.fns.x(pl.t), pl.fns.y(pl.t));
+      return Math.hypot(px - sx, py - sy) <= 14 ? "point" : null;
+    };
+    const planeTAt = (drag, sx, sy) => {
+      const pl = viewRef.current.plane;
+      if (!pl) return null;
+      const [a, b] = pl.tRange;
+      if (drag === "t") return a + clamp(sx / el.clientWidth, 0, 1) * (b - a);
+      const pts = pl.points;
+      if (!pts) return null;
+      const toScreen = planeScreen();
+      let best = null, bestD = Infinity;
+      for (let i = 0; i < pts.ts.length; i++) {
+        if (!Number.isFinite(pts.xs[i])) continue;
+        const [px, py] = toScreen(pts.xs[i], pts.ys[i]);
+        const d = (px - sx) ** 2 + (py - sy) ** 2;
+        if (d < bestD) { bestD = d; best = pts.ts[i]; }
       }
-    }
-
-    if (!started) {
-      ctx.moveTo(sx, sy);
-      started = true;
-    } else {
-      ctx.lineTo(sx, sy);
-    }
-    lastY = y;
-  }
-
-  ctx.stroke();
-  ctx.restore();
-}
-
-    function evalScalar(exprStr) {
-  try {
-    if (typeof exprStr !== "string") return Number(exprStr);
-    const node = math.parse(exprStr.replaceAll("π","pi"));
-    const v = node.evaluate();
-    return Number(v);
-  } catch { return NaN; }
-}
-
-    function drawTangentAt() {
-  if (!showTangent || !df) return;
-
-  // İKİ MOD: kilitliyse x0, değilse hover
-  const xCandidate = lockTangent ? evalScalar(tangentX) : hoverX;
-  if (xCandidate == null || Number.isNaN(xCandidate)) return;
-
-  const x = clamp(xCandidate, xMin, xMax);
-  const y = f(x);
-  const m = df(x);
-  if (!Number.isFinite(y) || !Number.isFinite(m)) return;
-
-  const xA = xMin, xB = xMax;
-  const yA = m * (xA - x) + y, yB = m * (xB - x) + y;
-
-  const [sx] = worldToScreen(x, 0, W, panelH, xMin, xMax, yRange[0], yRange[1]);
-  ctx.strokeStyle = "#c7d2fe"; ctx.lineWidth = 1; ctx.setLineDash([4, 4]);
-  ctx.beginPath(); ctx.moveTo(sx, 0); ctx.lineTo(sx, panelH); ctx.stroke(); ctx.setLineDash([]);
-
-  const [sAx, sAy] = worldToScreen(xA, yA, W, panelH, xMin, xMax, yRange[0], yRange[1]);
-  const [sBx, sBy] = worldToScreen(xB, yB, W, panelH, xMin, xMax, yRange[0], yRange[1]);
-  ctx.strokeStyle = "#7c3aed"; ctx.lineWidth = 2;
-  ctx.beginPath(); ctx.moveTo(sAx, sAy); ctx.lineTo(sBx, sBy); ctx.stroke();
-
-  const [sx0, sy] = worldToScreen(x, y, W, panelH, xMin, xMax, yRange[0], yRange[1]);
-  ctx.fillStyle = "#7c3aed"; ctx.beginPath(); ctx.arc(sx0, sy, 3, 0, Math.PI * 2); ctx.fill();
-
-  ctx.fillStyle = "#1f2937"; ctx.font = "12px system-ui";
-  ctx.textAlign = "left"; ctx.textBaseline = "bottom";
-  const label = `x=${x.toFixed(3)}  f(x)=${y.toFixed(3)}  f'(x)=${m.toFixed(3)}`;
-  ctx.fillText(label, Math.min(Math.max(6, sx0 + 6), W - 180), Math.max(14, sy - 6));
-}
-function drawDerivativeWithHoles() {
-  if (!df || !showDerivative) return;
-
-  const xs = linspace(xMin, xMax, Math.min(samples, 500));
-  const H = (xMax - xMin) / (xs.length - 1);
-
-  const CONT_ABS = 0.6;
-  const CONT_REL = 0.35;
-  const SLOPE_ABS = 0.6;
-  const SLOPE_REL = 0.35;
-
-  ctx.save();
-  ctx.translate(0, panelH + 12);
-  ctx.lineWidth = 2;
-  ctx.strokeStyle = "#10b981";
-
-  ctx.beginPath();
-  let started = false;
-
-  for (let i = 1; i < xs.length - 1; i++) {
-    const x = xs[i];
-    const h = Math.max(1e-6, 0.5 * H);
-
-    const ym = f(x - h);
-    const yp = f(x + h);
-
-    const contAbs = Math.abs(yp - ym);
-    const contRel = contAbs / Math.max(1e-9, Math.max(Math.abs(yp), Math.abs(ym)));
-    const jumpHere = !(Number.isFinite(ym) && Number.isFinite(yp)) ||
-                     (contAbs > CONT_ABS && contRel > CONT_REL);
-
-    const y = df(x);
-    const [sx, sy] = Number.isFinite(y)
-      ? worldToScreen(x, y, W, panelH, xMin, xMax, dRange[0], dRange[1])
-      : [null, null];
-
-    if (!Number.isFinite(y) || jumpHere) {
-      started = false;
-    } else {
-      const left  = (f(x) - f(x - h)) / h;
-      const right = (f(x + h) - f(x)) / h;
-      const slopeAbs = Math.abs(left - right);
-      const slopeRel = slopeAbs / Math.max(1e-9, Math.max(Math.abs(left), Math.abs(right)));
-      const cornerHere = (slopeAbs > SLOPE_ABS && slopeRel > SLOPE_REL);
-
-      if (!started) {
-        ctx.moveTo(sx, sy);
-        started = true;
-      } else {
-        ctx.lineTo(sx, sy);
+      return best;
+    };
+    // Kapalı eğri: ekranda en yakın parça SNAP_PX içindeyse oradaki nokta gradyan boyunca eğriye izdüşürülür
+    const implicitSnap = (sx, sy) => {
+      const im = viewRef.current.implicit, seg = im?.segments;
+      if (!seg) return null;
+      const toScreen = planeScreen();
+      let best = null, bestD = SNAP_PX * SNAP_PX;
+      for (let k = 0; k < seg.length; k += 4) {
+        const [ax, ay] = toScreen(seg[k], seg[k + 1]), [bx, by] = toScreen(seg[k + 2], seg[k + 3]);
+        const L2 = (bx - ax) ** 2 + (by - ay) ** 2;
+        const u = L2 > 0 ? clamp(((sx - ax) * (bx - ax) + (sy - ay) * (by - ay)) / L2, 0, 1) : 0;
+        const d = (ax + u * (bx - ax) - sx) ** 2 + (ay + u * (by - ay) - sy) ** 2;
+        if (d < bestD) { bestD = d; best = [seg[k] + u * (seg[k + 2] - seg[k]), seg[k + 1] + u * (seg[k + 3] - seg[k + 1])]; }
       }
+      if (!best) return null;
+      const p = projectToCurve(im.fns, best[0], best[1]);
+      if (!p) return best;
+      const [px, py] = toScreen(p[0], p[1]);
+      return Math.hypot(px - sx, py - sy) <= SNAP_PX * 1.5 ? p : best;
+    };
+    // Eğim alanı ve z = f(x, y): üst paneldeki ekran noktasının koordinatları (panel dışında null)
+    const odeAt = (sx, sy) => {
+      const v = viewRef.current, panel = v.layout[0], W = el.clientWidth;
+      if (sy < panel.top || sy > panel.top + panel.height) return null;
+      const [ya, yb] = equalAspect(v.y[0], v.xMin, v.xMax, W, panel.height);
+      return screenToWorld(sx, sy - panel.top, W, panel.height, v.xMin, v.xMax, ya, yb);
+    };
+    // z = f(x, y): üst panelde imlecin altındaki nokta, alt panelde kesit doğrusunun aynı x'teki noktası
+    const surfaceAt = (sx, sy) => {
+      const v = viewRef.current, panel = panelAt(sy, v.layout);
+      if (panel?.order !== 1) return odeAt(sx, sy);
+      const x = xAt(sx);
+      return [x, sliceY(v.surface.slice)(x)];
+    };
+    const pinchState = () => {
+      const [a, b] = [...pointers.values()];
+      return { cx: (a.sx + b.sx) / 2, cy: (a.sy + b.sy) / 2, dist: Math.max(1, Math.hypot(a.sx - b.sx, a.sy - b.sy)) };
+    };
 
-      if (cornerHere) {
-        const drawHole = (yy) => {
-          if (!Number.isFinite(yy)) return;
-          const [hx, hy] = worldToScreen(x, yy, W, panelH, xMin, xMax, dRange[0], dRange[1]);
-          ctx.fillStyle = "#fff";
-          ctx.beginPath(); ctx.arc(hx, hy, 3, 0, Math.PI * 2); ctx.fill();
-          ctx.strokeStyle = "#ef4444";
-          ctx.beginPath(); ctx.arc(hx, hy, 3, 0, Math.PI * 2); ctx.stroke();
-          ctx.strokeStyle = "#10b981";
-        };
-        drawHole(left);
-        drawHole(right);
-        ctx.stroke();
-        ctx.beginPath();
-        started = false;
+    const onDown = (e) => {
+      const [sx, sy] = local(e);
+      if (e.pointerType === "mouse" && e.button !== 0) return;
+      el.setPointerCapture(e.pointerId);
+      const panel = panelAt(sy, viewRef.current.layout);
+      const select = viewRef.current.integrate && panel?.order === 0 ? { sx, x: xAt(sx) } : null;
+      const drag = planeGrab(sx, sy, panel);
+      const seed = (viewRef.current.ode || viewRef.current.surface) && panel?.order === 0 ? { sx, sy } : null;
+      pointers.set(e.pointerId, { sx, sy, panel, type: e.pointerType, select, drag, seed });
+      if (drag === "t") setPlaneT(planeTAt(drag, sx, sy));
+      if (pointers.size === 2) { pinch = pinchState(); for (const q of pointers.values()) q.seed = null; }
+      else if (e.pointerType !== "mouse") hoverAt(sx, sy);
+    };
+    const onMove = (e) => {
+      const [sx, sy] = local(e);
+      const p = pointers.get(e.pointerId);
+      if (!p) {
+        if (e.pointerType === "mouse") hoverAt(sx, sy);
+        return;
       }
-    }
-  }
-
-  ctx.stroke();
-  ctx.restore();
-}
-
-
-    // Üst panel
-    drawAxes(xMin, xMax, yRange[0], yRange[1], 0);
-    drawCurve(f, "#2563eb", xMin, xMax, yRange[0], yRange[1], 0);
-    drawTangentAt();
-    // Alt panel
-  drawAxes(xMin, xMax, dRange[0], dRange[1], panelH + 12);
-drawDerivativeWithHoles();
-
-
-    // Tanımsız noktaları işaretle
-// Tanımsız noktaları işaretle (köşe / kesiklik)
-if (f && showDerivative) {
-  const xs = linspace(xMin, xMax, Math.min(samples, 400));
-  ctx.save();
-  ctx.translate(0, panelH + 12);
-
-  // eşi̇kler: hem mutlak hem göreli kıyas
-  const ABS_TOL = 0.3;
-  const REL_TOL = 0.3;
-
-  for (let i = 0; i < xs.length - 1; i++) {
-    // iki noktanın tam ortası: köşe araya düşse bile yakalanır
-    const xm = 0.5 * (xs[i] + xs[i + 1]);
-    const h  = 0.5 * (xs[i + 1] - xs[i]);
-
-    // soldan/sağdan sayısal türev
-    const left  = (f(xm) - f(xm - h)) / h;
-    const right = (f(xm + h) - f(xm)) / h;
-
-    if (!Number.isFinite(left) || !Number.isFinite(right)) continue;
-
-    const absDiff = Math.abs(left - right);
-    const rel     = absDiff / Math.max(1e-9, Math.max(Math.abs(left), Math.abs(right)));
-
-    // kesiklik testi (f'yi değil f'yi kontrol): zıplama varsa ayrıca işaretle
-    const jump = Math.abs(f(xm + h) - f(xm - h));
-
-    // türev tanımsız: köşe veya çok keskin kırılma
-    if ((absDiff > ABS_TOL && rel > REL_TOL) || jump > 0.05 * (dRange[1] - dRange[0])) {
-      // gösterimde y değeri: sağ ve sol türevin ortalaması (grafikte yer bulsun)
-      const yMark = 0.5 * (left + right);
-      if (Number.isFinite(yMark)) {
-        const [sx, sy] = worldToScreen(xm, yMark, W, panelH, xMin, xMax, dRange[0], dRange[1]);
-        ctx.fillStyle = "red";
-        ctx.beginPath();
-        ctx.arc(sx, sy, 3, 0, Math.PI * 2);
-        ctx.fill();
+      const dsx = sx - p.sx, dsy = sy - p.sy;
+      p.sx = sx; p.sy = sy;
+      if (p.seed && Math.hypot(sx - p.seed.sx, sy - p.seed.sy) >= 3) p.seed = null;
+      if (pointers.size >= 2 && pinch) {
+        const next = pinchState();
+        const v = viewRef.current;
+        const panel = panelAt(next.cy, v.layout);
+        zoomAt(pinch.cx, pinch.cy, pinch.dist / next.dist, panel && v.lock[panel.order] ? panel : null);
+        panBy(next.cx - pinch.cx, next.cy - pinch.cy, panel && v.lock[panel.order] ? panel : null);
+        pinch = next;
+      } else if (p.drag) {
+        const t = planeTAt(p.drag, sx, sy);
+        if (t != null) setPlaneT(t);
+      } else if (p.select) {
+        // küçük titremeler tıklama sayılır, seçimi bozmaz
+        if (Math.abs(sx - p.select.sx) < 3) return;
+        const x = xAt(sx), x0 = p.select.x;
+        setIntegral(s => ({ ...s, a: Math.min(x0, x), b: Math.max(x0, x) }));
+        hoverAt(sx, sy);
+      } else if (p.type === "mouse") {
+        const locked = p.panel && viewRef.current.lock[p.panel.order];
+        panBy(dsx, dsy, locked ? p.panel : null);
+        hoverAt(sx, sy);
+      } else {
+        hoverAt(sx, sy);
       }
-    }
-  }
-
-  ctx.restore();
-}
-
-
-  }, [expr, f, df, xMin, xMax, yRange, dRange, hoverX, samples, showDerivative, showTangent, lockTangent, tangentX]);
-
+    };
+    const onUp = (e) => {
+      const seed = e.type === "pointerup" ? pointers.get(e.pointerId)?.seed : null;
+      const pt = seed && odeAt(seed.sx, seed.sy);
+      if (pt && viewRef.current.surface) setSurfaceSlice(s => ({ ...s, x0: pt[0], y0: pt[1] }));
+      else if (pt) setOdeSeeds(list => [...list, pt]);
+      pointers.delete(e.pointerId);
+      if (pointers.size < 2) pinch = null;
+    };
+    const onLeave = (e) => {
+      if (e.pointerType === "mouse" && !pointers.size) { setHoverX(null); setImplicitPt(null); setOdePt(null); setSurfacePt(null); }
+    };
+    const onWheel = (e) => {
+      e.preventDefault();
+      const [sx, sy] = local(e);
+      const panel = panelAt(sy, viewRef.current.layout);
+      const locked = panel && viewRef.current.lock[panel.order];
+      zoomAt(sx, sy, Math.exp(clamp(e.deltaY, -200, 200) * 0.0015), locked ? panel : null);
+    };
 
-  useEffect(() => {
-    const el = canvasRef.current; if (!el) return;
-    const onMove = (e) => {
-      const r = el.getBoundingClientRect();
-      const sx = e.clientX - r.left, sy = e.clientY - r.top;
-      const H = el.clientHeight, panelH = (H - 12) / 2;
-      if (sy >= 0 && sy <= panelH) {
-        const [x] = screenToWorld(sx, sy, el.clientWidth, panelH, xMin, xMax, yRange[0], yRange[1]);
-        setHoverX(x);
-      } else setHoverX(null);
+    el.addEventListener("pointerdown", onDown);
+    el.addEventListener("pointermove", onMove);
+    el.addEventListener("pointerup", onUp);
+    el.addEventListener("pointercancel", onUp);
+    el.addEventListener("pointerleave", onLeave);
+    el.addEventListener("wheel", onWheel, { passive: false });
+    return () => {
+      el.removeEventListener("pointerdown", onDown);
+      el.removeEventListener("pointermove", onMove);
+      el.removeEventListener("pointerup", onUp);
+      el.removeEventListener("pointercancel", onUp);
+      el.removeEventListener("pointerleave", onLeave);
+      el.removeEventListener("wheel", onWheel);
     };
-    const onLeave = () => setHoverX(null);
-    el.addEventListener("mousemove", onMove);
-    el.addEventListener("mouseleave", onLeave);
-    return () => { el.removeEventListener("mousemove", onMove); el.removeEventListener("mouseleave", onLeave); };
-  }, [xMin, xMax, yRange]);
+  }, []);
 
   const box = { background: "#fff", border: "1px solid #e5e7eb", borderRadius: 12, padding: 12 };
 
@@ -465,30 +884,110 @@ if (f && showDerivative) {
       <div style={{ maxWidth: 1000, margin: "0 auto", display: "grid", gap: 16 }}>
         <header style={{ display: "flex", flexWrap: "wrap", gap: 12, alignItems: "flex-end", justifyContent: "space-between" }}>
           <div>
-            <h1 style={{ fontSize: 28, margin: 0, fontWeight: 800 }}>Türevli Fonksiyon Görselleştirici</h1>
-            <p style={{ margin: "6px 0", opacity: 0.8 }}>Üst panel: f(x) • Alt panel: f'(x) • Üst panelde imleç teğeti</p>
+            <h1 style={{ fontSize: 28, margin: 0, fontWeight: 800 }}>{t("app.title")}</h1>
+            <p style={{ margin: "6px 0", opacity: 0.8 }}>{t("app.subtitle")}</p>
           </div>
+          <select value={lang} onChange={(e)=>setLang(e.target.value)} aria-label={t("app.lang")}
+            style={{ padding:"4px 6px", borderRadius:8, border:"1px solid #cbd5e1" }}>
+            {Object.entries(LANGS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+          </select>
           </header>
 
         <section style={box}>
-          <label style={{ fontSize: 14, fontWeight: 600 }}>f(x)</label>
-          <div style={{ display:"flex", gap:8, flexWrap:"wrap", alignItems:"center", marginTop:6 }}>
-            <input
-  ref={exprInputRef}
-  value={expr}
-  onChange={(e)=>setExpr(e.target.value)}
-  placeholder="ör. sin(x) + x^2/5"
-  style={{ flex:1, minWidth:260, padding:"10px 12px", borderRadius:12, border:"1px solid #cbd5e1", outline:"none" }}
+          <div style={{ display:"flex", gap:8, alignItems:"center" }}>
+            <label style={{ fontSize: 14, fontWeight: 600 }}>{fxMode ? t("curve.functions") : t("curve.curve")}</label>
+            <select value={plane.mode} onChange={(e)=>setPlaneMode(e.target.value)} aria-label={t("curve.mode")}
+              style={{ padding:"4px 6px", borderRadius:8, border:"1px solid #cbd5e1" }}>
+              <option value="fx">y = f(x)</option>
+              {Object.keys(PLANE_MODES).map(k => <option key={k} value={k}>{t(`mode.${k}`)}</option>)}
+              <option value="implicit">{t("mode.implicit")}</option>
+              <option value="ode">{t("mode.ode")}</option>
+              <option value="surface">{t("mode.surface")}</option>
+            </select>
+          </div>
+          {surfaceMode && (
+            <SurfacePanel z={plane.z} codes={surfaceDef} fns={surfaceFns} slice={surfaceSlice} point={surfacePt0}
+              onChange={(z) => setPlane(p => ({ ...p, z }))} onSlice={(patch) => setSurfaceSlice(s => ({ ...s, ...patch }))} t={t} />
+          )}
+          {odeMode && (
+            <OdePanel g={plane.g} codes={odeDef} opts={odeOpts} seeds={odeSeeds} solutions={sampled?.ode?.solutions ?? null}
+              onChange={(g) => setPlane(p => ({ ...p, g }))} onOpts={(patch) => setOdeOpts(o => ({ ...o, ...patch }))}
+              onSeeds={setOdeSeeds} t={t} />
+          )}
+          {implicitMode && (
+            <ImplicitPanel eq={plane.eq} codes={implicitDef} fns={implicitFns} point={implicitPt0} points={sampled?.implicit ?? null}
+              onChange={(eq) => setPlane(p => ({ ...p, eq }))} onPick={setImplicitPt} t={t} />
+          )}
+          {planeMode && (
+            <PlanePanel plane={plane} codes={planeDef} fns={planeFns} tRange={planeTRange} t={planeT0}
+              onChange={(patch) => setPlane(p => ({ ...p, ...patch }))} onT={setPlaneT}
+              onFit={fitPlane} tr={t} />
+          )}
+          {fxMode && (<>
+          {curves.map(c => (
+            <div key={c.id} style={{ marginTop:6 }}>
+              <div style={{ display:"flex", gap:8, flexWrap:"wrap", alignItems:"center" }}>
+                <input type="color" value={c.color} onChange={(e)=>updateFn(c.id, { color: e.target.value })}
+                  style={{ width:32, height:32, padding:0, border:"none", background:"none" }} />
+                <span style={{ fontSize:14, fontWeight:600, minWidth:38 }}>{c.name}(x) =</span>
+                {c.pieces && <span title={t("fn.piecewiseTitle")} style={{ fontSize:11, padding:"1px 6px", borderRadius:6, background:"#e0e7ff", color:"#3730a3" }}>{t("fn.piecewise")}</span>}
+                <input
+  ref={(el)=>{ exprInputRefs.current[c.id] = el; }}
+  value={c.expr}
+  onChange={(e)=>setExpr(c.id, e.target.value)}
+  onFocus={()=>focusFn(c)}
+  onBlur={()=>rememberExpr(c)}
+  list="expr-history"
+  placeholder={t("fn.placeholder")}
+  style={{ flex:1, minWidth:220, padding:"10px 12px", borderRadius:12, outline:"none",
+    border: `1px solid ${c.id === activeFn.id ? "#94a3b8" : "#cbd5e1"}` }}
 />
-
-            <label style={{ fontSize:14 }}>
-              <input type="checkbox" checked={showDerivative} onChange={(e)=>setShowDerivative(e.target.checked)} /> türev grafiği
-            </label>
-          
+                <label style={{ fontSize:14 }}>
+                  <input type="checkbox" checked={c.visible} onChange={(e)=>updateFn(c.id, { visible: e.target.checked })} /> {t("fn.visible")}
+                </label>
+                <label style={{ fontSize:14 }}>
+                  <input type="checkbox" checked={c.showDerivative} onChange={(e)=>updateFn(c.id, { showDerivative: e.target.checked })} /> {t("fn.derivative")}
+                </label>
+                <button onClick={()=>removeFn(c.id)} disabled={fns.length === 1} className="btn">{t("fn.remove")}</button>
+              </div>
+              {c.error
+                ? <div style={{ fontSize:12, color:"#dc2626", marginTop:4 }}>{t(c.error)}</div>
+                : !c.pieces && <ExprPreview expr={c.expr} label={`${c.name}(x)`} showTex={c.id === activeFn.id} t={t} />}
+              {c.id === activeFn.id && c.f && (c.pieces
+                ? <PiecewiseView name={c.name} pieces={c.pieces} breakpoints={c.breakpoints} onPick={lockTangentAt} t={t} />
+                : <DerivativeView name={c.name} expr={c.expr} t={t} />)}
+            </div>
+          ))}
+          <datalist id="expr-history">
+            {history.map(h => <option key={h} value={h} />)}
+          </datalist>
+          <div style={{ marginTop:6 }}>
+            <button onClick={addFn} disabled={fns.length >= FN_NAMES.length} className="btn">{t("fn.add")}</button>
           </div>
+          </>)}
+          <ParamSliders params={paramList} onChange={updateParam} t={t} />
+          {fxMode && (<>
+          <div style={{display:"flex", alignItems:"center", gap:8, marginTop:8}}>
           <label style={{ fontSize:14 }}>
-  <input type="checkbox" checked={showTangent} onChange={(e)=>setShowTangent(e.target.checked)} /> teğet
+  <input type="checkbox" checked={showTangent} onChange={(e)=>setShowTangent(e.target.checked)} /> {t("tool.tangent")}
 </label>
+<label style={{ fontSize:14 }}>
+  <input type="checkbox" checked={showAnalysis} onChange={(e)=>setShowAnalysis(e.target.checked)} /> {t("tool.analysis")}
+</label>
+<label style={{ fontSize:14 }}>
+  <input type="checkbox" checked={integral.on} onChange={(e)=>setIntegral(s => ({ ...s, on: e.target.checked }))} /> {t("tool.integral")}
+</label>
+<label style={{ fontSize:14 }}>
+  <input type="checkbox" checked={newtonOpts.on} onChange={(e)=>setNewtonOpts(s => ({ ...s, on: e.target.checked, playing: false }))} /> {t("tool.newton")}
+</label>
+<label style={{ fontSize:14 }}>
+  <input type="checkbox" checked={motion.on} onChange={(e)=>setMotion(m => ({ ...m, on: e.target.checked, playing: false, t: xMin }))} /> {t("tool.motion")}
+</label>
+<select value={tangentId} onChange={(e)=>setTangentId(e.target.value)} aria-label={t("tool.selected")}
+  style={{padding:"4px 6px", borderRadius:8, border:"1px solid #cbd5e1"}}>
+  {fns.map(fn => <option key={fn.id} value={fn.id}>{fn.name}(x)</option>)}
+</select>
+          </div>
 {showTangent && (
   <div style={{display:"flex", alignItems:"center", gap:8, marginTop:6}}>
     <label style={{fontSize:14}}>
@@ -496,7 +995,21 @@ if (f && showDerivative) {
         type="checkbox"
         checked={lockTangent}
         onChange={(e)=>setLockTangent(e.target.checked)}
-      /> teğeti sabitle
+      /> {t("tangent.lock")}
+    </label>
+    <label style={{fontSize:14}}>
+      <input
+        type="checkbox"
+        checked={secant.on}
+        onChange={(e)=>setSecant(s => ({ ...s, on: e.target.checked, playing: false }))}
+      /> {t("tangent.secant")}
+    </label>
+    <label style={{fontSize:14}}>
+      <input
+        type="checkbox"
+        checked={taylorOpts.on}
+        onChange={(e)=>setTaylorOpts(s => ({ ...s, on: e.target.checked }))}
+      /> {t("tangent.taylor")}
     </label>
     {lockTangent && (
       <>
@@ -510,6 +1023,16 @@ if (f && showDerivative) {
 
       </>
     )}
+    <label style={{fontSize:14}}>
+      {t("tangent.step")} <input
+        type="number"
+        min={0.0001}
+        step="any"
+        value={step}
+        onChange={(e)=>{ const v = parseFloat(e.target.value); if (v > 0) setStep(v); }}
+        style={{width:70, padding:"4px 6px", borderRadius:8, border:"1px solid #cbd5e1"}}
+      />
+    </label>
   </div>
 )}
 
@@ -523,38 +1046,117 @@ if (f && showDerivative) {
   <button onClick={()=>insertCall("cos")}       className="btn">cos( )</button>
   <button onClick={()=>insertCall("tan")}       className="btn">tan( )</button>
   <button onClick={()=>insertCall("exp")}       className="btn">e^( )</button>
-  <button onClick={()=>insertCall("log")}       className="btn">ln( )</button>
+  <button onClick={()=>insertCall("ln")}        className="btn">ln( )</button>
   <button onClick={()=>insertSnippet("pi")}     className="btn">π</button>
   <button onClick={()=>insertSnippet("(",")")}  className="btn">( )</button>
 </div>
+          </>)}
 
           <div style={{ display:"grid", gridTemplateColumns:"repeat(auto-fit,minmax(200px,1fr))", gap:8, marginTop:10 }}>
             <div style={{ ...box, padding:8 }}>
               <div style={{ fontSize:12, opacity:0.7 }}>x min</div>
-              <input type="number" value={xMin} onChange={(e)=>setXMin(parseFloat(e.target.value))}
+              <input type="number" value={+xMin.toPrecision(6)} onChange={(e)=>setXMin(parseFloat(e.target.value))}
                 style={{ width:"100%", padding:6, borderRadius:8, border:"1px solid #cbd5e1" }} />
             </div>
             <div style={{ ...box, padding:8 }}>
               <div style={{ fontSize:12, opacity:0.7 }}>x max</div>
-              <input type="number" value={xMax} onChange={(e)=>setXMax(parseFloat(e.target.value))}
+              <input type="number" value={+xMax.toPrecision(6)} onChange={(e)=>setXMax(parseFloat(e.target.value))}
                 style={{ width:"100%", padding:6, borderRadius:8, border:"1px solid #cbd5e1" }} />
             </div>
             <div style={{ ...box, padding:8 }}>
-              <div style={{ fontSize:12, opacity:0.7 }}>örnek sayısı</div>
+              <div style={{ fontSize:12, opacity:0.7 }}>{t("view.samples")}</div>
               <input type="number" value={samples} onChange={(e)=>setSamples(clamp(parseInt(e.target.value||"0"),100,4000))}
                 style={{ width:"100%", padding:6, borderRadius:8, border:"1px solid #cbd5e1" }} />
             </div>
           </div>
 
-          <div style={{ marginTop:10, borderRadius:12, overflow:"hidden", border:"1px solid #e5e7eb", background:"#fff" }}>
-            <canvas ref={canvasRef} style={{ width:"100%", height:520, display:"block" }} />
+          {fxMode && (
+          <div style={{ display:"grid", gridTemplateColumns:"repeat(auto-fit,minmax(200px,1fr))", gap:8, marginTop:8 }}>
+            {panels.map(p => (
+              <div key={p.order} style={{ ...box, padding:8 }}>
+                <label style={{ fontSize:14, fontWeight:600 }}>
+                  <input type="checkbox" checked={p.visible} onChange={(e)=>setPanelVisible(p.order, e.target.checked)} /> {t("view.panel", { name: derivName("f", p.order) })}
+                </label>
+                {p.visible && (
+                  <div style={{ marginTop:4 }}>
+                    <label style={{ fontSize:12, opacity:0.7 }}>
+                      <input type="checkbox" checked={p.lock} onChange={(e)=>setPanelLock(p.order, e.target.checked)} /> {t("view.lockY")}
+                    </label>
+                    {p.lock && (
+                      <div style={{ display:"flex", gap:6, marginTop:4 }}>
+                        <input type="number" value={+p.min.toPrecision(6)} onChange={(e)=>setPanelBound(p.order, "min", parseFloat(e.target.value))}
+                          aria-label="y min" style={{ width:"50%", padding:6, borderRadius:8, border:"1px solid #cbd5e1" }} />
+                        <input type="number" value={+p.max.toPrecision(6)} onChange={(e)=>setPanelBound(p.order, "max", parseFloat(e.target.value))}
+                          aria-label="y max" style={{ width:"50%", padding:6, borderRadius:8, border:"1px solid #cbd5e1" }} />
+                      </div>
+                    )}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+          )}
+
+          <div style={{ display:"flex", gap:8, alignItems:"center", marginTop:10 }}>
+            <button onClick={resetView} className="btn">{t("view.reset")}</button>
+            <label style={{ fontSize:12, opacity:0.7 }}>
+              {t("view.height")} <input type="range" min={140} max={400} step={2} value={panelHeight}
+                onChange={(e)=>setPanelHeight(parseInt(e.target.value))} style={{ verticalAlign:"middle" }} />
+            </label>
+            <span style={{ fontSize:12, opacity:0.7 }}>{t(fxMode ? "hint.fx" : implicitMode ? "hint.implicit" : odeMode ? "hint.ode" : surfaceMode ? "hint.surface" : "hint.plane")}</span>
+          </div>
+
+          <div style={{ position:"relative", marginTop:10, borderRadius:12, overflow:"hidden", border:"1px solid #e5e7eb", background:"#fff" }}>
+            <canvas ref={canvasRef} tabIndex={tangentCurve ? 0 : undefined} onKeyDown={onCanvasKey}
+              role={tangentCurve ? "application" : "img"}
+              aria-label={tangentCurve ? t("canvas.label", { name: tangentCurve.name }) : t("canvas.plain")}
+              aria-describedby={summaryLines ? SUMMARY_ID : undefined}
+              style={{ width:"100%", height:canvasHeight, display:"block", touchAction:"none", cursor: integral.on ? "crosshair" : "grab" }} />
+            <canvas ref={overlayRef} aria-hidden="true" style={{ position:"absolute", inset:0, width:"100%", height:canvasHeight, pointerEvents:"none" }} />
+            <div role="status" aria-live="polite" style={SR_ONLY}>{announce}</div>
           </div>
+          {secantH != null && tangentCurve && (
+            <SecantPanel curve={tangentCurve} x0={cursorX} h={secantH} hMin={SECANT_H_MIN} hMax={secantHMax}
+              playing={secant.playing} onPlay={toggleSecantPlay} onChange={(h) => setSecant(s => ({ ...s, h }))} t={t} />
+          )}
+          {integrand && (
+            <IntegralPanel curve={integrand} integral={integral} result={integralResult} Fexpr={Fexpr} scope={scope}
+              onChange={(patch) => setIntegral(s => ({ ...s, ...patch }))} t={t} />
+          )}
+          {taylorOn && (
+            <TaylorPanel curve={tangentCurve} opts={taylorOpts} available={taylorAvailable} result={taylorResult}
+              onChange={(patch) => setTaylorOpts(s => ({ ...s, ...patch }))} t={t} />
+          )}
+          {newtonCurve && (
+            <NewtonPanel curve={newtonCurve} opts={{ ...newtonOpts, playing: newtonPlaying }} start={newtonStart} run={newtonRun} shown={newtonShown}
+              canUseCursor={lockTangent && Number.isFinite(lockedX)} onPlay={toggleNewtonPlay}
+              onUseCursor={() => setNewtonOpts(s => ({ ...s, start: String(+lockedX.toPrecision(6)), shown: 0, playing: false }))}
+              onChange={(patch) => setNewtonOpts(s => ({ ...s, ...patch }))} t={t} />
+          )}
+          {motionScene && (
+            <MotionPanel curve={motionCurve} t={motionT} range={[xMin, xMax]} events={motionScene.events} scale={motionScene.scale}
+              playing={motionPlaying} speed={motion.speed} onPlay={toggleMotionPlay}
+              onT={(t) => setMotion(m => ({ ...m, t, playing: false }))} onSpeed={(speed) => setMotion(m => ({ ...m, speed }))} tr={t} />
+          )}
+          <ExportMenu scene={scene} canvasRef={canvasRef} height={canvasHeight}
+            overlay={{ cursorX: showTangent ? lockedX : null, secantH, taylor: lockTangent ? taylorResult : null, newton: newtonScene, planeT: planeT0, implicitPt: implicitPt0, motionT }} t={t} />
+          <GraphLibrary snapshot={snapshot} onOpen={openSnapshot} t={t} />
+          {tangentCurve && <AnalysisTable analysis={showAnalysis ? analysis : null} name={tangentCurve.name} onPick={lockTangentAt} t={t} />}
+          {summaryLines && (
+            <CurveSummary id={SUMMARY_ID} curve={tangentCurve} lines={summaryLines} range={[xMin, xMax]}
+              stepTone={stepTone} onStepTone={setStepTone} t={t} />
+          )}
+          {tangentCurve && (
+            <PointInspector curve={tangentCurve} x0={lockTangent ? lockedX : null} scope={scope}
+              suspects={sampled?.inspectId === tangentCurve.id ? sampled.suspects : null} onPick={lockTangentAt} t={t} />
+          )}
+{fxMode && (
 <div style={{marginTop:10, padding:8, border:"1px dashed #cbd5e1", borderRadius:10}}>
-  <div style={{fontSize:12, opacity:0.7, marginBottom:6}}>Parçalı fonksiyon</div>
+  <div style={{fontSize:12, opacity:0.7, marginBottom:6}}>{t("pw.title")}</div>
   {pw.map((r, idx)=>(
     <div key={idx} style={{display:"grid", gridTemplateColumns:"1fr 1fr auto", gap:8, marginBottom:6}}>
       <input
-        placeholder={idx===pw.length-1 ? "else (boş bırak)" : "koşul (ör. x<0)"}
+        placeholder={idx===pw.length-1 ? t("pw.else") : t("pw.cond")}
         value={r.cond}
         onChange={e=>{
           const cp=[...pw]; cp[idx]={...cp[idx], cond:e.target.value}; setPw(cp);
@@ -562,7 +1164,7 @@ if (f && showDerivative) {
         style={{padding:"6px 8px", border:"1px solid #cbd5e1", borderRadius:8}}
       />
       <input
-        placeholder="ifade (ör. -x)"
+        placeholder={t("pw.expr")}
         value={r.expr}
         onChange={e=>{
           const cp=[...pw]; cp[idx]={...cp[idx], expr:e.target.value}; setPw(cp);
@@ -571,22 +1173,28 @@ if (f && showDerivative) {
       />
       <button onClick={()=>{
         const cp=[...pw]; cp.splice(idx,1); setPw(cp.length?cp:[{cond:"",expr:""}]);
-      }} className="btn">sil</button>
+      }} className="btn">{t("fn.remove")}</button>
     </div>
   ))}
   <div style={{display:"flex", gap:8}}>
-    <button onClick={()=>setPw([...pw,{cond:"",expr:""}])} className="btn">+ satır</button>
-    <button onClick={()=>buildPiecewise(pw)} className="btn">f(x)’e ekle</button>
+    <button onClick={()=>setPw([...pw,{cond:"",expr:""}])} className="btn">{t("pw.addRow")}</button>
+    <button onClick={()=>buildPiecewise(pw)} className="btn">{t("pw.apply", { name: activeFn.name })}</button>
   </div>
 </div>
+)}
 
           <div style={{ fontSize:12, opacity:0.8, marginTop:8 }}>
-            İpuçları: abs mutlak, ^ üstel. Örnek: <code>abs(x)</code>, <code>sin(x)+x^2/5</code>, <code>x&lt;0?-x:x^2</code>.
+            {t("tips.text")}
+            {" "}{t("tips.examples")} <code>|x-1| + 2</code>, <code>3sin 2x</code>, <code>sin^2(x)</code>, <code>√x + ln x</code>, <code>x&lt;0?-x:x^2</code>.
           
           </div>
           
 
         </section>
+
+        <section style={box}>
+          <PracticePanel onPlot={plotExercise} t={t} />
+        </section>
       </div>
     </div>
   );
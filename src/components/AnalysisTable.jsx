@@ -0,0 +1,67 @@
+const fmt = (v) => Number.isFinite(v) ? String(+v.toFixed(3)) : "∄";
+const signText = (s) => s > 0 ? "+" : s < 0 ? "−" : "";
+const cell = { padding: "4px 8px", borderLeft: "1px solid #e5e7eb", textAlign: "center", whiteSpace: "nowrap" };
+const head = { ...cell, textAlign: "left", fontWeight: 600, borderLeft: "none", background: "#f8fafc" };
+
+// Kök / ekstremum / büküm listesi ve klasik değişim tablosu. Satıra ya da x sütununa
+// tıklamak teğeti o noktada sabitler.
+export default function AnalysisTable({ analysis, name, onPick, t }) {
+  if (!analysis) return null;
+  const { zeros, extrema, inflections, table } = analysis;
+  const rows = [
+    ...zeros.map(p => ({ ...p, label: t("analysis.zero") })),
+    ...extrema.map(p => ({ ...p, label: t(`analysis.${p.kind}`), note: p.corner ? t("analysis.corner") : "" })),
+    ...inflections.map(p => ({ ...p, label: t("analysis.inflection") })),
+  ].sort((p, q) => p.x - q.x);
+  const { points, intervals } = table;
+  const pick = (p) => { if (!p.edge) onPick(p.x); };
+
+  // Her satır: noktalar ve aralıklar dönüşümlü sütunlar
+  const line = (title, pointText, intervalText) => (
+    <tr>
+      <td style={head}>{title}</td>
+      {points.map((p, i) => [
+        <td key={`p${i}`} onClick={() => pick(p)} style={{ ...cell, cursor: p.edge ? "default" : "pointer", background: p.edge ? undefined : "#f8fafc" }}>
+          {pointText(p)}
+        </td>,
+        i < intervals.length && <td key={`i${i}`} style={cell}>{intervalText(intervals[i])}</td>,
+      ])}
+    </tr>
+  );
+
+  return (
+    <div style={{ marginTop: 10, display: "grid", gap: 10 }}>
+      <div style={{ fontSize: 12, opacity: 0.7 }}>{t("analysis.title", { name })}</div>
+      {rows.length > 0 && (
+        <table style={{ borderCollapse: "collapse", fontSize: 13 }}>
+          <thead>
+            <tr><th style={head}>{t("analysis.point")}</th><th style={{ ...head, borderLeft: "1px solid #e5e7eb" }}>x</th><th style={{ ...head, borderLeft: "1px solid #e5e7eb" }}>{name}(x)</th></tr>
+          </thead>
+          <tbody>
+            {rows.map((r, i) => (
+              <tr key={i} onClick={() => onPick(r.x)} style={{ cursor: "pointer", borderTop: "1px solid #e5e7eb" }}>
+                <td style={{ ...cell, textAlign: "left", borderLeft: "none" }}>{r.label}{r.note && <span style={{ opacity: 0.6 }}> ({r.note})</span>}</td>
+                <td style={cell}>{fmt(r.x)}</td>
+                <td style={cell}>{fmt(r.y)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <div style={{ overflowX: "auto" }}>
+        <table style={{ borderCollapse: "collapse", fontSize: 13, border: "1px solid #e5e7eb" }}>
+          <caption style={{ textAlign: "left", fontSize: 12, opacity: 0.7, paddingBottom: 4 }}>{t("analysis.table")}</caption>
+          <tbody>
+            {line("x", p => fmt(p.x), () => "")}
+            {line(`${name}'(x)`, p => p.edge ? "" : p.d1 === 0 ? "0" : Number.isNaN(p.d1) ? "∄" : "", it => it.defined ? signText(it.d1) : "")}
+            {line(`${name}(x)`,
+              p => p.defined ? <>{fmt(p.y)}{p.extremum && <div style={{ fontSize: 11, opacity: 0.7 }}>{t(`plot.${p.extremum}`)}</div>}</> : "∄",
+              it => !it.defined ? "" : it.d1 > 0 ? "↗" : it.d1 < 0 ? "↘" : "→")}
+            {line(`${name}''(x)`, p => p.inflection ? "0" : "", it => it.defined ? signText(it.d2) : "")}
+            {line(t("analysis.concavity"), p => p.inflection ? t("plot.inflection") : "", it => !it.defined ? "" : it.d2 > 0 ? "∪" : it.d2 < 0 ? "∩" : "")}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,53 @@
+import { useEffect, useRef, useState } from "react";
+import { pitchTrack, playTracks, audioSupported } from "../lib/sonify.js";
+import { derivName } from "../lib/plot.js";
+
+const small = { padding: "4px 6px", borderRadius: 8, border: "1px solid #cbd5e1" };
+
+// Seçili eğrinin sözlü özeti (tuval aria-describedby ile buna bağlanır) ve f / f' için sesle okuma.
+// lines: describeCurve çıktısı; stepTone: klavyeyle her adımda o noktanın değeri de ton olarak çalınır.
+export default function CurveSummary({ id, curve, lines, range, stepTone, onStepTone, t }) {
+  const [which, setWhich] = useState("both");
+  const [seconds, setSeconds] = useState(4);
+  const [playing, setPlaying] = useState(false);
+  const stopRef = useRef(null);
+  useEffect(() => () => stopRef.current?.(), []);
+
+  const f = `${curve.name}(x)`, d = `${derivName(curve.name, 1)}(x)`;
+  const mode = curve.df ? which : "f";
+  function toggle() {
+    if (playing) { stopRef.current?.(); stopRef.current = null; setPlaying(false); return; }
+    const [a, b] = range;
+    const tracks = [];
+    if (mode !== "df") tracks.push({ hz: pitchTrack(curve.f, a, b), type: "sine" });
+    if (mode !== "f") tracks.push({ hz: pitchTrack(curve.df, a, b), type: "triangle" });
+    stopRef.current = playTracks(tracks, seconds, () => { stopRef.current = null; setPlaying(false); });
+    setPlaying(!!stopRef.current);
+  }
+
+  return (
+    <div style={{ marginTop: 10, display: "grid", gap: 6 }}>
+      <div style={{ fontSize: 12, opacity: 0.7 }}>{t("summary.title", { name: curve.name })}</div>
+      <ul id={id} style={{ margin: 0, paddingLeft: 18, fontSize: 13 }}>
+        {lines.map((line, i) => <li key={i}>{line}</li>)}
+      </ul>
+      {audioSupported() ? (
+        <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", fontSize: 14 }}>
+          <span style={{ fontWeight: 600 }}>{t("sound.title")}</span>
+          <select value={mode} onChange={(e) => setWhich(e.target.value)} aria-label={t("sound.which")} style={small}>
+            <option value="f">{f}</option>
+            {curve.df && <option value="df">{d}</option>}
+            {curve.df && <option value="both">{t("sound.both", { f, d })}</option>}
+          </select>
+          <label>{t("sound.seconds")} <input type="number" min={1} max={30} value={seconds}
+            onChange={(e) => { const s = parseFloat(e.target.value); if (s > 0) setSeconds(Math.min(s, 30)); }} style={{ ...small, width: 60 }} /></label>
+          <button onClick={toggle} className="btn">{playing ? t("sound.stop") : t("sound.play")}</button>
+          <label><input type="checkbox" checked={stepTone} onChange={(e) => onStepTone(e.target.checked)} /> {t("sound.stepTone")}</label>
+          <span style={{ fontSize: 12, opacity: 0.7 }}>{t("sound.hint")}</span>
+        </div>
+      ) : (
+        <div style={{ fontSize: 12, opacity: 0.7 }}>{t("sound.unsupported")}</div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,68 @@
+import { useMemo } from "react";
+import { math, normalizeExpr, derivativeNode } from "../lib/expr.js";
+import { RULES, derivativeSteps } from "../lib/derivativeSteps.js";
+import Tex from "./Tex.jsx";
+
+function StepItem({ step, t }) {
+  const rule = RULES[step.rule];
+  const lhs = `\\frac{d}{dx}\\left[${step.node.toTex()}\\right]`;
+  const rhs = step.result ? step.result.toTex() : "?";
+  const head = (
+    <span>
+      <b style={{ fontWeight: 600 }}>{t(`rule.${step.rule}`)}</b>
+      {rule.tex && <span style={{ opacity: 0.7 }}> &nbsp;<Tex tex={rule.tex} /></span>}
+      <span style={{ display: "block", marginTop: 2 }}><Tex tex={`${lhs} = ${rhs}`} /></span>
+    </span>
+  );
+  if (step.children.length === 0) return <li style={{ margin: "4px 0" }}>{head}</li>;
+  return (
+    <li style={{ margin: "4px 0" }}>
+      <details>
+        <summary style={{ cursor: "pointer" }}>{head}</summary>
+        <ul style={{ paddingLeft: 18, margin: 0 }}>
+          {step.children.map((c, i) => <StepItem key={i} step={c} t={t} />)}
+        </ul>
+      </details>
+    </li>
+  );
+}
+
+// Seçili fonksiyonun sembolik türevi ve adım adım uygulanan kurallar
+export default function DerivativeView({ name, expr, t }) {
+  const view = useMemo(() => {
+    const src = normalizeExpr(expr);
+    if (!src) return null;
+    let node;
+    try { node = math.parse(src); } catch { return null; }
+    const dnode = derivativeNode(expr);
+    if (!dnode) return { symbolic: false };
+    // sadeleştirme başarısız olursa sadeleştirilmemiş türev gösterilir
+    let tex;
+    try { tex = math.simplify(dnode).toTex(); } catch { tex = dnode.toTex(); }
+    return {
+      symbolic: true,
+      tex,
+      steps: derivativeSteps(node),
+    };
+  }, [expr]);
+
+  if (!view) return null;
+  if (!view.symbolic) {
+    return (
+      <div style={{ fontSize: 13, marginTop: 8, padding: 8, borderRadius: 8, background: "#fef3c7", color: "#92400e" }}>
+        {t("derivative.numeric", { name })}
+      </div>
+    );
+  }
+  return (
+    <div style={{ marginTop: 8, fontSize: 14 }}>
+      <Tex tex={`${name}'(x) = ${view.tex}`} />
+      <details style={{ marginTop: 4 }}>
+        <summary style={{ cursor: "pointer", fontSize: 13, opacity: 0.8 }}>{t("derivative.steps")}</summary>
+        <ul style={{ paddingLeft: 18, margin: "4px 0" }}>
+          <StepItem step={view.steps} t={t} />
+        </ul>
+      </details>
+    </div>
+  );
+}
@@ -0,0 +1,43 @@
+import { useState } from "react";
+import { drawScene } from "../lib/plot.js";
+import { sceneToSvg, sceneToCsv } from "../lib/exporters.js";
+import { download } from "../lib/download.js";
+
+// Görünümü PNG (seçilen ölçekte, devicePixelRatio'dan bağımsız), SVG ve CSV olarak indir.
+// overlay: üst katmanın sahneye eklenen alanları (cursorX, secantH, taylor, newton, planeT, implicitPt)
+export default function ExportMenu({ scene, canvasRef, height, overlay, t }) {
+  const [scale, setScale] = useState(3);
+  const width = () => canvasRef.current?.clientWidth || 800;
+
+  function exportPng() {
+    const W = width();
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(W * scale);
+    canvas.height = Math.round(height * scale);
+    const ctx = canvas.getContext("2d");
+    ctx.setTransform(scale, 0, 0, scale, 0, 0);
+    ctx.fillStyle = "#fff"; ctx.fillRect(0, 0, W, height);
+    drawScene(ctx, { ...scene, ...overlay, width: W });
+    canvas.toBlob(blob => blob && download(blob, "turev.png"), "image/png");
+  }
+  function exportSvg() {
+    const svg = sceneToSvg({ ...scene, ...overlay }, width(), height);
+    download(new Blob([svg], { type: "image/svg+xml" }), "turev.svg");
+  }
+  function exportCsv() {
+    download(new Blob([sceneToCsv(scene)], { type: "text/csv" }), "turev.csv");
+  }
+
+  return (
+    <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", marginTop: 8 }}>
+      <span style={{ fontSize: 12, opacity: 0.7 }}>{t("export.title")}:</span>
+      <button onClick={exportPng} className="btn">PNG</button>
+      <select value={scale} onChange={(e) => setScale(Number(e.target.value))} aria-label={t("export.scale")}
+        style={{ padding: "4px 6px", borderRadius: 8, border: "1px solid #cbd5e1" }}>
+        {[1, 2, 3, 4].map(s => <option key={s} value={s}>{s}×</option>)}
+      </select>
+      <button onClick={exportSvg} className="btn">SVG</button>
+      <button onClick={exportCsv} className="btn">CSV</button>
+    </div>
+  );
+}
@@ -0,0 +1,31 @@
+import { useMemo } from "react";
+import { previewExpr } from "../lib/expr.js";
+import { translator } from "../lib/i18n.js";
+import Tex from "./Tex.jsx";
+
+const TR = translator("tr");
+const mark = { background: "#fecaca", color: "#991b1b", borderRadius: 3, padding: "0 1px" };
+
+// Yazılan ifadenin nasıl okunduğu (dizgi) ya da sözdizimi hatası: hatalı karakter girdinin içinde işaretlenir.
+// label: önizlemenin sol yanı, ör. "f(x)"; showTex false ise yalnızca hata gösterilir. t: arayüz çevirisi
+export default function ExprPreview({ expr, label, showTex = true, t = TR }) {
+  const view = useMemo(() => previewExpr(expr), [expr]);
+  if (!view) return null;
+  if (view.error) {
+    const { message, pos } = view.error;
+    return (
+      <div style={{ fontSize: 12, color: "#dc2626", marginTop: 4 }}>
+        <code style={{ color: "#0f172a", whiteSpace: "pre" }}>
+          {expr.slice(0, pos)}<span style={mark}>{expr[pos] ?? " "}</span>{expr.slice(pos + 1)}
+        </code>
+        {" "}← {t("expr.at", { pos: pos + 1 })} {t(message)}
+      </div>
+    );
+  }
+  if (!showTex) return null;
+  return (
+    <div style={{ fontSize: 13, marginTop: 4, opacity: 0.8 }}>
+      {t("expr.reading")} <Tex tex={label ? `${label} = ${view.tex}` : view.tex} />
+    </div>
+  );
+}
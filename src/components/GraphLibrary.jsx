@@ -0,0 +1,95 @@
+import { useEffect, useRef, useState } from "react";
+import { loadLibrary, saveLibrary, newEntryId, libraryToJson, parseLibraryJson } from "../lib/storage.js";
+import { download } from "../lib/download.js";
+import { msg } from "../lib/i18n.js";
+
+const field = { padding: "4px 8px", borderRadius: 8, border: "1px solid #cbd5e1", fontSize: 14 };
+
+// Adlandırılmış grafik kitaplığı: kaydet, aç, yeniden adlandır, sil, JSON içe/dışa aktar ve paylaşım bağlantısı
+export default function GraphLibrary({ snapshot, onOpen, t }) {
+  const [library, setLibrary] = useState(loadLibrary);
+  const [name, setName] = useState("");
+  const [editing, setEditing] = useState(null);
+  const [message, setMessage] = useState(null);
+  const fileRef = useRef(null);
+
+  useEffect(() => { saveLibrary(library); }, [library]);
+
+  function save() {
+    const { plane } = snapshot;
+    const label = name.trim() || (plane?.mode === "polar" ? `r(θ) = ${plane.r}`
+      : plane?.mode === "param" ? `x(t) = ${plane.x}, y(t) = ${plane.y}`
+      : plane?.mode === "implicit" ? plane.eq
+      : snapshot.fns.map(fn => `${fn.name}(x) = ${fn.expr}`).join("; "));
+    setLibrary(l => [{ id: newEntryId(), name: label, savedAt: Date.now(), state: snapshot }, ...l]);
+    setName("");
+    setMessage(null);
+  }
+  function rename(id, label) {
+    if (label.trim()) setLibrary(l => l.map(e => e.id === id ? { ...e, name: label.trim() } : e));
+    setEditing(null);
+  }
+  function remove(id) { setLibrary(l => l.filter(e => e.id !== id)); }
+  function exportJson() {
+    download(new Blob([libraryToJson(library)], { type: "application/json" }), "turev-grafikler.json");
+  }
+  async function importJson(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const entries = parseLibraryJson(await file.text());
+      setLibrary(l => {
+        const ids = new Set(l.map(x => x.id));
+        return [...entries.map(x => ids.has(x.id) ? { ...x, id: newEntryId() } : x), ...l];
+      });
+      setMessage(msg("library.imported", { n: entries.length }));
+    } catch (err) {
+      setMessage(err.msg ?? err.message);
+    }
+  }
+  async function copyLink() {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setMessage(msg("library.copied"));
+    } catch {
+      setMessage(msg("library.copyFailed"));
+    }
+  }
+
+  return (
+    <div style={{ marginTop: 10, padding: 8, border: "1px dashed #cbd5e1", borderRadius: 10, display: "grid", gap: 6 }}>
+      <div style={{ fontSize: 12, opacity: 0.7 }}>{t("library.title")}</div>
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center" }}>
+        <input value={name} onChange={(e) => setName(e.target.value)} placeholder={t("library.name")}
+          onKeyDown={(e) => { if (e.key === "Enter") save(); }} style={{ ...field, flex: 1, minWidth: 160 }} />
+        <button onClick={save} className="btn">{t("library.save")}</button>
+        <button onClick={copyLink} className="btn">{t("library.copy")}</button>
+        <button onClick={exportJson} disabled={library.length === 0} className="btn">{t("library.export")}</button>
+        <button onClick={() => fileRef.current?.click()} className="btn">{t("library.import")}</button>
+        <input ref={fileRef} type="file" accept="application/json,.json" onChange={importJson} style={{ display: "none" }} />
+      </div>
+      {message && <div style={{ fontSize: 12, opacity: 0.8 }}>{t(message)}</div>}
+      {library.map(e => (
+        <div key={e.id} style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", fontSize: 14 }}>
+          {editing === e.id ? (
+            <input autoFocus defaultValue={e.name} aria-label={t("library.newName")}
+              onBlur={(ev) => rename(e.id, ev.target.value)}
+              onKeyDown={(ev) => {
+                if (ev.key === "Enter") rename(e.id, ev.target.value);
+                if (ev.key === "Escape") setEditing(null);
+              }}
+              style={{ ...field, flex: 1, minWidth: 160 }} />
+          ) : (
+            <span style={{ flex: 1, minWidth: 160, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }} title={e.name}>
+              {e.name} <span style={{ fontSize: 12, opacity: 0.6 }}>{new Date(e.savedAt).toLocaleString(t("app.locale"), { dateStyle: "short", timeStyle: "short" })}</span>
+            </span>
+          )}
+          <button onClick={() => onOpen(e.state)} className="btn">{t("library.open")}</button>
+          <button onClick={() => setEditing(e.id)} className="btn">{t("library.rename")}</button>
+          <button onClick={() => remove(e.id)} className="btn">{t("fn.remove")}</button>
+        </div>
+      ))}
+    </div>
+  );
+}
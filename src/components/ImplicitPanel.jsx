@@ -0,0 +1,59 @@
+import { implicitSlope } from "../lib/implicit.js";
+import Tex from "./Tex.jsx";
+
+const field = { flex: 1, minWidth: 220, padding: "8px 10px", borderRadius: 10, border: "1px solid #cbd5e1", outline: "none" };
+const chip = { padding: "2px 8px", borderRadius: 8, border: "1px solid #cbd5e1", background: "#fff", fontSize: 12, cursor: "pointer" };
+
+// Kapalı eğri F(x, y) = 0: denklem, sembolik kısmi türevler ve dy/dx = −Fₓ/F_y; imlecin eğriye
+// oturduğu noktadaki değerler ve görünür bölgedeki dikey teğetler / tekil noktalar (tıklanınca seçilir).
+export default function ImplicitPanel({ eq, codes, fns, point, points, onChange, onPick, t }) {
+  const fmt = (v) => Number.isFinite(v) ? String(+v.toPrecision(6)) : t("plot.undefined");
+  const tex = codes?.tex;
+  const at = fns && point ? { x: point[0], y: point[1], fx: fns.Fx(...point), fy: fns.Fy(...point) } : null;
+  const s = at && implicitSlope(at.fx, at.fy);
+  const slope = !s ? null
+    : s.kind === "slope" ? fmt(s.m)
+    : s.kind === "vertical" ? `∞ (${t("plot.vertical")})`
+    : t("implicit.singularSlope");
+  const marks = [
+    ...(points?.verticals ?? []).map(p => ({ p, label: t("plot.vertical"), color: "#ea580c" })),
+    ...(points?.singular ?? []).map(p => ({ p, label: t("implicit.singular"), color: "#dc2626" })),
+  ];
+
+  return (
+    <div style={{ display: "grid", gap: 6, marginTop: 6 }}>
+      <label style={{ display: "flex", gap: 8, alignItems: "center", fontSize: 14, fontWeight: 600 }}>
+        {t("implicit.equation")} <input value={eq} onChange={(e) => onChange(e.target.value)} placeholder={t("implicit.placeholder")} style={field} />
+      </label>
+      {codes?.error && <div style={{ fontSize: 12, color: "#dc2626" }}>{t(codes.error)}</div>}
+      {tex && (
+        <div style={{ display: "grid", gap: 4, fontSize: 14 }}>
+          <Tex tex={`F(x, y) = ${tex.F}`} />
+          <Tex tex={`F_x = ${tex.Fx} \\qquad F_y = ${tex.Fy}`} />
+          <Tex tex={`\\frac{dy}{dx} = -\\frac{F_x}{F_y} = ${tex.dydx}`} />
+        </div>
+      )}
+      {fns && (
+        <div style={{ fontSize: 13, fontVariantNumeric: "tabular-nums" }}>
+          {at ? (
+            <>
+              (x, y) = ({fmt(at.x)}, {fmt(at.y)}) &nbsp;
+              Fₓ = {fmt(at.fx)}, F_y = {fmt(at.fy)} &nbsp;
+              dy/dx = <b>{slope}</b>
+            </>
+          ) : <span style={{ opacity: 0.7 }}>{t("implicit.hint")}</span>}
+        </div>
+      )}
+      {marks.length > 0 && (
+        <div style={{ display: "flex", gap: 6, alignItems: "center", flexWrap: "wrap" }}>
+          <span style={{ fontSize: 12, opacity: 0.7 }}>{t("implicit.visible")}</span>
+          {marks.map(({ p, label, color }) => (
+            <button key={`${label}${p[0]},${p[1]}`} onClick={() => onPick(p)} style={{ ...chip, color }}>
+              {label} ({fmt(p[0])}, {fmt(p[1])})
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
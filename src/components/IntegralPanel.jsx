@@ -0,0 +1,73 @@
+import { useMemo } from "react";
+import { math, normalizeExpr, compileExpression } from "../lib/expr.js";
+import { RIEMANN_METHODS } from "../lib/integrate.js";
+import Tex from "./Tex.jsx";
+
+const num = { width: 80, padding: "2px 4px", borderRadius: 6, border: "1px solid #cbd5e1", fontSize: 12 };
+
+// Belirli integral ∫ₐᵇ f, Riemann toplamı ve (varsa) sembolik ters türev.
+// [a, b] f panelinde sürüklenerek ya da buradan sayıyla seçilir.
+export default function IntegralPanel({ curve, integral, result, Fexpr, scope, onChange, t }) {
+  const fmt = (v) => Number.isFinite(v) ? String(+v.toPrecision(10)) : t("plot.undefined");
+  const { a, b, method, n, showF } = integral;
+  const n0 = curve.name, N = n0.toUpperCase();
+  const sym = useMemo(() => {
+    if (!Fexpr) return null;
+    try {
+      const G = compileExpression(Fexpr, scope);
+      return { tex: math.parse(normalizeExpr(Fexpr)).toTex(), exact: G(b) - G(a) };
+    } catch { return null; }
+  }, [Fexpr, scope, a, b]);
+  const value = result?.value;
+  const sum = result?.riemann?.sum;
+  const setNum = (key) => (e) => {
+    const v = parseFloat(e.target.value);
+    if (Number.isFinite(v)) onChange({ [key]: v });
+  };
+
+  return (
+    <div style={{ marginTop: 10, padding: 8, border: "1px dashed #cbd5e1", borderRadius: 10, display: "grid", gap: 6, fontSize: 14 }}>
+      <div style={{ fontSize: 12, opacity: 0.7 }}>{t("integral.title", { name: n0 })}</div>
+      <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+        <label style={{ fontSize: 12, opacity: 0.7 }}>a <input type="number" value={+a.toPrecision(6)} onChange={setNum("a")} style={num} /></label>
+        <label style={{ fontSize: 12, opacity: 0.7 }}>b <input type="number" value={+b.toPrecision(6)} onChange={setNum("b")} style={num} /></label>
+        <span>
+          ∫ₐᵇ {n0}(x) dx = <b>{Number.isFinite(value) ? fmt(value) : t("integral.divergent")}</b>
+        </span>
+      </div>
+      {sym && (
+        <div style={{ display: "flex", gap: 16, flexWrap: "wrap", alignItems: "center" }}>
+          <Tex tex={`\\int ${n0}(x)\\,dx = ${sym.tex} + C`} />
+          {Number.isFinite(sym.exact) && Number.isFinite(value) && (
+            <span style={{ fontSize: 12, opacity: 0.7 }}>{N}(b) − {N}(a) = {fmt(sym.exact)}</span>
+          )}
+        </div>
+      )}
+      <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+        <select value={method} onChange={(e) => onChange({ method: e.target.value })} aria-label={t("integral.method")}
+          style={{ padding: "4px 6px", borderRadius: 8, border: "1px solid #cbd5e1" }}>
+          <option value="">{t("integral.noSum")}</option>
+          {RIEMANN_METHODS.map(k => <option key={k} value={k}>{t(`riemann.${k}`)}</option>)}
+        </select>
+        {method && (
+          <>
+            <label style={{ fontSize: 12, opacity: 0.7 }}>
+              n = {n} <input type="range" min={1} max={200} step={1} value={n}
+                onChange={(e) => onChange({ n: parseInt(e.target.value) })} style={{ verticalAlign: "middle" }} />
+            </label>
+            <span>
+              {t("integral.sum")} = <b>{fmt(sum)}</b>
+              {Number.isFinite(sum) && Number.isFinite(value) && (
+                <span style={{ fontSize: 12, opacity: 0.7 }}> &nbsp;{t("root.error")} = {fmt(sum - value)}</span>
+              )}
+            </span>
+          </>
+        )}
+      </div>
+      <label style={{ fontSize: 14 }}>
+        <input type="checkbox" checked={showF} onChange={(e) => onChange({ showF: e.target.checked })} />{" "}
+        {t("integral.panel", { f: `${N}(x) = ∫ₐˣ ${n0}(t) dt` })} ({t(Fexpr ? "integral.symbolic" : "integral.numeric")})
+      </label>
+    </div>
+  );
+}
@@ -0,0 +1,54 @@
+import { travel, motionState } from "../lib/motion.js";
+
+const chip = { padding: "2px 8px", borderRadius: 8, border: "1px solid #cbd5e1", background: "#fff", fontSize: 12, cursor: "pointer" };
+const SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+// Seçili eğri konum: s(t) = f(t), v = f'(t), a = f''(t). Parçacık görünür zaman aralığında [t₀, t₁] oynatılır;
+// durma ve yön değiştirme anları tıklanınca oraya gidilir. Yer değiştirme ile alınan yol hem t'ye kadar hem tüm aralıkta.
+// t burada zaman; arayüz çevirisi tr
+export default function MotionPanel({ curve, t, range: [t0, t1], events, scale, playing, speed, onT, onPlay, onSpeed, tr }) {
+  const fmt = (v) => Number.isFinite(v) ? String(+v.toPrecision(6)) : tr("plot.undefined");
+  const n = curve.name;
+  const [s, v, a] = [0, 1, 2].map(k => curve.ders[k]?.(t) ?? NaN);
+  const state = motionState(v, scale.v);
+  // v ile a aynı işaretliyse sürat artar
+  const pace = state && state !== "stop" && Number.isFinite(a) && a !== 0 ? tr(v * a > 0 ? "motion.faster" : "motion.slower") : null;
+  const sofar = travel(curve.f, events, t0, t), whole = travel(curve.f, events, t0, t1);
+
+  return (
+    <div style={{ marginTop: 10, padding: 8, border: "1px dashed #cbd5e1", borderRadius: 10, display: "grid", gap: 6, fontSize: 14 }}>
+      <div style={{ fontSize: 12, opacity: 0.7 }}>
+        {tr("motion.title", { name: n })}
+      </div>
+      <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+        <button onClick={onPlay} className="btn" aria-label={playing ? tr("play.pause") : tr("play.play")}>{playing ? "❚❚" : "▶"}</button>
+        <input type="range" min={t0} max={t1} step={(t1 - t0) / 1000} value={t}
+          onChange={(e) => onT(parseFloat(e.target.value))} aria-label={tr("motion.time")} style={{ flex: 1, minWidth: 160 }} />
+        <span style={{ fontWeight: 600, minWidth: 90, fontVariantNumeric: "tabular-nums" }}>t = {+t.toPrecision(4)}</span>
+        <select value={speed} onChange={(e) => onSpeed(parseFloat(e.target.value))} aria-label={tr("motion.speed")}
+          style={{ padding: "4px 6px", borderRadius: 8, border: "1px solid #cbd5e1" }}>
+          {SPEEDS.map(k => <option key={k} value={k}>{k}×</option>)}
+        </select>
+      </div>
+      <div style={{ fontSize: 13, fontVariantNumeric: "tabular-nums" }}>
+        s = {fmt(s)} &nbsp; v = <b style={{ color: "#16a34a" }}>{fmt(v)}</b> &nbsp; a = <b style={{ color: "#dc2626" }}>{fmt(a)}</b>
+        {state && <> &nbsp; • {tr(`motion.state.${state}`)}{pace && `, ${pace}`}</>}
+      </div>
+      <div style={{ fontSize: 13, fontVariantNumeric: "tabular-nums" }}>
+        t = {fmt(t0)} → {fmt(t)}: {tr("motion.displacement")} Δs = <b>{fmt(sofar.displacement)}</b>, {tr("motion.distance")} = <b>{fmt(sofar.distance)}</b>
+        <br />
+        {tr("motion.whole")} [{fmt(t0)}, {fmt(t1)}]: {tr("motion.displacement")} = {fmt(whole.displacement)}, {tr("motion.distance")} = {fmt(whole.distance)}
+      </div>
+      {events.length > 0 ? (
+        <div style={{ display: "flex", gap: 6, alignItems: "center", flexWrap: "wrap" }}>
+          <span style={{ fontSize: 12, opacity: 0.7 }}>{tr("motion.events")}</span>
+          {events.map(e => (
+            <button key={e.t} onClick={() => onT(e.t)} style={{ ...chip, color: e.kind === "turn" ? "#ea580c" : "#64748b" }}>
+              {tr(`motion.event.${e.kind}`)} t = {fmt(e.t)}
+            </button>
+          ))}
+        </div>
+      ) : <div style={{ fontSize: 12, opacity: 0.7 }}>{tr("motion.noEvents")}</div>}
+    </div>
+  );
+}
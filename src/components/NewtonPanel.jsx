@@ -0,0 +1,112 @@
+import { useMemo } from "react";
+import { bisection, secantMethod } from "../lib/rootFinding.js";
+
+const sci = (v) => Number.isFinite(v) ? (v === 0 ? "0" : v.toExponential(2)) : "–";
+const cell = { padding: "3px 8px", borderTop: "1px solid #e5e7eb", textAlign: "right", whiteSpace: "nowrap", fontVariantNumeric: "tabular-nums" };
+const num = { width: 80, padding: "2px 4px", borderRadius: 6, border: "1px solid #cbd5e1", fontSize: 12 };
+
+const statusColor = (status) => status === "converged" ? "#15803d" : "#b91c1c";
+
+// Newton yöntemi: x₀'dan başlayan iterasyonlar adım adım ya da ▶▶ ile; her adımın teğeti grafikte.
+// run: newton() sonucu (App'te hesaplanır, çizim de aynısını kullanır); shown: gösterilen adım sayısı.
+// Altta aynı kök için ikiye bölme ve kesen yöntemleriyle karşılaştırma.
+export default function NewtonPanel({ curve, opts, start, run, shown, canUseCursor, onChange, onUseCursor, onPlay, t }) {
+  const fmt = (v) => Number.isFinite(v) ? String(+v.toPrecision(10)) : t("plot.undefined");
+  const statusText = ({ status, period }) => t(`root.status.${status}`, { period });
+  const n = curve.name;
+  const { a, b, playing } = opts;
+  const total = run?.steps.length ?? 0;
+  const done = run && shown >= total;
+  const compare = useMemo(() => {
+    const rows = [
+      { name: t("root.bisection"), from: `[${a}, ${b}]`, r: bisection(curve.f, a, b) },
+      { name: t("root.secant"), from: `x₀ = ${a}, x₁ = ${b}`, r: secantMethod(curve.f, a, b) },
+    ];
+    return run ? [{ name: "Newton", from: `x₀ = ${+start.toPrecision(10)}`, r: run }, ...rows] : rows;
+  }, [curve, run, start, a, b, t]);
+  const setNum = (key) => (e) => {
+    const v = parseFloat(e.target.value);
+    if (Number.isFinite(v)) onChange({ [key]: v });
+  };
+
+  return (
+    <div style={{ marginTop: 10, padding: 8, border: "1px dashed #cbd5e1", borderRadius: 10, display: "grid", gap: 6, fontSize: 14 }}>
+      <div style={{ fontSize: 12, opacity: 0.7 }}>{t("root.newton")}: xₙ₊₁ = xₙ − {n}(xₙ) / {n}'(xₙ) — {t("root.newtonHint")}</div>
+      <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+        <label style={{ fontSize: 14 }}>
+          x₀ = <input type="text" value={opts.start} onChange={(e) => onChange({ start: e.target.value, shown: 0, playing: false })}
+            style={{ width: 70, padding: "4px 6px", borderRadius: 8, border: "1px solid #cbd5e1" }} />
+        </label>
+        <button onClick={onUseCursor} className="btn" disabled={!canUseCursor}>{t("root.useCursor")}</button>
+        <button onClick={() => onChange({ shown: 0, playing: false })} className="btn" aria-label={t("play.first")} disabled={!run}>⏮</button>
+        <button onClick={() => onChange({ shown: Math.max(0, shown - 1), playing: false })} className="btn" aria-label={t("play.back")} disabled={!run || shown === 0}>◀</button>
+        <button onClick={() => onChange({ shown: Math.min(total, shown + 1), playing: false })} className="btn" aria-label={t("play.forward")} disabled={!run || done}>▶</button>
+        <button onClick={onPlay} className="btn" aria-label={playing ? t("play.pause") : t("play.play")} disabled={!run}>{playing ? "❚❚" : "▶▶"}</button>
+        {run && <span style={{ fontSize: 12, opacity: 0.7 }}>{t("play.step", { n: shown, total })}</span>}
+      </div>
+      {!run && <div style={{ fontSize: 12, opacity: 0.7 }}>{t("root.hint", { name: n })}</div>}
+      {done && (
+        <div style={{ color: statusColor(run.status), fontWeight: 600 }}>
+          {statusText(run)}{run.status === "converged" && <>: x ≈ {fmt(run.root)}</>}
+        </div>
+      )}
+      {run && shown > 0 && (
+        <div style={{ overflowX: "auto" }}>
+          <table style={{ borderCollapse: "collapse", fontSize: 12 }}>
+            <thead>
+              <tr>
+                <th style={cell}>n</th>
+                <th style={cell}>xₙ</th>
+                <th style={cell}>{n}(xₙ)</th>
+                <th style={cell}>{n}'(xₙ)</th>
+                <th style={cell}>|xₙ₊₁ − xₙ|</th>
+                <th style={cell}>{t("root.error")} |xₙ − r|</th>
+              </tr>
+            </thead>
+            <tbody>
+              {run.steps.slice(0, shown).map((s, i) => (
+                <tr key={s.n} style={i === shown - 1 ? { fontWeight: 700, background: "#fdf4ff" } : undefined}>
+                  <td style={cell}>{s.n}</td>
+                  <td style={cell}>{fmt(s.x)}</td>
+                  <td style={cell}>{sci(s.fx)}</td>
+                  <td style={cell}>{fmt(s.dfx)}</td>
+                  <td style={cell}>{sci(Math.abs(s.next - s.x))}</td>
+                  <td style={cell}>{sci(s.err)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      <div style={{ fontSize: 12, opacity: 0.7, marginTop: 4 }}>{t("root.compare")}</div>
+      <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+        <label style={{ fontSize: 12, opacity: 0.7 }}>a <input type="number" value={a} onChange={setNum("a")} style={num} /></label>
+        <label style={{ fontSize: 12, opacity: 0.7 }}>b <input type="number" value={b} onChange={setNum("b")} style={num} /></label>
+      </div>
+      <div style={{ overflowX: "auto" }}>
+        <table style={{ borderCollapse: "collapse", fontSize: 12 }}>
+          <thead>
+            <tr>
+              <th style={{ ...cell, textAlign: "left" }}>{t("root.method")}</th>
+              <th style={{ ...cell, textAlign: "left" }}>{t("root.start")}</th>
+              <th style={cell}>{t("root.steps")}</th>
+              <th style={cell}>{t("analysis.zero")}</th>
+              <th style={{ ...cell, textAlign: "left" }}>{t("root.status")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {compare.map(({ name, from, r }) => (
+              <tr key={name}>
+                <td style={{ ...cell, textAlign: "left" }}>{name}</td>
+                <td style={{ ...cell, textAlign: "left" }}>{from}</td>
+                <td style={cell}>{r.steps.length}</td>
+                <td style={cell}>{r.status === "converged" ? fmt(r.root) : "–"}</td>
+                <td style={{ ...cell, textAlign: "left", whiteSpace: "normal", color: statusColor(r.status) }}>{statusText(r)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
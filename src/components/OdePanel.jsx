@@ -0,0 +1,45 @@
+import { ODE_DIRS } from "../lib/ode.js";
+import Tex from "./Tex.jsx";
+
+const field = { flex: 1, minWidth: 220, padding: "8px 10px", borderRadius: 10, border: "1px solid #cbd5e1", outline: "none" };
+const small = { padding: "4px 6px", borderRadius: 8, border: "1px solid #cbd5e1" };
+const chip = { padding: "2px 8px", borderRadius: 8, border: "1px solid #cbd5e1", background: "#fff", fontSize: 12, cursor: "pointer" };
+
+// dy/dx = g(x, y): türevden fonksiyona. Üst panele tıklanan her nokta bir başlangıç koşulu y(x₀) = y₀ olur;
+// çözüm RK4 ile h adımıyla ileri ve/veya geri ilerler, istenirse aynı adımla Euler de çizilip farkı gösterilir.
+export default function OdePanel({ g, codes, opts, seeds, solutions, onChange, onOpts, onSeeds, t }) {
+  const fmt = (v) => Number.isFinite(v) ? String(+v.toPrecision(4)) : t("plot.undefined");
+  return (
+    <div style={{ display: "grid", gap: 6, marginTop: 6 }}>
+      <label style={{ display: "flex", gap: 8, alignItems: "center", fontSize: 14, fontWeight: 600 }}>
+        dy/dx = <input value={g} onChange={(e) => onChange(e.target.value)} placeholder={t("ode.placeholder")} aria-label="g(x, y)" style={field} />
+      </label>
+      {codes?.error && <div style={{ fontSize: 12, color: "#dc2626" }}>{t(codes.error)}</div>}
+      {codes?.tex && <div style={{ fontSize: 14 }}><Tex tex={`\\frac{dy}{dx} = ${codes.tex}`} /></div>}
+      <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap", fontSize: 14 }}>
+        <label>{t("ode.step")} h = <input type="number" min={0.001} max={2} step={0.01} value={opts.h}
+          onChange={(e) => { const h = parseFloat(e.target.value); if (h > 0) onOpts({ h }); }} style={{ ...small, width: 80 }} /></label>
+        <select value={opts.dir} onChange={(e) => onOpts({ dir: e.target.value })} aria-label={t("ode.dir")} style={small}>
+          {ODE_DIRS.map(k => <option key={k} value={k}>{t(`ode.dir.${k}`)}</option>)}
+        </select>
+        <label><input type="checkbox" checked={opts.euler} onChange={(e) => onOpts({ euler: e.target.checked })} /> {t("ode.compare")}</label>
+      </div>
+      {seeds.length === 0 ? (
+        <div style={{ fontSize: 12, opacity: 0.7 }}>{t("ode.hint")}</div>
+      ) : (
+        <div style={{ display: "flex", gap: 6, alignItems: "center", flexWrap: "wrap" }}>
+          <span style={{ fontSize: 12, opacity: 0.7 }}>{t("ode.seeds")}</span>
+          {seeds.map(([x, y], i) => {
+            const gap = solutions?.[i]?.gap;
+            return (
+              <button key={`${i}:${x},${y}`} onClick={() => onSeeds(seeds.filter((_, j) => j !== i))} title={t("ode.removeSeed")} style={chip}>
+                y({fmt(x)}) = {fmt(y)}{gap != null && <span style={{ color: "#ea580c" }}> • {t("ode.gap", { gap: fmt(gap) })}</span>} ×
+              </button>
+            );
+          })}
+          <button onClick={() => onSeeds([])} className="btn">{t("ode.clear")}</button>
+        </div>
+      )}
+    </div>
+  );
+}
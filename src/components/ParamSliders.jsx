@@ -0,0 +1,28 @@
+const num = { width: 56, padding: "2px 4px", borderRadius: 6, border: "1px solid #cbd5e1", fontSize: 12 };
+
+// İfadelerdeki serbest semboller için kaydırıcılar; ▶ ile değer min–max arasında gidip gelir
+export default function ParamSliders({ params, onChange, t }) {
+  if (params.length === 0) return null;
+  const parse = (name, key) => (e) => {
+    const v = parseFloat(e.target.value);
+    if (Number.isFinite(v)) onChange(name, { [key]: v });
+  };
+  return (
+    <div style={{ marginTop: 10, padding: 8, border: "1px dashed #cbd5e1", borderRadius: 10, display: "grid", gap: 6 }}>
+      <div style={{ fontSize: 12, opacity: 0.7 }}>{t("params.title")}</div>
+      {params.map(p => (
+        <div key={p.name} style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", fontSize: 14 }}>
+          <span style={{ fontWeight: 600, minWidth: 90 }}>{p.name} = {+p.value.toFixed(4)}</span>
+          <button onClick={() => onChange(p.name, { playing: !p.playing })} className="btn" aria-label={p.playing ? t("play.pause") : t("play.play")}>
+            {p.playing ? "❚❚" : "▶"}
+          </button>
+          <input type="range" min={p.min} max={p.max} step={p.step} value={p.value}
+            onChange={parse(p.name, "value")} style={{ flex: 1, minWidth: 160 }} />
+          <label style={{ fontSize: 12, opacity: 0.7 }}>min <input type="number" value={p.min} onChange={parse(p.name, "min")} style={num} /></label>
+          <label style={{ fontSize: 12, opacity: 0.7 }}>max <input type="number" value={p.max} onChange={parse(p.name, "max")} style={num} /></label>
+          <label style={{ fontSize: 12, opacity: 0.7 }}>{t("ode.step")} <input type="number" value={p.step} min={0} onChange={parse(p.name, "step")} style={num} /></label>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,55 @@
+import { useMemo } from "react";
+import { piecewiseTex } from "../lib/piecewise.js";
+import Tex from "./Tex.jsx";
+
+const cell = { padding: "4px 8px", borderTop: "1px solid #e5e7eb", textAlign: "center", whiteSpace: "nowrap" };
+const verdict = (ok, yes, no) => <span style={{ color: ok ? "#16a34a" : "#dc2626", fontWeight: 600 }}>{ok ? yes : no}</span>;
+
+// Parçalı fonksiyonun dalları, dal dal sembolik türevi ve kesim noktalarındaki limitler
+export default function PiecewiseView({ name, pieces, breakpoints, onPick, t }) {
+  const fmt = (v) => Number.isNaN(v) ? t("plot.undefined") : v === Infinity ? "+∞" : v === -Infinity ? "−∞" : String(+v.toPrecision(6));
+  const otherwise = t("pw.otherwise");
+  const tex = useMemo(() => ({ f: piecewiseTex(pieces, 0, otherwise), df: piecewiseTex(pieces, 1, otherwise) }), [pieces, otherwise]);
+  return (
+    <div style={{ marginTop: 8, fontSize: 14, display: "grid", gap: 6 }}>
+      <Tex tex={`${name}(x) = ${tex.f}`} />
+      <Tex tex={`${name}'(x) = ${tex.df}`} />
+      <div style={{ fontSize: 12, opacity: 0.7 }}>{t("pw.note", { name })}</div>
+      {breakpoints?.length > 0 && (
+        <div style={{ overflowX: "auto" }}>
+          <table style={{ borderCollapse: "collapse", fontSize: 13 }}>
+            <thead>
+              <tr>
+                <th style={cell}>x₀</th>
+                <th style={cell}>{name}(x₀⁻)</th>
+                <th style={cell}>{name}(x₀⁺)</th>
+                <th style={cell}>{name}(x₀)</th>
+                <th style={cell}>{t("pw.continuity")}</th>
+                <th style={cell}>{name}'(x₀⁻)</th>
+                <th style={cell}>{name}'(x₀⁺)</th>
+                <th style={cell}>{t("pw.differentiability")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {breakpoints.map(bp => {
+                const [o0, o1] = bp.orders;
+                return (
+                  <tr key={bp.x} onClick={() => onPick(bp.x)} style={{ cursor: "pointer" }} title={t("pw.lock")}>
+                    <td style={cell}>{fmt(bp.x)}</td>
+                    <td style={cell}>{fmt(o0.left)}</td>
+                    <td style={cell}>{fmt(o0.right)}</td>
+                    <td style={cell}>{fmt(o0.value)}</td>
+                    <td style={cell}>{verdict(bp.continuous, t("pw.continuous"), t("pw.discontinuous"))}</td>
+                    <td style={cell}>{o1 ? fmt(o1.left) : "–"}</td>
+                    <td style={cell}>{o1 ? fmt(o1.right) : "–"}</td>
+                    <td style={cell}>{verdict(bp.differentiable, t("pw.differentiable"), t("pw.notDifferentiable"))}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,77 @@
+import { PLANE_MODES, planeSlope } from "../lib/parametric.js";
+import Tex from "./Tex.jsx";
+
+const field = { flex: 1, minWidth: 160, padding: "8px 10px", borderRadius: 10, border: "1px solid #cbd5e1", outline: "none" };
+const small = { width: 70, padding: "4px 6px", borderRadius: 8, border: "1px solid #cbd5e1" };
+
+// Parametrik x(t), y(t) ya da kutupsal r(θ) eğrisi: ifadeler, parametre aralığı, sembolik türevler
+// ve seçili parametredeki nokta, hız ve eğim. Nokta grafikte sürüklenerek ya da kaydırıcıyla seçilir.
+// t burada parametrenin değeri; arayüz çevirisi tr
+export default function PlanePanel({ plane, codes, fns, tRange, t, onChange, onT, onFit, tr }) {
+  const fmt = (v) => Number.isFinite(v) ? String(+v.toPrecision(6)) : tr("plot.undefined");
+  const { sym: v } = PLANE_MODES[plane.mode];
+  const polar = plane.mode === "polar";
+  const tex = codes?.tex;
+  const dv = `\\frac{d}{d${polar ? "\\theta" : "t"}}`;
+  const at = fns && t != null ? { x: fns.x(t), y: fns.y(t), dx: fns.dx(t), dy: fns.dy(t), r: fns.r?.(t) } : null;
+  const s = at && planeSlope(at.dx, at.dy);
+  const slope = !s ? null
+    : s.kind === "slope" ? fmt(s.m)
+    : s.kind === "vertical" ? `∞ (${tr("plot.vertical")})`
+    : tr("plane.zeroVelocity");
+
+  return (
+    <div style={{ display: "grid", gap: 6, marginTop: 6 }}>
+      {polar ? (
+        <label style={{ display: "flex", gap: 8, alignItems: "center", fontSize: 14, fontWeight: 600 }}>
+          r(θ) = <input value={plane.r} onChange={(e) => onChange({ r: e.target.value })} placeholder={tr("plane.placeholder.r")} style={field} />
+        </label>
+      ) : (
+        <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+          <label style={{ display: "flex", flex: 1, gap: 8, alignItems: "center", fontSize: 14, fontWeight: 600 }}>
+            x(t) = <input value={plane.x} onChange={(e) => onChange({ x: e.target.value })} placeholder={tr("plane.placeholder.x")} style={field} />
+          </label>
+          <label style={{ display: "flex", flex: 1, gap: 8, alignItems: "center", fontSize: 14, fontWeight: 600 }}>
+            y(t) = <input value={plane.y} onChange={(e) => onChange({ y: e.target.value })} placeholder={tr("plane.placeholder.y")} style={field} />
+          </label>
+        </div>
+      )}
+      <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", fontSize: 14 }}>
+        {v} ∈ [
+        <input value={plane.tMin} onChange={(e) => onChange({ tMin: e.target.value })} aria-label={`${v} min`} style={small} />,
+        <input value={plane.tMax} onChange={(e) => onChange({ tMax: e.target.value })} aria-label={`${v} max`} style={small} />]
+        {!tRange && <span style={{ fontSize: 12, color: "#dc2626" }}>{tr("plane.badRange")}</span>}
+        <button onClick={onFit} className="btn" disabled={!fns}>{tr("plane.fit")}</button>
+      </div>
+      {codes?.error && <div style={{ fontSize: 12, color: "#dc2626" }}>{tr(codes.error)}</div>}
+      {tex && (
+        <div style={{ display: "grid", gap: 4, fontSize: 14 }}>
+          {polar && (
+            <div style={{ fontSize: 12, opacity: 0.7 }}>
+              x = r cos θ, y = r sin θ &nbsp; <Tex tex={`\\frac{dr}{d\\theta} = ${tex.dr}`} />
+            </div>
+          )}
+          <Tex tex={`${dv}\\,x = ${tex.dx}`} />
+          <Tex tex={`${dv}\\,y = ${tex.dy}`} />
+          <Tex tex={`\\frac{dy}{dx} = \\frac{dy/d${polar ? "\\theta" : "t"}}{dx/d${polar ? "\\theta" : "t"}} = ${tex.dydx}`} />
+        </div>
+      )}
+      {tRange && fns && (
+        <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+          <label style={{ fontSize: 12, opacity: 0.7 }}>
+            {v} = {fmt(t)} <input type="range" min={tRange[0]} max={tRange[1]} step={(tRange[1] - tRange[0]) / 1000} value={t}
+              onChange={(e) => onT(parseFloat(e.target.value))} style={{ verticalAlign: "middle", minWidth: 200 }} />
+          </label>
+          {at && (
+            <span style={{ fontSize: 13, fontVariantNumeric: "tabular-nums" }}>
+              {polar && <>r = {fmt(at.r)} &nbsp;</>}
+              (x, y) = ({fmt(at.x)}, {fmt(at.y)}) &nbsp;
+              {tr("plane.velocity")} = ({fmt(at.dx)}, {fmt(at.dy)}), |v| = {fmt(Math.hypot(at.dx, at.dy))} &nbsp;
+              dy/dx = <b>{slope}</b>
+            </span>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,94 @@
+import { useMemo } from "react";
+import { inspectPoint, symbolicAt } from "../lib/inspect.js";
+import Tex from "./Tex.jsx";
+
+const cell = { padding: "3px 8px", borderTop: "1px solid #e5e7eb", textAlign: "right", whiteSpace: "nowrap", fontVariantNumeric: "tabular-nums" };
+const GOOD = new Set(["differentiable"]);
+const SOFT = new Set(["continuous", "corner", "cusp", "vertical"]);
+
+// x₀'da iki yönlü limitler, f(x₀), tek yönlü türevler ve hüküm; h → 0 yakınsama tablosuyla.
+// x₀ yoksa yalnızca grafikte "?" ile işaretli incelenecek noktalar listelenir.
+export default function PointInspector({ curve, x0, scope, suspects, onPick, t }) {
+  const num = (v) => v === undefined || Number.isNaN(v) ? t("inspect.undefined") : v === Infinity ? "+∞" : v === -Infinity ? "−∞" : String(+v.toPrecision(8));
+  const lim = (v) => v === undefined ? "–" : Number.isNaN(v) ? t("inspect.none") : num(v);
+  const report = useMemo(() => {
+    if (x0 == null || !Number.isFinite(x0) || !curve.f) return null;
+    // parçalı fonksiyonun kesim noktasına denk geldiyse tam konum ve dallardan gelen limitler
+    const exact = curve.breakpoints?.find(bp => Math.abs(bp.x - x0) <= 1e-7 * Math.max(1, Math.abs(x0))) ?? null;
+    const x = exact ? exact.x : x0;
+    const r = inspectPoint(curve.f, x, exact);
+    let sym = null;
+    if (!curve.pieces) {
+      const close = (s, v) => s && Number.isFinite(v) && Math.abs(s.value - v) <= 1e-6 * Math.max(1, Math.abs(v));
+      const f0 = symbolicAt(curve.expr, 0, x, scope);
+      const f1 = r.verdict === "differentiable" ? symbolicAt(curve.expr, 1, x, scope) : null;
+      sym = { f: close(f0, r.value) ? f0.tex : null, df: close(f1, r.derivative) ? f1.tex : null };
+    }
+    return { ...r, exact: !!exact, sym };
+  }, [curve, x0, scope]);
+
+  const n = curve.name;
+  const color = report && (GOOD.has(report.verdict) ? "#16a34a" : SOFT.has(report.verdict) ? "#d97706" : "#dc2626");
+
+  return (
+    <div style={{ marginTop: 10, padding: 8, border: "1px dashed #cbd5e1", borderRadius: 10, display: "grid", gap: 6, fontSize: 14 }}>
+      <div style={{ fontSize: 12, opacity: 0.7 }}>{t("inspector.title", { name: n })}</div>
+      {suspects?.length > 0 && (
+        <div style={{ display: "flex", gap: 6, flexWrap: "wrap", alignItems: "center" }}>
+          <span style={{ fontSize: 12, opacity: 0.7 }}>{t("inspector.suspects")} (<b style={{ color: "#f97316" }}>?</b>):</span>
+          {suspects.map(x => <button key={x} onClick={() => onPick(x)} className="btn">x = {+x.toPrecision(6)}</button>)}
+        </div>
+      )}
+      {!report && <div style={{ fontSize: 12, opacity: 0.7 }}>{t("inspector.hint")}</div>}
+      {report && (
+        <>
+          <div>
+            x₀ = {num(report.x0)} &nbsp;
+            <span style={{ fontWeight: 700, color }}>{t(`inspect.verdict.${report.verdict}`)}</span>
+            {report.exact && <span style={{ fontSize: 12, opacity: 0.7 }}> &nbsp;({t("inspector.exact")})</span>}
+          </div>
+          {report.sym && (report.sym.f || report.sym.df) && (
+            <div style={{ display: "flex", gap: 16, flexWrap: "wrap" }}>
+              {report.sym.f && <Tex tex={`${n}(x_0) = ${report.sym.f}`} />}
+              {report.sym.df && <Tex tex={`${n}'(x_0) = ${report.sym.df}`} />}
+            </div>
+          )}
+          <ul style={{ margin: 0, paddingLeft: 18 }}>
+            {report.reasons.map((r, i) => <li key={i}>{t(r)}</li>)}
+          </ul>
+          <div style={{ overflowX: "auto" }}>
+            <table style={{ borderCollapse: "collapse", fontSize: 12 }}>
+              <thead>
+                <tr>
+                  <th style={cell}>h</th>
+                  <th style={cell}>{n}(x₀−h)</th>
+                  <th style={cell}>{n}(x₀+h)</th>
+                  <th style={cell}>[{n}(x₀)−{n}(x₀−h)]/h</th>
+                  <th style={cell}>[{n}(x₀+h)−{n}(x₀)]/h</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.rows.map(r => (
+                  <tr key={r.h}>
+                    <td style={cell}>{r.h.toExponential(0)}</td>
+                    <td style={cell}>{num(r.fLeft)}</td>
+                    <td style={cell}>{num(r.fRight)}</td>
+                    <td style={cell}>{num(r.dqLeft)}</td>
+                    <td style={cell}>{num(r.dqRight)}</td>
+                  </tr>
+                ))}
+                <tr style={{ fontWeight: 600 }}>
+                  <td style={cell}>h → 0</td>
+                  <td style={cell}>{lim(report.left)}</td>
+                  <td style={cell}>{lim(report.right)}</td>
+                  <td style={cell}>{lim(report.dLeft)}</td>
+                  <td style={cell}>{lim(report.dRight)}</td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,113 @@
+import { useMemo, useState } from "react";
+import { PRACTICE_TOPICS, PRACTICE_LEVELS, generateExercise, checkAnswer, comparisonScene } from "../lib/practice.js";
+import { sceneToSvg } from "../lib/exporters.js";
+import Tex from "./Tex.jsx";
+import ExprPreview from "./ExprPreview.jsx";
+
+const GRAPH_W = 640, GRAPH_H = 220;
+const select = { padding: "4px 6px", borderRadius: 8, border: "1px solid #cbd5e1" };
+const VERDICT_COLOR = { correct: "#15803d", unsimplified: "#b45309", wrong: "#b91c1c", invalid: "#b91c1c" };
+const EMPTY_SCORE = { solved: 0, attempted: 0, tries: 0, streak: 0, best: 0 };
+
+// Alıştırma: seçilen konu ve zorlukta rastgele f(x); öğrencinin yazdığı f'(x) sayısal (ve mümkünse sembolik)
+// olarak denetlenir. Denetimden ya da cevap gösterildikten sonra doğru türev ile cevap aynı grafikte.
+// Puan oturum boyunca tutulur: soru ilk denemede çözülürse seri sürer.
+export default function PracticePanel({ onPlot, t }) {
+  const fmt = (v) => Number.isFinite(v) ? String(+v.toPrecision(6)) : t("plot.undefined");
+  const [topic, setTopic] = useState("all");
+  const [level, setLevel] = useState(0);
+  const [ex, setEx] = useState(null);
+  const [answer, setAnswer] = useState("");
+  const [result, setResult] = useState(null);
+  // open: çözülüyor, solved: doğru cevaplandı, revealed: cevap gösterildi
+  const [status, setStatus] = useState("open");
+  const [tries, setTries] = useState(0);
+  const [score, setScore] = useState(EMPTY_SCORE);
+
+  function next() {
+    setEx(generateExercise(topic, level));
+    setAnswer(""); setResult(null); setStatus("open"); setTries(0);
+  }
+  function check() {
+    const r = checkAnswer(ex, answer);
+    setResult(r);
+    if (r.verdict === "invalid" || status !== "open") return;
+    const ok = r.verdict !== "wrong";
+    setScore(s => {
+      const streak = ok && tries === 0 ? s.streak + 1 : 0;
+      return {
+        solved: s.solved + (ok ? 1 : 0),
+        attempted: s.attempted + (tries === 0 ? 1 : 0),
+        tries: s.tries + 1,
+        streak, best: Math.max(s.best, streak),
+      };
+    });
+    setTries(n => n + 1);
+    if (ok) setStatus("solved");
+  }
+  function reveal() {
+    if (status === "open") setScore(s => ({ ...s, attempted: s.attempted + (tries === 0 ? 1 : 0), streak: 0 }));
+    setStatus(status === "open" ? "revealed" : status);
+  }
+
+  const graphExpr = result && result.verdict !== "invalid" ? result.expr : null;
+  const showGraph = ex && (status !== "open" || graphExpr);
+  const graph = useMemo(() => {
+    if (!showGraph) return null;
+    const svg = sceneToSvg(comparisonScene(ex, graphExpr, GRAPH_H, t), GRAPH_W, GRAPH_H);
+    return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+  }, [showGraph, ex, graphExpr, t]);
+
+  return (
+    <div style={{ display: "grid", gap: 8, fontSize: 14 }}>
+      <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+        <label style={{ fontSize: 14, fontWeight: 600 }}>{t("practice.title")}</label>
+        <select value={topic} onChange={(e) => setTopic(e.target.value)} aria-label={t("practice.topic")} style={select}>
+          <option value="all">{t("practice.allTopics")}</option>
+          {PRACTICE_TOPICS.map(k => <option key={k} value={k}>{t(`practice.topic.${k}`)}</option>)}
+        </select>
+        <select value={level} onChange={(e) => setLevel(Number(e.target.value))} aria-label={t("practice.level")} style={select}>
+          {PRACTICE_LEVELS.map((k, i) => <option key={k} value={i}>{t(`practice.level.${k}`)}</option>)}
+        </select>
+        <button onClick={next} className="btn">{t(ex ? "practice.next" : "practice.start")}</button>
+        <span style={{ marginLeft: "auto", fontSize: 12, opacity: 0.8, fontVariantNumeric: "tabular-nums" }}>
+          {t("practice.score", score)}
+        </span>
+      </div>
+      {ex && (
+        <>
+          <div style={{ fontSize: 16 }}><Tex tex={`f(x) = ${ex.tex.f}`} /></div>
+          <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+            <span style={{ fontWeight: 600 }}>f'(x) =</span>
+            <input value={answer} onChange={(e) => setAnswer(e.target.value)} placeholder={t("practice.placeholder")}
+              onKeyDown={(e) => { if (e.key === "Enter") check(); }} aria-label={t("practice.answer")}
+              style={{ flex: 1, minWidth: 220, padding: "8px 10px", borderRadius: 10, border: "1px solid #cbd5e1", outline: "none" }} />
+            <button onClick={check} className="btn">{t("practice.check")}</button>
+            <button onClick={reveal} className="btn" disabled={status !== "open"}>{t("practice.reveal")}</button>
+            <button onClick={() => onPlot(ex.expr)} className="btn">{t("practice.plot")}</button>
+          </div>
+          <ExprPreview expr={answer} label="f'(x)" t={t} />
+          {result && (
+            <div style={{ display: "grid", gap: 4 }}>
+              <div style={{ color: VERDICT_COLOR[result.verdict], fontWeight: 600 }}>
+                {result.verdict !== "invalid" && t(`practice.verdict.${result.verdict}`)} {result.message && t(result.message)}
+                {result.symbolic && <span style={{ fontWeight: 400, fontSize: 12, opacity: 0.8 }}> ({t("practice.symbolic")})</span>}
+              </div>
+              {result.tex && <div style={{ fontSize: 12, opacity: 0.8 }}>{t("practice.reading")} <Tex tex={result.tex} /></div>}
+              {result.at && (
+                <div style={{ fontSize: 12 }}>
+                  {t("practice.at", { x: fmt(result.at.x), expected: fmt(result.at.expected), got: fmt(result.at.got) })}
+                </div>
+              )}
+              {result.hint && <div style={{ fontSize: 12 }}>{t(result.hint)}</div>}
+            </div>
+          )}
+          {status !== "open" && <div><Tex tex={`f'(x) = ${ex.tex.df}`} /></div>}
+          {graph && (
+            <img src={graph} alt={t("practice.graph")} style={{ width: "100%", maxWidth: GRAPH_W, border: "1px solid #e5e7eb", borderRadius: 10 }} />
+          )}
+        </>
+      )}
+    </div>
+  );
+}
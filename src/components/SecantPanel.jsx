@@ -0,0 +1,71 @@
+const cell = { padding: "3px 8px", borderTop: "1px solid #e5e7eb", textAlign: "right", whiteSpace: "nowrap", fontVariantNumeric: "tabular-nums" };
+
+// Türevin limit tanımı: x₀ ile x₀+h'den geçen kesenin eğimi h → 0 iken f'(x₀)'a yaklaşır.
+// h log ölçekli kaydırıcıyla (işaret ayrı) seçilir, ▶ h'yi 0'a doğru küçültür.
+export default function SecantPanel({ curve, x0, h, hMin, hMax, playing, onChange, onPlay, t }) {
+  const fmt = (v) => Number.isFinite(v) ? String(+v.toPrecision(8)) : t("plot.undefined");
+  const n = curve.name;
+  const sign = h < 0 ? -1 : 1;
+  const expMin = Math.log10(hMin), expMax = Math.log10(hMax);
+  const exp = Math.log10(Math.abs(h));
+  const ready = x0 != null && Number.isFinite(x0);
+  const slope = (hh) => (curve.f(x0 + hh) - curve.f(x0)) / hh;
+  const d = ready && curve.df ? curve.df(x0) : NaN;
+
+  // ondalık basamaklardaki h değerleri ve o anki h (kalın) büyükten küçüğe
+  const isCurrent = (v) => Math.abs(v - h) <= 1e-9 * Math.abs(h);
+  const hs = [];
+  if (ready) {
+    for (let k = Math.floor(expMax); k >= expMin; k--) hs.push(sign * 10 ** k);
+    if (!hs.some(isCurrent)) hs.push(h);
+    hs.sort((a, b) => Math.abs(b) - Math.abs(a));
+  }
+
+  return (
+    <div style={{ marginTop: 10, padding: 8, border: "1px dashed #cbd5e1", borderRadius: 10, display: "grid", gap: 6, fontSize: 14 }}>
+      <div style={{ fontSize: 12, opacity: 0.7 }}>{t("secant.title")}: {t("plot.slope")} = ({n}(x₀+h) − {n}(x₀)) / h</div>
+      <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+        <button onClick={onPlay} className="btn" aria-label={playing ? t("play.pause") : t("play.play")}>{playing ? "❚❚" : "▶"}</button>
+        <button onClick={() => onChange(-h)} className="btn" aria-label={t("secant.flip")}>{sign > 0 ? "h > 0" : "h < 0"}</button>
+        <input type="range" min={expMin} max={expMax} step={0.01} value={Math.min(expMax, Math.max(expMin, exp))}
+          onChange={(e) => onChange(sign * 10 ** parseFloat(e.target.value))} aria-label={t("secant.size")}
+          style={{ flex: 1, minWidth: 160 }} />
+        <span style={{ fontWeight: 600, minWidth: 110, fontVariantNumeric: "tabular-nums" }}>h = {+h.toPrecision(3)}</span>
+      </div>
+      {!ready && <div style={{ fontSize: 12, opacity: 0.7 }}>{t("secant.hint")}</div>}
+      {ready && (
+        <div style={{ overflowX: "auto" }}>
+          <table style={{ borderCollapse: "collapse", fontSize: 12 }}>
+            <thead>
+              <tr>
+                <th style={cell}>h</th>
+                <th style={cell}>{n}(x₀+h)</th>
+                <th style={cell}>{t("plot.slope")}</th>
+                <th style={cell}>|{t("plot.slope")} − {n}'(x₀)|</th>
+              </tr>
+            </thead>
+            <tbody>
+              {hs.map(v => {
+                const m = slope(v);
+                return (
+                  <tr key={v} style={isCurrent(v) ? { fontWeight: 700, background: "#fff7ed" } : undefined}>
+                    <td style={cell}>{+v.toPrecision(3)}</td>
+                    <td style={cell}>{fmt(curve.f(x0 + v))}</td>
+                    <td style={cell}>{fmt(m)}</td>
+                    <td style={cell}>{Number.isFinite(d) ? fmt(Math.abs(m - d)) : "–"}</td>
+                  </tr>
+                );
+              })}
+              <tr>
+                <td style={cell}>h → 0</td>
+                <td style={cell}>{fmt(curve.f(x0))}</td>
+                <td style={{ ...cell, fontWeight: 700, color: "#7c3aed" }}>{n}'(x₀) = {fmt(d)}</td>
+                <td style={cell}></td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,58 @@
+import { SLICE_MAX_DEG, surfaceAt, sliceLabel } from "../lib/surface.js";
+import Tex from "./Tex.jsx";
+
+const field = { flex: 1, minWidth: 220, padding: "8px 10px", borderRadius: 10, border: "1px solid #cbd5e1", outline: "none" };
+const small = { width: 80, padding: "4px 6px", borderRadius: 8, border: "1px solid #cbd5e1" };
+
+// İki değişkenli z = f(x, y): sembolik ∂f/∂x, ∂f/∂y; kesit doğrusu (x₀, y₀) noktası ve açısı θ ile seçilir,
+// u = (cos θ, sin θ) yönlü türevin de yönüdür. İmlecin altındaki noktada gradyan, yönlü türev ve teğet düzlem.
+export default function SurfacePanel({ z, codes, fns, slice, point, onChange, onSlice, t }) {
+  const fmt = (v) => Number.isFinite(v) ? String(+v.toPrecision(6)) : t("plot.undefined");
+  // teğet düzlemin bir terimi: " + k·(x - a)"; işaretler sayıya gömülmez
+  const term = (k, v, c) => `${k < 0 ? " - " : " + "}${fmt(Math.abs(k))}·${c === 0 ? v : `(${v} ${c < 0 ? "+" : "-"} ${fmt(Math.abs(c))})`}`;
+  const tex = codes?.tex;
+  const at = fns && point ? surfaceAt(fns, point[0], point[1], slice.angle) : null;
+  const num = (key) => (e) => { const v = parseFloat(e.target.value); if (Number.isFinite(v)) onSlice({ [key]: v }); };
+
+  return (
+    <div style={{ display: "grid", gap: 6, marginTop: 6 }}>
+      <label style={{ display: "flex", gap: 8, alignItems: "center", fontSize: 14, fontWeight: 600 }}>
+        z = <input value={z} onChange={(e) => onChange(e.target.value)} placeholder={t("surface.placeholder")} aria-label="f(x, y)" style={field} />
+      </label>
+      {codes?.error && <div style={{ fontSize: 12, color: "#dc2626" }}>{t(codes.error)}</div>}
+      {tex && (
+        <div style={{ display: "grid", gap: 4, fontSize: 14 }}>
+          <Tex tex={`f(x, y) = ${tex.f}`} />
+          <Tex tex={`\\frac{\\partial f}{\\partial x} = ${tex.fx} \\qquad \\frac{\\partial f}{\\partial y} = ${tex.fy}`} />
+        </div>
+      )}
+      <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap", fontSize: 14 }}>
+        <span>{t("surface.slice")}</span>
+        <label>x₀ = <input type="number" step={0.1} value={+slice.x0.toFixed(3)} onChange={num("x0")} style={small} /></label>
+        <label>y₀ = <input type="number" step={0.1} value={+slice.y0.toFixed(3)} onChange={num("y0")} style={small} /></label>
+        <label>θ = <input type="range" min={-SLICE_MAX_DEG} max={SLICE_MAX_DEG} step={1} value={slice.angle}
+          onChange={num("angle")} aria-label={t("surface.angle")} style={{ verticalAlign: "middle" }} /> {slice.angle}°</label>
+        <span style={{ fontSize: 12, opacity: 0.7 }}>{sliceLabel(slice)}</span>
+      </div>
+      {fns && (
+        <div style={{ fontSize: 13, fontVariantNumeric: "tabular-nums", display: "grid", gap: 2 }}>
+          {at ? (
+            <>
+              <div>
+                (x, y) = ({fmt(at.x)}, {fmt(at.y)}) &nbsp; f = {fmt(at.z)} &nbsp;
+                ∇f = ({fmt(at.fx)}, {fmt(at.fy)}) &nbsp; |∇f| = {fmt(at.grad)}
+              </div>
+              <div>
+                {t("surface.directional")} D<sub>u</sub>f = ∇f · u = <b>{fmt(at.du)}</b> &nbsp;
+                <span style={{ opacity: 0.7 }}>({t("surface.steepest")})</span>
+              </div>
+              <div>
+                {t("surface.plane")}: z = {fmt(at.z)}{term(at.fx, "x", at.x)}{term(at.fy, "y", at.y)}
+              </div>
+            </>
+          ) : <span style={{ opacity: 0.7 }}>{t("surface.hint")}</span>}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,58 @@
+import { TAYLOR_MAX_ORDER, taylorTex } from "../lib/taylor.js";
+import Tex from "./Tex.jsx";
+
+const EPS_CHOICES = [0.1, 0.01, 0.001];
+const fmt = (v) => String(+v.toPrecision(6));
+
+// Taylor/Maclaurin polinomu: mertebe kaydırıcısı, sembolik biçim ve |f − Pₙ| < ε aralığı.
+// available: sembolik türev zincirinin ulaştığı en yüksek mertebe (hesaplanıyorsa null)
+export default function TaylorPanel({ curve, opts, available, result, onChange, t }) {
+  const n = curve.name;
+  const order = result ? result.coeffs.length - 1 : opts.order;
+  const cut = available != null && opts.order > available;
+
+  return (
+    <div style={{ marginTop: 10, padding: 8, border: "1px dashed #cbd5e1", borderRadius: 10, display: "grid", gap: 6, fontSize: 14 }}>
+      <div style={{ fontSize: 12, opacity: 0.7 }}>
+        {t(result?.x0 === 0 ? "taylor.maclaurin" : "taylor.taylor")}: P<sub>n</sub>(x) = Σ {n}<sup>(k)</sup>(x₀)/k! · (x − x₀)<sup>k</sup>
+      </div>
+      <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+        <label style={{ fontSize: 12, opacity: 0.7 }}>
+          n = {opts.order} <input type="range" min={0} max={TAYLOR_MAX_ORDER} step={1} value={opts.order}
+            onChange={(e) => onChange({ order: parseInt(e.target.value) })} style={{ verticalAlign: "middle" }} />
+        </label>
+        <label style={{ fontSize: 12, opacity: 0.7 }}>
+          ε <select value={opts.eps} onChange={(e) => onChange({ eps: Number(e.target.value) })}
+            style={{ padding: "2px 4px", borderRadius: 6, border: "1px solid #cbd5e1" }}>
+            {EPS_CHOICES.map(v => <option key={v} value={v}>{v}</option>)}
+          </select>
+        </label>
+        {available == null && <span style={{ fontSize: 12, opacity: 0.7 }}>{t("taylor.computing")}</span>}
+      </div>
+      {cut && (
+        <div style={{ fontSize: 12, color: "#b45309" }}>
+          {t("taylor.cut", { order: available })}
+        </div>
+      )}
+      {result?.cut && (
+        <div style={{ fontSize: 12, color: "#b45309" }}>
+          {t(result.cut.reason)}
+        </div>
+      )}
+      {!result && available != null && (
+        <div style={{ fontSize: 12, opacity: 0.7 }}>{t("taylor.hint", { name: n })}</div>
+      )}
+      {result && (
+        <>
+          <Tex tex={`P_{${order}}(x) = ${taylorTex(result.coeffs, result.x0)}`} />
+          <div style={{ fontSize: 13 }}>
+            {result.interval
+              ? <>|{n} − P<sub>{order}</sub>| &lt; {opts.eps}: x ∈ {result.interval.openLo ? "(… " : "["}{fmt(result.interval.lo)}, {fmt(result.interval.hi)}{result.interval.openHi ? " …)" : "]"}
+                  {(result.interval.openLo || result.interval.openHi) && <span style={{ fontSize: 12, opacity: 0.7 }}> &nbsp;({t("taylor.toEdge")})</span>}</>
+              : <>|{n} − P<sub>{order}</sub>| {t("taylor.tooFar", { eps: opts.eps })}</>}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
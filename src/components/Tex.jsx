@@ -0,0 +1,11 @@
+import { useMemo } from "react";
+import katex from "katex";
+import "katex/dist/katex.min.css";
+
+export default function Tex({ tex, display = false, style }) {
+  const html = useMemo(
+    () => katex.renderToString(tex, { displayMode: display, throwOnError: false }),
+    [tex, display],
+  );
+  return <span style={style} dangerouslySetInnerHTML={{ __html: html }} />;
+}
@@ -0,0 +1,127 @@
+import { linspace, sign, bisect, goldenMin, continuousAt } from "./numeric.js";
+
+const dedupe = (pts, tol) => pts.filter((p, i) => i === 0 || Math.abs(p.x - pts[i - 1].x) > tol);
+
+// fun'ın [a, b] üzerindeki sıfırları ve işaret değiştirdiği kırılmalar.
+// Her nokta: { x, left, right, kind } — left/right: noktanın solundaki/sağındaki işaret,
+// kind: "zero" (gerçek kök, teğet kökler dahil) ya da "break" (kutup, sıçrama, tanımsızlık).
+export function signChanges(fun, a, b, n = 400) {
+  const xs = linspace(a, b, n);
+  const ys = xs.map(fun);
+  const finite = ys.filter(Number.isFinite).map(Math.abs);
+  const scale = finite.length ? Math.max(1e-12, ...finite) : 1;
+  const tol = (b - a) / n * 1e-3;
+  const out = [];
+  // işaret değişimi sürekli bir noktadaysa (ara değer teoremi) kök, değilse kırılma
+  const push = (x, left, right) => out.push({ x, left, right, kind: continuousAt(fun, x) ? "zero" : "break" });
+  for (let i = 0; i < n - 1; i++) {
+    const y0 = ys[i], y1 = ys[i + 1];
+    if (!Number.isFinite(y0) || !Number.isFinite(y1)) {
+      // örnek tam tanımsız noktaya düştüyse (|x|'in türevi 0'da) iki komşusu zıt işaretliyse kırılma oradadır
+      const yp = ys[i - 1];
+      if (!Number.isFinite(y0) && Number.isFinite(yp) && Number.isFinite(y1) && sign(yp) * sign(y1) < 0) push(xs[i], sign(yp), sign(y1));
+      continue;
+    }
+    if (y0 === 0) {
+      if (i > 0 && ys[i - 1] !== 0) push(xs[i], sign(ys[i - 1]), sign(y1));
+      continue;
+    }
+    if (y1 !== 0 && sign(y0) !== sign(y1)) {
+      push(bisect(fun, xs[i], xs[i + 1]), sign(y0), sign(y1));
+      continue;
+    }
+    // işaret değişmeden sıfıra değen kök (ör. x^2): |f|'nin küçük yerel minimumu
+    const yp = ys[i - 1];
+    if (i > 0 && Number.isFinite(yp) && sign(yp) === sign(y0) && sign(y1) === sign(y0) && Math.abs(y0) < Math.abs(yp) && Math.abs(y0) <= Math.abs(y1) && Math.abs(y0) < 1e-2 * scale) {
+      const x = goldenMin(t => Math.abs(fun(t)), xs[i - 1], xs[i + 1]);
+      if (Math.abs(fun(x)) < 1e-9 * scale) out.push({ x, left: sign(y0), right: sign(y0), kind: "zero" });
+    }
+  }
+  return dedupe(out.sort((p, q) => p.x - q.x), tol);
+}
+
+// f'in [a, b]'de tanımlı olduğu parçalar [[from, to]]; uçlar tanımlı yanda kalarak ikiye bölmeyle daraltılır.
+// Tek örneklik delikler (tam kutbun üstüne düşen örnek) parça bölmez.
+export function domainRuns(f, a, b, n = 400) {
+  const ok = (x) => Number.isFinite(f(x));
+  const edge = (inside, outside) => {
+    for (let i = 0; i < 60; i++) {
+      const m = 0.5 * (inside + outside);
+      if (ok(m)) inside = m; else outside = m;
+    }
+    return inside;
+  };
+  const xs = linspace(a, b, n), runs = [];
+  let from = ok(a) ? a : null;
+  for (let i = 1; i < n; i++) {
+    const here = ok(xs[i]);
+    if (from == null && here) from = edge(xs[i], xs[i - 1]);
+    else if (from != null && !here && !(i + 1 < n && ok(xs[i + 1]))) { runs.push([from, edge(xs[i - 1], xs[i])]); from = null; }
+  }
+  if (from != null) runs.push([from, b]);
+  return runs;
+}
+
+// ders = [f, f', f'']. Kökler, yerel ekstremumlar, büküm noktaları ve değişim tablosu.
+export function analyzeCurve(ders, a, b, n = 400) {
+  const [f, d1, d2] = ders;
+  if (!f || !(b > a)) return null;
+  const finiteF = (x) => continuousAt(f, x);
+
+  // tanım kümesinin ucundaki kökler (ör. √x'in 0'ı) işaret değişimiyle bulunmaz; tanımlı parçaların uçlarına bakılır
+  const tol = (b - a) * 1e-6;
+  const found = signChanges(f, a, b, n).filter(p => p.kind === "zero").map(p => ({ x: p.x, y: 0 }));
+  const edgeZeros = domainRuns(f, a, b, n).flat()
+    .filter(x => x > a && x < b && Math.abs(f(x)) < 1e-6 && !found.some(p => Math.abs(p.x - x) <= tol))
+    .map(x => ({ x, y: 0 }));
+  const zeros = dedupe([...found, ...edgeZeros].sort((p, q) => p.x - q.x), tol);
+  const d1Points = d1 ? signChanges(d1, a, b, n) : [];
+  const d2Points = d2 ? signChanges(d2, a, b, n) : [];
+
+  const extrema = d1Points
+    .filter(p => p.left * p.right < 0 && finiteF(p.x))
+    .map(p => ({ x: p.x, y: f(p.x), kind: p.left > 0 ? "max" : "min", corner: p.kind === "break" }));
+  const inflections = d2Points
+    .filter(p => p.left * p.right < 0 && finiteF(p.x))
+    .map(p => ({ x: p.x, y: f(p.x) }));
+
+  // Değişim tablosu: kritik noktalar ve aralarındaki aralıklarda f', f'' işaretleri
+  const marks = [
+    ...d1Points.map(p => ({ x: p.x, d1: p.kind === "zero" ? 0 : NaN })),
+    ...inflections.map(p => ({ x: p.x, inflection: true })),
+    ...signChanges(f, a, b, n).filter(p => p.kind === "break").map(p => ({ x: p.x })),
+  ].filter(p => p.x > a + tol && p.x < b - tol).sort((p, q) => p.x - q.x);
+  const points = [];
+  for (const m of marks) {
+    const last = points[points.length - 1];
+    if (last && Math.abs(last.x - m.x) <= tol) Object.assign(last, m, { d1: Number.isNaN(last.d1) ? NaN : m.d1 ?? last.d1 });
+    else points.push({ ...m });
+  }
+  const all = [{ x: a, edge: true }, ...points, { x: b, edge: true }].map(p => {
+    const ext = extrema.find(e => Math.abs(e.x - p.x) <= tol);
+    return {
+      ...p,
+      y: finiteF(p.x) || p.edge ? f(p.x) : NaN,
+      defined: finiteF(p.x) || (p.edge && Number.isFinite(f(p.x))),
+      extremum: ext?.kind ?? null,
+      inflection: !!p.inflection,
+    };
+  });
+  const intervals = [];
+  for (let i = 0; i < all.length - 1; i++) {
+    const mid = 0.5 * (all[i].x + all[i + 1].x);
+    intervals.push({
+      from: all[i].x, to: all[i + 1].x,
+      d1: d1 ? sign(d1(mid)) : 0,
+      d2: d2 ? sign(d2(mid)) : 0,
+      defined: Number.isFinite(f(mid)),
+    });
+  }
+
+  return {
+    zeros, extrema, inflections,
+    d1Zeros: d1Points.filter(p => p.kind === "zero").map(p => p.x),
+    d2Zeros: d2Points.filter(p => p.kind === "zero").map(p => p.x),
+    table: { points: all, intervals },
+  };
+}
@@ -0,0 +1,154 @@
+// Tekillikler ve asimptotlar. Aday noktalar ifade ağacından gelir: paydaların, ln/log ve kök
+// argümanlarının, negatif ya da kesirli kuvvet tabanlarının sıfırları; tan/cot/sec/csc kutupları;
+// parçalı fonksiyonda ayrıca kesim noktaları. Adaylar görünür aralıkta sayısal olarak bulunur ve
+// tek yönlü limitlerle sınıflandırılır. Yatay/eğik asimptotlar x → ±∞ davranışından.
+
+import { math, normalizeExpr, bindCodes } from "./expr.js";
+import { signChanges } from "./analysis.js";
+import { estimateLimit, H_STEPS } from "./inspect.js";
+
+// tan u, sec u kutupları cos u = 0'da; cot u, csc u kutupları sin u = 0'da
+const POLE_GATE = { tan: "cos", sec: "cos", cot: "sin", csc: "sin" };
+// argümanının sıfırı tanım kümesinin ucu (ya da türevin kutbu) olan fonksiyonlar
+const ROOT_GATE = new Set(["log", "log10", "log2", "sqrt", "cbrt", "nthRoot"]);
+
+const constValue = (node) => {
+  try { return Number(node.compile().evaluate({})); } catch { return NaN; }
+};
+
+// Sıfırları tekillik adayı olan alt ifadeler ("kapılar")
+function gateNodes(node) {
+  const out = [];
+  node.traverse(n => {
+    if (n.isOperatorNode && n.fn === "divide") out.push(n.args[1]);
+    else if (n.isOperatorNode && n.fn === "pow") {
+      const e = constValue(n.args[1]);
+      if (!(Number.isInteger(e) && e >= 0)) out.push(n.args[0]);
+    } else if (n.isFunctionNode && n.args.length > 0) {
+      const name = n.fn.name;
+      if (POLE_GATE[name]) out.push(new math.FunctionNode(POLE_GATE[name], [n.args[0]]));
+      else if (ROOT_GATE.has(name)) out.push(n.args[0]);
+    }
+  });
+  return out;
+}
+
+function gateCodes(expr) {
+  const src = normalizeExpr(expr);
+  if (!src) return [];
+  let node;
+  try { node = math.parse(src); } catch { return []; }
+  const codes = new Map();
+  for (const g of gateNodes(node)) {
+    const key = g.toString();
+    if (codes.has(key)) continue;
+    try { codes.set(key, g.compile()); } catch { /* derlenemeyen kapı atlanır */ }
+  }
+  return [...codes.values()];
+}
+
+// Tanım başına (parçalıda satır başına) derlenmiş kapılar; yalnızca ifadeye bağlı, önbelleğe alınabilir
+export function singularityCodes({ expr, pieces }) {
+  return (pieces ? pieces.map(p => p.expr) : [expr]).map(gateCodes);
+}
+
+// Kökün yuvarlama artığı temizlenir: çok yakınında kapıyı en az aynı ölçüde sıfırlayan kısa ondalık ya da
+// π'nin küçük paydalı katı varsa o alınır (1/(x − 2)'nin kutbu 1.9999999999999964 değil 2)
+function snapRoot(gate, x) {
+  const tol = 1e-9 * Math.max(1, Math.abs(x));
+  const nice = [+x.toFixed(9), ...[1, 2, 3, 4, 6].map(q => Math.round(x * q / Math.PI) * Math.PI / q)];
+  return nice.find(v => v !== x && Math.abs(v - x) <= tol && !(Math.abs(gate(v)) > Math.abs(gate(x)))) ?? x;
+}
+
+// Görünür aralıktaki aday x'ler: kapıların kökleri (parçalıda yalnızca satırın geçerli olduğu
+// aralıklarda) ve kesim noktaları. c: bindFunction sonucu ({ regions, breakpoints }).
+// → [{ x, boundary }] artan; boundary: parçalı fonksiyonun kesim noktası
+export function singularCandidates(codes, c, scope, a, b, n = 400) {
+  const rows = codes.map(row => bindCodes(row, scope));
+  const spans = c.regions
+    ? c.regions.filter(r => r.row >= 0).map(r => ({ lo: Math.max(r.from, a), hi: Math.min(r.to, b), gates: rows[r.row] }))
+    : [{ lo: a, hi: b, gates: rows[0] ?? [] }];
+  const out = [];
+  for (const { lo, hi, gates } of spans) {
+    if (!(hi > lo)) continue;
+    const m = Math.max(16, Math.round(n * (hi - lo) / (b - a)));
+    for (const g of gates) out.push(...signChanges(g, lo, hi, m).map(p => ({ x: snapRoot(g, p.x), boundary: false })));
+  }
+  for (const bp of c.breakpoints ?? []) {
+    if (bp.x > a && bp.x < b) out.push({ x: bp.x, boundary: true });
+  }
+  const tol = (b - a) * 1e-9;
+  return out.sort((p, q) => p.x - q.x).filter((p, i, arr) => i === 0 || p.x - arr[i - 1].x > tol);
+}
+
+const same = (a, b) => Number.isFinite(a) && Number.isFinite(b) && Math.abs(a - b) <= 1e-6 * Math.max(1, Math.abs(a), Math.abs(b));
+
+// x'teki tekilliğin türü: "pole" (en az bir yanda ±∞: dikey asimptot), "jump", "removable" ya da
+// "edge" (bir yanda tanımsız, öbür yanda sonlu: tanım kümesinin ucu). Sürekliyse ya da limit yoksa null.
+// → { x, kind, left, right, value } — left/right: tek yönlü limitler (tanımsız yanda NaN)
+export function classifySingularity(fun, x) {
+  const w = Math.max(1, Math.abs(x));
+  const L = estimateLimit(H_STEPS.map(h => fun(x - h * w)));
+  const R = estimateLimit(H_STEPS.map(h => fun(x + h * w)));
+  const v = fun(x);
+  const mark = (kind) => ({ x, kind, left: L ?? NaN, right: R ?? NaN, value: v });
+  const sides = [L, R].filter(s => s !== undefined);
+  if (sides.some(s => s === Infinity || s === -Infinity)) return mark("pole");
+  if (sides.length === 0 || sides.some(Number.isNaN)) return null;
+  if (sides.length === 1) return mark("edge");
+  if (!same(L, R)) return mark("jump");
+  return same(v, L) ? null : mark("removable");
+}
+
+// Sayının kısa yazımı; π'nin küçük paydalı katları (tan kutupları) π ile yazılır
+const num = (v) => String(+v.toFixed(3));
+function xText(x) {
+  for (const q of [1, 2, 3, 4, 6]) {
+    const k = Math.round(x * q / Math.PI);
+    if (k === 0 || Math.abs(k * Math.PI / q - x) > 1e-9 * Math.max(1, Math.abs(x))) continue;
+    const p = Math.abs(k) === 1 ? "π" : `${Math.abs(k)}π`;
+    return `${k < 0 ? "-" : ""}${p}${q > 1 ? `/${q}` : ""}`;
+  }
+  return num(x);
+}
+export const verticalLabel = (x) => `x = ${xText(x)}`;
+
+// Yuvarlama artıklarını temizle: tam sayıya çok yakınsa tam sayı
+const snap = (v) => Math.abs(v - Math.round(v)) <= 1e-6 * Math.max(1, Math.abs(v)) ? Math.round(v) : v;
+export function lineLabel(m, b) {
+  if (m === 0) return `y = ${num(b)}`;
+  const slope = m === 1 ? "" : m === -1 ? "-" : num(m);
+  return b === 0 ? `y = ${slope}x` : `y = ${slope}x ${b < 0 ? "-" : "+"} ${num(Math.abs(b))}`;
+}
+
+// x → ±∞ için y = mx + b: eğim (f(2X) − f(X))/X, kesişim f(X) − mX; X = s·10³ … s·10⁶ boyunca
+// ikisi de oturmuşsa ve aradaki noktalarda fark 0'a gidiyorsa asimptot var (sin x gibi salınımlar,
+// √x, ln x gibi yavaş büyümeler ve floor(x) gibi basamaklar elenir).
+// → { left, right }, her biri { m, b, label } ya da null
+export function farAsymptotes(f, a, b) {
+  const s = Math.max(1, Math.abs(a), Math.abs(b));
+  const side = (sgn) => {
+    const est = [3, 4, 5, 6].map(k => {
+      const X = sgn * s * 10 ** k;
+      const m = (f(2 * X) - f(X)) / X;
+      return { m, b: f(X) - m * X };
+    });
+    if (est.some(e => !Number.isFinite(e.m) || !Number.isFinite(e.b))) return null;
+    const [, p, q, r] = est;
+    const settled = (key, tol) => Math.max(Math.abs(p[key] - q[key]), Math.abs(q[key] - r[key])) <= tol * Math.max(1, Math.abs(r[key]));
+    if (!settled("m", 1e-4) || !settled("b", 1e-3)) return null;
+    // X'ler yuvarlak sayılar olduğundan floor(x) gibi basamaklar da oturmuş görünür: aradaki noktalarda
+    // f − (mx + b) farkının |x| büyüdükçe küçülüp 0'a yaklaştığına da bakılır
+    const gaps = [4, 5, 6].map(k => {
+      const x = sgn * s * 10 ** k * Math.SQRT2;
+      return { x, d: Math.abs(f(x) - (r.m * x + r.b)) };
+    });
+    const noise = (x) => 1e-9 * Math.abs(x) * Math.max(1, Math.abs(r.m));
+    const shrinks = gaps.every((g, i) => Number.isFinite(g.d) && (i === 0 || g.d <= Math.max(gaps[i - 1].d, noise(g.x))));
+    if (!shrinks || gaps[2].d > 1e-3 * Math.max(1, Math.abs(r.b))) return null;
+    const m = Math.abs(r.m) < 1e-9 ? 0 : snap(r.m);
+    const c = Math.abs(r.b) < 1e-9 ? 0 : snap(r.b);
+    return { m, b: c, label: lineLabel(m, c) };
+  };
+  return { left: side(-1), right: side(1) };
+}
@@ -0,0 +1,73 @@
+import { math } from "./expr.js";
+
+// Türev kurallarının genel formülü (TeX); adları i18n kataloğunda rule.*
+export const RULES = {
+  constant:         { tex: "(c)' = 0" },
+  identity:         { tex: "(x)' = 1" },
+  sum:              { tex: "(u+v)' = u' + v'" },
+  difference:       { tex: "(u-v)' = u' - v'" },
+  negation:         { tex: "(-u)' = -u'" },
+  constantMultiple: { tex: "(c\\cdot u)' = c\\cdot u'" },
+  product:          { tex: "(u\\cdot v)' = u'\\cdot v + u\\cdot v'" },
+  quotient:         { tex: "\\left(\\frac{u}{v}\\right)' = \\frac{u'\\cdot v - u\\cdot v'}{v^2}" },
+  power:            { tex: "(x^n)' = n\\cdot x^{n-1}" },
+  powerChain:       { tex: "(u^n)' = n\\cdot u^{n-1}\\cdot u'" },
+  exponential:      { tex: "(a^u)' = a^u\\cdot\\ln a\\cdot u'" },
+  generalPower:     { tex: "(u^v)' = u^v\\left(v'\\ln u + \\frac{v\\cdot u'}{u}\\right)" },
+  elementary:       { tex: "" },
+  chain:            { tex: "(g(u))' = g'(u)\\cdot u'" },
+  other:            { tex: "" },
+};
+
+const dependsOnX = (node) => node.filter(n => n.isSymbolNode && n.name === "x").length > 0;
+const unwrap = (node) => node.isParenthesisNode ? unwrap(node.content) : node;
+
+function simplifiedDerivative(node) {
+  try { return math.simplify(math.derivative(node, "x")); } catch { return null; }
+}
+
+function ruleFor(node) {
+  if (!dependsOnX(node)) return { rule: "constant", parts: [] };
+  if (node.isSymbolNode) return { rule: "identity", parts: [] };
+  if (node.isOperatorNode) {
+    const [a, b] = node.args;
+    switch (node.fn) {
+      case "unaryPlus": return ruleFor(unwrap(a));
+      case "unaryMinus": return { rule: "negation", parts: [a] };
+      case "add": return { rule: "sum", parts: [a, b] };
+      case "subtract": return { rule: "difference", parts: [a, b] };
+      case "multiply":
+        if (!dependsOnX(a)) return { rule: "constantMultiple", parts: [b] };
+        if (!dependsOnX(b)) return { rule: "constantMultiple", parts: [a] };
+        return { rule: "product", parts: [a, b] };
+      case "divide":
+        if (!dependsOnX(b)) return { rule: "constantMultiple", parts: [a] };
+        return { rule: "quotient", parts: [a, b] };
+      case "pow": {
+        const base = unwrap(a);
+        if (!dependsOnX(b)) return base.isSymbolNode ? { rule: "power", parts: [] } : { rule: "powerChain", parts: [a] };
+        if (!dependsOnX(a)) return { rule: "exponential", parts: unwrap(b).isSymbolNode ? [] : [b] };
+        return { rule: "generalPower", parts: [a, b] };
+      }
+      default: return { rule: "other", parts: [] };
+    }
+  }
+  if (node.isFunctionNode) {
+    const xArgs = node.args.filter(dependsOnX);
+    if (xArgs.length === 1 && !unwrap(xArgs[0]).isSymbolNode) return { rule: "chain", parts: xArgs };
+    return { rule: "elementary", parts: [] };
+  }
+  return { rule: "other", parts: [] };
+}
+
+// Her alt ağaç için uygulanan kuralı ve sadeleştirilmiş türevini içeren adım ağacı
+export function derivativeSteps(node) {
+  const n = unwrap(node);
+  const { rule, parts } = ruleFor(n);
+  return {
+    rule,
+    node: n,
+    result: simplifiedDerivative(n),
+    children: parts.map(derivativeSteps),
+  };
+}
@@ -0,0 +1,68 @@
+// Eğrinin şeklinin sözlü özeti: ekran okuyucu için analizden (kökler, ekstremumlar, büküm, artan/azalan ve
+// bükeylik aralıkları), tanım kümesinden ve tekilliklerden (dikey / uzak asimptotlar) kısa cümleler.
+// Metinler t ile çevrilir.
+
+import { domainRuns } from "./analysis.js";
+
+const LIST_MAX = 5;
+const num = (v) => String(+v.toFixed(3));
+const point = (p) => `(${num(p.x)}, ${num(p.y)})`;
+
+function list(items, t) {
+  if (items.length <= LIST_MAX) return items.join(", ");
+  return t("summary.more", { list: items.slice(0, LIST_MAX).join(", "), n: items.length - LIST_MAX });
+}
+
+// Koşulu sağlayan komşu aralıklar aradaki nokta tanımlıysa birleşir (büküm noktası artan bir aralığı bölmez,
+// kutup böler), sonra tanım kümesinin parçalarıyla kesilir. table: değişim tablosu, intervals[i] points[i] ile
+// points[i + 1] arasında
+function spans({ points, intervals }, pick, runs) {
+  const out = [];
+  for (const [i, it] of intervals.entries()) {
+    if (!it.defined || !pick(it)) continue;
+    const last = out[out.length - 1];
+    if (last && last.to === it.from && points[i].defined) last.to = it.to;
+    else out.push({ from: it.from, to: it.to });
+  }
+  return out.flatMap(s => runs
+    .map(([p, q]) => [Math.max(s.from, p), Math.min(s.to, q)])
+    .filter(([p, q]) => q > p)
+    .map(([p, q]) => `(${num(p)}, ${num(q)})`));
+}
+
+// { f, analysis, range: [a, b], singular: [{ x, kind, label? }], asymptotes: { left, right } } → [cümle]
+export function describeCurve({ f, analysis, range, singular = [], asymptotes = null }, t) {
+  const [a, b] = range;
+  const lines = [t("summary.range", { a: num(a), b: num(b) })];
+  const runs = domainRuns(f, a, b);
+  if (!analysis || !runs.length) return [...lines, t("summary.none")];
+  const { zeros, extrema, inflections, table } = analysis;
+
+  const tol = (b - a) * 1e-6;
+  const gaps = [];
+  runs.forEach(([, q], i) => { const p = runs[i + 1]?.[0] ?? b; if (p - q > tol) gaps.push(`(${num(q)}, ${num(p)})`); });
+  if (runs[0][0] - a > tol) gaps.unshift(`(${num(a)}, ${num(runs[0][0])})`);
+
+  const add = (key, items) => { if (items.length) lines.push(t(key, { list: list(items, t) })); };
+  if (zeros.length) add("summary.zeros", zeros.map(p => `x = ${num(p.x)}`));
+  else lines.push(t("summary.noZeros"));
+  const ext = (kind) => extrema.filter(p => p.kind === kind).map(p => p.corner ? `${point(p)} ${t("summary.corner")}` : point(p));
+  add("summary.max", ext("max"));
+  add("summary.min", ext("min"));
+  add("summary.increasing", spans(table, it => it.d1 > 0, runs));
+  add("summary.decreasing", spans(table, it => it.d1 < 0, runs));
+  add("summary.concaveUp", spans(table, it => it.d2 > 0, runs));
+  add("summary.concaveDown", spans(table, it => it.d2 < 0, runs));
+  add("summary.inflections", inflections.map(point));
+  add("summary.undefined", gaps);
+  add("summary.vertical", singular.filter(s => s.kind === "pole").map(s => s.label ?? `x = ${num(s.x)}`));
+  if (asymptotes?.left) lines.push(t("summary.farLeft", { line: asymptotes.left.label }));
+  if (asymptotes?.right) lines.push(t("summary.farRight", { line: asymptotes.right.label }));
+  return lines;
+}
+
+// Klavyeyle gezerken canlı bölgede okunan satır
+export function describePoint({ name, f, df }, x, t) {
+  const val = (v) => Number.isFinite(v) ? num(v) : t("a11y.undefined");
+  return t("a11y.point", { name, x: num(x), y: val(f(x)), d: val(df ? df(x) : NaN) });
+}
@@ -0,0 +1,36 @@
+import { linspace } from "./numeric.js";
+import { drawScene, derivName } from "./plot.js";
+import { SvgContext } from "./svgContext.js";
+
+// Ekrandaki sahnenin vektörel kopyası; canvas ile aynı çizim rutinleri kullanılır
+export function sceneToSvg(scene, width, height) {
+  const ctx = new SvgContext(width, height);
+  ctx.fillStyle = "#fff"; ctx.fillRect(0, 0, width, height);
+  drawScene(ctx, { ...scene, width });
+  return ctx.toString();
+}
+
+const cell = (v) => Number.isFinite(v) ? String(v) : "";
+
+// Görünür eğriler için x, f(x), f'(x) sütunları; [xMin, xMax] üzerinde `samples` nokta.
+// Düzlem eğrisinde parametre, x, y ve türevleri; [tMin, tMax] üzerinde. Kapalı eğride görünür parçaların uçları.
+export function sceneToCsv(scene) {
+  const { xMin, xMax, samples, curves, plane, implicit } = scene;
+  if (implicit) {
+    const seg = implicit.points?.segments ?? [];
+    const rows = [];
+    for (let k = 0; k < seg.length; k += 4) rows.push([seg[k], seg[k + 1], seg[k + 2], seg[k + 3]].map(cell).join(","));
+    return ["x1,y1,x2,y2", ...rows].join("\n") + "\n";
+  }
+  if (plane) {
+    const { sym: v, fns } = plane;
+    const rows = linspace(plane.tMin, plane.tMax, samples).map(t =>
+      [t, fns.x(t), fns.y(t), fns.dx(t), fns.dy(t)].map(cell).join(","));
+    return [[v, "x", "y", `dx/d${v}`, `dy/d${v}`].join(","), ...rows].join("\n") + "\n";
+  }
+  const shown = curves.filter(c => c.visible && c.f);
+  const header = ["x", ...shown.flatMap(c => [`${c.name}(x)`, `${derivName(c.name, 1)}(x)`])];
+  const rows = linspace(xMin, xMax, samples).map(x =>
+    [cell(x), ...shown.flatMap(c => [cell(c.f(x)), cell(c.df ? c.df(x) : NaN)])].join(","));
+  return [header.join(","), ...rows].join("\n") + "\n";
+}
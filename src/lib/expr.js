@@ -0,0 +1,156 @@
+import { create, all } from "mathjs";
+import { readExpr, locateError } from "./notation.js";
+
+export const math = create(all, {});
+
+const isFunction = (name) => Object.hasOwn(math, name) && typeof math[name] === "function";
+
+// Kullanıcı yazımı (ln, log₁₀, |x|, 3sin x …) → math.js sözdizimi; ayrıntılar notation.js'te.
+// Her ifade metni bir kez buradan geçer; math.js'in ürettiği ifadeler exprText ile yine kullanıcı yazımına döner.
+export function normalizeExpr(raw) {
+  if (!raw || !raw.trim()) return "";
+  return readExpr(raw, isFunction).src;
+}
+// Düğüm → kullanıcı yazımında metin: math.js'in doğal logaritması log(u), burada ln(u) (log 10 tabanlıdır)
+export function exprText(node) {
+  return node.toString({
+    handler: (n, options) => n.isFunctionNode && n.fn.name === "log" && n.args.length === 1
+      ? `ln(${n.args[0].toString(options)})` : undefined,
+  });
+}
+// Yazılanın nasıl okunduğu: { tex } ya da girdideki konumuyla sözdizimi hatası { error: { message, pos } }; boşsa null
+export function previewExpr(raw) {
+  if (!raw || !raw.trim()) return null;
+  const read = readExpr(raw, isFunction);
+  if (read.error) return { error: read.error };
+  try {
+    return { tex: math.parse(read.src).toTex() };
+  } catch (err) {
+    return { error: locateError(err, read) };
+  }
+}
+// Derlenmiş koddan x → sayı fonksiyonu; scope serbest parametrelerin değerlerini taşır.
+// Düzlem eğrilerinde değişken t ya da theta olur.
+function evaluator(code, scope = {}, variable = "x") {
+  const s = { ...scope };
+  return (x) => {
+    try {
+      s[variable] = x;
+      const v = code.evaluate(s);
+      return Number.isFinite(v) ? v : NaN;
+    } catch { return NaN; }
+  };
+}
+function compileNode(node, scope, variable) {
+  return evaluator(node.compile(), scope, variable);
+}
+function numericDerivative(f, h0 = 1e-5) {
+  return (x) => {
+    const h = h0 * Math.max(1, Math.abs(x));
+    const y1 = f(x + h), y2 = f(x - h);
+    const d = (y1 - y2) / (2 * h);
+    return Number.isFinite(d) ? d : NaN;
+  };
+}
+export function compileExpression(expr, scope, variable = "x") {
+  const src = normalizeExpr(expr);
+  if (!src) return null;
+  try {
+    return compileNode(math.parse(src), scope, variable);
+  } catch { return null; }
+}
+// x ve y'ye bağlı ifade (kapalı eğriler, iki değişkenli fonksiyonlar): (x, y) → sayı
+export function compileXY(expr, scope = {}) {
+  const src = normalizeExpr(expr);
+  if (!src) return null;
+  let code;
+  try { code = math.parse(src).compile(); } catch { return null; }
+  const s = { ...scope };
+  return (x, y) => {
+    try {
+      s.x = x; s.y = y;
+      const v = code.evaluate(s);
+      return Number.isFinite(v) ? v : NaN;
+    } catch { return NaN; }
+  };
+}
+// Değişken(ler) (varsayılan x) dışındaki serbest semboller (a, b, k …); pi, e gibi sabitler ve fonksiyon adları hariç
+export function freeSymbols(expr, variable = "x") {
+  const vars = [].concat(variable);
+  const src = normalizeExpr(expr);
+  if (!src) return [];
+  let node;
+  try { node = math.parse(src); } catch { return []; }
+  const names = new Set();
+  node.traverse((n, path, parent) => {
+    if (!n.isSymbolNode || vars.includes(n.name)) return;
+    if (parent?.isFunctionNode && path === "fn") return;
+    if (n.name in math) return;
+    names.add(n.name);
+  });
+  return [...names];
+}
+// Sembolik türev düğümü; math.derivative başaramazsa null
+export function derivativeNode(expr) {
+  const src = normalizeExpr(expr);
+  if (!src) return null;
+  try { return math.derivative(src, "x"); } catch { return null; }
+}
+export function compileDerivative(expr, scope) {
+  const dnode = derivativeNode(expr);
+  if (dnode) return compileNode(dnode, scope);
+  const f = compileExpression(expr, scope);
+  if (!f) return null;
+  return numericDerivative(f);
+}
+// [f, f', f'', …] için derlenmiş kodlar — her mertebe bir öncekinin sembolik türevi,
+// math.derivative başaramadığı mertebeden itibaren null. Yalnızca ifadeye bağlıdır;
+// parametre değerleri değiştikçe bindDerivatives ile ucuzca yeniden bağlanır.
+export function derivativeCodes(expr, maxOrder) {
+  const src = normalizeExpr(expr);
+  if (!src) return [];
+  let node;
+  try { node = math.parse(src); } catch { return []; }
+  const codes = [];
+  for (let k = 0; k <= maxOrder; k++) {
+    if (k > 0 && node) {
+      try { node = math.derivative(node, "x"); } catch { node = null; }
+    }
+    try { codes.push(node ? node.compile() : null); } catch { codes.push(null); }
+  }
+  return codes[0] ? codes : [];
+}
+// Sembolik türev tanımsız (NaN) ama bir önceki mertebe tanımlıysa sayısal farka düşer: math.js negatif tabanın
+// kesirli kuvvetini karmaşık hesapladığından ∛x'in türevi x^(-2/3)/3, x < 0'da NaN çıkar. Köşe ve dikey teğette
+// (|x|, ∛x'in 0'ı) türev yoktur: iki yandan ya da iki adım boyunda fark bölümleri tutmuyorsa NaN kalır.
+function withNumericFallback(sym, prev, h0) {
+  const close = (a, b) => Math.abs(a - b) <= 1e-3 * Math.max(1, Math.abs(a), Math.abs(b));
+  return (x) => {
+    const v = sym(x);
+    if (!Number.isNaN(v)) return v;
+    const y = prev(x);
+    if (!Number.isFinite(y)) return NaN;
+    const h = h0 * Math.max(1, Math.abs(x));
+    const left = (y - prev(x - h)) / h, right = (prev(x + h) - y) / h;
+    const mid = 0.5 * (left + right), fine = (prev(x + h / 4) - prev(x - h / 4)) / (h / 2);
+    return close(left, right) && close(mid, fine) ? mid : NaN;
+  };
+}
+// Birbirinden bağımsız derlenmiş ifadeler (türev zinciri değil): her biri ayrı x → sayı fonksiyonu
+export function bindCodes(codes, scope) {
+  return codes.map(code => evaluator(code, scope));
+}
+
+// Sembolik kodu olmayan mertebeler sayısal farklara düşer (adım mertebeyle büyür)
+export function bindDerivatives(codes, scope) {
+  const out = [];
+  codes.forEach((code, k) => {
+    const h0 = Math.pow(10, k - 6);
+    if (!code) out.push(numericDerivative(out[k - 1], h0));
+    else out.push(k === 0 ? evaluator(code, scope) : withNumericFallback(evaluator(code, scope), out[k - 1], h0));
+  });
+  return out;
+}
+export function compileDerivatives(expr, maxOrder, scope) {
+  return bindDerivatives(derivativeCodes(expr, maxOrder), scope);
+}
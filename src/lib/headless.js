@@ -0,0 +1,130 @@
+// Tarayıcısız kullanım (çalışma kâğıdı üretimi, komut satırı): bir ifadenin analizi ve SVG grafiği.
+// Uygulamanın worker'da yaptığı örnekleme (sampleJob) ve ekran / dışa aktarma çizimi (drawPlot, drawCursor,
+// SvgContext) olduğu gibi kullanılır; React ya da DOM gerekmez.
+
+import { previewExpr, derivativeNode, exprText, freeSymbols } from "./expr.js";
+import { functionCodes, bindFunction, piecewiseExpr } from "./piecewise.js";
+import { sampleJob } from "./sampling.js";
+import { layoutPanels, drawPlot, drawCursor } from "./plot.js";
+import { SvgContext } from "./svgContext.js";
+import { lineLabel } from "./asymptotes.js";
+import { describeCurve } from "./describe.js";
+import { LANGS, translator, msg, msgError } from "./i18n.js";
+
+// name: eğrinin adı; x: görünür aralık; y: f panelinin sabit aralığı (yoksa otomatik); params: serbest
+// sembollerin değerleri (verilmeyenler 1); pieces: [{ cond, expr }] parçalı tanım (verilirse expr yok sayılır);
+// orders: çizilecek paneller (0 = f, 1 = f', …); tangents: teğet çizilecek x'ler; marks: kök / ekstremum / büküm;
+// lang: hata iletilerinin, grafik etiketlerinin ve sözlü özetin dili
+export const DEFAULT_OPTIONS = {
+  name: "f", x: [-10, 10], y: null, params: {}, pieces: null, orders: [0, 1], tangents: [], marks: true,
+  samples: 800, width: 800, panelHeight: 254, color: "#2563eb", lang: "tr",
+};
+const CURVE_ID = "f";
+const round = (v) => +v.toFixed(6);
+
+const isRange = (v) => Array.isArray(v) && v.length === 2 && v.every(Number.isFinite) && v[0] < v[1];
+const isNumbers = (v) => Array.isArray(v) && v.every(Number.isFinite);
+const isPlain = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+const shown = (v) => String(JSON.stringify(v));
+
+// Ayarlar doğrulanır, eğri bağlanır ve worker'daki iş burada eşzamanlı yapılır. Hatalı girdide msgError
+// fırlatır: err.message o.lang diline çevrilmiştir, err.msg çağırana kalır.
+function prepare(expr, options) {
+  const o = { ...DEFAULT_OPTIONS, ...options };
+  if (!Object.hasOwn(LANGS, o.lang)) throw msgError("headless.lang", { value: shown(o.lang), langs: Object.keys(LANGS).join(", ") });
+  const t = translator(o.lang);
+  const fail = (key, vars) => Object.assign(msgError(key, vars), { message: t(key, vars) });
+  if (typeof o.name !== "string") throw fail("headless.type", { key: "name", value: shown(o.name), type: msg("headless.string") });
+  if (o.pieces != null && !(Array.isArray(o.pieces) && o.pieces.every(p => isPlain(p) && typeof p.cond === "string" && typeof p.expr === "string"))) {
+    throw fail("headless.pieces");
+  }
+  const src = o.pieces ? piecewiseExpr(o.pieces) : String(expr ?? "");
+  if (!o.pieces) {
+    const view = previewExpr(src);
+    if (!view) throw fail("headless.empty");
+    if (view.error) throw fail("headless.parse", { pos: view.error.pos + 1, error: view.error.message });
+  }
+  if (!isRange(o.x)) throw fail("headless.range", { axis: "x", range: shown(o.x) });
+  const [xMin, xMax] = o.x;
+  if (o.y != null && !isRange(o.y)) throw fail("headless.range", { axis: "y", range: shown(o.y) });
+  for (const key of ["width", "panelHeight"]) {
+    const v = o[key];
+    if (typeof v !== "number" || !Number.isFinite(v) || v <= 0) throw fail("headless.positive", { key, value: shown(v) });
+  }
+  if (!isNumbers(o.tangents)) throw fail("headless.type", { key: "tangents", value: shown(o.tangents), type: msg("headless.numbers") });
+  if (typeof o.marks !== "boolean") throw fail("headless.type", { key: "marks", value: shown(o.marks), type: msg("headless.boolean") });
+  if (!isPlain(o.params) || !Object.values(o.params).every(Number.isFinite)) {
+    throw fail("headless.type", { key: "params", value: shown(o.params), type: msg("headless.params") });
+  }
+  const orders = Array.isArray(o.orders) ? [...new Set(o.orders)].filter(k => Number.isInteger(k) && k >= 0 && k <= 3).sort((a, b) => a - b) : [];
+  if (!orders.length) throw fail("headless.panels");
+  const scope = { ...Object.fromEntries(freeSymbols(src).map(n => [n, 1])), ...o.params };
+
+  const compiled = functionCodes({ expr: src, pieces: o.pieces }, Math.max(2, ...orders));
+  if (compiled.error) throw compiled.error.key ? fail(compiled.error.key, compiled.error.vars) : new Error(compiled.error);
+  const { ders, breakpoints, regions } = bindFunction(compiled, scope);
+  if (!ders[0]) throw fail("headless.unreadable");
+  const curve = {
+    id: CURVE_ID, name: o.name, expr: src, pieces: o.pieces, color: o.color, visible: true, showDerivative: true,
+    ders, breakpoints, regions, error: null, f: ders[0], df: ders[1] ?? null,
+  };
+  const sampled = sampleJob({
+    curves: [{ id: CURVE_ID, expr: src, pieces: o.pieces, orders }],
+    scope, xMin, xMax, samples: o.samples, analyzeId: CURVE_ID, inspectId: null,
+    antiderivative: null, taylor: null, plane: null, implicit: null, ode: null, surface: null,
+  });
+  return { o, t, orders, scope, curve, sampled, xMin, xMax };
+}
+
+// İfadenin görünür aralıktaki analizi (düz JSON): türevi, kökler, ekstremumlar, büküm noktaları, değişim tablosu,
+// asimptotlar, istenen x'lerdeki teğetler ve sözlü özet
+export function analyze(expr, options = {}) {
+  const { o, t, scope, curve, sampled, xMin, xMax } = prepare(expr, { ...options, orders: [0] });
+  const { zeros, extrema, inflections, table } = sampled.analysis;
+  const dnode = o.pieces ? null : derivativeNode(curve.expr);
+  const singular = sampled.curves[CURVE_ID]?.[0]?.singular ?? [];
+  const asymptotes = sampled.asymptotes[CURVE_ID];
+  return {
+    name: o.name,
+    expr: curve.expr,
+    derivative: dnode ? exprText(dnode) : null,
+    x: [xMin, xMax],
+    params: scope,
+    zeros: zeros.map(p => p.x),
+    extrema,
+    inflections,
+    table,
+    asymptotes: {
+      vertical: singular.filter(s => s.kind === "pole").map(s => ({ x: s.x, label: s.label })),
+      left: asymptotes?.left ?? null,
+      right: asymptotes?.right ?? null,
+    },
+    tangents: o.tangents.map(x => {
+      const y = curve.f(x), m = curve.df ? curve.df(x) : NaN;
+      const ok = Number.isFinite(y) && Number.isFinite(m);
+      return { x, y: Number.isFinite(y) ? y : null, slope: Number.isFinite(m) ? m : null, line: ok ? lineLabel(round(m), round(y - m * x)) : null };
+    }),
+    summary: describeCurve({ f: curve.f, analysis: sampled.analysis, range: [xMin, xMax], singular, asymptotes }, t),
+  };
+}
+
+// İfadenin grafiği SVG metni olarak: her mertebe için bir panel, analiz işaretleri ve istenen x'lerde teğetler.
+// Uygulamadaki dışa aktarılan SVG ile aynı görünür.
+export function render(expr, options = {}) {
+  const { o, t, orders, curve, sampled, xMin, xMax } = prepare(expr, options);
+  const layout = layoutPanels(orders.map(order => ({ order, visible: true })), o.panelHeight);
+  const ranges = [];
+  for (const order of orders) ranges[order] = sampled.ranges[order] ?? [-5, 5];
+  if (o.y) ranges[0] = o.y;
+  const last = layout[layout.length - 1];
+  const height = last.top + last.height;
+  const scene = {
+    layout, xMin, xMax, ranges, samples: o.samples, sampled, curves: [curve], tangentCurve: curve,
+    analysis: o.marks ? sampled.analysis : null, width: o.width, t,
+  };
+  const ctx = new SvgContext(o.width, height);
+  ctx.fillStyle = "#fff"; ctx.fillRect(0, 0, o.width, height);
+  drawPlot(ctx, scene);
+  for (const x of o.tangents.filter(x => x >= xMin && x <= xMax)) drawCursor(ctx, { ...scene, cursorX: x });
+  return ctx.toString();
+}
@@ -0,0 +1,735 @@
+// Arayüz metinleri: Türkçe ve İngilizce kataloglar. t(key, vars) {ad} yer tutucularını doldurur;
+// İngilizcede eksik anahtar Türkçeye, o da yoksa anahtarın kendisine düşer.
+
+export const LANGS = { tr: "Türkçe", en: "English" };
+
+const CATALOGS = {
+  tr: {
+    "app.title": "Türevli Fonksiyon Görselleştirici",
+    "app.subtitle": "Üst panel: fonksiyonlar • Alt paneller: f', f'', f''' • Üst panelde imleç teğeti",
+    "app.lang": "dil",
+    "curve.functions": "Fonksiyonlar",
+    "curve.curve": "Eğri",
+    "curve.mode": "eğri türü",
+    "mode.param": "parametrik",
+    "mode.polar": "kutupsal",
+    "mode.implicit": "kapalı F(x, y) = 0",
+    "mode.ode": "eğim alanı dy/dx = g(x, y)",
+    "mode.surface": "iki değişkenli z = f(x, y)",
+    "fn.piecewise": "parçalı",
+    "fn.piecewiseTitle": "parçalı fonksiyon editöründen",
+    "fn.placeholder": "ör. sin(x) + x^2/5",
+    "fn.visible": "göster",
+    "fn.derivative": "türev grafiği",
+    "fn.remove": "sil",
+    "fn.add": "+ fonksiyon",
+    "tool.tangent": "teğet",
+    "tool.analysis": "analiz",
+    "tool.integral": "integral",
+    "tool.newton": "Newton",
+    "tool.motion": "hareket",
+    "tool.selected": "seçili eğri",
+    "tangent.lock": "teğeti sabitle",
+    "tangent.secant": "kesen → teğet",
+    "tangent.taylor": "Taylor",
+    "tangent.step": "klavye adımı",
+    "view.samples": "örnek sayısı",
+    "view.panel": "{name}(x) paneli",
+    "view.lockY": "y aralığını sabitle",
+    "view.reset": "görünümü sıfırla",
+    "view.height": "panel yüksekliği",
+    "hint.fx": "Sürükle: kaydır • Tekerlek / iki parmak: yakınlaştır • Dokunmatikte tek parmak: teğeti gezdir • Klavyede ←/→: teğet adım adım",
+    "hint.implicit": "İmleci eğriye yaklaştır: teğeti gör • Sürükle: kaydır • Tekerlek / iki parmak: yakınlaştır",
+    "hint.ode": "Üst panele tıkla: o noktadan geçen çözüm • Sürükle: kaydır • Tekerlek / iki parmak: yakınlaştır",
+    "hint.surface": "Üst panele tıkla: kesit doğrusu o noktadan geçer • İmleç: ∇f ve yönlü türev • Sürükle: kaydır",
+    "hint.plane": "Noktayı sürükle: eğri boyunca taşı • Alt panelde sürükle: parametreyi seç • Tekerlek: yakınlaştır",
+    "canvas.label": "{name}(x) ve türevlerinin grafiği. ← ve → teğet noktasını adım kadar kaydırır, Shift ile on katı; Home ve End görünür aralığın uçlarına gider.",
+    "canvas.plain": "Grafik",
+    "pw.title": "Parçalı fonksiyon",
+    "pw.else": "else (boş bırak)",
+    "pw.cond": "koşul (ör. x<0)",
+    "pw.expr": "ifade (ör. -x)",
+    "pw.addRow": "+ satır",
+    "pw.apply": "{name}(x)’e uygula",
+    "tips.text": "İpuçları: |…| mutlak değer, ^ üs, ln doğal ve log 10 tabanlı logaritma; ondalık virgül de olur.",
+    "tips.examples": "Örnek:",
+    "expr.reading": "okunuşu:",
+    "expr.at": "{pos}. karakter:",
+    "a11y.point": "x = {x}; {name}(x) = {y}; {name}'(x) = {d}",
+    "a11y.undefined": "tanımsız",
+    "summary.title": "{name}(x) için sözlü özet",
+    "summary.range": "x, {a} ile {b} arasında.",
+    "summary.none": "Görünür aralıkta eğri çizilemiyor.",
+    "summary.zeros": "Kökler: {list}.",
+    "summary.noZeros": "Kök yok.",
+    "summary.max": "Yerel maksimum: {list}.",
+    "summary.min": "Yerel minimum: {list}.",
+    "summary.corner": "köşe",
+    "summary.inflections": "Büküm noktaları: {list}.",
+    "summary.increasing": "Artan: {list}.",
+    "summary.decreasing": "Azalan: {list}.",
+    "summary.concaveUp": "Yukarı bükük (∪): {list}.",
+    "summary.concaveDown": "Aşağı bükük (∩): {list}.",
+    "summary.undefined": "Tanımsız: {list}.",
+    "summary.vertical": "Dikey asimptot: {list}.",
+    "summary.farLeft": "x → −∞ iken asimptot {line}.",
+    "summary.farRight": "x → +∞ iken asimptot {line}.",
+    "summary.more": "{list} ve {n} tane daha",
+    "sound.title": "Sesle dinle",
+    "sound.hint": "Yükseklik değeri verir: yüksek ses büyük değer; soldan sağa x. Tanımsız yerler sessiz.",
+    "sound.play": "▶ dinle",
+    "sound.stop": "■ durdur",
+    "sound.which": "dinlenecek eğri",
+    "sound.both": "{f} ve {d} art arda",
+    "sound.seconds": "süre (sn)",
+    "sound.stepTone": "her adımda ton",
+    "sound.unsupported": "Bu tarayıcı Web Audio desteklemiyor.",
+    "app.locale": "tr-TR",
+    "plot.slope": "eğim",
+    "plot.max": "maks",
+    "plot.min": "min",
+    "plot.inflection": "büküm",
+    "plot.vertical": "dikey teğet",
+    "plot.noSlope": "dy/dx tanımsız",
+    "plot.verticalPoints": "dikey teğet (F_y = 0)",
+    "plot.singularPoints": "tekil nokta (∇F = 0)",
+    "plot.singularSlope": "tekil nokta: dy/dx tanımsız",
+    "plot.euler": "Euler (aynı adım)",
+    "plot.solution": "çözüm (RK4)",
+    "plot.solutionDerivative": "çözümün türevi y'(x) = g(x, y(x))",
+    "plot.undefined": "tanımsız",
+    "plot.sliceLine": "kesit doğrusu {line}",
+    "plot.levels": "{legend}  (seviye eğrileri, ∇f okları)",
+    "plot.planeSlice": "(teğet düzlemin kesiti)",
+    "plot.position": "konum s = {name}(t)",
+    "motion.event.turn": "yön değişir",
+    "motion.event.stop": "durur",
+    "motion.state.turn": "yön değiştiriyor",
+    "motion.state.stop": "duruyor",
+    "inspect.verdict.differentiable": "sürekli ve türevlenebilir",
+    "inspect.verdict.continuous": "sürekli, türev yok",
+    "inspect.verdict.corner": "köşe noktası",
+    "inspect.verdict.cusp": "sivri uç (cusp)",
+    "inspect.verdict.vertical": "dikey teğet",
+    "inspect.verdict.removable": "kaldırılabilir süreksizlik",
+    "inspect.verdict.jump": "sıçrama süreksizliği",
+    "inspect.verdict.infinite": "sonsuz süreksizlik",
+    "inspect.verdict.oscillating": "limit yok (salınım)",
+    "inspect.verdict.undefined": "x₀ civarında tanımsız",
+    "inspect.undefined": "tanımsız",
+    "inspect.none": "yok",
+    "inspect.limits": "Soldan limit: {left}, sağdan limit: {right}, f(x₀) = {value}.",
+    "inspect.onlyRight": "x₀'ın solunda f tanımsız; yalnızca sağdan bakılıyor.",
+    "inspect.onlyLeft": "x₀'ın sağında f tanımsız; yalnızca soldan bakılıyor.",
+    "inspect.infinite": "Tek yönlü limitlerden en az biri sonsuz: grafik x₀'da dikey asimptota yaklaşıyor.",
+    "inspect.oscillating": "h küçüldükçe değerler bir sayıya yaklaşmıyor: tek yönlü limitlerden biri yok.",
+    "inspect.jump": "Soldan ve sağdan limitler sonlu ama farklı: {size} büyüklüğünde sıçrama.",
+    "inspect.removableHole": "Limit var ama f(x₀) tanımsız: nokta tanımlanarak süreklilik sağlanabilir.",
+    "inspect.removableValue": "Limit var ama f(x₀) = {value} limitten farklı: nokta yeniden tanımlanarak süreklilik sağlanabilir.",
+    "inspect.continuousOneSided": "Tek yönlü limit f(x₀)'a eşit: tek yönden sürekli.",
+    "inspect.continuous": "L = R = f(x₀): f, x₀'da sürekli.",
+    "inspect.derivatives": "Soldan türev: {left}, sağdan türev: {right}.",
+    "inspect.noConvergence": "Fark bölümleri h → 0 iken yakınsamıyor: türev yok.",
+    "inspect.cusp": "İki yandan türevler zıt işaretli sonsuz: teğet iki yandan dikleşip sivri bir uç oluşuyor.",
+    "inspect.vertical": "Türev sonsuz (iki yanda aynı işaretli): teğet dikey, türev yok.",
+    "inspect.corner": "Soldan ve sağdan türevler farklı: grafik x₀'da kırılıyor, türev yok.",
+    "inspect.differentiable": "Türev var: f'(x₀) = {value}.",
+    "parse.extra": "fazladan {token}",
+    "parse.unclosed": "kapanmayan {token}",
+    "parse.noArgument": "{fn} için argüman eksik",
+    "parse.incomplete": "ifade yarım kaldı",
+    "parse.valueExpected": "burada bir sayı ya da ifade bekleniyordu",
+    "parse.closeExpected": "burada ) bekleniyordu",
+    "parse.operator": "beklenmeyen işaret {op}",
+    "parse.part": "beklenmeyen kısım \"{part}\"",
+    "parse.argumentType": "işlev bu argümanı kabul etmiyor",
+    "parse.syntax": "sözdizimi hatası",
+    "inspector.title": "Nokta incelemesi: {name}(x)",
+    "inspector.suspects": "İncelenecek noktalar (grafikte",
+    "inspector.hint": "Bir noktayı incelemek için teğeti sabitleyip x₀ gir ya da yukarıdaki noktalardan birini seç.",
+    "inspector.exact": "kesim noktası: limitler dallardan tam hesaplandı",
+    "analysis.title": "{name}(x) analizi — satıra tıkla: teğet o noktada sabitlenir",
+    "analysis.point": "nokta",
+    "analysis.zero": "kök",
+    "analysis.max": "yerel maksimum",
+    "analysis.min": "yerel minimum",
+    "analysis.corner": "köşe: türev yok",
+    "analysis.inflection": "büküm noktası",
+    "analysis.table": "Değişim tablosu",
+    "analysis.concavity": "eğrilik",
+    "play.play": "oynat",
+    "play.pause": "durdur",
+    "secant.title": "Kesenden teğete",
+    "secant.flip": "h'nin işaretini değiştir",
+    "secant.size": "|h| (log ölçek)",
+    "secant.hint": "Kesen için grafikte bir x₀ seç ya da teğeti sabitle.",
+    "taylor.taylor": "Taylor polinomu",
+    "taylor.maclaurin": "Maclaurin polinomu",
+    "taylor.computing": "yüksek mertebe türevler hesaplanıyor…",
+    "taylor.cut": "Sembolik türevler {order}. mertebeden sonra çok büyüdü; polinom en fazla {order}. mertebe.",
+    "taylor.hint": "Taylor için grafikte bir x₀ seç ya da teğeti sabitle; {name} ve türevleri x₀'da tanımlı olmalı.",
+    "taylor.toEdge": "görünür aralığın kenarına kadar",
+    "taylor.tooFar": "x₀'da bile {eps}'dan büyük",
+    "play.first": "başa dön",
+    "play.back": "bir adım geri",
+    "play.forward": "bir adım ileri",
+    "play.step": "adım {n} / {total}",
+    "root.newton": "Newton yöntemi",
+    "root.newtonHint": "teğetin x eksenini kestiği nokta",
+    "root.useCursor": "teğetin x₀'ı",
+    "root.hint": "Geçerli bir x₀ gir; {name} ve {name}' tanımlı olmalı.",
+    "root.error": "hata",
+    "root.compare": "Karşılaştırma — ikiye bölme [a, b] aralığında, kesen a ve b'den başlar",
+    "root.method": "yöntem",
+    "root.start": "başlangıç",
+    "root.steps": "adım",
+    "root.status": "durum",
+    "root.bisection": "ikiye bölme",
+    "root.secant": "kesen",
+    "root.status.converged": "yakınsadı",
+    "root.status.zeroDerivative": "türev sıfır: teğet yatay, x eksenini kesmiyor",
+    "root.status.diverged": "ıraksıyor: iterasyonlar sınırsız büyüyor",
+    "root.status.cycle": "döngüye girdi (periyot {period})",
+    "root.status.undefined": "fonksiyon ya da türevi iterasyon noktasında tanımsız",
+    "root.status.noSignChange": "f(a) ile f(b) aynı işaretli: aralıkta kök garanti değil",
+    "root.status.maxIter": "adım sınırında yakınsamadı",
+    "integral.title": "Belirli integral — {name}(x) panelinde sürükleyerek [a, b] aralığını seç",
+    "integral.divergent": "ıraksak ya da tanımsız",
+    "integral.method": "Riemann yöntemi",
+    "integral.noSum": "Riemann toplamı yok",
+    "integral.sum": "toplam",
+    "integral.panel": "{f} paneli",
+    "integral.symbolic": "sembolik",
+    "integral.numeric": "sayısal",
+    "riemann.left": "sol uç",
+    "riemann.right": "sağ uç",
+    "riemann.mid": "orta nokta",
+    "riemann.trap": "yamuk",
+    "export.title": "Dışa aktar",
+    "export.scale": "PNG ölçeği",
+    "library.title": "Kayıtlı grafikler",
+    "library.name": "ad (boşsa ifadeler)",
+    "library.save": "kaydet",
+    "library.copy": "bağlantıyı kopyala",
+    "library.export": "JSON dışa aktar",
+    "library.import": "JSON içe aktar",
+    "library.newName": "yeni ad",
+    "library.open": "aç",
+    "library.rename": "yeniden adlandır",
+    "library.imported": "{n} grafik içe aktarıldı.",
+    "library.copied": "Bağlantı panoya kopyalandı.",
+    "library.copyFailed": "Kopyalanamadı; adres çubuğundaki bağlantıyı paylaşabilirsin.",
+    "library.badJson": "Dosya geçerli bir JSON değil.",
+    "library.noList": "Dosyada grafik listesi bulunamadı.",
+    "library.unreadable": "Dosyadaki grafikler okunamadı.",
+    "practice.title": "Alıştırma",
+    "practice.topic": "konu",
+    "practice.allTopics": "tüm konular",
+    "practice.topic.poly": "polinom / kuvvet",
+    "practice.topic.chain": "zincir kuralı",
+    "practice.topic.product": "çarpım / bölüm",
+    "practice.topic.trig": "trigonometrik",
+    "practice.topic.explog": "üstel / logaritma",
+    "practice.level": "zorluk",
+    "practice.level.easy": "kolay",
+    "practice.level.medium": "orta",
+    "practice.level.hard": "zor",
+    "practice.next": "yeni soru",
+    "practice.start": "başla",
+    "practice.score": "doğru {solved} / {attempted} soru • {tries} deneme • seri {streak} (en iyi {best})",
+    "practice.placeholder": "türevi yaz, ör. 3x^2 + cos(x)",
+    "practice.answer": "cevap",
+    "practice.check": "kontrol et",
+    "practice.reveal": "cevabı göster",
+    "practice.plot": "ana grafikte aç",
+    "practice.verdict.correct": "Doğru!",
+    "practice.verdict.unsimplified": "Doğru, ama sadeleştirilebilir.",
+    "practice.verdict.wrong": "Yanlış.",
+    "practice.symbolic": "math.simplify ile sembolik olarak da aynı",
+    "practice.reading": "cevabın okunuşu:",
+    "practice.at": "x = {x} için doğru türev {expected}, cevabın {got}.",
+    "practice.graph": "doğru türev ve cevabın grafiği",
+    "practice.empty": "Önce türevi yaz.",
+    "practice.unreadableAt": "Cevap yorumlanamadı ({pos}. karakter: {error}).",
+    "practice.symbols": "Cevapta x dışında sembol var: {list}",
+    "practice.unreadable": "Cevap yorumlanamadı.",
+    "practice.hint.negated": "Cevap doğru türevin tam tersi işaretli: bir eksi işaretini gözden geçir.",
+    "practice.hint.multiple": "Cevap doğru türevin {k} katı: bir katsayıyı ya da iç türevi gözden geçir.",
+    "error.empty": "{what} boş.",
+    "error.syntax": "{what} yorumlanamadı. math.js sözdizimi kullan.",
+    "error.derivative": "Sembolik türev alınamadı.",
+    "error.equation": "Denklem",
+    "error.expression": "İfade",
+    "implicit.error.equals": "Denklemde tek bir = olmalı.",
+    "implicit.error.sides": "Denklemin iki yanı da dolu olmalı.",
+    "plane.error.mode": "Bilinmeyen eğri türü.",
+    "plane.error.both": "x(t) ve y(t) birlikte gerekli.",
+    "pw.error.unsupported": "{row}. satırın koşulu yalnızca x ile sabitlerin karşılaştırmasından oluşabilir (ör. x<1, 0<=x<2, x>0 and x<3).",
+    "pw.error.emptyCond": "{row}. satırın koşulu boş; yalnızca son satır koşulsuz olabilir.",
+    "pw.error.badCond": "{row}. satırın koşulu yorumlanamadı.",
+    "pw.error.badExpr": "{row}. satırdaki ifade yorumlanamadı.",
+    "pw.error.noRows": "Parçalı fonksiyonun en az bir satırı olmalı.",
+    "pw.otherwise": "aksi hâlde",
+    "ode.dir.both": "iki yöne",
+    "ode.dir.forward": "ileri (x artar)",
+    "ode.dir.backward": "geri (x azalır)",
+    "ode.placeholder": "ör. x - y",
+    "ode.step": "adım",
+    "ode.dir": "integrasyon yönü",
+    "ode.compare": "Euler ile karşılaştır",
+    "ode.hint": "Üst panelde bir noktaya tıkla: o noktadan geçen çözüm eğrisi çizilir.",
+    "ode.seeds": "başlangıç noktaları:",
+    "ode.removeSeed": "kaldır",
+    "ode.gap": "Euler ile en büyük fark {gap}",
+    "ode.clear": "temizle",
+    "surface.placeholder": "ör. sin(x) * cos(y)",
+    "surface.slice": "kesit doğrusu",
+    "surface.angle": "kesit açısı",
+    "surface.directional": "yönlü türev",
+    "surface.steepest": "u = (cos θ, sin θ), en hızlı artış ∇f yönünde: |∇f|",
+    "surface.plane": "teğet düzlem",
+    "surface.hint": "İmleci üst panelde gezdir: gradyan, yönlü türev ve teğet düzlem. Tıkla: kesit doğrusu o noktadan geçer.",
+    "implicit.equation": "denklem",
+    "implicit.placeholder": "ör. x^3 + y^3 = 6xy",
+    "implicit.singularSlope": "tanımsız: tekil nokta",
+    "implicit.singular": "tekil",
+    "implicit.hint": "İmleci eğriye yaklaştır: nokta eğriye oturur, teğeti çizilir.",
+    "implicit.visible": "görünür bölgede:",
+    "plane.zeroVelocity": "tanımsız: hız sıfır",
+    "plane.placeholder.r": "ör. 1 + cos(θ)",
+    "plane.placeholder.x": "ör. cos(t)",
+    "plane.placeholder.y": "ör. sin(2t)",
+    "plane.badRange": "aralık geçersiz",
+    "plane.fit": "eğriye sığdır",
+    "plane.velocity": "hız",
+    "motion.title": "Hareket: konum s(t) = {name}(t), hız v(t) = {name}'(t), ivme a(t) = {name}''(t); yatay eksen zamandır.",
+    "motion.time": "zaman t",
+    "motion.speed": "oynatma hızı",
+    "motion.faster": "hızlanıyor",
+    "motion.slower": "yavaşlıyor",
+    "motion.state.forward": "+ yönde ilerliyor",
+    "motion.state.backward": "− yönde ilerliyor",
+    "motion.displacement": "yer değiştirme",
+    "motion.distance": "alınan yol",
+    "motion.whole": "tüm aralıkta",
+    "motion.events": "v = 0 anları:",
+    "motion.noEvents": "Bu aralıkta parçacık durmuyor ve yön değiştirmiyor: alınan yol = |yer değiştirme|.",
+    "derivative.numeric": "{name}'(x) için sembolik biçim yok: türev sayısal olarak (merkezi fark) hesaplanıyor.",
+    "derivative.steps": "Adım adım türev",
+    "rule.constant": "Sabit",
+    "rule.identity": "Özdeşlik",
+    "rule.sum": "Toplam kuralı",
+    "rule.difference": "Fark kuralı",
+    "rule.negation": "Ters işaret",
+    "rule.constantMultiple": "Sabitle çarpım",
+    "rule.product": "Çarpım kuralı",
+    "rule.quotient": "Bölüm kuralı",
+    "rule.power": "Kuvvet kuralı",
+    "rule.powerChain": "Kuvvet + zincir kuralı",
+    "rule.exponential": "Üstel fonksiyon",
+    "rule.generalPower": "Logaritmik türev",
+    "rule.elementary": "Temel türev",
+    "rule.chain": "Zincir kuralı",
+    "rule.other": "Diğer",
+    "pw.note": "Kesim noktalarında {name}' ayrıca aşağıdaki tabloya göre tanımlıdır.",
+    "pw.continuity": "süreklilik",
+    "pw.differentiability": "türevlenebilirlik",
+    "pw.lock": "teğeti bu noktaya sabitle",
+    "pw.continuous": "sürekli",
+    "pw.discontinuous": "süreksiz",
+    "pw.differentiable": "türevlenebilir",
+    "pw.notDifferentiable": "türevlenemez",
+    "params.title": "Parametreler",
+    "headless.empty": "İfade boş.",
+    "headless.range": "{axis} aralığı a < b olan iki sonlu sayı olmalı: {range}",
+    "headless.positive": "{key} pozitif bir sayı olmalı: {value}",
+    "headless.panels": "En az bir panel (0 = f, 1 = f', …) gerekli.",
+    "headless.unreadable": "İfade yorumlanamadı.",
+    "headless.lang": "lang şunlardan biri olmalı: {langs} (verilen: {value})",
+    "headless.type": "{key} {type} olmalı: {value}",
+    "headless.string": "bir metin",
+    "headless.numbers": "sayılardan oluşan bir dizi",
+    "headless.boolean": "true ya da false",
+    "headless.params": "ad → sayı eşlemesi olan bir nesne",
+    "headless.pieces": "pieces, { cond, expr } metinlerinden oluşan bir dizi olmalı.",
+    "headless.parse": "{pos}. karakter: {error}",
+    "taylor.undefinedAt": "{order}. mertebe türev x₀'da tanımsız; polinom {last}. mertebede kesildi.",
+  },
+  en: {
+    "app.title": "Function & Derivative Visualizer",
+    "app.subtitle": "Top panel: functions • Lower panels: f', f'', f''' • Cursor on the top panel draws the tangent",
+    "app.lang": "language",
+    "curve.functions": "Functions",
+    "curve.curve": "Curve",
+    "curve.mode": "curve type",
+    "mode.param": "parametric",
+    "mode.polar": "polar",
+    "mode.implicit": "implicit F(x, y) = 0",
+    "mode.ode": "slope field dy/dx = g(x, y)",
+    "mode.surface": "two-variable z = f(x, y)",
+    "fn.piecewise": "piecewise",
+    "fn.piecewiseTitle": "from the piecewise editor",
+    "fn.placeholder": "e.g. sin(x) + x^2/5",
+    "fn.visible": "show",
+    "fn.derivative": "derivative plot",
+    "fn.remove": "remove",
+    "fn.add": "+ function",
+    "tool.tangent": "tangent",
+    "tool.analysis": "analysis",
+    "tool.integral": "integral",
+    "tool.newton": "Newton",
+    "tool.motion": "motion",
+    "tool.selected": "selected curve",
+    "tangent.lock": "lock tangent",
+    "tangent.secant": "secant → tangent",
+    "tangent.taylor": "Taylor",
+    "tangent.step": "keyboard step",
+    "view.samples": "samples",
+    "view.panel": "{name}(x) panel",
+    "view.lockY": "lock y range",
+    "view.reset": "reset view",
+    "view.height": "panel height",
+    "hint.fx": "Drag: pan • Wheel / two fingers: zoom • One finger on touch: move the tangent • ←/→ on the keyboard: step the tangent",
+    "hint.implicit": "Move the cursor near the curve to see the tangent • Drag: pan • Wheel / two fingers: zoom",
+    "hint.ode": "Click the top panel: solution through that point • Drag: pan • Wheel / two fingers: zoom",
+    "hint.surface": "Click the top panel: slice line passes through that point • Cursor: ∇f and directional derivative • Drag: pan",
+    "hint.plane": "Drag the point: move it along the curve • Drag in the lower panel: pick the parameter • Wheel: zoom",
+    "canvas.label": "Graph of {name}(x) and its derivatives. Left and right arrows move the tangent point by one step, ten steps with Shift; Home and End jump to the ends of the visible range.",
+    "canvas.plain": "Graph",
+    "pw.title": "Piecewise function",
+    "pw.else": "else (leave empty)",
+    "pw.cond": "condition (e.g. x<0)",
+    "pw.expr": "expression (e.g. -x)",
+    "pw.addRow": "+ row",
+    "pw.apply": "apply to {name}(x)",
+    "tips.text": "Tips: |…| absolute value, ^ power, ln natural and log base-10 logarithm; a decimal comma works too.",
+    "tips.examples": "Examples:",
+    "expr.reading": "read as:",
+    "expr.at": "character {pos}:",
+    "a11y.point": "x = {x}; {name}(x) = {y}; {name}'(x) = {d}",
+    "a11y.undefined": "undefined",
+    "summary.title": "Text summary of {name}(x)",
+    "summary.range": "x from {a} to {b}.",
+    "summary.none": "The curve cannot be drawn in the visible range.",
+    "summary.zeros": "Zeros: {list}.",
+    "summary.noZeros": "No zeros.",
+    "summary.max": "Local maximum: {list}.",
+    "summary.min": "Local minimum: {list}.",
+    "summary.corner": "corner",
+    "summary.inflections": "Inflection points: {list}.",
+    "summary.increasing": "Increasing on {list}.",
+    "summary.decreasing": "Decreasing on {list}.",
+    "summary.concaveUp": "Concave up (∪) on {list}.",
+    "summary.concaveDown": "Concave down (∩) on {list}.",
+    "summary.undefined": "Undefined on {list}.",
+    "summary.vertical": "Vertical asymptote: {list}.",
+    "summary.farLeft": "As x → −∞ the asymptote is {line}.",
+    "summary.farRight": "As x → +∞ the asymptote is {line}.",
+    "summary.more": "{list} and {n} more",
+    "sound.title": "Listen",
+    "sound.hint": "Pitch follows the value: higher pitch, larger value; x runs left to right. Undefined stretches are silent.",
+    "sound.play": "▶ play",
+    "sound.stop": "■ stop",
+    "sound.which": "curve to play",
+    "sound.both": "{f} then {d}",
+    "sound.seconds": "duration (s)",
+    "sound.stepTone": "tone on each step",
+    "sound.unsupported": "This browser does not support Web Audio.",
+    "app.locale": "en-US",
+    "plot.slope": "slope",
+    "plot.max": "max",
+    "plot.min": "min",
+    "plot.inflection": "inflection",
+    "plot.vertical": "vertical tangent",
+    "plot.noSlope": "dy/dx undefined",
+    "plot.verticalPoints": "vertical tangent (F_y = 0)",
+    "plot.singularPoints": "singular point (∇F = 0)",
+    "plot.singularSlope": "singular point: dy/dx undefined",
+    "plot.euler": "Euler (same step)",
+    "plot.solution": "solution (RK4)",
+    "plot.solutionDerivative": "derivative of the solution y'(x) = g(x, y(x))",
+    "plot.undefined": "undefined",
+    "plot.sliceLine": "slice line {line}",
+    "plot.levels": "{legend}  (level curves, ∇f arrows)",
+    "plot.planeSlice": "(slice of the tangent plane)",
+    "plot.position": "position s = {name}(t)",
+    "motion.event.turn": "turns",
+    "motion.event.stop": "stops",
+    "motion.state.turn": "turning",
+    "motion.state.stop": "stopped",
+    "inspect.verdict.differentiable": "continuous and differentiable",
+    "inspect.verdict.continuous": "continuous, not differentiable",
+    "inspect.verdict.corner": "corner",
+    "inspect.verdict.cusp": "cusp",
+    "inspect.verdict.vertical": "vertical tangent",
+    "inspect.verdict.removable": "removable discontinuity",
+    "inspect.verdict.jump": "jump discontinuity",
+    "inspect.verdict.infinite": "infinite discontinuity",
+    "inspect.verdict.oscillating": "no limit (oscillation)",
+    "inspect.verdict.undefined": "undefined near x₀",
+    "inspect.undefined": "undefined",
+    "inspect.none": "none",
+    "inspect.limits": "Left limit: {left}, right limit: {right}, f(x₀) = {value}.",
+    "inspect.onlyRight": "f is undefined left of x₀; only the right side is checked.",
+    "inspect.onlyLeft": "f is undefined right of x₀; only the left side is checked.",
+    "inspect.infinite": "At least one one-sided limit is infinite: the graph approaches a vertical asymptote at x₀.",
+    "inspect.oscillating": "The values do not approach a number as h shrinks: a one-sided limit does not exist.",
+    "inspect.jump": "The left and right limits are finite but differ: a jump of size {size}.",
+    "inspect.removableHole": "The limit exists but f(x₀) is undefined: defining the point makes f continuous.",
+    "inspect.removableValue": "The limit exists but f(x₀) = {value} differs from it: redefining the point makes f continuous.",
+    "inspect.continuousOneSided": "The one-sided limit equals f(x₀): continuous from one side.",
+    "inspect.continuous": "L = R = f(x₀): f is continuous at x₀.",
+    "inspect.derivatives": "Left derivative: {left}, right derivative: {right}.",
+    "inspect.noConvergence": "The difference quotients do not converge as h → 0: no derivative.",
+    "inspect.cusp": "The one-sided derivatives are infinite with opposite signs: the tangent turns vertical from both sides and forms a cusp.",
+    "inspect.vertical": "The derivative is infinite with the same sign on both sides: vertical tangent, no derivative.",
+    "inspect.corner": "The left and right derivatives differ: the graph bends sharply at x₀, no derivative.",
+    "inspect.differentiable": "The derivative exists: f'(x₀) = {value}.",
+    "parse.extra": "unexpected {token}",
+    "parse.unclosed": "unclosed {token}",
+    "parse.noArgument": "missing argument for {fn}",
+    "parse.incomplete": "the expression is incomplete",
+    "parse.valueExpected": "a number or expression was expected here",
+    "parse.closeExpected": ") was expected here",
+    "parse.operator": "unexpected operator {op}",
+    "parse.part": "unexpected part \"{part}\"",
+    "parse.argumentType": "the function does not accept this argument",
+    "parse.syntax": "syntax error",
+    "inspector.title": "Point inspection: {name}(x)",
+    "inspector.suspects": "Points worth inspecting (marked on the graph with",
+    "inspector.hint": "To inspect a point, lock the tangent and enter x₀, or pick one of the points above.",
+    "inspector.exact": "breakpoint: limits computed exactly from the branches",
+    "analysis.title": "Analysis of {name}(x) — click a row to lock the tangent there",
+    "analysis.point": "point",
+    "analysis.zero": "zero",
+    "analysis.max": "local maximum",
+    "analysis.min": "local minimum",
+    "analysis.corner": "corner: no derivative",
+    "analysis.inflection": "inflection point",
+    "analysis.table": "Sign chart",
+    "analysis.concavity": "concavity",
+    "play.play": "play",
+    "play.pause": "pause",
+    "secant.title": "From secant to tangent",
+    "secant.flip": "flip the sign of h",
+    "secant.size": "|h| (log scale)",
+    "secant.hint": "Pick an x₀ on the graph or lock the tangent to draw the secant.",
+    "taylor.taylor": "Taylor polynomial",
+    "taylor.maclaurin": "Maclaurin polynomial",
+    "taylor.computing": "computing higher derivatives…",
+    "taylor.cut": "The symbolic derivatives grew too large after order {order}; the polynomial stops at order {order}.",
+    "taylor.hint": "Pick an x₀ on the graph or lock the tangent; {name} and its derivatives must be defined at x₀.",
+    "taylor.toEdge": "up to the edge of the visible range",
+    "taylor.tooFar": "exceeds {eps} even at x₀",
+    "play.first": "back to start",
+    "play.back": "one step back",
+    "play.forward": "one step forward",
+    "play.step": "step {n} / {total}",
+    "root.newton": "Newton's method",
+    "root.newtonHint": "where the tangent crosses the x-axis",
+    "root.useCursor": "tangent's x₀",
+    "root.hint": "Enter a valid x₀; {name} and {name}' must be defined.",
+    "root.error": "error",
+    "root.compare": "Comparison — bisection works on [a, b], the secant method starts from a and b",
+    "root.method": "method",
+    "root.start": "start",
+    "root.steps": "steps",
+    "root.status": "status",
+    "root.bisection": "bisection",
+    "root.secant": "secant",
+    "root.status.converged": "converged",
+    "root.status.zeroDerivative": "zero derivative: the tangent is horizontal and never meets the x-axis",
+    "root.status.diverged": "diverges: the iterates grow without bound",
+    "root.status.cycle": "entered a cycle (period {period})",
+    "root.status.undefined": "the function or its derivative is undefined at an iterate",
+    "root.status.noSignChange": "f(a) and f(b) have the same sign: a root in the interval is not guaranteed",
+    "root.status.maxIter": "did not converge within the step limit",
+    "integral.title": "Definite integral — drag on the {name}(x) panel to pick [a, b]",
+    "integral.divergent": "divergent or undefined",
+    "integral.method": "Riemann method",
+    "integral.noSum": "no Riemann sum",
+    "integral.sum": "sum",
+    "integral.panel": "{f} panel",
+    "integral.symbolic": "symbolic",
+    "integral.numeric": "numeric",
+    "riemann.left": "left endpoint",
+    "riemann.right": "right endpoint",
+    "riemann.mid": "midpoint",
+    "riemann.trap": "trapezoid",
+    "export.title": "Export",
+    "export.scale": "PNG scale",
+    "library.title": "Saved graphs",
+    "library.name": "name (defaults to the expressions)",
+    "library.save": "save",
+    "library.copy": "copy link",
+    "library.export": "export JSON",
+    "library.import": "import JSON",
+    "library.newName": "new name",
+    "library.open": "open",
+    "library.rename": "rename",
+    "library.imported": "Imported {n} graphs.",
+    "library.copied": "Link copied to the clipboard.",
+    "library.copyFailed": "Could not copy; share the link in the address bar instead.",
+    "library.badJson": "The file is not valid JSON.",
+    "library.noList": "No list of graphs was found in the file.",
+    "library.unreadable": "The graphs in the file could not be read.",
+    "practice.title": "Practice",
+    "practice.topic": "topic",
+    "practice.allTopics": "all topics",
+    "practice.topic.poly": "polynomial / power",
+    "practice.topic.chain": "chain rule",
+    "practice.topic.product": "product / quotient",
+    "practice.topic.trig": "trigonometric",
+    "practice.topic.explog": "exponential / logarithm",
+    "practice.level": "difficulty",
+    "practice.level.easy": "easy",
+    "practice.level.medium": "medium",
+    "practice.level.hard": "hard",
+    "practice.next": "new question",
+    "practice.start": "start",
+    "practice.score": "correct {solved} / {attempted} questions • {tries} tries • streak {streak} (best {best})",
+    "practice.placeholder": "type the derivative, e.g. 3x^2 + cos(x)",
+    "practice.answer": "answer",
+    "practice.check": "check",
+    "practice.reveal": "show answer",
+    "practice.plot": "open in the main graph",
+    "practice.verdict.correct": "Correct!",
+    "practice.verdict.unsimplified": "Correct, but it can be simplified.",
+    "practice.verdict.wrong": "Wrong.",
+    "practice.symbolic": "also equal symbolically by math.simplify",
+    "practice.reading": "your answer reads as:",
+    "practice.at": "At x = {x} the derivative is {expected}, your answer gives {got}.",
+    "practice.graph": "graph of the correct derivative and your answer",
+    "practice.empty": "Type the derivative first.",
+    "practice.unreadableAt": "The answer could not be read (character {pos}: {error}).",
+    "practice.symbols": "The answer uses symbols other than x: {list}",
+    "practice.unreadable": "The answer could not be read.",
+    "practice.hint.negated": "Your answer is the negative of the derivative: check a minus sign.",
+    "practice.hint.multiple": "Your answer is {k} times the derivative: check a coefficient or the inner derivative.",
+    "error.empty": "{what} is empty.",
+    "error.syntax": "{what} could not be read. Use math.js syntax.",
+    "error.derivative": "The symbolic derivative could not be taken.",
+    "error.equation": "The equation",
+    "error.expression": "The expression",
+    "implicit.error.equals": "The equation must contain exactly one =.",
+    "implicit.error.sides": "Both sides of the equation must be filled in.",
+    "plane.error.mode": "Unknown curve type.",
+    "plane.error.both": "x(t) and y(t) are both required.",
+    "pw.error.unsupported": "The condition in row {row} may only compare x with constants (e.g. x<1, 0<=x<2, x>0 and x<3).",
+    "pw.error.emptyCond": "The condition in row {row} is empty; only the last row may have no condition.",
+    "pw.error.badCond": "The condition in row {row} could not be read.",
+    "pw.error.badExpr": "The expression in row {row} could not be read.",
+    "pw.error.noRows": "A piecewise function needs at least one row.",
+    "pw.otherwise": "otherwise",
+    "ode.dir.both": "both ways",
+    "ode.dir.forward": "forward (x increases)",
+    "ode.dir.backward": "backward (x decreases)",
+    "ode.placeholder": "e.g. x - y",
+    "ode.step": "step",
+    "ode.dir": "integration direction",
+    "ode.compare": "compare with Euler",
+    "ode.hint": "Click a point on the top panel to draw the solution through it.",
+    "ode.seeds": "initial points:",
+    "ode.removeSeed": "remove",
+    "ode.gap": "largest gap from Euler {gap}",
+    "ode.clear": "clear",
+    "surface.placeholder": "e.g. sin(x) * cos(y)",
+    "surface.slice": "slice line",
+    "surface.angle": "slice angle",
+    "surface.directional": "directional derivative",
+    "surface.steepest": "u = (cos θ, sin θ); the steepest ascent is along ∇f: |∇f|",
+    "surface.plane": "tangent plane",
+    "surface.hint": "Move the cursor over the top panel for the gradient, directional derivative and tangent plane. Click to pass the slice line through that point.",
+    "implicit.equation": "equation",
+    "implicit.placeholder": "e.g. x^3 + y^3 = 6xy",
+    "implicit.singularSlope": "undefined: singular point",
+    "implicit.singular": "singular",
+    "implicit.hint": "Move the cursor near the curve: the point snaps onto it and its tangent is drawn.",
+    "implicit.visible": "in view:",
+    "plane.zeroVelocity": "undefined: zero velocity",
+    "plane.placeholder.r": "e.g. 1 + cos(θ)",
+    "plane.placeholder.x": "e.g. cos(t)",
+    "plane.placeholder.y": "e.g. sin(2t)",
+    "plane.badRange": "invalid range",
+    "plane.fit": "fit to curve",
+    "plane.velocity": "velocity",
+    "motion.title": "Motion: position s(t) = {name}(t), velocity v(t) = {name}'(t), acceleration a(t) = {name}''(t); the horizontal axis is time.",
+    "motion.time": "time t",
+    "motion.speed": "playback speed",
+    "motion.faster": "speeding up",
+    "motion.slower": "slowing down",
+    "motion.state.forward": "moving in the + direction",
+    "motion.state.backward": "moving in the − direction",
+    "motion.displacement": "displacement",
+    "motion.distance": "distance travelled",
+    "motion.whole": "over the whole range",
+    "motion.events": "moments with v = 0:",
+    "motion.noEvents": "The particle neither stops nor turns in this range: distance travelled = |displacement|.",
+    "derivative.numeric": "No symbolic form for {name}'(x): the derivative is computed numerically (central difference).",
+    "derivative.steps": "Step-by-step derivative",
+    "rule.constant": "Constant",
+    "rule.identity": "Identity",
+    "rule.sum": "Sum rule",
+    "rule.difference": "Difference rule",
+    "rule.negation": "Negation",
+    "rule.constantMultiple": "Constant multiple",
+    "rule.product": "Product rule",
+    "rule.quotient": "Quotient rule",
+    "rule.power": "Power rule",
+    "rule.powerChain": "Power + chain rule",
+    "rule.exponential": "Exponential function",
+    "rule.generalPower": "Logarithmic differentiation",
+    "rule.elementary": "Elementary derivative",
+    "rule.chain": "Chain rule",
+    "rule.other": "Other",
+    "pw.note": "At the breakpoints {name}' is given by the table below.",
+    "pw.continuity": "continuity",
+    "pw.differentiability": "differentiability",
+    "pw.lock": "lock the tangent at this point",
+    "pw.continuous": "continuous",
+    "pw.discontinuous": "discontinuous",
+    "pw.differentiable": "differentiable",
+    "pw.notDifferentiable": "not differentiable",
+    "params.title": "Parameters",
+    "headless.empty": "The expression is empty.",
+    "headless.range": "The {axis} range must be two finite numbers a < b: {range}",
+    "headless.positive": "{key} must be a positive number: {value}",
+    "headless.panels": "At least one panel (0 = f, 1 = f', …) is required.",
+    "headless.unreadable": "The expression could not be read.",
+    "headless.lang": "lang must be one of {langs} (got {value})",
+    "headless.type": "{key} must be {type}: {value}",
+    "headless.string": "a string",
+    "headless.numbers": "an array of numbers",
+    "headless.boolean": "true or false",
+    "headless.params": "an object mapping names to numbers",
+    "headless.pieces": "pieces must be an array of { cond, expr } strings.",
+    "headless.parse": "character {pos}: {error}",
+    "taylor.undefinedAt": "The derivative of order {order} is undefined at x₀; the polynomial stops at order {last}.",
+  },
+};
+
+// Çerçevesiz modüllerin (ve worker'ın) kullanıcıya dönük metinleri: anahtar ve yer tutucular taşınır,
+// arayüz kendi diliyle t ile çevirir. vars içinde de msg olabilir.
+export const msg = (key, vars) => ({ key, vars });
+const isMsg = (v) => v != null && typeof v === "object" && typeof v.key === "string";
+
+// Türkçe iletili Error; err.msg arayüzde çevrilir
+export function msgError(key, vars) {
+  const err = new Error(translator("tr")(key, vars));
+  err.msg = msg(key, vars);
+  return err;
+}
+
+// lang için çevirici: (key, vars) → metin; key bir msg da olabilir
+export function translator(lang) {
+  const catalog = CATALOGS[lang] ?? CATALOGS.tr;
+  const t = (key, vars) => {
+    if (isMsg(key)) return t(key.key, key.vars);
+    const text = catalog[key] ?? CATALOGS.tr[key] ?? key;
+    return vars ? text.replace(/\{(\w+)\}/g, (m, k) => {
+      const v = vars[k];
+      return v == null ? m : isMsg(v) ? t(v) : v;
+    }) : text;
+  };
+  return t;
+}
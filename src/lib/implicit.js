@@ -0,0 +1,203 @@
+// Kapalı eğriler F(x, y) = 0: "sol = sağ" denklemi F = sol − (sağ) olur. Eğri görünür bölgede
+// marching squares ile izlenir; kapalı türev dy/dx = −Fₓ / F_y, iki kısmi türev math.derivative ile.
+
+import { math, normalizeExpr, exprText, compileXY } from "./expr.js";
+import { msg } from "./i18n.js";
+
+const SIMPLIFY_MAX_NODES = 200;
+const size = (node) => node.filter(() => true).length;
+
+// "6xy" math.js'te 6 · xy (tek sembol) okunur; yalnız x ve y harflerinden oluşan semboller çarpıma açılır
+export function splitXY(node) {
+  return node.transform(n => {
+    if (!n.isSymbolNode || !/^[xy]{2,}$/.test(n.name)) return n;
+    const factors = [...n.name].map(c => new math.SymbolNode(c));
+    return factors.reduce((p, q) => new math.OperatorNode("*", "multiply", [p, q], true));
+  });
+}
+
+// Tek "=" denklemi böler; "==", "<=", ">=", "!=" karşılaştırmadır, bölmez. Eşitlik yoksa ifade = 0
+function equationSides(eq) {
+  const parts = (eq ?? "").split(/(?<![<>=!])=(?!=)/);
+  if (parts.length > 2) return null;
+  return parts.map(normalizeExpr);
+}
+
+// eq: "x^2 + y^2 = 4" → { exprs, tex } ya da { error } (error: msg). exprs/tex: { F, Fx, Fy, dydx }
+export function implicitCodes(eq) {
+  const sides = equationSides(eq);
+  if (!sides) return { error: msg("implicit.error.equals") };
+  if (sides.some(s => !s)) return { error: msg("implicit.error.sides") };
+  let F;
+  try {
+    const [lhs, rhs] = sides.map(s => splitXY(math.parse(s)));
+    F = rhs ? new math.OperatorNode("-", "subtract", [lhs, new math.ParenthesisNode(rhs)]) : lhs;
+  } catch {
+    return { error: msg("error.syntax", { what: msg("error.equation") }) };
+  }
+  const nodes = { F };
+  try {
+    nodes.Fx = math.derivative(F, "x");
+    nodes.Fy = math.derivative(F, "y");
+  } catch {
+    return { error: msg("error.derivative") };
+  }
+  const q = new math.OperatorNode("-", "unaryMinus", [new math.OperatorNode("/", "divide", [nodes.Fx, nodes.Fy])]);
+  try { nodes.dydx = size(q) <= SIMPLIFY_MAX_NODES ? math.simplify(q) : q; } catch { nodes.dydx = q; }
+  const map = (fn) => Object.fromEntries(Object.entries(nodes).map(([k, n]) => [k, fn(n)]));
+  return { exprs: map(exprText), tex: map(n => n.toTex()) };
+}
+
+// (x, y) → sayı fonksiyonları; eğim sadeleşmiş ifadeden değil, iki kısmi türevin oranından
+export function bindImplicit(codes, scope) {
+  if (!codes?.exprs) return null;
+  const F = compileXY(codes.exprs.F, scope);
+  const Fx = compileXY(codes.exprs.Fx, scope);
+  const Fy = compileXY(codes.exprs.Fy, scope);
+  if (!F || !Fx || !Fy) return null;
+  return { F, Fx, Fy };
+}
+
+// dy/dx = −Fₓ/F_y; F_y yuvarlama düzeyinde sıfırsa dikey teğet, gradyan (yuvarlama düzeyinde) sıfırsa tekil nokta
+// → { kind: "slope" | "vertical" | "singular", m }
+export function implicitSlope(fx, fy) {
+  const g = Math.hypot(fx, fy);
+  if (!Number.isFinite(g) || g <= 1e-10) return { kind: "singular", m: NaN };
+  if (Math.abs(fy) <= 1e-9 * g) return { kind: "vertical", m: NaN };
+  return { kind: "slope", m: -fx / fy };
+}
+
+// F'nin (nx + 1) × (ny + 1) ızgara düğümlerindeki değerleri, satır satır (y artarak)
+export function nodeValues(F, xMin, xMax, yMin, yMax, nx, ny) {
+  const hx = (xMax - xMin) / nx, hy = (yMax - yMin) / ny;
+  const v = new Float64Array((nx + 1) * (ny + 1));
+  for (let j = 0; j <= ny; j++) {
+    for (let i = 0; i <= nx; i++) v[j * (nx + 1) + i] = F(xMin + i * hx, yMin + j * hy);
+  }
+  return v;
+}
+
+// Marching squares: nx × ny hücrelik ızgarada F'nin işaret değiştirdiği kenarlar birkaç regula falsi
+// adımıyla kesilir. Hücre başına 0–2 parça; eyer hücrelerinde merkez değeri hangi köşelerin
+// birleşeceğini seçer. Kutupta (F'nin sonsuzdan işaret değiştirmesi, ör. y = tan x) |F| adımlarla
+// küçülmez; böyle kesişimler atılır, sahte dikey parçalar çizilmez.
+// values: F'nin düğüm değerleri önceden hesaplandıysa ((nx + 1) × (ny + 1), satır satır); yoksa burada hesaplanır.
+// → Float64Array [x1, y1, x2, y2, …]
+// [0, 1] kenarında g(0) = a, g(1) = b zıt işaretliyken kök (Illinois regula falsi); kutupsa null
+function edgeRoot(g, a, b, iters = 4) {
+  const scale = Math.max(Math.abs(a), Math.abs(b));
+  let lo = 0, hi = 1, fl = a, fh = b, s = 0, side = 0;
+  for (let k = 0; k < iters; k++) {
+    s = (lo * fh - hi * fl) / (fh - fl);
+    const fs = g(s);
+    if (!Number.isFinite(fs)) return null;
+    if (Math.abs(fs) <= 1e-9 * scale) return s;
+    if (fs * fl > 0) { lo = s; fl = fs; if (side === -1) fh /= 2; side = -1; }
+    else { hi = s; fh = fs; if (side === 1) fl /= 2; side = 1; }
+  }
+  return Math.min(Math.abs(fl), Math.abs(fh)) <= 1e-2 * scale ? s : null;
+}
+
+export function marchingSquares(F, xMin, xMax, yMin, yMax, nx, ny, values = null) {
+  const hx = (xMax - xMin) / nx, hy = (yMax - yMin) / ny;
+  const v = values ?? nodeValues(F, xMin, xMax, yMin, yMax, nx, ny);
+  const out = [];
+  const at = (i, j) => v[j * (nx + 1) + i];
+  for (let j = 0; j < ny; j++) {
+    for (let i = 0; i < nx; i++) {
+      // köşeler saat yönünün tersine: 0 (i, j), 1 (i+1, j), 2 (i+1, j+1), 3 (i, j+1)
+      const c = [at(i, j), at(i + 1, j), at(i + 1, j + 1), at(i, j + 1)];
+      if (c.some(q => !Number.isFinite(q))) continue;
+      const pos = c.map(q => q > 0);
+      if (pos.every(p => p === pos[0])) continue;
+      const x0 = xMin + i * hx, y0 = yMin + j * hy;
+      const corner = [[x0, y0], [x0 + hx, y0], [x0 + hx, y0 + hy], [x0, y0 + hy]];
+      // kenar e: köşe e ile e+1 arası
+      const cross = (e) => {
+        const a = c[e], b = c[(e + 1) % 4];
+        if (pos[e] === pos[(e + 1) % 4]) return null;
+        const [ax, ay] = corner[e], [bx, by] = corner[(e + 1) % 4];
+        const s = edgeRoot((u) => F(ax + u * (bx - ax), ay + u * (by - ay)), a, b);
+        return s == null ? null : [ax + s * (bx - ax), ay + s * (by - ay)];
+      };
+      const edges = [0, 1, 2, 3].filter(e => pos[e] !== pos[(e + 1) % 4]);
+      let pairs;
+      if (edges.length === 2) pairs = [edges];
+      else {
+        // eyer: merkez köşe 0 ile aynı işaretliyse 0 ve 2 ayrı kalır
+        const center = F(x0 + hx / 2, y0 + hy / 2) > 0 === pos[0];
+        pairs = center ? [[0, 1], [2, 3]] : [[3, 0], [1, 2]];
+      }
+      for (const [e1, e2] of pairs) {
+        const p = cross(e1), q = cross(e2);
+        if (p && q) out.push(p[0], p[1], q[0], q[1]);
+      }
+    }
+  }
+  return Float64Array.from(out);
+}
+
+// Gradyan doğrultusunda Newton adımlarıyla F = 0'a izdüşüm: p ← p − F ∇F / |∇F|²
+export function projectToCurve(fns, x, y, iters = 8) {
+  for (let k = 0; k < iters; k++) {
+    const f = fns.F(x, y), gx = fns.Fx(x, y), gy = fns.Fy(x, y);
+    const g2 = gx * gx + gy * gy;
+    if (!Number.isFinite(f) || !Number.isFinite(g2) || g2 === 0) return null;
+    if (f === 0) break;
+    x -= f * gx / g2;
+    y -= f * gy / g2;
+  }
+  return Number.isFinite(x) && Number.isFinite(y) ? [x, y] : null;
+}
+
+// g₁ = g₂ = 0 sisteminde Newton; Jacobian merkezi farklarla (h: ızgara hücresi ölçeğinde)
+function newton2(g1, g2, x, y, h, iters = 12) {
+  for (let k = 0; k < iters; k++) {
+    const a = g1(x, y), b = g2(x, y);
+    if (!Number.isFinite(a) || !Number.isFinite(b)) return null;
+    const j11 = (g1(x + h, y) - g1(x - h, y)) / (2 * h), j12 = (g1(x, y + h) - g1(x, y - h)) / (2 * h);
+    const j21 = (g2(x + h, y) - g2(x - h, y)) / (2 * h), j22 = (g2(x, y + h) - g2(x, y - h)) / (2 * h);
+    const det = j11 * j22 - j12 * j21;
+    if (!Number.isFinite(det) || det === 0) return null;
+    const dx = (a * j22 - b * j12) / det, dy = (b * j11 - a * j21) / det;
+    x -= dx; y -= dy;
+    if (Math.hypot(dx, dy) <= 1e-12 * Math.max(1, Math.abs(x), Math.abs(y))) break;
+  }
+  return Number.isFinite(x) && Number.isFinite(y) ? [x, y] : null;
+}
+
+// Eğri parçaları boyunca F_y'nin işaret değiştirdiği yerler; aday F = F_y = 0 sistemiyle iyileştirilir.
+// Orada Fₓ de sıfıra yakınsa (iki hücre içinde sıfırlanabilecek kadar küçükse) nokta tekildir ve
+// ∇F = 0 ile iyileştirilir. cell: ızgara hücresi; iyileştirme adayı iki hücreden uzağa götürürse aday
+// olduğu gibi kalır, aynı nokta komşu parçalardan iki kez sayılmaz.
+// → { verticals: [[x, y]], singular: [[x, y]] }
+export function verticalTangents(fns, segments, cell) {
+  const verticals = [], singular = [];
+  const seen = (x, y) => [...verticals, ...singular].some(([px, py]) => Math.hypot(px - x, py - y) < 2 * cell);
+  const near = (p, q) => p && Math.hypot(p[0] - q[0], p[1] - q[1]) <= 2 * cell;
+  const h = cell * 1e-2;
+  for (let k = 0; k < segments.length; k += 4) {
+    const [ax, ay, bx, by] = [segments[k], segments[k + 1], segments[k + 2], segments[k + 3]];
+    let fa = fns.Fy(ax, ay);
+    const fb = fns.Fy(bx, by);
+    if (!Number.isFinite(fa) || !Number.isFinite(fb) || fa * fb > 0 || (fa === 0 && fb === 0)) continue;
+    let lo = 0, hi = 1;
+    for (let n = 0; n < 40; n++) {
+      const m = (lo + hi) / 2, fm = fns.Fy(ax + m * (bx - ax), ay + m * (by - ay));
+      if (!Number.isFinite(fm)) break;
+      if (fm * fa > 0) { lo = m; fa = fm; } else hi = m;
+    }
+    const s = (lo + hi) / 2;
+    const guess = [ax + s * (bx - ax), ay + s * (by - ay)];
+    const [x, y] = guess;
+    const fx = fns.Fx(x, y);
+    const dFx = Math.hypot(fns.Fx(x + cell, y) - fns.Fx(x - cell, y), fns.Fx(x, y + cell) - fns.Fx(x, y - cell)) / (2 * cell);
+    const isSingular = Math.abs(fx) <= 2 * cell * dFx;
+    const refined = isSingular ? newton2(fns.Fx, fns.Fy, x, y, h) : newton2(fns.F, fns.Fy, x, y, h);
+    // Newton'un sıfır çevresinde bıraktığı yuvarlama artıkları (ör. −6e−30) temizlenir
+    const p = (near(refined, guess) ? refined : guess).map(v => Math.abs(v) < 1e-9 * cell ? 0 : v);
+    if (seen(p[0], p[1])) continue;
+    (isSingular ? singular : verticals).push(p);
+  }
+  return { verticals, singular };
+}
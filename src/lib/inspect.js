@@ -0,0 +1,242 @@
+// Bir x₀ noktasında limit ve türevlenebilirlik incelemesi: h → 0 için iki yandan değerler ve fark
+// bölümleri, bunlardan tek yönlü limit tahminleri ve gerekçeli bir hüküm. Hüküm adı arayüzde
+// inspect.verdict.<ad> ile, gerekçeler msg iletisi olarak çevrilir.
+
+import { math, normalizeExpr } from "./expr.js";
+import { linspace } from "./numeric.js";
+import { msg } from "./i18n.js";
+
+export const H_STEPS = [1e-1, 1e-2, 1e-3, 1e-4, 1e-5, 1e-6, 1e-7, 1e-8];
+
+const aitken = (p, q, r) => {
+  const d1 = q - p, d2 = r - q, den = d2 - d1;
+  return den === 0 ? r : r - d2 * d2 / den;
+};
+// h küçülürken dizinin davranışı: bir sayıya yakınsama, ±∞'a ıraksama ya da ikisi de değil (NaN).
+// Adımlar H_STEPS gibi onar kat küçülür; h^-k gibi ıraksayan dizide ardışık oranlar 10^k civarında sabittir
+// (∛(x²)'nin 0'daki fark bölümleri gibi yavaş büyüyenler de). Yakınsayan dizilerde limit Aitken Δ² ile
+// kestirilir (ör. |h| → 0, √h → 0 tam çıkar). Kestirimler tutarlı değilse logaritmik ıraksamaya bakılır
+// (ln h, h → 0⁺): adımları küçülmeyen, hep aynı yöne giden dizi ±∞ sayılır; o da değilse limit yok (NaN).
+// Tüm değerler tanımsızsa undefined.
+export function estimateLimit(vals) {
+  if (vals.every(v => !Number.isFinite(v))) return undefined;
+  const v = vals.slice(-4);
+  if (v.some(y => !Number.isFinite(y))) return NaN;
+  const [a, b, c, d] = v;
+  const rates = [b / a, c / b, d / c].map(Math.log10);
+  const lo = Math.min(...rates), hi = Math.max(...rates);
+  if (lo > Math.log10(1.5) && hi - lo <= 0.25 * hi) return Math.sign(d) * Infinity;
+  if (Math.abs(d - c) <= 1e-12 * Math.max(1, Math.abs(d))) return d;
+  const e1 = aitken(a, b, c), e2 = aitken(b, c, d);
+  const scale = Math.max(1, Math.abs(e2));
+  if (Number.isFinite(e1) && Number.isFinite(e2) && Math.abs(e1 - e2) <= 1e-6 * scale && Math.abs(d - e2) <= 1e-2 * scale) {
+    // son adımdaki değişimden küçük kestirim 0'dan ayırt edilemez (x·sin(1/x) → 0)
+    return Math.abs(e2) <= Math.max(1e-12, Math.abs(d - c)) ? 0 : e2;
+  }
+  const steps = [b - a, c - b, d - c];
+  const steady = steps.every((s, i) => s !== 0 && Math.sign(s) === Math.sign(steps[0]) && (i === 0 || Math.abs(s) >= 0.9 * Math.abs(steps[i - 1])));
+  return steady ? Math.sign(steps[0]) * Infinity : NaN;
+}
+
+const same = (a, b) => Number.isFinite(a) && Number.isFinite(b) && Math.abs(a - b) <= 1e-6 * Math.max(1, Math.abs(a), Math.abs(b));
+const fmt = (v) => v === undefined ? msg("inspect.undefined") : Number.isNaN(v) ? msg("inspect.none") : v === Infinity ? "+∞" : v === -Infinity ? "−∞" : String(+v.toPrecision(8));
+
+// f: sayısal fonksiyon; exact: parçalı fonksiyonun kesim noktasıysa dallardan gelen tam değerler
+// ({ orders: [{ left, right, value }, …] }). Sonuç: tablo, limitler, hüküm ve gerekçe satırları.
+export function inspectPoint(f, x0, exact = null) {
+  const w = Math.max(1, Math.abs(x0));
+  const fx0 = f(x0);
+  const rows = H_STEPS.map(h0 => {
+    const h = h0 * w;
+    const fl = f(x0 - h), fr = f(x0 + h);
+    return {
+      h,
+      fLeft: fl,
+      fRight: fr,
+      dqLeft: Number.isFinite(fx0) ? (fx0 - fl) / h : NaN,
+      dqRight: Number.isFinite(fx0) ? (fr - fx0) / h : NaN,
+    };
+  });
+  const pick = (exactVal, estimate) => exact ? (Number.isNaN(exactVal) ? estimate : exactVal) : estimate;
+  const o0 = exact?.orders[0], o1 = exact?.orders[1];
+  const value = Number.isFinite(fx0) ? fx0 : undefined;
+  // kestirim f(x₀)'a yeterince yakınsa kayan nokta artığı yerine f(x₀)
+  const toValue = (v) => same(v, value) ? value : v;
+  const L = toValue(pick(o0?.left, estimateLimit(rows.map(r => r.fLeft))));
+  const R = toValue(pick(o0?.right, estimateLimit(rows.map(r => r.fRight))));
+
+  const reasons = [
+    msg("inspect.limits", { left: fmt(L), right: fmt(R), value: fmt(value) }),
+  ];
+  const result = (verdict, extra = {}) => ({ x0, rows, left: L, right: R, value, verdict, reasons, ...extra });
+
+  if (L === undefined && R === undefined) return result("undefined");
+  // tanım kümesinin ucu: yalnızca bir yandan bakılır
+  const oneSided = L === undefined || R === undefined;
+  if (oneSided) reasons.push(msg(L === undefined ? "inspect.onlyRight" : "inspect.onlyLeft"));
+  const sides = [L, R].filter(v => v !== undefined);
+
+  if (sides.some(v => v === Infinity || v === -Infinity)) {
+    reasons.push(msg("inspect.infinite"));
+    return result("infinite");
+  }
+  if (sides.some(Number.isNaN)) {
+    reasons.push(msg("inspect.oscillating"));
+    return result("oscillating");
+  }
+  if (!oneSided && !same(L, R)) {
+    reasons.push(msg("inspect.jump", { size: fmt(R - L) }));
+    return result("jump");
+  }
+  if (!sides.every(v => same(v, value))) {
+    reasons.push(value === undefined ? msg("inspect.removableHole") : msg("inspect.removableValue", { value: fmt(value) }));
+    return result("removable");
+  }
+  reasons.push(msg(oneSided ? "inspect.continuousOneSided" : "inspect.continuous"));
+
+  // Süreklilik var; türev için fark bölümlerinin limitleri
+  const dL = L === undefined ? undefined : pick(o1?.left, estimateLimit(rows.map(r => r.dqLeft)));
+  const dR = R === undefined ? undefined : pick(o1?.right, estimateLimit(rows.map(r => r.dqRight)));
+  const extra = { dLeft: dL, dRight: dR };
+  reasons.push(msg("inspect.derivatives", { left: fmt(dL), right: fmt(dR) }));
+  const dSides = [dL, dR].filter(v => v !== undefined);
+  const inf = dSides.filter(v => v === Infinity || v === -Infinity);
+  if (dSides.some(Number.isNaN)) {
+    reasons.push(msg("inspect.noConvergence"));
+    return result("continuous", extra);
+  }
+  if (inf.length === dSides.length && inf.length > 0) {
+    if (dSides.length === 2 && dL !== dR) {
+      reasons.push(msg("inspect.cusp"));
+      return result("cusp", extra);
+    }
+    reasons.push(msg("inspect.vertical"));
+    return result("vertical", extra);
+  }
+  if (inf.length > 0 || (dSides.length === 2 && !same(dL, dR))) {
+    reasons.push(msg("inspect.corner"));
+    return result("corner", extra);
+  }
+  const m = dSides[0];
+  reasons.push(msg("inspect.differentiable", { value: fmt(m) }));
+  return result("differentiable", { ...extra, derivative: m });
+}
+
+const NO_FOLD = math.simplify.rules.filter(r => r !== math.simplifyConstant);
+// Sabit bir ifadenin kapalı biçimi: tam sayı, küçük paydalı kesir ya da yalnızca tam sayı değerli
+// alt ifadeleri katlanmış sembolik biçim (sin(1) gibi değerler ondalığa çevrilmez)
+function exactTex(node, v) {
+  if (Math.abs(v - Math.round(v)) <= 1e-12 * Math.max(1, Math.abs(v))) return String(Math.round(v));
+  for (let q = 2; q <= 1000; q++) {
+    const p = Math.round(v * q);
+    if (Math.abs(p / q - v) <= 1e-12 * Math.max(1, Math.abs(v))) return `${p < 0 ? "-" : ""}\\frac{${Math.abs(p)}}{${q}}`;
+  }
+  const folded = node.transform(n => {
+    if (n.isConstantNode || n.isSymbolNode) return n;
+    try {
+      const w = Number(n.evaluate());
+      return Number.isInteger(w) ? new math.ConstantNode(w) : n;
+    } catch { return n; }
+  });
+  try { return math.simplify(folded, NO_FOLD).toTex(); } catch { return folded.toTex(); }
+}
+
+// x yerine x₀, parametreler yerine değerleri koyup kapalı biçimdeki değer (TeX); sonlu değilse null
+export function symbolicAt(expr, order, x0, scope = {}) {
+  try {
+    let node = math.parse(normalizeExpr(expr));
+    for (let k = 0; k < order; k++) node = math.derivative(node, "x");
+    const sub = node.transform(n => {
+      if (!n.isSymbolNode) return n;
+      if (n.name === "x") return new math.ConstantNode(x0);
+      if (n.name in scope) return new math.ConstantNode(scope[n.name]);
+      return n;
+    });
+    const v = Number(sub.evaluate());
+    if (!Number.isFinite(v)) return null;
+    return { tex: exactTex(sub, v), value: v };
+  } catch { return null; }
+}
+
+// fun'ın [a, b] aralığındaki sıçramasının konumu (iki uç değerin ortasına göre ikiye bölme);
+// bir uçta tanımsızsa tanım kümesi sınırı aranır
+function locateJump(fun, a, b) {
+  let fa = fun(a);
+  const fb = fun(b);
+  const finite = Number.isFinite(fa) && Number.isFinite(fb);
+  const mid = 0.5 * (fa + fb);
+  const side = (y) => finite ? y > mid : Number.isFinite(y) === Number.isFinite(fa);
+  const sa = side(fa);
+  for (let i = 0; i < 80 && b - a > 1e-15 * Math.max(1, Math.abs(a)); i++) {
+    const m = 0.5 * (a + b), fm = fun(m);
+    if (finite ? (fm > mid) === sa : side(fm) === sa) { a = m; fa = fm; } else b = m;
+  }
+  return 0.5 * (a + b);
+}
+// Kayan nokta artığını temizle: 1e-9 içinde en kısa ondalık gösterim
+function snap(x, scale) {
+  const tol = 1e-9 * Math.max(1, scale);
+  if (Math.abs(x) <= tol) return 0;
+  for (let d = 0; d <= 12; d++) {
+    const r = +x.toFixed(d);
+    if (Math.abs(r - x) <= tol) return r;
+  }
+  return x;
+}
+
+// Çok küçük adımlı merkezi fark: köşede tam kırılma noktasında sıçrar
+const fineSlope = (f) => (t) => {
+  const e = 1e-9 * Math.max(1, Math.abs(t));
+  return (f(t + e) - f(t - e)) / (2 * e);
+};
+
+// x'te iki yandan çok küçük adımlı eğimler ayrışıyor mu (ya da f tanımsız mı)? Düzgün noktaları eler.
+function irregularAt(f, x) {
+  const e = 1e-7 * Math.max(1, Math.abs(x));
+  const yl = f(x - e), y = f(x), yr = f(x + e);
+  if (![yl, y, yr].every(Number.isFinite)) return true;
+  const l = (y - yl) / e, r = (yr - y) / e;
+  return Math.abs(l - r) > 1e-3 * Math.max(1, Math.abs(l), Math.abs(r));
+}
+
+// İncelemeye değer noktalar: f'de sıçrama, tanım kümesi sınırı ya da sol/sağ eğimlerin ayrıştığı yerler.
+// Izgara aralıklarının ortasında tespit edilir, konum f (sıçrama) ya da f' (köşe) üzerinde daraltılır,
+// sonra çok küçük adımda hâlâ düzensiz olanlar tutulur.
+export function suspectPoints(ders, a, b, n = 400) {
+  const [f, df] = ders;
+  if (!f) return [];
+  const xs = linspace(a, b, n);
+  const ys = xs.map(f).filter(Number.isFinite).sort((p, q) => p - q);
+  const spread = ys.length ? ys[Math.ceil(ys.length * 0.95) - 1] - ys[Math.floor(ys.length * 0.05)] : 0;
+  const out = [];
+  for (let i = 0; i < xs.length - 1; i++) {
+    const xm = 0.5 * (xs[i] + xs[i + 1]);
+    const h = 0.5 * (xs[i + 1] - xs[i]);
+    const y0 = f(xm - h), ym = f(xm), y1 = f(xm + h);
+    let x = null;
+    if (Number.isFinite(y0) !== Number.isFinite(y1)) {
+      x = locateJump(f, xm - h, xm + h);
+    } else if (Number.isFinite(y0) && Number.isFinite(y1) && Number.isFinite(ym)) {
+      const left = (ym - y0) / h, right = (y1 - ym) / h;
+      const absDiff = Math.abs(left - right);
+      const rel = absDiff / Math.max(1e-9, Math.max(Math.abs(left), Math.abs(right)));
+      if (Math.abs(y1 - y0) > 0.05 * spread) x = locateJump(f, xm - h, xm + h);
+      else if (absDiff > 0.3 && rel > 0.3 && df) {
+        // sayısal f' (merkezi fark, adım 1e-5) köşeyi birkaç 1e-6 kaydırır: bulunan yerin çevresinde
+        // f'in çok küçük adımlı eğimiyle yeniden daraltılır
+        const near = locateJump(df, xm - h, xm + h);
+        const d = 2e-5 * Math.max(1, Math.abs(near));
+        x = locateJump(fineSlope(f), Math.max(xm - h, near - d), Math.min(xm + h, near + d));
+      }
+    }
+    if (x != null && irregularAt(f, x)) out.push(snap(x, Math.abs(x)));
+  }
+  // ızgaraya düşmeyen tekil tanımsız noktalar (ör. sin(x)/x, 0'da): tam sayılarda ayrıca bak
+  if (b - a <= 400) {
+    for (let k = Math.ceil(a); k <= b; k++) {
+      if (!Number.isFinite(f(k)) && (Number.isFinite(f(k - 1e-6)) || Number.isFinite(f(k + 1e-6)))) out.push(k);
+    }
+  }
+  const tol = (b - a) / n;
+  return out.sort((p, q) => p - q).filter((x, i, arr) => i === 0 || x - arr[i - 1] > tol);
+}
@@ -0,0 +1,191 @@
+// Belirli integral, Riemann toplamları ve ters türev F(x) = ∫ₐˣ f(t) dt.
+// math.js sembolik integral almaz; sık rastlanan biçimler için küçük bir kural tablosu var,
+// gerisi sayısal biriktirmeyle çizilir.
+
+import { math, normalizeExpr, exprText } from "./expr.js";
+
+// Riemann toplamının örnek noktası: sol uç, sağ uç, orta nokta, yamuk (metinleri katalogda riemann.*)
+export const RIEMANN_METHODS = ["left", "right", "mid", "trap"];
+
+// Aralığın ucunda tek noktalık bir tanımsızlık (sin(x)/x'te 0 gibi) içeriden yaklaşılarak geçilir
+function inner(f, x, dir) {
+  const y = f(x);
+  return Number.isFinite(y) ? y : f(x + dir * 1e-9 * Math.max(1, Math.abs(x)));
+}
+function simpson(f, a, b) {
+  return (b - a) / 6 * (inner(f, a, 1) + 4 * f(0.5 * (a + b)) + inner(f, b, -1));
+}
+
+// Uyarlamalı Simpson. Aralıkta tanımsız bir parça varsa ya da en derin bölmede yakınsamayan parçanın
+// katkısı hâlâ büyükse (kutup: 1/x'in 0'ı) NaN. Sıçramalarda ve 1/√|x| gibi integrallenebilir
+// tekilliklerde o dar parçanın katkısı küçüktür, kabul edilir.
+export function integrate(f, a, b, tol = 1e-10) {
+  if (a === b) return 0;
+  if (a > b) return -integrate(f, b, a, tol);
+  let evals = 0;
+  const rec = (x0, x1, whole, depth, eps) => {
+    const xm = 0.5 * (x0 + x1);
+    const left = simpson(f, x0, xm), right = simpson(f, xm, x1);
+    evals += 4;
+    if (!Number.isFinite(left + right)) return NaN;
+    const diff = left + right - whole;
+    if (Math.abs(diff) <= 15 * eps || evals > 200000) return left + right + diff / 15;
+    if (depth <= 0) return Math.abs(left) + Math.abs(right) <= 1e-4 ? left + right : NaN;
+    return rec(x0, xm, left, depth - 1, eps / 2) + rec(xm, x1, right, depth - 1, eps / 2);
+  };
+  // kaba taban ızgara: tek parabolün kaçırabileceği salınımlar için
+  const n = 16, h = (b - a) / n;
+  let sum = 0;
+  for (let i = 0; i < n; i++) {
+    const x0 = a + i * h, x1 = i === n - 1 ? b : x0 + h;
+    sum += rec(x0, x1, simpson(f, x0, x1), 30, tol / n);
+  }
+  return sum;
+}
+
+// n parçalı Riemann toplamı ve çizim için dikdörtgenler (yamukta iki uç yüksekliği)
+// → { sum, rects: [{ x0, x1, y0, y1 }] }
+export function riemann(f, a, b, n, method) {
+  const h = (b - a) / n, rects = [];
+  let sum = 0;
+  for (let i = 0; i < n; i++) {
+    const x0 = a + i * h, x1 = x0 + h;
+    let y0, y1;
+    if (method === "trap") { y0 = f(x0); y1 = f(x1); }
+    else {
+      const y = f(method === "left" ? x0 : method === "right" ? x1 : 0.5 * (x0 + x1));
+      y0 = y1 = y;
+    }
+    sum += 0.5 * (y0 + y1) * h;
+    rects.push({ x0, x1, y0, y1 });
+  }
+  return { sum, rects };
+}
+
+// Sıralı xs noktalarında F(x) = ∫ₐˣ f; a'dan iki yöne aralık aralık biriktirilir. Simpson ile iki
+// yarısı uyuşmayan aralıklar (ve a'dan ilk ızgara noktasına kadarki parça) uyarlamalı hesaplanır.
+// Tanımsız ya da ıraksak bir aralık geçildikten sonrası NaN kalır: integral o noktadan öteye taşınamaz.
+export function accumulate(f, a, xs) {
+  const ys = new Float64Array(xs.length);
+  const start = xs.findIndex(x => x >= a);
+  const mid = start < 0 ? xs.length : start;
+  const step = (x0, x1) => {
+    const xm = 0.5 * (x0 + x1);
+    const whole = simpson(f, x0, x1), halves = simpson(f, x0, xm) + simpson(f, xm, x1);
+    return Math.abs(halves - whole) <= 1e-7 * (1 + Math.abs(halves)) ? halves : integrate(f, x0, x1);
+  };
+  const walk = (from, to, dir) => {
+    let acc = 0, prev = a;
+    for (let i = from; i !== to; i += dir) {
+      const piece = i === from ? integrate(f, prev, xs[i]) : step(prev, xs[i]);
+      acc = Number.isFinite(piece) ? acc + piece : NaN;
+      ys[i] = acc; prev = xs[i];
+    }
+  };
+  walk(mid, xs.length, 1);
+  walk(mid - 1, -1, -1);
+  return ys;
+}
+
+const dependsOnX = (node) => node.filter(n => n.isSymbolNode && n.name === "x").length > 0;
+const unwrap = (node) => node.isParenthesisNode ? unwrap(node.content) : node;
+const C = (v) => new math.ConstantNode(v);
+const op = (o, fn, args) => new math.OperatorNode(o, fn, args);
+const call = (name, args) => new math.FunctionNode(new math.SymbolNode(name), args);
+const div = (a, b) => op("/", "divide", [a, b]);
+const mul = (a, b) => op("*", "multiply", [a, b]);
+
+// u = k·x + c biçimindeyse k (x'e bağlı olmayan düğüm), değilse null
+function linearSlope(u) {
+  if (!dependsOnX(u)) return null;
+  try {
+    const k = math.simplify(math.derivative(u, "x"));
+    return dependsOnX(k) ? null : k;
+  } catch { return null; }
+}
+
+// u = k·x + c için ∫ g(u) dx = G(u) / k
+const LINEAR_RULES = {
+  sin:  (u) => op("-", "unaryMinus", [call("cos", [u])]),
+  cos:  (u) => call("sin", [u]),
+  tan:  (u) => op("-", "unaryMinus", [call("log", [call("abs", [call("cos", [u])])])]),
+  exp:  (u) => call("exp", [u]),
+  sinh: (u) => call("cosh", [u]),
+  cosh: (u) => call("sinh", [u]),
+  sqrt: (u) => div(mul(C(2), op("^", "pow", [u, div(C(3), C(2))])), C(3)),
+  log:  (u) => op("-", "subtract", [mul(u, call("log", [u])), u]),
+  log10: (u) => div(op("-", "subtract", [mul(u, call("log", [u])), u]), call("log", [C(10)])),
+};
+
+function antiderivativeNode(node) {
+  node = unwrap(node);
+  if (!dependsOnX(node)) return mul(node, new math.SymbolNode("x"));
+  if (node.isSymbolNode) return div(op("^", "pow", [node, C(2)]), C(2));
+  if (node.isOperatorNode) {
+    const [a, b] = node.args.map(unwrap);
+    switch (node.fn) {
+      case "unaryPlus": return antiderivativeNode(a);
+      case "unaryMinus": { const A = antiderivativeNode(a); return A && op("-", "unaryMinus", [A]); }
+      case "add":
+      case "subtract": {
+        const A = antiderivativeNode(a), B = antiderivativeNode(b);
+        return A && B && op(node.op, node.fn, [A, B]);
+      }
+      case "multiply": {
+        if (!dependsOnX(a)) { const B = antiderivativeNode(b); return B && mul(a, B); }
+        if (!dependsOnX(b)) { const A = antiderivativeNode(a); return A && mul(A, b); }
+        return null;
+      }
+      case "divide": {
+        if (!dependsOnX(b)) { const A = antiderivativeNode(a); return A && div(A, b); }
+        // c / u, u doğrusal
+        const k = dependsOnX(a) ? null : linearSlope(b);
+        return k && div(mul(a, call("log", [call("abs", [b])])), k);
+      }
+      case "pow": {
+        if (!dependsOnX(b)) {
+          // uⁿ, u doğrusal
+          const k = linearSlope(a);
+          if (!k) return null;
+          let n;
+          try { n = b.evaluate(); } catch { return null; }
+          if (typeof n !== "number") return null;
+          if (n === -1) return div(call("log", [call("abs", [a])]), k);
+          const n1 = op("+", "add", [b, C(1)]);
+          return div(op("^", "pow", [a, n1]), mul(n1, k));
+        }
+        if (!dependsOnX(a)) {
+          // cᵘ, u doğrusal
+          const k = linearSlope(b);
+          if (!k) return null;
+          if (a.isSymbolNode && a.name === "e") return div(node, k);
+          return div(node, mul(call("log", [a]), k));
+        }
+        return null;
+      }
+      default: return null;
+    }
+  }
+  if (node.isFunctionNode && node.args.length === 1 && LINEAR_RULES[node.fn.name]) {
+    const u = unwrap(node.args[0]);
+    const k = linearSlope(u);
+    return k && div(LINEAR_RULES[node.fn.name](u), k);
+  }
+  return null;
+}
+
+const NO_FOLD = math.simplify.rules.filter(r => r !== math.simplifyConstant);
+const hasDecimal = (node) => node.filter(n => n.isConstantNode && typeof n.value === "number" && !Number.isInteger(n.value)).length > 0;
+
+// Sembolik ters türev (integral sabiti olmadan) ifade olarak; kural tablosu yetmezse null.
+// Sadeleştirme log(2) gibi sabitleri ondalığa çevirirse sabit katlamasız sürüm kullanılır.
+export function antiderivativeExpr(expr) {
+  const src = normalizeExpr(expr);
+  if (!src) return null;
+  try {
+    const F = antiderivativeNode(math.parse(src));
+    if (!F) return null;
+    const simple = math.simplify(F);
+    return exprText(hasDecimal(simple) && !hasDecimal(F) ? math.simplify(F, NO_FOLD) : simple);
+  } catch { return null; }
+}
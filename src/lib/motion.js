@@ -0,0 +1,42 @@
+// Hareket: f konum s(t), f' hız v(t), f'' ivme a(t). Hızın sıfır olduğu anlarda işaret değişiyorsa parçacık
+// yön değiştirir, değişmiyorsa bir an durup aynı yönde sürer. Alınan yol yön değiştirme anlarında bölünen
+// parçaların |Δs| toplamıdır; yer değiştirme yalnızca uçlardan gelir.
+
+import { linspace } from "./numeric.js";
+import { signChanges } from "./analysis.js";
+
+// ders = [s, v, a] → [{ t, s, kind: "turn" | "stop" }] artan t'ye göre. Hızın kırıldığı köşede (|t| gibi)
+// parçacık durmadan da yön değiştirebilir; işareti değişmeyen kırılmalar (hızın kutbu) olay sayılmaz.
+export function motionEvents([s, v], a, b, n = 400) {
+  if (!v || !(b > a)) return [];
+  // t = 0 gibi anlar yuvarlama artığıyla (−1.7e-14) değil tam yazılsın
+  const snap = (t) => Math.abs(t) <= 1e-9 * (b - a) ? 0 : t;
+  return signChanges(v, a, b, n)
+    .filter(p => p.kind === "zero" || p.left * p.right < 0)
+    .map(p => ({ t: snap(p.x), s: s(snap(p.x)), kind: p.left * p.right < 0 ? "turn" : "stop" }));
+}
+
+// Okların boyu için |v| ve |a|'nın aralıktaki tipik büyüklüğü (%95'lik değer; kutuplar ölçeği bozmaz)
+export function motionScale([, v, a], lo, hi, n = 200) {
+  const peak = (fun) => {
+    if (!fun) return 1;
+    const m = linspace(lo, hi, n).map(t => Math.abs(fun(t))).filter(Number.isFinite).sort((p, q) => p - q);
+    return m.length ? m[Math.floor(0.95 * (m.length - 1))] || 1 : 1;
+  };
+  return { v: peak(v), a: peak(a) };
+}
+
+// [t0, t1] arasında yer değiştirme s(t1) − s(t0) ve alınan yol
+export function travel(s, events, t0, t1) {
+  const cuts = [t0, ...events.filter(e => e.kind === "turn" && e.t > t0 && e.t < t1).map(e => e.t), t1];
+  let distance = 0;
+  for (let i = 0; i < cuts.length - 1; i++) distance += Math.abs(s(cuts[i + 1]) - s(cuts[i]));
+  return { displacement: s(t1) - s(t0), distance };
+}
+
+// t anında hareketin durumu: "stop" (|v| ölçeğe göre yok denecek kadar küçük), "forward" (+ yönde) ya da "backward"
+export function motionState(v, scale) {
+  if (!Number.isFinite(v)) return null;
+  if (Math.abs(v) <= 1e-3 * scale) return "stop";
+  return v > 0 ? "forward" : "backward";
+}
@@ -0,0 +1,283 @@
+// Ders kitabı yazımı → math.js sözdizimi. Yalnızca math.js'in okuyamadığı ya da farklı okuduğu yerler
+// yeniden yazılır; geri kalan belirteçler olduğu gibi geçer (2x, (x+1)(x−1) gibi örtük çarpımları math.js
+// zaten tanır):
+//   |x − |x||       → abs(x - abs(x))  (iç içe, ifadenin her yerinde)
+//   3sin x, sin2x   → 3 sin(2 x)       (parantezsiz işlev: ardışık çarpanları alır, +, −, / ya da başka işlevde durur)
+//   sin^2(x), sin²x → sin(x)^2;  sin^-1 x → asin(x)
+//   √x, ∛(x+1), π, θ, ·, ×, ÷, −, ≤, ≥, ≠
+//   ln → log (doğal), log ve lg → log10, log_2 x → log(x, 2), tg, cotg, ctg, arcsin, arctg …
+//   2,5 → 2.5 (işlev argümanlarında virgül ayırıcıdır: max(1,5) iki argüman)
+//   x(x+1)          → x * (x+1)  (işlev olmayan sembolden sonra parantez çarpımdır)
+// Sonuç { src, map, error }: map, src'nin her karakterinin girdideki konumu (math.js hatalarını girdiye
+// taşımak için); error, kapanmayan parantez / | ya da argümansız işlev gibi ilk yapısal hata { message, pos }
+// (message: msg, arayüzde çevrilir).
+
+import { msg } from "./i18n.js";
+
+const ALIASES = {
+  ln: "log", log: "log10", lg: "log10",
+  tg: "tan", ctg: "cot", cotg: "cot",
+  arcsin: "asin", arccos: "acos", arctan: "atan", arctg: "atan", arccot: "acot", arcctg: "acot", arccotg: "acot",
+};
+// Parantezsiz yazılabilen ve üssü alınabilen ders kitabı işlevleri (math.js adlarıyla)
+const TEXTBOOK = new Set([
+  "sin", "cos", "tan", "cot", "sec", "csc", "asin", "acos", "atan", "acot", "asec", "acsc",
+  "sinh", "cosh", "tanh", "coth", "asinh", "acosh", "atanh",
+  "log", "log10", "log2", "exp", "sqrt", "cbrt", "abs",
+]);
+const INVERSE = { sin: "asin", cos: "acos", tan: "atan", cot: "acot", sec: "asec", csc: "acsc", sinh: "asinh", cosh: "acosh", tanh: "atanh" };
+// sinx, cosθ, tg2x gibi bitişik yazımlarda baştaki işlev adı (uzun adlar önce)
+const PREFIXES = [...Object.keys(ALIASES), ...TEXTBOOK].sort((a, b) => b.length - a.length);
+const GLUED_ARG = /^\d*(?:[a-z]|theta|pi)?$/i;
+
+const SYMBOLS = { "π": "pi", "θ": "theta" };
+const OPERATORS = { "·": "*", "⋅": "*", "∙": "*", "×": "*", "÷": "/", "−": "-", "–": "-", "≤": "<=", "≥": ">=", "≠": "!=" };
+const SUPERSCRIPTS = { "²": "2", "³": "3" };
+const ROOTS = { "√": "sqrt", "∛": "cbrt" };
+const NUMBER = /(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/y;
+const IDENT = /[\p{L}_][\p{L}\d_]*/uy;
+const LOG_BASE = /^log_(\d+|[a-z]+)$/i;
+
+const nameOf = (v) => ALIASES[v] ?? v;
+
+// Belirteçler: { t: "num" | "id" | "op" | "(" | ")" | "[" | "]" | "," | "|" | "root", v, pos, len }
+function tokenize(raw, isFunction, offset = 0) {
+  const tokens = [];
+  const groups = [];
+  const push = (t, v, pos, len) => tokens.push({ t, v, pos: offset + pos, len });
+  let k = 0;
+  while (k < raw.length) {
+    const c = raw[k];
+    if (/\s/.test(c)) { k++; continue; }
+    NUMBER.lastIndex = k;
+    const num = NUMBER.exec(raw);
+    if (num) {
+      let v = num[0], end = k + v.length;
+      // ondalık virgül: işlev çağrısı ya da liste içinde değilse
+      const top = groups.at(-1);
+      const frac = /^,(\d+)/.exec(raw.slice(end));
+      if (frac && /^\d+$/.test(v) && (!top || top === "group")) { v += `.${frac[1]}`; end += frac[0].length; }
+      push("num", v, k, end - k);
+      k = end;
+      continue;
+    }
+    if (SYMBOLS[c]) { push("id", SYMBOLS[c], k, 1); k++; continue; }
+    IDENT.lastIndex = k;
+    const id = IDENT.exec(raw);
+    if (id) {
+      // π ve θ ayrı belirteç: 2πx, cosθ
+      const cut = id[0].search(/[πθ]/);
+      const v = cut > 0 ? id[0].slice(0, cut) : id[0];
+      push("id", v, k, v.length);
+      k += v.length;
+      continue;
+    }
+    if (ROOTS[c]) { push("root", ROOTS[c], k, 1); k++; continue; }
+    if (SUPERSCRIPTS[c]) { push("op", "^", k, 1); push("num", SUPERSCRIPTS[c], k, 1); k++; continue; }
+    if (c === "(") {
+      const prev = tokens.at(-1);
+      const call = prev && (prev.t === "root" || (prev.t === "id" && (isFunction(nameOf(prev.v)) || LOG_BASE.test(prev.v))));
+      groups.push(call ? "call" : "group");
+      push("(", c, k, 1); k++;
+      continue;
+    }
+    if (c === "[") { groups.push("list"); push("[", c, k, 1); k++; continue; }
+    if (c === ")" || c === "]") { groups.pop(); push(c, c, k, 1); k++; continue; }
+    if (c === "," || c === "|") { push(c, c, k, 1); k++; continue; }
+    const two = raw.slice(k, k + 2);
+    if (["<=", ">=", "==", "!="].includes(two)) { push("op", two, k, 2); k += 2; continue; }
+    push("op", OPERATORS[c] ?? c, k, 1);
+    k++;
+  }
+  return tokens;
+}
+
+// Bir belirteçle başlayan çarpan olabilir mi (parantezsiz işlev argümanında)
+const startsFactor = (tok, isFunction) => tok && (tok.t === "num" || tok.t === "(" || tok.t === "root"
+  || (tok.t === "id" && !isFunction(nameOf(tok.v))));
+
+export function readExpr(raw, isFunction) {
+  const text = raw ?? "";
+  const tokens = tokenize(text, isFunction);
+  const pieces = [];
+  let i = 0, error = null;
+  const fail = (message, pos) => { error ??= { message, pos }; };
+  const peek = () => tokens[i];
+  const emit = (s, tok) => pieces.push({ s, pos: tok?.pos ?? text.length, len: tok?.len ?? 0 });
+
+  // Kapanış belirtecine ( ")", "]" ya da kapatan "|" ) kadar; kapanış bulunduysa true (tüketmeden)
+  function seq(close) {
+    let afterOperand = false;
+    while (i < tokens.length) {
+      const tok = peek();
+      if (tok.t === ")" || tok.t === "]") {
+        if (tok.t === close) return true;
+        if (close === "|") return false;
+        fail(msg("parse.extra", { token: tok.v }), tok.pos);
+        emit(tok.v, tok); i++;
+        continue;
+      }
+      if (tok.t === "|" && close === "|" && afterOperand) return true;
+      if (tok.t === "op" || tok.t === ",") {
+        emit(tok.v, tok); i++;
+        afterOperand = tok.v === "!" || tok.v === "'";
+        continue;
+      }
+      operand();
+      afterOperand = true;
+    }
+    return false;
+  }
+
+  // ( … ) ya da [ … ]; kapanmazsa kapanış yazılmaz, math.js de hata verir
+  function group(open, close) {
+    const tok = peek(); i++;
+    emit(open, tok);
+    if (seq(close)) { emit(close, peek()); i++; } else fail(msg("parse.unclosed", { token: tok.v }), tok.pos);
+  }
+
+  function operand() {
+    const tok = peek();
+    if (tok.t === "(") return group("(", ")");
+    if (tok.t === "[") return group("[", "]");
+    if (tok.t === "|") {
+      i++;
+      emit("abs(", tok);
+      if (seq("|")) { emit(")", peek()); i++; } else fail(msg("parse.unclosed", { token: "|" }), tok.pos);
+      return;
+    }
+    if (tok.t === "root") { i++; return apply(tok.v, tok); }
+    if (tok.t === "id") return identifier();
+    emit(tok.v, tok); i++;
+  }
+
+  // Çarpan: birincil ifade, ardından ^ üs ve ! (üs de sağdan birleşen bir çarpan)
+  function factor() {
+    const tok = peek();
+    if (tok.t === "op" && (tok.v === "-" || tok.v === "+")) { emit(tok.v, tok); i++; return factor(); }
+    operand();
+    while (peek()?.t === "op" && (peek().v === "^" || peek().v === "!")) {
+      const op = peek(); i++;
+      emit(op.v, op);
+      if (op.v === "^" && peek()) factor();
+    }
+  }
+
+  function identifier() {
+    const tok = peek();
+    const base = LOG_BASE.exec(tok.v);
+    if (base) { i++; return apply("log", tok, base[1]); }
+    const name = nameOf(tok.v);
+    if (!isFunction(name) && !isFunction(tok.v)) {
+      const p = PREFIXES.find(p => tok.v.length > p.length && tok.v.startsWith(p) && GLUED_ARG.test(tok.v.slice(p.length)));
+      if (p) {
+        tokens.splice(i, 1, { t: "id", v: p, pos: tok.pos, len: p.length }, ...tokenize(tok.v.slice(p.length), isFunction, tok.pos + p.length));
+        return identifier();
+      }
+      i++;
+      emit(tok.v, tok);
+      // işlev olmayan sembolden sonra parantez: çağrı değil çarpım
+      if (peek()?.t === "(") pieces.push({ s: "*", pos: peek().pos, len: 0 });
+      return;
+    }
+    i++;
+    // and, mod gibi işleç de olabilen ya da ders kitabında olmayan işlevler olduğu gibi
+    if (!TEXTBOOK.has(name)) return emit(name, tok);
+    apply(name, tok);
+  }
+
+  // Üssü bulunan, parantezli ya da parantezsiz işlev uygulaması; base: log_b tabanı
+  function apply(name, tok, base = null) {
+    let power = null;
+    if (peek()?.t === "op" && peek().v === "^" && TEXTBOOK.has(name)) {
+      i++;
+      power = exponent();
+      if (power && power.map(p => p.v).join("").replace(/^\((.*)\)$/, "$1") === "-1" && INVERSE[name]) {
+        name = INVERSE[name];
+        power = null;
+      }
+    }
+    const next = peek();
+    if (next?.t === "(") {
+      // log(x, b) math.js'te b tabanlı logaritmadır; tek argümanlı log ders kitabındaki gibi 10 tabanlı
+      if (name === "log10" && tok.v === "log" && hasTopComma(i)) name = "log";
+      emit(name, tok);
+      i++;
+      emit("(", next);
+      if (seq(")")) {
+        if (base) emit(`, ${base}`, tok);
+        emit(")", peek()); i++;
+      } else fail(msg("parse.unclosed", { token: "(" }), next.pos);
+    } else if (startsFactor(next, isFunction) || next?.t === "|" || (next?.t === "op" && next.v === "-")
+      || (next?.t === "id" && TEXTBOOK.has(nameOf(next.v)))) {
+      // parantezsiz argüman: ilk çarpan (sin cos x için bir işlev de olabilir) ve ardışık çarpanlar
+      emit(`${name}(`, tok);
+      factor();
+      while (startsFactor(peek(), isFunction)) factor();
+      if (base) emit(`, ${base}`, tok);
+      emit(")", tok);
+    } else {
+      // argümansız işlev: açık parantez bırakılır, math.js de okumaz (yoksa sembol gibi okunurdu)
+      fail(msg("parse.noArgument", { fn: tok.v }), tok.pos);
+      emit(`${name}(`, tok);
+    }
+    if (power) { emit("^", tok); power.forEach(p => emit(p.v, p)); }
+  }
+
+  // ^ sonrasındaki üs: sayı, işaretli sayı ya da parantezli grup (belirteçler olduğu gibi)
+  function exponent() {
+    const start = i;
+    if (peek()?.t === "op" && (peek().v === "-" || peek().v === "+")) i++;
+    const tok = peek();
+    if (tok?.t === "num" || tok?.t === "id") { i++; return tokens.slice(start, i); }
+    if (tok?.t === "(") {
+      let depth = 0;
+      for (; i < tokens.length; i++) {
+        if (tokens[i].t === "(") depth++;
+        if (tokens[i].t === ")" && --depth === 0) { i++; return tokens.slice(start, i); }
+      }
+    }
+    i = start;
+    return null;
+  }
+
+  function hasTopComma(open) {
+    let depth = 0;
+    for (let k = open; k < tokens.length; k++) {
+      const t = tokens[k].t;
+      if (t === "(" || t === "[") depth++;
+      else if (t === ")" || t === "]") { if (--depth === 0) return false; }
+      else if (t === "," && depth === 1) return true;
+    }
+    return false;
+  }
+
+  seq(null);
+
+  let src = "";
+  const map = [];
+  for (const p of pieces) {
+    if (/[\w.]$/.test(src) && /^[\w.]/.test(p.s)) { src += " "; map.push(p.pos); }
+    for (let k = 0; k < p.s.length; k++) map.push(p.len === p.s.length ? p.pos + k : p.pos);
+    src += p.s;
+  }
+  map.push(text.length);
+  return { src, map, error };
+}
+
+const MESSAGES = [
+  [/^Unexpected end of expression/, () => msg("parse.incomplete")],
+  [/^Value expected/, () => msg("parse.valueExpected")],
+  [/^Parenthesis \) expected/, () => msg("parse.closeExpected")],
+  [/^Unexpected operator (\S+)/, (m) => msg("parse.operator", { op: m[1] })],
+  [/^Unexpected part "(.*?)"/, (m) => msg("parse.part", { part: m[1] })],
+  [/^Unexpected type of argument/, () => msg("parse.argumentType")],
+];
+
+// math.js sözdizimi hatası → { message, pos } (pos girdideki konum); read: readExpr sonucu
+export function locateError(err, read) {
+  const m = MESSAGES.map(([re, fn]) => [re.exec(err?.message ?? ""), fn]).find(([hit]) => hit);
+  const message = m ? m[1](m[0]) : msg("parse.syntax");
+  const pos = Number.isInteger(err?.char) ? read.map[Math.min(err.char - 1, read.map.length - 1)] : read.map.at(-1);
+  return { message, pos };
+}
@@ -0,0 +1,39 @@
+export const clamp = (v, a, b) => Math.max(a, Math.min(b, v));
+export const linspace = (a, b, n) => {
+  const step = (b - a) / Math.max(1, n - 1);
+  return Array.from({ length: n }, (_, i) => a + i * step);
+};
+export const sign = (v) => v > 0 ? 1 : v < 0 ? -1 : 0;
+
+// fun(a) ve fun(b) zıt işaretliyken aradaki işaret değişimini ikiye bölerek daralt
+export function bisect(fun, a, b, iters = 60) {
+  let fa = fun(a);
+  for (let i = 0; i < iters && b - a > 1e-14 * Math.max(1, Math.abs(a)); i++) {
+    const m = 0.5 * (a + b), fm = fun(m);
+    if (fm === 0) return m;
+    if (!Number.isFinite(fm) || sign(fm) === sign(fa)) { a = m; fa = fm; } else b = m;
+  }
+  return 0.5 * (a + b);
+}
+// [a, b] içinde tek tepeli fun'ın minimumu (altın oran araması)
+export function goldenMin(fun, a, b, iters = 80) {
+  const g = (Math.sqrt(5) - 1) / 2;
+  let c = b - g * (b - a), d = a + g * (b - a);
+  let fc = fun(c), fd = fun(d);
+  for (let i = 0; i < iters && b - a > 1e-13 * Math.max(1, Math.abs(a)); i++) {
+    if (fc < fd) { b = d; d = c; fd = fc; c = b - g * (b - a); fc = fun(c); }
+    else { a = c; c = d; fc = fd; d = a + g * (b - a); fd = fun(d); }
+  }
+  return 0.5 * (a + b);
+}
+// x'e iki yandan yaklaşırken fun(x ± h) değerleri fun(x)'e yaklaşıyor mu?
+// Farkın h ile küçülmesine bakılır; dik teğetli noktalarda (ör. ∛x) da çalışır.
+export function continuousAt(fun, x) {
+  const y = fun(x);
+  if (!Number.isFinite(y)) return false;
+  const w = Math.max(1, Math.abs(x));
+  const d = (h) => Math.max(Math.abs(fun(x - h) - y), Math.abs(fun(x + h) - y));
+  const d1 = d(1e-5 * w), d2 = d(1e-8 * w);
+  if (!Number.isFinite(d1) || !Number.isFinite(d2)) return false;
+  return d2 <= 1e-10 * Math.max(1, Math.abs(y)) || d2 < 0.5 * d1;
+}
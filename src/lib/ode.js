@@ -0,0 +1,73 @@
+// Diferansiyel denklem dy/dx = g(x, y): eğim alanı ve bir başlangıç noktasından geçen çözüm eğrisi.
+// Çözüm sabit adımlı RK4 ile; karşılaştırma için aynı adımla Euler. Türevden fonksiyona giden ters soru.
+
+import { math, normalizeExpr, compileXY } from "./expr.js";
+import { msg } from "./i18n.js";
+
+// Çözümün yönü: iki yöne, ileri (x artar), geri (x azalır); metinleri katalogda ode.dir.*
+export const ODE_DIRS = ["both", "forward", "backward"];
+const MAX_STEPS = 20000;
+
+// g → { expr, tex } ya da { error } (error: msg)
+export function odeCodes(g) {
+  const src = normalizeExpr(g);
+  if (!src) return { error: msg("error.empty", { what: "g(x, y)" }) };
+  try {
+    return { expr: g, tex: math.parse(src).toTex() };
+  } catch {
+    return { error: msg("error.syntax", { what: "g(x, y)" }) };
+  }
+}
+// (x, y) → eğim
+export function bindOde(codes, scope) {
+  return codes?.expr ? compileXY(codes.expr, scope) : null;
+}
+
+const eulerStep = (g, x, y, h) => y + h * g(x, y);
+function rk4Step(g, x, y, h) {
+  const k1 = g(x, y);
+  const k2 = g(x + h / 2, y + h / 2 * k1);
+  const k3 = g(x + h / 2, y + h / 2 * k2);
+  const k4 = g(x + h, y + h * k3);
+  return y + h / 6 * (k1 + 2 * k2 + 2 * k3 + k4);
+}
+
+// (x0, y0)'dan h adımıyla x aralığının ucuna kadar tek yöne (h < 0: geri). Çözüm tanımsızlaşınca ya da
+// görünür y bandından çok uzaklaşınca (patlayan çözüm, ör. y' = y²) durur.
+function march(g, x0, y0, h, { xMin, xMax, yMin, yMax }, step) {
+  const xs = [x0], ys = [y0];
+  const span = yMax - yMin, lo = yMin - 4 * span, hi = yMax + 4 * span;
+  let x = x0, y = y0;
+  for (let n = 0; n < MAX_STEPS; n++) {
+    if (h > 0 ? x >= xMax : x <= xMin) break;
+    const next = step(g, x, y, h);
+    if (!Number.isFinite(next)) break;
+    x = x0 + (n + 1) * h; y = next;
+    xs.push(x); ys.push(y);
+    if (y < lo || y > hi) break;
+  }
+  return { xs, ys };
+}
+
+// Başlangıç noktasından geçen çözüm: { xs, ys, ds } x'e göre artan; ds = g(x, y(x)) çözümün kendi türevi.
+// view: { xMin, xMax, yMin, yMax }; adım görünür aralığa en fazla MAX_STEPS adım düşecek kadar büyütülür.
+export function solveOde(g, [x0, y0], { h, dir = "both", method = "rk4" }, view) {
+  const step = method === "euler" ? eulerStep : rk4Step;
+  const hh = Math.max(Math.abs(h), (view.xMax - view.xMin) / MAX_STEPS);
+  const fwd = dir !== "backward" ? march(g, x0, y0, hh, view, step) : { xs: [x0], ys: [y0] };
+  const back = dir !== "forward" ? march(g, x0, y0, -hh, view, step) : { xs: [x0], ys: [y0] };
+  const xs = [...back.xs.slice(1).reverse(), ...fwd.xs];
+  const ys = [...back.ys.slice(1).reverse(), ...fwd.ys];
+  return { xs: Float64Array.from(xs), ys: Float64Array.from(ys), ds: Float64Array.from(xs, (x, i) => g(x, ys[i])) };
+}
+
+// Aynı x noktalarında iki çözümün en büyük farkı (Euler'in RK4'ten sapması); ızgaralar aynı x₀ ve adımdan
+export function maxGap(p, q) {
+  const at = new Map(Array.from(q.xs, (x, i) => [x, q.ys[i]]));
+  let gap = 0;
+  p.xs.forEach((x, i) => {
+    const d = Math.abs(p.ys[i] - at.get(x));
+    if (Number.isFinite(d)) gap = Math.max(gap, d);
+  });
+  return gap;
+}
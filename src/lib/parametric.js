@@ -0,0 +1,71 @@
+// Düzlem eğrileri: parametrik (x(t), y(t)) ve kutupsal r(θ). Kutupsal eğri x = r cos θ, y = r sin θ
+// olarak parametriğe çevrilir; türevler parametreye göre math.derivative ile, dy/dx = (dy/dt) / (dx/dt).
+
+import { math, normalizeExpr, exprText, compileExpression } from "./expr.js";
+import { msg } from "./i18n.js";
+
+// variable: ifadelerdeki parametre sembolü (θ yazımını normalizeExpr theta'ya çevirir)
+export const PLANE_MODES = {
+  param: { variable: "t", sym: "t" },
+  polar: { variable: "theta", sym: "θ" },
+};
+
+const SIMPLIFY_MAX_NODES = 200;
+const size = (node) => node.filter(() => true).length;
+
+// def: { mode, x, y, r } → { variable, exprs, tex } ya da { error } (error: msg).
+// exprs/tex: { x, y, dx, dy, dydx } (kutupsalda ayrıca r, dr); ifadeler metin olarak, worker'a da gider.
+export function planeCodes(def) {
+  const mode = PLANE_MODES[def.mode];
+  if (!mode) return { error: msg("plane.error.mode") };
+  const v = mode.variable;
+  let nodes;
+  try {
+    if (def.mode === "polar") {
+      const src = normalizeExpr(def.r);
+      if (!src) return { error: msg("error.empty", { what: "r(θ)" }) };
+      const R = math.parse(src), th = new math.SymbolNode(v);
+      const trig = (fn) => new math.FunctionNode(new math.SymbolNode(fn), [th]);
+      const X = new math.OperatorNode("*", "multiply", [new math.ParenthesisNode(R), trig("cos")]);
+      const Y = new math.OperatorNode("*", "multiply", [new math.ParenthesisNode(R), trig("sin")]);
+      nodes = { x: X, y: Y, r: R, dr: math.derivative(R, v) };
+    } else {
+      const xs = normalizeExpr(def.x), ys = normalizeExpr(def.y);
+      if (!xs || !ys) return { error: msg("plane.error.both") };
+      nodes = { x: math.parse(xs), y: math.parse(ys) };
+    }
+  } catch {
+    return { error: msg("error.syntax", { what: msg("error.expression") }) };
+  }
+  try {
+    nodes.dx = math.derivative(nodes.x, v);
+    nodes.dy = math.derivative(nodes.y, v);
+  } catch {
+    return { error: msg("error.derivative") };
+  }
+  // bölüm sadeleşmezse (ya da çok büyükse) olduğu gibi gösterilir
+  const q = new math.OperatorNode("/", "divide", [nodes.dy, nodes.dx]);
+  try { nodes.dydx = size(q) <= SIMPLIFY_MAX_NODES ? math.simplify(q) : q; } catch { nodes.dydx = q; }
+  const map = (fn) => Object.fromEntries(Object.entries(nodes).map(([k, n]) => [k, fn(n)]));
+  return { variable: v, exprs: map(exprText), tex: map(n => n.toTex()) };
+}
+
+// Parametrenin → sayı fonksiyonları. dy/dx bölümü sadeleştirilmiş ifadeden değil, iki türevin oranından:
+// sadeleştirme tanım kümesini değiştirebilir (ör. bir çarpanın sadeleşmesi)
+export function bindPlane(codes, scope) {
+  if (!codes?.exprs) return null;
+  const { variable, exprs } = codes;
+  const f = (k) => exprs[k] != null ? compileExpression(exprs[k], scope, variable) : null;
+  const x = f("x"), y = f("y"), dx = f("dx"), dy = f("dy");
+  if (!x || !y || !dx || !dy) return null;
+  return { x, y, dx, dy, r: f("r"), dr: f("dr"), dydx: (t) => dy(t) / dx(t) };
+}
+
+// dy/dx = (dy/dt) / (dx/dt); dx/dt yuvarlama düzeyinde sıfırsa dikey teğet, hız sıfırsa eğim tanımsız
+// → { kind: "slope" | "vertical" | "stationary", m }
+export function planeSlope(dx, dy) {
+  const speed = Math.hypot(dx, dy);
+  if (!Number.isFinite(speed) || speed === 0) return { kind: "stationary", m: NaN };
+  if (Math.abs(dx) <= 1e-12 * speed) return { kind: "vertical", m: NaN };
+  return { kind: "slope", m: dy / dx };
+}
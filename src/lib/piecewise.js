@@ -0,0 +1,172 @@
+// Parçalı fonksiyonlar: satır listesi [{ cond, expr }] olarak saklanır, ilk sağlanan koşulun dalı geçerlidir.
+// Koşullar yalnızca x ile x'ten bağımsız ifadelerin karşılaştırmalarıdır (x<1, 0<=x<2, x>a and x<b, not(...)),
+// bu yüzden koşulların doğruluğu yalnızca kesim noktalarında değişir. Her dal sembolik türevlenir ve
+// kesim noktalarında sol/sağ limitler dalların kendisinden hesaplanır.
+
+import { math, normalizeExpr, derivativeCodes, bindDerivatives } from "./expr.js";
+import { msgError } from "./i18n.js";
+
+const COMPARE = new Set(["smaller", "smallerEq", "larger", "largerEq", "equal", "unequal"]);
+const LOGIC = new Set(["and", "or", "xor", "not"]);
+const isX = (n) => n.isSymbolNode && n.name === "x";
+const hasX = (n) => n.filter(isX).length > 0;
+const unwrap = (n) => n.isParenthesisNode ? unwrap(n.content) : n;
+
+// Koşuldaki kesim noktalarının (sabit taraf) düğümleri; desteklenmeyen biçimde hata
+function boundNodes(cond, row) {
+  const out = [];
+  const unsupported = () => msgError("pw.error.unsupported", { row });
+  const pair = (a, b) => {
+    const A = unwrap(a), B = unwrap(b);
+    if (isX(A) && !hasX(B)) out.push(B);
+    else if (isX(B) && !hasX(A)) out.push(A);
+    else throw unsupported();
+  };
+  const visit = (node) => {
+    const n = unwrap(node);
+    if (!hasX(n)) return;
+    if (n.isRelationalNode) {
+      for (let i = 0; i < n.conditionals.length; i++) pair(n.params[i], n.params[i + 1]);
+    } else if (n.isOperatorNode && COMPARE.has(n.fn)) {
+      pair(n.args[0], n.args[1]);
+    } else if (n.isOperatorNode && LOGIC.has(n.fn)) {
+      n.args.forEach(visit);
+    } else {
+      throw unsupported();
+    }
+  };
+  visit(cond);
+  return out;
+}
+
+// Satırlar için derlenmiş koşul, kesim noktası ve türev kodları; hatalı satırda Error fırlatır
+export function piecewiseCodes(pieces, maxOrder) {
+  const rows = pieces.map((p, i) => {
+    const condSrc = p.cond.trim();
+    if (!condSrc && i < pieces.length - 1) throw msgError("pw.error.emptyCond", { row: i + 1 });
+    let cond = null, bounds = [];
+    if (condSrc) {
+      let node;
+      try { node = math.parse(normalizeExpr(condSrc)); } catch { throw msgError("pw.error.badCond", { row: i + 1 }); }
+      bounds = boundNodes(node, i + 1).map(b => b.compile());
+      cond = node.compile();
+    }
+    const codes = derivativeCodes(p.expr, maxOrder);
+    if (!codes.length) throw msgError("pw.error.badExpr", { row: i + 1 });
+    return { cond, bounds, codes };
+  });
+  if (!rows.length) throw msgError("pw.error.noRows");
+  return { rows };
+}
+
+const close = (a, b) => Number.isFinite(a) && Number.isFinite(b) && Math.abs(a - b) <= 1e-9 * Math.max(1, Math.abs(a), Math.abs(b));
+
+// Dalın c noktasındaki tek yönlü limiti: dal c'de tanımlı ve o yandan sürekliyse değeri,
+// değilse (ör. sin(x)/x, 1/x) c'ye yaklaşan iki noktadan yakınsama ya da ±∞
+function oneSided(fun, c, side) {
+  const s = Math.max(1, Math.abs(c));
+  const v = fun(c);
+  const y1 = fun(c + side * 1e-6 * s), y2 = fun(c + side * 1e-9 * s);
+  if (Number.isFinite(v) && Number.isFinite(y2) && Math.abs(y2 - v) <= 1e-6 * Math.max(1, Math.abs(v))) return v;
+  if (!Number.isFinite(y1) || !Number.isFinite(y2)) return NaN;
+  if (Math.abs(y2) > 100 * Math.abs(y1) && Math.abs(y2) > 1e6) return Math.sign(y2) * Infinity;
+  if (Math.abs(y2 - y1) <= 1e-4 * Math.max(1, Math.abs(y2))) return y2;
+  return NaN;
+}
+
+// Parametre değerleriyle bağlanmış parçalı fonksiyon:
+// { ders: [f, f', …], regions: [{ from, to, row }], breakpoints: [{ x, orders: [{ left, right, value }], continuous, differentiable }] }
+// row: o aralıkta geçerli satırın dizini (-1: hiçbir koşul sağlanmıyor, fonksiyon tanımsız)
+export function bindPiecewise({ rows }, scope) {
+  const s = { ...scope };
+  const holds = (row, x) => {
+    if (!row.cond) return true;
+    try { s.x = x; return Boolean(row.cond.evaluate(s)); } catch { return false; }
+  };
+  const rowAt = (x) => rows.findIndex(r => holds(r, x));
+  const cuts = [...new Set(rows.flatMap(r => r.bounds.map(b => {
+    try { return Number(b.evaluate({ ...scope })); } catch { return NaN; }
+  })))].filter(Number.isFinite).sort((a, b) => a - b);
+
+  // ardışık kesim noktaları arasında koşullar sabit: her aralığın dalı bir iç noktadan bulunur
+  const probe = (i) => i === 0 ? (cuts[0] ?? 0) - 1 : i === cuts.length ? cuts[i - 1] + 1 : 0.5 * (cuts[i - 1] + cuts[i]);
+  const regions = Array.from({ length: cuts.length + 1 }, (_, i) => ({
+    from: i === 0 ? -Infinity : cuts[i - 1],
+    to: i === cuts.length ? Infinity : cuts[i],
+    row: rowAt(probe(i)),
+  }));
+  const rowDers = rows.map(r => bindDerivatives(r.codes, scope));
+  const orderCount = rowDers[0].length;
+
+  const breakpoints = cuts.map((c, i) => {
+    const L = regions[i].row, R = regions[i + 1].row, V = rowAt(c);
+    const orders = [];
+    let smooth = true;   // 0..k-1 mertebelerin hepsi c'de sürekli mi
+    for (let k = 0; k < orderCount; k++) {
+      const left = L >= 0 ? oneSided(rowDers[L][k], c, -1) : NaN;
+      const right = R >= 0 ? oneSided(rowDers[R][k], c, 1) : NaN;
+      let value;
+      if (k === 0) value = V >= 0 ? rowDers[V][0](c) : NaN;
+      else value = smooth && close(left, right) ? 0.5 * (left + right) : NaN;
+      orders.push({ left, right, value });
+      smooth = smooth && close(left, value) && close(right, value);
+    }
+    const continuous = close(orders[0].left, orders[0].value) && close(orders[0].right, orders[0].value);
+    const differentiable = continuous && orderCount > 1 && Number.isFinite(orders[1].value);
+    return { x: c, orders, continuous, differentiable };
+  });
+
+  // ilk c >= x kesim noktasının dizini
+  const lowerBound = (x) => {
+    let lo = 0, hi = cuts.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (cuts[mid] < x) lo = mid + 1; else hi = mid;
+    }
+    return lo;
+  };
+  const ders = Array.from({ length: orderCount }, (_, k) => (x) => {
+    if (Number.isNaN(x)) return NaN;
+    const i = lowerBound(x);
+    if (cuts[i] === x) return breakpoints[i].orders[k].value;
+    const r = regions[i].row;
+    return r >= 0 ? rowDers[r][k](x) : NaN;
+  });
+  return { ders, regions, breakpoints, rowDers };
+}
+
+// Geriye dönük uyumlu düz ifade (iç içe üçlü koşul); parametre bulma, lejant ve yedek için
+export function piecewiseExpr(pieces) {
+  const parts = pieces.filter(r => r.expr.trim() !== "");
+  return parts.map(({ cond, expr }, i) =>
+    i < parts.length - 1 && cond.trim() ? `(${cond})?(${expr}):` : `(${expr})`).join("");
+}
+
+// Düz ifade ya da parçalı tanım: { codes } | { piecewise } | { error } — error: msg
+export function functionCodes({ expr, pieces }, maxOrder) {
+  if (!pieces) return { codes: derivativeCodes(expr, maxOrder) };
+  try { return { piecewise: piecewiseCodes(pieces, maxOrder) }; } catch (err) { return { error: err.msg ?? err.message }; }
+}
+// { ders, regions, breakpoints } — düz ifadede regions/breakpoints null
+export function bindFunction(compiled, scope) {
+  if (compiled?.piecewise) return bindPiecewise(compiled.piecewise, scope);
+  return { ders: bindDerivatives(compiled?.codes ?? [], scope), regions: null, breakpoints: null };
+}
+
+// Dalların TeX gösterimi: f için ifadeler, f' için sembolik türevleri; otherwise: koşulsuz satırın metni
+export function piecewiseTex(pieces, order = 0, otherwise = "aksi hâlde") {
+  const rows = pieces.map(({ cond, expr }) => {
+    let body = "?";
+    try {
+      let node = math.parse(normalizeExpr(expr));
+      for (let k = 0; k < order; k++) node = math.simplify(math.derivative(node, "x"));
+      body = node.toTex();
+    } catch { /* sembolik türev yok */ }
+    let when = `\\text{${otherwise}}`;
+    if (cond.trim()) {
+      try { when = math.parse(normalizeExpr(cond)).toTex(); } catch { when = `\\text{${cond}}`; }
+    }
+    return `${body} & ${when}`;
+  });
+  return `\\begin{cases} ${rows.join(" \\\\ ")} \\end{cases}`;
+}
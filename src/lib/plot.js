@@ -0,0 +1,1077 @@
+// Grafik çizimi: tarayıcıdaki canvas, dışa aktarma için yüksek çözünürlüklü canvas ve
+// SvgContext aynı rutinlerden geçer. ctx, CanvasRenderingContext2D'nin kullanılan alt kümesidir.
+
+import { clamp } from "./numeric.js";
+import { taylorEval } from "./taylor.js";
+import { planeSlope } from "./parametric.js";
+import { implicitSlope } from "./implicit.js";
+import { sliceY, sliceLabel, surfaceAt } from "./surface.js";
+import { translator } from "./i18n.js";
+
+export function worldToScreen(x, y, W, H, xMin, xMax, yMin, yMax) {
+  const sx = ((x - xMin) / (xMax - xMin)) * W;
+  const sy = H - ((y - yMin) / (yMax - yMin)) * H;
+  return [sx, sy];
+}
+export function screenToWorld(sx, sy, W, H, xMin, xMax, yMin, yMax) {
+  const x = xMin + (sx / W) * (xMax - xMin);
+  const y = yMin + ((H - sy) / H) * (yMax - yMin);
+  return [x, y];
+}
+// Görünür paneller sırayla alt alta dizilir: (hareket şeridi), (F), f, f', f'', f'''; height verilmeyen panel panelH boyunda
+export const PANEL_GAP = 12;
+export const MOTION_ORDER = -2;   // hareket modunda f'nin üstündeki sayı doğrusu şeridi
+export function layoutPanels(panels, panelH, gap = PANEL_GAP) {
+  let top = 0;
+  return panels.filter(p => p.visible).map(p => {
+    const r = { order: p.order, top, height: p.height ?? panelH };
+    top += r.height + gap;
+    return r;
+  });
+}
+// İmlecin altındaki panel (aradaki boşlukta null)
+export function panelAt(sy, layout) {
+  return layout.find(p => sy >= p.top && sy <= p.top + p.height) ?? null;
+}
+// Düzlem eğrisinde x ve y aynı ölçekte: y aralığının merkezi korunur, genişliği panelin en-boy oranından gelir
+export function equalAspect([yMin, yMax], xMin, xMax, W, H) {
+  const c = 0.5 * (yMin + yMax), half = 0.5 * (xMax - xMin) * H / W;
+  return [c - half, c + half];
+}
+export const derivName = (name, order) => order <= 3 ? name + "'".repeat(order) : `${name}^(${order})`;
+const PLANE_COLORS = { path: "#2563eb", dx: "#dc2626", dy: "#16a34a", tangent: "#7c3aed", velocity: "#ea580c", singular: "#dc2626", level: "#334155" };
+const MOTION_COLORS = { playhead: "#0891b2", v: "#16a34a", a: "#dc2626", turn: "#ea580c", stop: "#64748b" };
+const TR = translator("tr");
+const FIELD_CELL_PX = 36;   // eğim alanı ve gradyan alanı ızgarası yaklaşık bu sıklıkta
+// Seviye haritası renk ölçeği: düşük mavi, orta açık, yüksek kırmızı; t ∈ [0, 1]
+const HEAT_STOPS = [[37, 99, 235], [248, 250, 252], [220, 38, 38]];
+function heatColor(t) {
+  const u = clamp(t, 0, 1) * 2, i = Math.min(1, Math.floor(u)), s = u - i;
+  const a = HEAT_STOPS[i], b = HEAT_STOPS[i + 1];
+  return `rgb(${a.map((c, k) => Math.round(c + s * (b[k] - c))).join(",")})`;
+}
+export function niceTicks(min, max, target = 8) {
+  const span = max - min || 1;
+  const step0 = span / target;
+  const pow10 = Math.pow(10, Math.floor(Math.log10(step0)));
+  let step = step0 / pow10;
+  if (step >= 5) step = 5; else if (step >= 2) step = 2; else step = 1;
+  step *= pow10;
+  const start = Math.ceil(min / step) * step;
+  const ticks = [];
+  for (let v = start; v <= max + 1e-12; v += step) ticks.push(+v.toFixed(12));
+  return ticks;
+}
+
+// scene: { width, layout, xMin, xMax, ranges, sampled, curves, tangentCurve, cursorX, secantH, taylor, analysis, integral }
+// taylor: { x0, coeffs, eps, interval } seçili eğrinin x₀'daki Taylor polinomu (üst katman)
+// newton: { steps, status, root, shown } Newton iterasyonlarının ilk shown adımı (üst katman)
+// plane: { sym, legend, fns, tMin, tMax, points } parametrik/kutupsal eğri; varsa paneller düzlem (order 0) ve
+// parametreye karşı x'(t), y'(t) (order 1) olur, planeT (üst katman) sürüklenen noktanın parametresidir.
+// implicit: { legend, fns, points } kapalı eğri F(x, y) = 0 tek panelde; points worker'ın parçaları, dikey teğetleri
+// ve tekil noktaları; implicitPt (üst katman) imlecin eğriye oturtulduğu [x, y] noktası.
+// ode: { legend, g, points } dy/dx = g(x, y): üst panelde eğim alanı ve worker'ın çözüm eğrileri, altta çözümlerin
+// türevleri g(x, y(x)); odePt (üst katman) imlecin altındaki nokta ve oradaki eğim.
+// surface: { legend, fns, slice, points } z = f(x, y): üstte seviye haritası, seviye eğrileri, gradyan alanı ve kesit
+// doğrusu slice ({ x0, y0, angle }), altta doğru boyunca kesit; surfacePt (üst katman) imlecin altındaki [x, y].
+// motion: { curve, events, scale } seçili eğri konum s(t) = f(t): layout'taki MOTION_ORDER şeridinde sayı doğrusu, zaman
+// panellerinde durma / yön değiştirme anları; motionT (üst katman) oynatma anı: şeritte parçacık, v ve a okları.
+// integral: { a, b, rects, F } seçili eğri için; F paneli layout'ta order -1 ile yer alır ve aralığını F.range'den alır.
+// sampled: sampling.js'in sonucu; eğriler buradan çizilir, f yalnızca imleçteki noktalar için çağrılır.
+// cursorX null ise teğet ve imleç çizgisi çizilmez; secantH verilirse x₀ ile x₀+h'den geçen kesen de çizilir.
+// t: tuval etiketlerinin çevirisi (yoksa Türkçe)
+function painter(ctx, scene) {
+  const tr = scene.t ?? TR;
+  const { width: W, layout, xMin, xMax, ranges, sampled, curves, tangentCurve, cursorX, secantH, taylor, newton, analysis, integral, plane, planeT, implicit, implicitPt, ode, odePt, surface, surfacePt, motion, motionT } = scene;
+  const rangeOf = (panel) => panel.order === MOTION_ORDER ? ranges[0] : panel.order < 0 ? integral?.F?.range ?? [-1, 1] : ranges[panel.order];
+
+  function drawAxes(panel, [yMin_, yMax_], [xMin_, xMax_] = [xMin, xMax]) {
+    const panelH = panel.height;
+    ctx.save(); ctx.translate(0, panel.top);
+    ctx.fillStyle = "#fff"; ctx.fillRect(0, 0, W, panelH);
+
+    const xt = niceTicks(xMin_, xMax_);
+    const yt = niceTicks(yMin_, yMax_);
+    ctx.strokeStyle = "#e5e7eb";
+    for (const x of xt) {
+      const [sx] = worldToScreen(x, 0, W, panelH, xMin_, xMax_, yMin_, yMax_);
+      ctx.beginPath(); ctx.moveTo(sx, 0); ctx.lineTo(sx, panelH); ctx.stroke();
+    }
+    for (const y of yt) {
+      const [, sy] = worldToScreen(0, y, W, panelH, xMin_, xMax_, yMin_, yMax_);
+      ctx.beginPath(); ctx.moveTo(0, sy); ctx.lineTo(W, sy); ctx.stroke();
+    }
+
+    ctx.strokeStyle = "#94a3b8";
+    if (yMin_ < 0 && yMax_ > 0) {
+      const [, sy] = worldToScreen(0, 0, W, panelH, xMin_, xMax_, yMin_, yMax_);
+      ctx.beginPath(); ctx.moveTo(0, sy); ctx.lineTo(W, sy); ctx.stroke();
+    }
+    if (xMin_ < 0 && xMax_ > 0) {
+      const [sx] = worldToScreen(0, 0, W, panelH, xMin_, xMax_, yMin_, yMax_);
+      ctx.beginPath(); ctx.moveTo(sx, 0); ctx.lineTo(sx, panelH); ctx.stroke();
+    }
+
+    ctx.fillStyle = "#64748b"; ctx.font = "12px system-ui";
+    ctx.textAlign = "center"; ctx.textBaseline = "top";
+    for (const x of xt) {
+      const [sx] = worldToScreen(x, 0, W, panelH, xMin_, xMax_, yMin_, yMax_);
+      ctx.fillText(String(x), sx, 2);
+    }
+    ctx.textAlign = "right"; ctx.textBaseline = "middle";
+    for (const y of yt) {
+      const [, sy] = worldToScreen(0, y, W, panelH, xMin_, xMax_, yMin_, yMax_);
+      ctx.fillText(String(y), W - 4, sy);
+    }
+    ctx.restore();
+  }
+  // Örneklenmiş polyline; NaN olan yerde çizgi kopar
+  function drawCurve(points, color, panel, [yMin_, yMax_], [xMin_, xMax_] = [xMin, xMax]) {
+    if (!points) return;
+    const { xs, ys } = points;
+    ctx.save(); ctx.translate(0, panel.top);
+    ctx.lineWidth = 2; ctx.strokeStyle = color;
+    ctx.beginPath();
+    let started = false;
+    for (let i = 0; i < xs.length; i++) {
+      if (!Number.isFinite(ys[i])) { started = false; continue; }
+      const [sx, sy] = worldToScreen(xs[i], ys[i], W, panel.height, xMin_, xMax_, yMin_, yMax_);
+      if (started) ctx.lineTo(sx, sy); else ctx.moveTo(sx, sy);
+      started = true;
+    }
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  const hasCursor = cursorX != null && !Number.isNaN(cursorX);
+
+  function drawTangentAt(panel, yRange) {
+    if (!hasCursor || !tangentCurve || !tangentCurve.df) return;
+    const { f, df } = tangentCurve;
+    const panelH = panel.height;
+
+    const x = clamp(cursorX, xMin, xMax);
+    const y = f(x);
+    const m = df(x);
+    if (!Number.isFinite(y) || !Number.isFinite(m)) return;
+
+    const xA = xMin, xB = xMax;
+    const yA = m * (xA - x) + y, yB = m * (xB - x) + y;
+
+    ctx.save(); ctx.translate(0, panel.top);
+    const [sAx, sAy] = worldToScreen(xA, yA, W, panelH, xMin, xMax, yRange[0], yRange[1]);
+    const [sBx, sBy] = worldToScreen(xB, yB, W, panelH, xMin, xMax, yRange[0], yRange[1]);
+    ctx.strokeStyle = "#7c3aed"; ctx.lineWidth = 2;
+    ctx.beginPath(); ctx.moveTo(sAx, sAy); ctx.lineTo(sBx, sBy); ctx.stroke();
+
+    const [sx0, sy] = worldToScreen(x, y, W, panelH, xMin, xMax, yRange[0], yRange[1]);
+    ctx.fillStyle = "#7c3aed"; ctx.beginPath(); ctx.arc(sx0, sy, 3, 0, Math.PI * 2); ctx.fill();
+
+    const n = tangentCurve.name;
+    ctx.fillStyle = "#1f2937"; ctx.font = "12px system-ui";
+    ctx.textAlign = "left"; ctx.textBaseline = "bottom";
+    const label = `x=${x.toFixed(3)}  ${n}(x)=${y.toFixed(3)}  ${n}'(x)=${m.toFixed(3)}`;
+    ctx.fillText(label, Math.min(Math.max(6, sx0 + 6), W - 180), Math.max(14, sy - 6));
+    ctx.restore();
+  }
+  // Tüm panellerden geçen ortak imleç çizgisi; türev panellerinde değer noktası
+  function drawSecantAt(panel, yRange) {
+    if (!hasCursor || !tangentCurve || !secantH) return;
+    const { f } = tangentCurve;
+    const x = clamp(cursorX, xMin, xMax), x1 = x + secantH;
+    const y = f(x), y1 = f(x1);
+    const m = (y1 - y) / secantH;
+    if (!Number.isFinite(y) || !Number.isFinite(y1) || !Number.isFinite(m)) return;
+
+    const panelH = panel.height;
+    const toScreen = (px, py) => worldToScreen(px, py, W, panelH, xMin, xMax, yRange[0], yRange[1]);
+    ctx.save(); ctx.translate(0, panel.top);
+    const [sAx, sAy] = toScreen(xMin, m * (xMin - x) + y);
+    const [sBx, sBy] = toScreen(xMax, m * (xMax - x) + y);
+    ctx.strokeStyle = "#ea580c"; ctx.lineWidth = 2;
+    ctx.beginPath(); ctx.moveTo(sAx, sAy); ctx.lineTo(sBx, sBy); ctx.stroke();
+
+    // h ve Δy'yi gösteren dik üçgen
+    const [sx0, sy0] = toScreen(x, y);
+    const [sx1, sy1] = toScreen(x1, y1);
+    ctx.strokeStyle = "#fdba74"; ctx.lineWidth = 1; ctx.setLineDash([3, 3]);
+    ctx.beginPath(); ctx.moveTo(sx0, sy0); ctx.lineTo(sx1, sy0); ctx.lineTo(sx1, sy1); ctx.stroke(); ctx.setLineDash([]);
+    ctx.fillStyle = "#ea580c";
+    for (const [sx, sy] of [[sx0, sy0], [sx1, sy1]]) { ctx.beginPath(); ctx.arc(sx, sy, 3, 0, Math.PI * 2); ctx.fill(); }
+
+    ctx.fillStyle = "#9a3412"; ctx.font = "12px system-ui";
+    ctx.textAlign = "left"; ctx.textBaseline = "top";
+    const label = `h=${+secantH.toPrecision(3)}  ${tr("plot.slope")}=${m.toFixed(4)}`;
+    ctx.fillText(label, Math.min(Math.max(6, sx1 + 6), W - 160), Math.min(Math.max(4, sy1 + 6), panelH - 16));
+    ctx.restore();
+  }
+  // Pₙ eğrisi, f ile arasındaki hata |f − Pₙ| (gölge) ve |f − Pₙ| < ε aralığı (alt kenarda bant)
+  function drawTaylor(panel, [yMin_, yMax_]) {
+    if (!hasCursor || !tangentCurve || !taylor) return;
+    const { x0, coeffs, interval } = taylor;
+    const span = yMax_ - yMin_;
+    const toScreen = (x, y) => worldToScreen(x, clamp(y, yMin_ - span, yMax_ + span), W, panel.height, xMin, xMax, yMin_, yMax_);
+    const n = Math.max(2, Math.round(W / 2));
+    const pts = [];
+    for (let i = 0; i <= n; i++) {
+      const x = xMin + (xMax - xMin) * i / n;
+      pts.push([x, tangentCurve.f(x), taylorEval(coeffs, x0, x)]);
+    }
+
+    ctx.save(); ctx.translate(0, panel.top);
+    ctx.fillStyle = "rgba(13,148,136,0.15)";
+    let strip = [];
+    const flush = () => {
+      if (strip.length > 1) {
+        ctx.beginPath();
+        strip.forEach(([x, yf], i) => { const [sx, sy] = toScreen(x, yf); if (i) ctx.lineTo(sx, sy); else ctx.moveTo(sx, sy); });
+        for (let i = strip.length - 1; i >= 0; i--) { const [sx, sy] = toScreen(strip[i][0], strip[i][2]); ctx.lineTo(sx, sy); }
+        ctx.closePath(); ctx.fill();
+      }
+      strip = [];
+    };
+    for (const p of pts) { if (Number.isFinite(p[1]) && Number.isFinite(p[2])) strip.push(p); else flush(); }
+    flush();
+
+    ctx.strokeStyle = "#0d9488"; ctx.lineWidth = 2;
+    ctx.beginPath();
+    pts.forEach(([x, , yp], i) => { const [sx, sy] = toScreen(x, yp); if (i) ctx.lineTo(sx, sy); else ctx.moveTo(sx, sy); });
+    ctx.stroke();
+
+    ctx.fillStyle = "#115e59"; ctx.font = "12px system-ui"; ctx.textBaseline = "bottom";
+    if (interval) {
+      const [sLo] = toScreen(interval.lo, 0), [sHi] = toScreen(interval.hi, 0);
+      const y = panel.height - 4;
+      ctx.strokeStyle = "#0d9488"; ctx.lineWidth = 4;
+      ctx.beginPath(); ctx.moveTo(sLo, y); ctx.lineTo(sHi, y); ctx.stroke();
+      ctx.lineWidth = 1;
+      for (const sx of [sLo, sHi]) { ctx.beginPath(); ctx.moveTo(sx, y - 6); ctx.lineTo(sx, y + 2); ctx.stroke(); }
+      ctx.textAlign = "center";
+      ctx.fillText(`|${tangentCurve.name} − P${coeffs.length - 1}| < ${taylor.eps}`, clamp((sLo + sHi) / 2, 60, W - 60), y - 6);
+    }
+    ctx.textAlign = "right";
+    ctx.fillText(`P${coeffs.length - 1}(x), x₀ = ${+x0.toFixed(3)}`, W - 8, 18);
+    ctx.restore();
+  }
+  // Her Newton adımı: (xₙ, f(xₙ))'deki teğet x eksenine iner, oradan eğriye dik kesikli çizgi;
+  // son gösterilen adım koyu, öncekiler soluk
+  function drawNewton(panel, [yMin_, yMax_]) {
+    if (!newton || !tangentCurve || newton.shown === 0) return;
+    const span = yMax_ - yMin_;
+    const toScreen = (x, y) => worldToScreen(x, clamp(y, yMin_ - span, yMax_ + span), W, panel.height, xMin, xMax, yMin_, yMax_);
+    const sub = (n) => String(n).replace(/\d/g, d => "₀₁₂₃₄₅₆₇₈₉"[d]);
+    const steps = newton.steps.slice(0, newton.shown);
+    ctx.save(); ctx.translate(0, panel.top);
+    ctx.font = "12px system-ui"; ctx.textAlign = "center";
+    steps.forEach((s, i) => {
+      if (!Number.isFinite(s.fx)) return;
+      const last = i === steps.length - 1;
+      ctx.globalAlpha = last ? 1 : 0.45;
+      const [sx, sy] = toScreen(s.x, s.fx);
+      ctx.strokeStyle = "#c026d3"; ctx.lineWidth = last ? 2 : 1.5;
+      if (Number.isFinite(s.next) && s.next !== s.x) {
+        // teğeti iki uçtan biraz uzat
+        const [ex, ey] = toScreen(s.next, 0);
+        const dx = ex - sx, dy = ey - sy, len = Math.hypot(dx, dy) || 1, ext = 24;
+        ctx.beginPath(); ctx.moveTo(sx - dx / len * ext, sy - dy / len * ext); ctx.lineTo(ex + dx / len * ext, ey + dy / len * ext); ctx.stroke();
+        const fn = tangentCurve.f(s.next);
+        if (Number.isFinite(fn)) {
+          const [, fy] = toScreen(s.next, fn);
+          ctx.setLineDash([4, 3]); ctx.lineWidth = 1;
+          ctx.beginPath(); ctx.moveTo(ex, ey); ctx.lineTo(ex, fy); ctx.stroke(); ctx.setLineDash([]);
+        }
+        ctx.fillStyle = "#c026d3";
+        ctx.beginPath(); ctx.arc(ex, ey, 3, 0, Math.PI * 2); ctx.fill();
+      } else if (last && newton.status === "zeroDerivative") {
+        // yatay teğet: eksenle kesişme yok
+        ctx.setLineDash([6, 4]);
+        ctx.beginPath(); ctx.moveTo(0, sy); ctx.lineTo(W, sy); ctx.stroke(); ctx.setLineDash([]);
+      }
+      ctx.fillStyle = "#86198f";
+      ctx.beginPath(); ctx.arc(sx, sy, 3.5, 0, Math.PI * 2); ctx.fill();
+      ctx.textBaseline = s.fx >= 0 ? "bottom" : "top";
+      ctx.fillText(`x${sub(s.n)}`, sx, sy + (s.fx >= 0 ? -6 : 6));
+    });
+    ctx.globalAlpha = 1;
+    if (newton.shown >= newton.steps.length && Number.isFinite(newton.root)) {
+      const [rx, ry] = toScreen(newton.root, 0);
+      ctx.strokeStyle = "#86198f"; ctx.lineWidth = 2;
+      ctx.beginPath(); ctx.arc(rx, ry, 6, 0, Math.PI * 2); ctx.stroke();
+    }
+    ctx.restore();
+  }
+  function drawCrosshair() {
+    if (!hasCursor) return;
+    const x = clamp(cursorX, xMin, xMax);
+    for (const panel of layout) {
+      if (panel.order === MOTION_ORDER) continue;
+      const r = rangeOf(panel);
+      const [sx] = worldToScreen(x, 0, W, panel.height, xMin, xMax, r[0], r[1]);
+      ctx.save(); ctx.translate(0, panel.top);
+      ctx.strokeStyle = "#c7d2fe"; ctx.lineWidth = 1; ctx.setLineDash([4, 4]);
+      ctx.beginPath(); ctx.moveTo(sx, 0); ctx.lineTo(sx, panel.height); ctx.stroke(); ctx.setLineDash([]);
+      const fun = tangentCurve?.ders[panel.order];
+      const y = fun ? fun(x) : NaN;
+      if (panel.order > 0 && Number.isFinite(y) && tangentCurve.showDerivative) {
+        const [, sy] = worldToScreen(x, y, W, panel.height, xMin, xMax, r[0], r[1]);
+        ctx.fillStyle = tangentCurve.color; ctx.beginPath(); ctx.arc(sx, sy, 3, 0, Math.PI * 2); ctx.fill();
+        ctx.fillStyle = "#1f2937"; ctx.font = "12px system-ui";
+        ctx.textAlign = "left"; ctx.textBaseline = "bottom";
+        const label = `${derivName(tangentCurve.name, panel.order)}(x)=${y.toFixed(3)}`;
+        ctx.fillText(label, Math.min(Math.max(6, sx + 6), W - 120), Math.max(14, sy - 6));
+      }
+      ctx.restore();
+    }
+  }
+  // Bir önceki mertebenin köşeleri: sol/sağ eğimde boş halka
+  function drawDerivativeMarks(points, panel, dRange) {
+    if (!points?.holes) return;
+    const toScreen = (x, y) => worldToScreen(x, y, W, panel.height, xMin, xMax, dRange[0], dRange[1]);
+    ctx.save(); ctx.translate(0, panel.top);
+    ctx.lineWidth = 2;
+    for (const { x, left, right } of points.holes) {
+      for (const y of [left, right]) {
+        if (!Number.isFinite(y)) continue;
+        const [hx, hy] = toScreen(x, y);
+        ctx.fillStyle = "#fff"; ctx.strokeStyle = "#ef4444";
+        ctx.beginPath(); ctx.arc(hx, hy, 3, 0, Math.PI * 2); ctx.fill(); ctx.stroke();
+      }
+    }
+    ctx.restore();
+  }
+  // İncelemeye değer noktalar (süreksizlik, köşe, dikey teğet adayları): f panelinin alt kenarında "?"
+  function drawSuspects(panel) {
+    if (!tangentCurve || sampled?.inspectId !== tangentCurve.id) return;
+    ctx.save(); ctx.translate(0, panel.top);
+    ctx.font = "bold 11px system-ui"; ctx.textAlign = "center"; ctx.textBaseline = "bottom";
+    for (const x of sampled.suspects) {
+      const [sx] = worldToScreen(x, 0, W, panel.height, xMin, xMax, 0, 1);
+      ctx.fillStyle = "#f97316";
+      ctx.beginPath(); ctx.moveTo(sx, panel.height - 14); ctx.lineTo(sx - 5, panel.height - 4); ctx.lineTo(sx + 5, panel.height - 4); ctx.closePath(); ctx.fill();
+      ctx.fillText("?", sx, panel.height - 15);
+    }
+    ctx.restore();
+  }
+  // Parçalı fonksiyonun kesim noktaları: değer varsa dolu, ona eşit olmayan tek yönlü limitlerde boş nokta
+  function drawBreakpoints(c, panel, range) {
+    if (!c.breakpoints) return;
+    const same = (a, b) => Number.isFinite(a) && Number.isFinite(b) && Math.abs(a - b) <= 1e-9 * Math.max(1, Math.abs(a), Math.abs(b));
+    ctx.save(); ctx.translate(0, panel.top);
+    ctx.lineWidth = 2; ctx.strokeStyle = c.color;
+    for (const bp of c.breakpoints) {
+      const o = bp.orders[panel.order];
+      if (!o || bp.x < xMin || bp.x > xMax) continue;
+      const open = [o.left, o.right].filter((y, i, a) => Number.isFinite(y) && !same(y, o.value) && !(i === 1 && same(y, a[0])));
+      for (const y of open) {
+        const [sx, sy] = worldToScreen(bp.x, y, W, panel.height, xMin, xMax, range[0], range[1]);
+        ctx.fillStyle = "#fff";
+        ctx.beginPath(); ctx.arc(sx, sy, 4, 0, Math.PI * 2); ctx.fill(); ctx.stroke();
+      }
+      if (Number.isFinite(o.value)) {
+        const [sx, sy] = worldToScreen(bp.x, o.value, W, panel.height, xMin, xMax, range[0], range[1]);
+        ctx.fillStyle = c.color;
+        ctx.beginPath(); ctx.arc(sx, sy, 4, 0, Math.PI * 2); ctx.fill();
+      }
+    }
+    ctx.restore();
+  }
+  // Tekillikler: kutuplarda kesikli dikey asimptot (f panelinde etiketli), kaldırılabilir süreksizlik ve
+  // sıçramalarda tek yönlü limitlerde boş, tanımlı değerde dolu nokta
+  function drawSingular(c, panel, range, points) {
+    if (!points?.singular?.length) return;
+    const toScreen = (x, y) => worldToScreen(x, y, W, panel.height, xMin, xMax, range[0], range[1]);
+    ctx.save(); ctx.translate(0, panel.top);
+    ctx.font = "11px system-ui"; ctx.textAlign = "left"; ctx.textBaseline = "top";
+    let lastLabel = -Infinity;
+    for (const s of points.singular) {
+      const [sx] = toScreen(s.x, 0);
+      if (s.kind === "pole") {
+        ctx.strokeStyle = c.color; ctx.lineWidth = 1; ctx.setLineDash([6, 4]);
+        ctx.beginPath(); ctx.moveTo(sx, 0); ctx.lineTo(sx, panel.height); ctx.stroke();
+        ctx.setLineDash([]);
+        if (panel.order === 0 && s.label && sx - lastLabel > 56) {
+          ctx.fillStyle = "#334155"; ctx.fillText(s.label, sx + 3, 16);
+          lastLabel = sx;
+        }
+        continue;
+      }
+      if (s.kind === "edge") continue;
+      ctx.strokeStyle = c.color; ctx.lineWidth = 2;
+      for (const y of s.kind === "removable" ? [s.left] : [s.left, s.right]) {
+        if (!Number.isFinite(y)) continue;
+        const [, sy] = toScreen(s.x, y);
+        ctx.fillStyle = "#fff";
+        ctx.beginPath(); ctx.arc(sx, sy, 4, 0, Math.PI * 2); ctx.fill(); ctx.stroke();
+      }
+      if (Number.isFinite(s.value)) {
+        const [, sy] = toScreen(s.x, s.value);
+        ctx.fillStyle = c.color;
+        ctx.beginPath(); ctx.arc(sx, sy, 4, 0, Math.PI * 2); ctx.fill();
+      }
+    }
+    ctx.restore();
+  }
+  // x → ±∞ yatay/eğik asimptotlar: kesikli doğru, etiketi ait olduğu yandaki kenarda
+  function drawFarAsymptotes(c, panel, range) {
+    const asy = sampled?.asymptotes?.[c.id];
+    if (!asy) return;
+    const { left, right } = asy;
+    const both = left && right && left.m === right.m && left.b === right.b;
+    const lines = both ? [[right, 1, right.label]]
+      : [[left, -1, left && `${left.label}  (x → -∞)`], [right, 1, right && `${right.label}  (x → +∞)`]].filter(([l]) => l);
+    const toScreen = (x, y) => worldToScreen(x, y, W, panel.height, xMin, xMax, range[0], range[1]);
+    ctx.save(); ctx.translate(0, panel.top);
+    ctx.font = "11px system-ui"; ctx.textBaseline = "bottom";
+    for (const [{ m, b }, side, label] of lines) {
+      const [x0, y0] = toScreen(xMin, m * xMin + b), [x1, y1] = toScreen(xMax, m * xMax + b);
+      ctx.strokeStyle = c.color; ctx.lineWidth = 1; ctx.setLineDash([6, 4]);
+      ctx.beginPath(); ctx.moveTo(x0, y0); ctx.lineTo(x1, y1); ctx.stroke();
+      ctx.setLineDash([]);
+      const lx = side > 0 ? W - 48 : 8, wx = xMin + (xMax - xMin) * lx / W;
+      const [, ly] = toScreen(wx, m * wx + b);
+      if (ly < 14 || ly > panel.height - 2) continue;
+      ctx.fillStyle = "#334155"; ctx.textAlign = side > 0 ? "right" : "left";
+      ctx.fillText(label, lx, ly - 3);
+    }
+    ctx.restore();
+  }
+  // Analiz işaretleri: kökler, yerel ekstremumlar, büküm noktaları ve türevlerin sıfırları
+  function drawAnalysisMarks(panel, range) {
+    if (!analysis) return;
+    const panelH = panel.height;
+    const toScreen = (x, y) => worldToScreen(x, y, W, panelH, xMin, xMax, range[0], range[1]);
+    ctx.save(); ctx.translate(0, panel.top);
+    ctx.font = "11px system-ui"; ctx.textAlign = "center"; ctx.lineWidth = 1.5;
+    const label = (text, sx, sy, below) => {
+      ctx.fillStyle = "#1f2937"; ctx.textBaseline = below ? "top" : "bottom";
+      ctx.fillText(text, sx, below ? sy + 6 : sy - 6);
+    };
+    if (panel.order === 0) {
+      for (const p of analysis.zeros) {
+        const [sx, sy] = toScreen(p.x, 0);
+        ctx.fillStyle = "#fff"; ctx.strokeStyle = "#0f172a";
+        ctx.beginPath(); ctx.arc(sx, sy, 4, 0, Math.PI * 2); ctx.fill(); ctx.stroke();
+        label(`${+p.x.toFixed(3)}`, sx, sy, true);
+      }
+      for (const p of analysis.extrema) {
+        const [sx, sy] = toScreen(p.x, p.y);
+        ctx.fillStyle = tangentCurve.color;
+        ctx.beginPath(); ctx.arc(sx, sy, 5, 0, Math.PI * 2); ctx.fill();
+        label(`${tr(`plot.${p.kind}`)} (${+p.x.toFixed(2)}, ${+p.y.toFixed(2)})`, sx, sy, p.kind === "min");
+      }
+      for (const p of analysis.inflections) {
+        const [sx, sy] = toScreen(p.x, p.y);
+        ctx.fillStyle = "#fff"; ctx.strokeStyle = tangentCurve.color;
+        ctx.beginPath(); ctx.moveTo(sx, sy - 5); ctx.lineTo(sx + 5, sy); ctx.lineTo(sx, sy + 5); ctx.lineTo(sx - 5, sy); ctx.closePath();
+        ctx.fill(); ctx.stroke();
+        label(tr("plot.inflection"), sx, sy, false);
+      }
+    } else if (panel.order <= 2 && tangentCurve.showDerivative) {
+      for (const x of panel.order === 1 ? analysis.d1Zeros : analysis.d2Zeros) {
+        const [sx, sy] = toScreen(x, 0);
+        ctx.fillStyle = "#fff"; ctx.strokeStyle = tangentCurve.color;
+        ctx.beginPath(); ctx.arc(sx, sy, 4, 0, Math.PI * 2); ctx.fill(); ctx.stroke();
+      }
+    }
+    ctx.restore();
+  }
+  // [a, b] arasındaki işaretli alan (pozitif yeşil, negatif kırmızı), Riemann parçaları ve a, b çizgileri
+  function drawIntegral(panel, [yMin_, yMax_]) {
+    if (!integral || !tangentCurve) return;
+    const { a, b, rects } = integral;
+    const f = tangentCurve.f;
+    const toScreen = (x, y) => worldToScreen(x, y, W, panel.height, xMin, xMax, yMin_, yMax_);
+    const fillPoly = (poly, sgn) => {
+      if (poly.length < 3 || sgn === 0) return;
+      ctx.fillStyle = sgn > 0 ? "rgba(22,163,74,0.22)" : "rgba(220,38,38,0.22)";
+      ctx.beginPath();
+      poly.forEach(([x, y], i) => { const [sx, sy] = toScreen(x, y); if (i) ctx.lineTo(sx, sy); else ctx.moveTo(sx, sy); });
+      ctx.closePath(); ctx.fill();
+    };
+    // kesintisiz her parçayı eksenle kapat; işaret değiştiği yerde sıfırı doğrusal aradeğerle bul
+    const fillSegment = (seg) => {
+      let poly = [], sgn = 0;
+      seg.forEach(([x, y], i) => {
+        const s = Math.sign(y);
+        if (i === 0) { poly = [[x, 0], [x, y]]; sgn = s; return; }
+        const [px, py] = seg[i - 1];
+        if (s !== 0 && sgn !== 0 && s !== sgn) {
+          const xc = px + (x - px) * py / (py - y);
+          poly.push([xc, 0]); fillPoly(poly, sgn);
+          poly = [[xc, 0]]; sgn = s;
+        } else if (sgn === 0) sgn = s;
+        poly.push([x, y]);
+      });
+      poly.push([seg[seg.length - 1][0], 0]); fillPoly(poly, sgn);
+    };
+
+    const pts = sampled?.curves[tangentCurve.id]?.[0];
+    const lo = Math.max(a, xMin), hi = Math.min(b, xMax);
+    ctx.save(); ctx.translate(0, panel.top);
+    if (pts && hi > lo) {
+      let seg = [[lo, f(lo)]];
+      const flush = () => { const ok = seg.filter(([, y]) => Number.isFinite(y)); if (ok.length > 1) fillSegment(ok); seg = []; };
+      for (let i = 0; i < pts.xs.length; i++) {
+        const x = pts.xs[i];
+        if (x <= lo || x >= hi) continue;
+        if (!Number.isFinite(pts.ys[i])) { flush(); continue; }
+        seg.push([x, pts.ys[i]]);
+      }
+      seg.push([hi, f(hi)]); flush();
+    }
+
+    if (rects) {
+      ctx.strokeStyle = "rgba(37,99,235,0.7)"; ctx.lineWidth = 1;
+      for (const { x0, x1, y0, y1 } of rects) {
+        if (!Number.isFinite(y0) || !Number.isFinite(y1) || x1 < xMin || x0 > xMax) continue;
+        ctx.fillStyle = (y0 + y1) >= 0 ? "rgba(37,99,235,0.12)" : "rgba(234,88,12,0.12)";
+        ctx.beginPath();
+        [[x0, 0], [x0, y0], [x1, y1], [x1, 0]].forEach(([x, y], i) => { const [sx, sy] = toScreen(x, y); if (i) ctx.lineTo(sx, sy); else ctx.moveTo(sx, sy); });
+        ctx.closePath(); ctx.fill(); ctx.stroke();
+      }
+    }
+    drawBounds(panel, a, b);
+    ctx.restore();
+  }
+  function drawBounds(panel, a, b) {
+    ctx.strokeStyle = "#16a34a"; ctx.lineWidth = 1; ctx.setLineDash([5, 3]);
+    ctx.fillStyle = "#166534"; ctx.font = "12px system-ui"; ctx.textAlign = "center"; ctx.textBaseline = "bottom";
+    for (const [x, label] of [[a, "a"], [b, "b"]]) {
+      if (x < xMin || x > xMax) continue;
+      const [sx] = worldToScreen(x, 0, W, panel.height, xMin, xMax, 0, 1);
+      ctx.beginPath(); ctx.moveTo(sx, 0); ctx.lineTo(sx, panel.height); ctx.stroke();
+      ctx.fillText(label, sx, panel.height - 2);
+    }
+    ctx.setLineDash([]);
+  }
+  // Ters türev paneli: F(x) = ∫ₐˣ f(t) dt, F(a) = 0; altındaki f paneli onun türevi
+  function drawAntiderivative(panel, range) {
+    drawAxes(panel, range);
+    if (!integral || !tangentCurve) return;
+    const F = integral.F;
+    if (F) drawCurve(F, tangentCurve.color, panel, range);
+    ctx.save(); ctx.translate(0, panel.top);
+    drawBounds(panel, integral.a, integral.b);
+    const [sx, sy] = worldToScreen(integral.a, 0, W, panel.height, xMin, xMax, range[0], range[1]);
+    ctx.fillStyle = tangentCurve.color; ctx.beginPath(); ctx.arc(sx, sy, 3, 0, Math.PI * 2); ctx.fill();
+    ctx.restore();
+    const n = tangentCurve.name;
+    drawLegend([{ color: tangentCurve.color, text: `${n.toUpperCase()}(x) = ∫ₐˣ ${n}(t) dt   (a = ${+integral.a.toFixed(3)})` }], panel.top);
+  }
+  function drawLegend(items, yOffset) {
+    if (items.length === 0) return;
+    ctx.save(); ctx.translate(0, yOffset);
+    ctx.font = "12px system-ui"; ctx.textAlign = "left"; ctx.textBaseline = "middle";
+    const rowH = 16, pad = 6;
+    const w = Math.min(W - 60, Math.max(...items.map(it => ctx.measureText(it.text).width)) + 28 + pad * 2);
+    ctx.fillStyle = "rgba(255,255,255,0.85)"; ctx.strokeStyle = "#e5e7eb"; ctx.lineWidth = 1;
+    ctx.fillRect(8, 20, w, items.length * rowH + pad);
+    ctx.strokeRect(8, 20, w, items.length * rowH + pad);
+    items.forEach((it, i) => {
+      const cy = 20 + pad / 2 + rowH * i + rowH / 2;
+      ctx.strokeStyle = it.color; ctx.lineWidth = 3;
+      ctx.beginPath(); ctx.moveTo(8 + pad, cy); ctx.lineTo(8 + pad + 18, cy); ctx.stroke();
+      ctx.fillStyle = "#1f2937";
+      ctx.fillText(it.text, 8 + pad + 24, cy, w - 28 - pad * 2);
+    });
+    ctx.restore();
+  }
+
+  // Düzlem eğrisi: üstte (x(t), y(t)) yolu eşit ölçekte, altta parametreye karşı x'(t) ve y'(t)
+  const planeRange = (panel) => panel.order === 0 ? equalAspect(ranges[0], xMin, xMax, W, panel.height) : ranges[1];
+  function drawPlane() {
+    const pts = plane.points, tRange = [plane.tMin, plane.tMax], v = plane.sym;
+    for (const panel of layout) {
+      const range = planeRange(panel);
+      if (panel.order === 0) {
+        drawAxes(panel, range);
+        drawCurve(pts, PLANE_COLORS.path, panel, range);
+        // yönü göstermek için başlangıç noktası
+        const x0 = plane.fns.x(plane.tMin), y0 = plane.fns.y(plane.tMin);
+        if (Number.isFinite(x0) && Number.isFinite(y0)) {
+          const [sx, sy] = worldToScreen(x0, y0, W, panel.height, xMin, xMax, range[0], range[1]);
+          ctx.save(); ctx.translate(0, panel.top);
+          ctx.fillStyle = "#fff"; ctx.strokeStyle = PLANE_COLORS.path; ctx.lineWidth = 2;
+          ctx.beginPath(); ctx.arc(sx, sy, 4, 0, Math.PI * 2); ctx.fill(); ctx.stroke();
+          ctx.restore();
+        }
+        drawLegend([{ color: PLANE_COLORS.path, text: plane.legend }], panel.top);
+        continue;
+      }
+      drawAxes(panel, range, tRange);
+      drawCurve(pts?.dx, PLANE_COLORS.dx, panel, range, tRange);
+      drawCurve(pts?.dy, PLANE_COLORS.dy, panel, range, tRange);
+      drawLegend([
+        { color: PLANE_COLORS.dx, text: `dx/d${v}` },
+        { color: PLANE_COLORS.dy, text: `dy/d${v}` },
+      ], panel.top);
+    }
+  }
+  // Sürüklenen nokta: teğet doğrusu, hız vektörü (dx/dt, dy/dt) ve alt panelde parametre çizgisi
+  function drawPlanePoint() {
+    if (planeT == null || !Number.isFinite(planeT)) return;
+    const { fns, sym: v } = plane, t = planeT;
+    const x = fns.x(t), y = fns.y(t), dx = fns.dx(t), dy = fns.dy(t);
+    for (const panel of layout) {
+      const range = planeRange(panel);
+      ctx.save(); ctx.translate(0, panel.top);
+      ctx.font = "12px system-ui"; ctx.fillStyle = "#1f2937";
+      if (panel.order === 0 && Number.isFinite(x) && Number.isFinite(y)) {
+        const toScreen = (px, py) => worldToScreen(px, py, W, panel.height, xMin, xMax, range[0], range[1]);
+        const [sx, sy] = toScreen(x, y);
+        if (Number.isFinite(dx) && Number.isFinite(dy) && Math.hypot(dx, dy) > 0) {
+          // teğet, hız yönünde ekran boyunca uzatılır
+          const [ex, ey] = toScreen(x + dx, y + dy);
+          const ux = ex - sx, uy = ey - sy, len = Math.hypot(ux, uy) || 1, L = W + panel.height;
+          ctx.strokeStyle = PLANE_COLORS.tangent; ctx.lineWidth = 2;
+          ctx.beginPath(); ctx.moveTo(sx - ux / len * L, sy - uy / len * L); ctx.lineTo(sx + ux / len * L, sy + uy / len * L); ctx.stroke();
+          // hız vektörü gerçek ölçeğinde (ekranda en fazla panel boyu) ve ok ucu
+          const k = Math.min(1, L / len), hx = sx + ux * k, hy = sy + uy * k, a = Math.atan2(uy, ux);
+          ctx.strokeStyle = ctx.fillStyle = PLANE_COLORS.velocity; ctx.lineWidth = 2.5;
+          ctx.beginPath(); ctx.moveTo(sx, sy); ctx.lineTo(hx, hy); ctx.stroke();
+          ctx.beginPath(); ctx.moveTo(hx, hy);
+          ctx.lineTo(hx - 9 * Math.cos(a - 0.4), hy - 9 * Math.sin(a - 0.4));
+          ctx.lineTo(hx - 9 * Math.cos(a + 0.4), hy - 9 * Math.sin(a + 0.4));
+          ctx.closePath(); ctx.fill();
+        }
+        ctx.fillStyle = PLANE_COLORS.tangent; ctx.beginPath(); ctx.arc(sx, sy, 5, 0, Math.PI * 2); ctx.fill();
+        const { kind, m } = planeSlope(dx, dy);
+        const slope = kind === "slope" ? `dy/dx=${m.toFixed(3)}` : kind === "vertical" ? tr("plot.vertical") : tr("plot.noSlope");
+        ctx.fillStyle = "#1f2937"; ctx.textAlign = "right"; ctx.textBaseline = "top";
+        ctx.fillText(`${v}=${t.toFixed(3)}  (${x.toFixed(3)}, ${y.toFixed(3)})  ${slope}`, W - 8, 20);
+      } else if (panel.order === 1) {
+        const toScreen = (pt, py) => worldToScreen(pt, py, W, panel.height, plane.tMin, plane.tMax, range[0], range[1]);
+        const [st] = toScreen(t, 0);
+        ctx.strokeStyle = "#c7d2fe"; ctx.lineWidth = 1; ctx.setLineDash([4, 4]);
+        ctx.beginPath(); ctx.moveTo(st, 0); ctx.lineTo(st, panel.height); ctx.stroke(); ctx.setLineDash([]);
+        for (const [val, color] of [[dx, PLANE_COLORS.dx], [dy, PLANE_COLORS.dy]]) {
+          if (!Number.isFinite(val)) continue;
+          const [, sy] = toScreen(t, val);
+          ctx.fillStyle = color; ctx.beginPath(); ctx.arc(st, sy, 3.5, 0, Math.PI * 2); ctx.fill();
+        }
+      }
+      ctx.restore();
+    }
+  }
+
+  // Kapalı eğri: marching squares parçaları, dikey teğetler (kısa kesikli dikey çizgiyle) ve tekil noktalar
+  function drawImplicit() {
+    const pts = implicit.points;
+    for (const panel of layout) {
+      const range = planeRange(panel);
+      drawAxes(panel, range);
+      const toScreen = (x, y) => worldToScreen(x, y, W, panel.height, xMin, xMax, range[0], range[1]);
+      ctx.save(); ctx.translate(0, panel.top);
+      if (pts) {
+        const seg = pts.segments;
+        ctx.strokeStyle = PLANE_COLORS.path; ctx.lineWidth = 2; ctx.lineCap = "round";
+        ctx.beginPath();
+        for (let k = 0; k < seg.length; k += 4) {
+          const [ax, ay] = toScreen(seg[k], seg[k + 1]), [bx, by] = toScreen(seg[k + 2], seg[k + 3]);
+          ctx.moveTo(ax, ay); ctx.lineTo(bx, by);
+        }
+        ctx.stroke();
+        ctx.lineCap = "butt";
+        for (const [x, y] of pts.verticals) {
+          const [sx, sy] = toScreen(x, y);
+          ctx.strokeStyle = PLANE_COLORS.velocity; ctx.lineWidth = 1.5; ctx.setLineDash([4, 3]);
+          ctx.beginPath(); ctx.moveTo(sx, sy - 22); ctx.lineTo(sx, sy + 22); ctx.stroke(); ctx.setLineDash([]);
+          ctx.fillStyle = PLANE_COLORS.velocity; ctx.beginPath(); ctx.arc(sx, sy, 4, 0, Math.PI * 2); ctx.fill();
+        }
+        for (const [x, y] of pts.singular) {
+          const [sx, sy] = toScreen(x, y);
+          ctx.fillStyle = "#fff"; ctx.strokeStyle = PLANE_COLORS.singular; ctx.lineWidth = 2;
+          ctx.beginPath(); ctx.arc(sx, sy, 5, 0, Math.PI * 2); ctx.fill(); ctx.stroke();
+        }
+      }
+      ctx.restore();
+      drawLegend([
+        { color: PLANE_COLORS.path, text: implicit.legend },
+        ...(pts?.verticals.length ? [{ color: PLANE_COLORS.velocity, text: tr("plot.verticalPoints") }] : []),
+        ...(pts?.singular.length ? [{ color: PLANE_COLORS.singular, text: tr("plot.singularPoints") }] : []),
+      ], panel.top);
+    }
+  }
+  // İmlecin oturduğu nokta: teğet doğrultusu ∇F'ye dik, (F_y, −Fₓ); F_y = 0 ise teğet dikey
+  function drawImplicitPoint() {
+    if (!implicitPt) return;
+    const [x, y] = implicitPt, { Fx, Fy } = implicit.fns;
+    const fx = Fx(x, y), fy = Fy(x, y);
+    const panel = layout[0], range = planeRange(panel);
+    const toScreen = (px, py) => worldToScreen(px, py, W, panel.height, xMin, xMax, range[0], range[1]);
+    const [sx, sy] = toScreen(x, y);
+    const { kind, m } = implicitSlope(fx, fy);
+    ctx.save(); ctx.translate(0, panel.top);
+    if (kind !== "singular") {
+      const [ex, ey] = toScreen(x + fy, y - fx);
+      const ux = ex - sx, uy = ey - sy, len = Math.hypot(ux, uy) || 1, L = W + panel.height;
+      ctx.strokeStyle = PLANE_COLORS.tangent; ctx.lineWidth = 2;
+      ctx.beginPath(); ctx.moveTo(sx - ux / len * L, sy - uy / len * L); ctx.lineTo(sx + ux / len * L, sy + uy / len * L); ctx.stroke();
+    }
+    ctx.fillStyle = PLANE_COLORS.tangent; ctx.beginPath(); ctx.arc(sx, sy, 5, 0, Math.PI * 2); ctx.fill();
+    const slope = kind === "slope" ? `dy/dx=${m.toFixed(3)}` : kind === "vertical" ? tr("plot.vertical") : tr("plot.singularSlope");
+    ctx.font = "12px system-ui"; ctx.fillStyle = "#1f2937"; ctx.textAlign = "right"; ctx.textBaseline = "top";
+    ctx.fillText(`(${x.toFixed(3)}, ${y.toFixed(3)})  ${slope}`, W - 8, 20);
+    ctx.restore();
+  }
+
+  // Eğim alanı: niceTicks ızgarasının her noktasında (1, g) yönünde kısa çizgi; eşit ölçekte açılar gerçektir
+  function drawSlopeField(panel, range) {
+    const xt = niceTicks(xMin, xMax, Math.round(W / FIELD_CELL_PX));
+    const yt = niceTicks(range[0], range[1], Math.round(panel.height / FIELD_CELL_PX));
+    const kx = W / (xMax - xMin), ky = panel.height / (range[1] - range[0]);
+    const half = 0.35 * Math.min((xt[1] - xt[0]) * kx, (yt[1] - yt[0]) * ky || Infinity);
+    ctx.save(); ctx.translate(0, panel.top);
+    ctx.strokeStyle = "#94a3b8"; ctx.lineWidth = 1.2;
+    ctx.beginPath();
+    for (const x of xt) {
+      for (const y of yt) {
+        const m = ode.g(x, y);
+        if (!Number.isFinite(m)) continue;
+        const [sx, sy] = worldToScreen(x, y, W, panel.height, xMin, xMax, range[0], range[1]);
+        const ux = kx, uy = -m * ky, len = Math.hypot(ux, uy);
+        ctx.moveTo(sx - ux / len * half, sy - uy / len * half); ctx.lineTo(sx + ux / len * half, sy + uy / len * half);
+      }
+    }
+    ctx.stroke();
+    ctx.restore();
+  }
+  // dy/dx = g(x, y): üstte eğim alanı, çözümler (RK4 düz, Euler kesikli) ve başlangıç noktaları; altta y'(x) = g(x, y(x))
+  function drawOde() {
+    const sols = ode.points?.solutions ?? [];
+    const hasEuler = sols.some(s => s.euler);
+    for (const panel of layout) {
+      const range = planeRange(panel);
+      drawAxes(panel, range);
+      const key = panel.order === 0 ? "ys" : "ds";
+      const pick = (sol) => sol && { xs: sol.xs, ys: sol[key] };
+      if (panel.order === 0) drawSlopeField(panel, range);
+      ctx.setLineDash([6, 4]);
+      for (const s of sols) drawCurve(pick(s.euler), PLANE_COLORS.velocity, panel, range);
+      ctx.setLineDash([]);
+      for (const s of sols) drawCurve(pick(s.rk4), PLANE_COLORS.path, panel, range);
+      ctx.save(); ctx.translate(0, panel.top);
+      for (const { seed: [x, y] } of sols) {
+        const [sx, sy] = worldToScreen(x, panel.order === 0 ? y : ode.g(x, y), W, panel.height, xMin, xMax, range[0], range[1]);
+        if (!Number.isFinite(sy)) continue;
+        ctx.fillStyle = "#fff"; ctx.strokeStyle = PLANE_COLORS.path; ctx.lineWidth = 2;
+        ctx.beginPath(); ctx.arc(sx, sy, 4, 0, Math.PI * 2); ctx.fill(); ctx.stroke();
+      }
+      ctx.restore();
+      const euler = hasEuler ? [{ color: PLANE_COLORS.velocity, text: tr("plot.euler") }] : [];
+      drawLegend(panel.order === 0
+        ? [{ color: "#94a3b8", text: ode.legend }, ...(sols.length ? [{ color: PLANE_COLORS.path, text: tr("plot.solution") }] : []), ...euler]
+        : [{ color: PLANE_COLORS.path, text: tr("plot.solutionDerivative") }, ...euler], panel.top);
+    }
+  }
+  // İmlecin altındaki nokta: oradaki eğim doğrultusu; tıklanınca bu noktadan çözüm başlar
+  function drawOdePoint() {
+    if (!odePt) return;
+    const [x, y] = odePt, m = ode.g(x, y);
+    const panel = layout[0], range = planeRange(panel);
+    const [sx, sy] = worldToScreen(x, y, W, panel.height, xMin, xMax, range[0], range[1]);
+    ctx.save(); ctx.translate(0, panel.top);
+    if (Number.isFinite(m)) {
+      const ux = W / (xMax - xMin), uy = -m * panel.height / (range[1] - range[0]), len = Math.hypot(ux, uy);
+      ctx.strokeStyle = PLANE_COLORS.tangent; ctx.lineWidth = 2;
+      ctx.beginPath(); ctx.moveTo(sx - ux / len * 30, sy - uy / len * 30); ctx.lineTo(sx + ux / len * 30, sy + uy / len * 30); ctx.stroke();
+    }
+    ctx.fillStyle = PLANE_COLORS.tangent; ctx.beginPath(); ctx.arc(sx, sy, 4, 0, Math.PI * 2); ctx.fill();
+    ctx.font = "12px system-ui"; ctx.fillStyle = "#1f2937"; ctx.textAlign = "right"; ctx.textBaseline = "top";
+    ctx.fillText(`(${x.toFixed(3)}, ${y.toFixed(3)})  dy/dx=${Number.isFinite(m) ? m.toFixed(3) : tr("plot.undefined")}`, W - 8, 20);
+    ctx.restore();
+  }
+
+  // Ok: (sx, sy)'den (ex, ey)'ye gövde ve ucu
+  function arrow(sx, sy, ex, ey, head = 7) {
+    const a = Math.atan2(ey - sy, ex - sx);
+    ctx.beginPath(); ctx.moveTo(sx, sy); ctx.lineTo(ex, ey); ctx.stroke();
+    ctx.beginPath(); ctx.moveTo(ex, ey);
+    ctx.lineTo(ex - head * Math.cos(a - 0.45), ey - head * Math.sin(a - 0.45));
+    ctx.lineTo(ex - head * Math.cos(a + 0.45), ey - head * Math.sin(a + 0.45));
+    ctx.closePath(); ctx.fill();
+  }
+  // Gradyan alanı: niceTicks ızgarasında ∇f okları; boylar |∇f|'nin %90'lık değerine göre, en çok bir hücre.
+  // Eşit ölçekte oklar seviye eğrilerine diktir.
+  function drawGradientField(panel, range) {
+    const xt = niceTicks(xMin, xMax, Math.round(W / FIELD_CELL_PX));
+    const yt = niceTicks(range[0], range[1], Math.round(panel.height / FIELD_CELL_PX));
+    const k = W / (xMax - xMin);
+    const cell = Math.min((xt[1] - xt[0]) * k, (yt[1] - yt[0]) * k || Infinity);
+    const field = xt.flatMap(x => yt.map(y => [x, y, surface.fns.fx(x, y), surface.fns.fy(x, y)]))
+      .filter(([, , gx, gy]) => Number.isFinite(gx) && Number.isFinite(gy) && (gx || gy));
+    const mags = field.map(([, , gx, gy]) => Math.hypot(gx, gy)).sort((a, b) => a - b);
+    if (mags.length === 0) return;
+    const scale = 0.8 * cell / mags[Math.floor(0.9 * (mags.length - 1))];
+    ctx.save(); ctx.translate(0, panel.top);
+    ctx.strokeStyle = ctx.fillStyle = PLANE_COLORS.level; ctx.lineWidth = 1.2; ctx.globalAlpha = 0.8;
+    for (const [x, y, gx, gy] of field) {
+      const [sx, sy] = worldToScreen(x, y, W, panel.height, xMin, xMax, range[0], range[1]);
+      const len = Math.min(cell, Math.hypot(gx, gy) * scale), g = Math.hypot(gx, gy);
+      if (len < 3) { ctx.beginPath(); ctx.arc(sx, sy, 1.2, 0, Math.PI * 2); ctx.fill(); continue; }
+      arrow(sx, sy, sx + gx / g * len, sy - gy / g * len, Math.min(6, len / 2));
+    }
+    ctx.restore();
+  }
+  // Renk ölçeği: sağ altta en düşükten en yükseğe şerit
+  function drawHeatScale(panel, [lo, hi]) {
+    const w = 120, h = 8, x0 = W - w - 12, y0 = panel.height - 24;
+    ctx.save(); ctx.translate(0, panel.top);
+    for (let i = 0; i < w; i += 4) { ctx.fillStyle = heatColor(i / w); ctx.fillRect(x0 + i, y0, 4, h); }
+    ctx.strokeStyle = "#94a3b8"; ctx.lineWidth = 1; ctx.strokeRect(x0, y0, w, h);
+    ctx.font = "11px system-ui"; ctx.fillStyle = "#1f2937"; ctx.textBaseline = "bottom";
+    ctx.textAlign = "left"; ctx.fillText(String(+lo.toPrecision(3)), x0, y0 - 1);
+    ctx.textAlign = "right"; ctx.fillText(String(+hi.toPrecision(3)), x0 + w, y0 - 1);
+    ctx.restore();
+  }
+  // z = f(x, y): üstte seviye haritası (hücre merkezlerindeki değerler), seviye eğrileri, gradyan alanı ve kesit
+  // doğrusu; altta doğru boyunca h(x) = f(x, y(x))
+  function drawSurface() {
+    const pts = surface.points, { slice } = surface, lineY = sliceY(slice);
+    const sliceText = tr("plot.sliceLine", { line: sliceLabel(slice) });
+    for (const panel of layout) {
+      const range = planeRange(panel);
+      drawAxes(panel, range);
+      if (panel.order !== 0) {
+        drawCurve(pts?.slice, PLANE_COLORS.path, panel, range);
+        drawLegend([{ color: PLANE_COLORS.path, text: `h(x) = f(x, y(x)),  ${sliceText}` }], panel.top);
+        continue;
+      }
+      const toScreen = (x, y) => worldToScreen(x, y, W, panel.height, xMin, xMax, range[0], range[1]);
+      ctx.save(); ctx.translate(0, panel.top);
+      if (pts) {
+        // hücreler örneklendiği görünümün koordinatlarında; yeni sonuç gelene dek kaydırılmış çizilir
+        const { nx, ny, values, range: [lo, hi] } = pts;
+        const hx = (pts.xMax - pts.xMin) / nx, hy = (pts.yMax - pts.yMin) / ny;
+        ctx.globalAlpha = 0.6;
+        for (let j = 0; j < ny; j++) {
+          for (let i = 0; i < nx; i++) {
+            const v = values[j * nx + i];
+            if (!Number.isFinite(v)) continue;
+            const [ax, ay] = toScreen(pts.xMin + i * hx, pts.yMin + (j + 1) * hy);
+            const [bx, by] = toScreen(pts.xMin + (i + 1) * hx, pts.yMin + j * hy);
+            ctx.fillStyle = heatColor((v - lo) / (hi - lo));
+            ctx.fillRect(ax, ay, bx - ax + 0.5, by - ay + 0.5);
+          }
+        }
+        ctx.globalAlpha = 0.75;
+        ctx.strokeStyle = PLANE_COLORS.level; ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (const seg of pts.contours) {
+          for (let k = 0; k < seg.length; k += 4) {
+            const [ax, ay] = toScreen(seg[k], seg[k + 1]), [bx, by] = toScreen(seg[k + 2], seg[k + 3]);
+            ctx.moveTo(ax, ay); ctx.lineTo(bx, by);
+          }
+        }
+        ctx.stroke();
+        ctx.globalAlpha = 1;
+      }
+      // kesit doğrusu ve üzerindeki (x₀, y₀)
+      const [ax, ay] = toScreen(xMin, lineY(xMin)), [bx, by] = toScreen(xMax, lineY(xMax));
+      ctx.strokeStyle = PLANE_COLORS.velocity; ctx.lineWidth = 2; ctx.setLineDash([6, 4]);
+      ctx.beginPath(); ctx.moveTo(ax, ay); ctx.lineTo(bx, by); ctx.stroke(); ctx.setLineDash([]);
+      const [sx, sy] = toScreen(slice.x0, slice.y0);
+      ctx.fillStyle = "#fff"; ctx.beginPath(); ctx.arc(sx, sy, 4, 0, Math.PI * 2); ctx.fill(); ctx.stroke();
+      ctx.restore();
+      drawGradientField(panel, range);
+      if (pts) drawHeatScale(panel, pts.range);
+      drawLegend([
+        { color: PLANE_COLORS.level, text: tr("plot.levels", { legend: surface.legend }) },
+        { color: PLANE_COLORS.velocity, text: sliceText },
+      ], panel.top);
+    }
+  }
+  // İmlecin altındaki nokta: ∇f ve kesit yönü u; altta doğru üzerindeki aynı x'te h ve teğet düzlemin
+  // kesitle ara kesiti (eğimi h'(x) = fₓ + f_y tan θ)
+  function drawSurfacePoint() {
+    if (!surfacePt) return;
+    const { fns, slice } = surface, [x, y] = surfacePt;
+    const at = surfaceAt(fns, x, y, slice.angle);
+    const val = (v) => Number.isFinite(v) ? v.toFixed(3) : tr("plot.undefined");
+    for (const panel of layout) {
+      const range = planeRange(panel);
+      const toScreen = (px, py) => worldToScreen(px, py, W, panel.height, xMin, xMax, range[0], range[1]);
+      ctx.save(); ctx.translate(0, panel.top);
+      ctx.font = "12px system-ui"; ctx.textAlign = "right"; ctx.textBaseline = "top";
+      if (panel.order === 0) {
+        const [sx, sy] = toScreen(x, y);
+        const a = slice.angle * Math.PI / 180;
+        ctx.strokeStyle = ctx.fillStyle = PLANE_COLORS.velocity; ctx.lineWidth = 2;
+        arrow(sx, sy, sx + 36 * Math.cos(a), sy - 36 * Math.sin(a));
+        if (at.grad > 0 && Number.isFinite(at.grad)) {
+          ctx.strokeStyle = ctx.fillStyle = PLANE_COLORS.tangent; ctx.lineWidth = 2.5;
+          arrow(sx, sy, sx + 48 * at.fx / at.grad, sy - 48 * at.fy / at.grad, 9);
+        }
+        ctx.fillStyle = PLANE_COLORS.tangent; ctx.beginPath(); ctx.arc(sx, sy, 4, 0, Math.PI * 2); ctx.fill();
+        ctx.fillStyle = "#1f2937";
+        ctx.fillText(`(${x.toFixed(3)}, ${y.toFixed(3)})  z=${val(at.z)}  ∇f=(${val(at.fx)}, ${val(at.fy)})  D_u f=${val(at.du)}`, W - 8, 20);
+      } else {
+        const py = sliceY(slice)(x), on = surfaceAt(fns, x, py, slice.angle);
+        const m = on.fx + on.fy * Math.tan(slice.angle * Math.PI / 180);
+        const [sx] = toScreen(x, 0);
+        ctx.strokeStyle = "#c7d2fe"; ctx.lineWidth = 1; ctx.setLineDash([4, 4]);
+        ctx.beginPath(); ctx.moveTo(sx, 0); ctx.lineTo(sx, panel.height); ctx.stroke(); ctx.setLineDash([]);
+        if (Number.isFinite(on.z)) {
+          const [, sy] = toScreen(x, on.z);
+          if (Number.isFinite(m)) {
+            const [ax, ay] = toScreen(xMin, on.z + m * (xMin - x)), [bx, by] = toScreen(xMax, on.z + m * (xMax - x));
+            ctx.strokeStyle = PLANE_COLORS.tangent; ctx.lineWidth = 2;
+            ctx.beginPath(); ctx.moveTo(ax, ay); ctx.lineTo(bx, by); ctx.stroke();
+          }
+          ctx.fillStyle = PLANE_COLORS.tangent; ctx.beginPath(); ctx.arc(sx, sy, 4, 0, Math.PI * 2); ctx.fill();
+        }
+        ctx.fillStyle = "#1f2937";
+        ctx.fillText(`h(${x.toFixed(3)})=${val(on.z)}  h'=${val(m)}  ${tr("plot.planeSlice")}`, W - 8, 20);
+      }
+      ctx.restore();
+    }
+  }
+
+  // Hareket şeridi: f panelinin y aralığı yatay sayı doğrusu olur; yön değiştirme / durma konumları işaretli
+  function drawMotionLine(panel) {
+    const [lo, hi] = ranges[0], ly = Math.round(panel.height * 0.5);
+    const toX = (v) => (v - lo) / (hi - lo) * W;
+    ctx.save(); ctx.translate(0, panel.top);
+    ctx.fillStyle = "#f8fafc"; ctx.fillRect(0, 0, W, panel.height);
+    ctx.strokeStyle = "#94a3b8"; ctx.lineWidth = 1.5;
+    ctx.beginPath(); ctx.moveTo(0, ly); ctx.lineTo(W, ly); ctx.stroke();
+    ctx.font = "11px system-ui"; ctx.fillStyle = "#64748b"; ctx.textAlign = "center"; ctx.textBaseline = "top";
+    ctx.lineWidth = 1;
+    for (const v of niceTicks(lo, hi, Math.max(4, Math.round(W / 80)))) {
+      const sx = toX(v);
+      ctx.beginPath(); ctx.moveTo(sx, ly - 4); ctx.lineTo(sx, ly + 4); ctx.stroke();
+      ctx.fillText(String(v), sx, ly + 6);
+    }
+    for (const e of motion.events) {
+      if (!Number.isFinite(e.s)) continue;
+      const sx = toX(e.s);
+      ctx.fillStyle = e.kind === "turn" ? MOTION_COLORS.turn : MOTION_COLORS.stop;
+      ctx.beginPath(); ctx.moveTo(sx, ly - 3); ctx.lineTo(sx - 4, ly - 10); ctx.lineTo(sx + 4, ly - 10); ctx.closePath(); ctx.fill();
+    }
+    ctx.fillStyle = "#1f2937"; ctx.textAlign = "left"; ctx.textBaseline = "top";
+    ctx.fillText(tr("plot.position", { name: motion.curve.name }), 8, 4);
+    ctx.restore();
+  }
+  // Zaman panellerinde durma ve yön değiştirme anları: kesikli dikey çizgi; f panelinde eğri üzerinde nokta ve etiket
+  function drawMotionEvents(panel, range) {
+    ctx.save(); ctx.translate(0, panel.top);
+    ctx.font = "11px system-ui"; ctx.textAlign = "center"; ctx.textBaseline = "bottom";
+    for (const e of motion.events) {
+      const color = e.kind === "turn" ? MOTION_COLORS.turn : MOTION_COLORS.stop;
+      const [sx, sy] = worldToScreen(e.t, e.s, W, panel.height, xMin, xMax, range[0], range[1]);
+      ctx.strokeStyle = color; ctx.lineWidth = 1; ctx.setLineDash([3, 4]);
+      ctx.beginPath(); ctx.moveTo(sx, 0); ctx.lineTo(sx, panel.height); ctx.stroke(); ctx.setLineDash([]);
+      if (panel.order !== 0 || !Number.isFinite(sy)) continue;
+      ctx.fillStyle = "#fff"; ctx.strokeStyle = color; ctx.lineWidth = 2;
+      ctx.beginPath(); ctx.arc(sx, sy, 4.5, 0, Math.PI * 2); ctx.fill(); ctx.stroke();
+      ctx.fillStyle = color;
+      ctx.fillText(tr(`motion.event.${e.kind}`), sx, sy - 8);
+    }
+    ctx.restore();
+  }
+  // Oynatma anı t: şeritte s(t)'deki parçacık, üstünde hız, altında ivme oku (boyları tipik |v|, |a|'ya göre);
+  // zaman panellerinde dikey çizgi ve s, v, a değerleri
+  function drawMotionPlayhead() {
+    const { curve, scale } = motion, t = motionT;
+    const [s, v, a] = [0, 1, 2].map(k => curve.ders[k]?.(t) ?? NaN);
+    const near = motion.events.find(e => Math.abs(e.t - t) <= (xMax - xMin) / 200);
+    for (const panel of layout) {
+      ctx.save(); ctx.translate(0, panel.top);
+      if (panel.order === MOTION_ORDER) {
+        const [lo, hi] = ranges[0], ly = Math.round(panel.height * 0.5);
+        const px = (s - lo) / (hi - lo) * W, arrowLen = 0.15 * W;
+        if (Number.isFinite(px)) {
+          for (const [val, k, color, dy, label] of [[v, scale.v, MOTION_COLORS.v, -14, "v"], [a, scale.a, MOTION_COLORS.a, 14, "a"]]) {
+            const len = clamp(val / k * arrowLen, -2 * arrowLen, 2 * arrowLen);
+            if (!Number.isFinite(len) || Math.abs(len) < 2) continue;
+            ctx.strokeStyle = ctx.fillStyle = color; ctx.lineWidth = 2.5;
+            arrow(px, ly + dy, px + len, ly + dy, Math.min(8, Math.abs(len) / 2));
+            ctx.font = "bold 11px system-ui"; ctx.textAlign = len > 0 ? "left" : "right"; ctx.textBaseline = "middle";
+            ctx.fillText(label, px + len + (len > 0 ? 4 : -4), ly + dy);
+          }
+          if (near) {
+            ctx.strokeStyle = near.kind === "turn" ? MOTION_COLORS.turn : MOTION_COLORS.stop; ctx.lineWidth = 3;
+            ctx.beginPath(); ctx.arc(px, ly, 11, 0, Math.PI * 2); ctx.stroke();
+          }
+          ctx.fillStyle = curve.color; ctx.strokeStyle = "#fff"; ctx.lineWidth = 2;
+          ctx.beginPath(); ctx.arc(px, ly, 7, 0, Math.PI * 2); ctx.fill(); ctx.stroke();
+        }
+        const val = (x) => Number.isFinite(x) ? x.toFixed(3) : tr("plot.undefined");
+        ctx.font = "12px system-ui"; ctx.fillStyle = "#1f2937"; ctx.textAlign = "right"; ctx.textBaseline = "top";
+        const note = near ? `  • ${tr(`motion.state.${near.kind}`)}` : "";
+        ctx.fillText(`t=${t.toFixed(3)}  s=${val(s)}  v=${val(v)}  a=${val(a)}${note}`, W - 8, 4);
+      } else if (panel.order >= 0) {
+        const range = rangeOf(panel);
+        const [sx] = worldToScreen(t, 0, W, panel.height, xMin, xMax, range[0], range[1]);
+        ctx.strokeStyle = MOTION_COLORS.playhead; ctx.lineWidth = 1.5;
+        ctx.beginPath(); ctx.moveTo(sx, 0); ctx.lineTo(sx, panel.height); ctx.stroke();
+        const y = [s, v, a][panel.order];
+        if (Number.isFinite(y)) {
+          const [, sy] = worldToScreen(t, y, W, panel.height, xMin, xMax, range[0], range[1]);
+          ctx.fillStyle = MOTION_COLORS.playhead; ctx.beginPath(); ctx.arc(sx, sy, 4.5, 0, Math.PI * 2); ctx.fill();
+        }
+      }
+      ctx.restore();
+    }
+  }
+
+  function plot() {
+    if (surface) { drawSurface(); return; }
+    if (ode) { drawOde(); return; }
+    if (implicit) { drawImplicit(); return; }
+    if (plane) { drawPlane(); return; }
+    const shown = curves.filter(c => c.visible && c.f);
+    const pointsOf = (c, order) => sampled?.curves[c.id]?.[order];
+    for (const panel of layout) {
+      const { order } = panel;
+      const range = rangeOf(panel);
+      if (order === MOTION_ORDER) { drawMotionLine(panel); continue; }
+      if (order < 0) { drawAntiderivative(panel, range); continue; }
+      drawAxes(panel, range);
+      if (motion) drawMotionEvents(panel, range);
+      if (order === 0) {
+        drawIntegral(panel, range);
+        for (const c of shown) drawFarAsymptotes(c, panel, range);
+        for (const c of shown) drawCurve(pointsOf(c, 0), c.color, panel, range);
+        for (const c of shown) drawSingular(c, panel, range, pointsOf(c, 0));
+        for (const c of shown) drawBreakpoints(c, panel, range);
+        drawAnalysisMarks(panel, range);
+        drawSuspects(panel);
+        drawLegend(shown.map(c => ({ color: c.color, text: `${c.name}(x) = ${c.expr}` })), panel.top);
+        continue;
+      }
+      const shownD = shown.filter(c => c.showDerivative && c.ders[order]);
+      for (const c of shownD) drawCurve(pointsOf(c, order), c.color, panel, range);
+      for (const c of shownD) drawDerivativeMarks(pointsOf(c, order), panel, range);
+      for (const c of shownD) drawSingular(c, panel, range, pointsOf(c, order));
+      for (const c of shownD) drawBreakpoints(c, panel, range);
+      drawAnalysisMarks(panel, range);
+      drawLegend(shownD.map(c => ({ color: c.color, text: `${derivName(c.name, order)}(x)` })), panel.top);
+    }
+  }
+  function cursor() {
+    if (surface) { drawSurfacePoint(); return; }
+    if (ode) { drawOdePoint(); return; }
+    if (implicit) { drawImplicitPoint(); return; }
+    if (plane) { drawPlanePoint(); return; }
+    drawCrosshair();
+    const fPanel = layout.find(p => p.order === 0);
+    if (fPanel) drawNewton(fPanel, ranges[0]);
+    if (fPanel) drawTaylor(fPanel, ranges[0]);
+    if (fPanel) drawTangentAt(fPanel, ranges[0]);
+    if (fPanel) drawSecantAt(fPanel, ranges[0]);
+    if (motion && motionT != null) drawMotionPlayhead();
+  }
+  return { plot, cursor };
+}
+
+// Görünüm değişince çizilen katman: eksenler, eğriler, işaretler, lejant
+export function drawPlot(ctx, scene) { painter(ctx, scene).plot(); }
+// İmleçle değişen katman (saydam üst canvas): imleç çizgisi, teğet, kesen, Taylor polinomu, Newton adımları
+// ya da düzlem / kapalı eğrideki nokta
+export function drawCursor(ctx, scene) { painter(ctx, scene).cursor(); }
+// Dışa aktarma için iki katman birlikte
+export function drawScene(ctx, scene) {
+  const p = painter(ctx, scene);
+  p.plot(); p.cursor();
+}
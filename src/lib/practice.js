@@ -0,0 +1,234 @@
+// Alıştırma modu: konu ve zorluk şablonlarından rastgele fonksiyon, öğrencinin yazdığı türevin
+// math.derivative sonucuyla karşılaştırılması. Asıl karar rastgele noktalarda sayısal karşılaştırmadır;
+// math.simplify farkı sıfıra indirebiliyorsa bu ayrıca "sembolik olarak da aynı" diye bildirilir.
+
+import { math, normalizeExpr, exprText, previewExpr, compileExpression, freeSymbols } from "./expr.js";
+import { sampleJob } from "./sampling.js";
+import { layoutPanels } from "./plot.js";
+import { msg } from "./i18n.js";
+
+// Konular ve zorluklar (metinleri katalogda practice.topic.*, practice.level.*); zorluk dizideki sırasıyla seçilir
+export const PRACTICE_TOPICS = ["poly", "chain", "product", "trig", "explog"];
+export const PRACTICE_LEVELS = ["easy", "medium", "hard"];
+
+const CHECK_POINTS = 40;
+const MIN_POINTS = 12;
+const rint = (rng, lo, hi) => lo + Math.floor(rng() * (hi - lo + 1));
+// 2..9 arası, ara sıra negatif katsayı
+const coef = (rng, lo = 2, hi = 9) => rint(rng, lo, hi) * (rng() < 0.3 ? -1 : 1);
+const pick = (rng, list) => list[Math.floor(rng() * list.length)];
+// "a + -b" yerine "a - b"
+const sum = (...parts) => parts.join(" + ").replaceAll("+ -", "- ");
+
+// Her konu için zorluk sırasıyla şablon listeleri; şablon rng → ifade metni
+const TEMPLATES = {
+  poly: [
+    [
+      (r) => sum(`${coef(r)}*x^${rint(r, 2, 5)}`, `${coef(r)}*x`, rint(r, 1, 9)),
+      (r) => sum(`${coef(r)}*x^3`, `${coef(r)}*x^2`),
+    ],
+    [
+      (r) => sum(`${coef(r)}*x^${rint(r, 3, 6)}`, `${coef(r)}*x^2`, `${coef(r)}/x`),
+      (r) => sum(`${coef(r)}*sqrt(x)`, `${coef(r)}*x^${rint(r, 2, 4)}`),
+    ],
+    [
+      (r) => sum(`${coef(r)}*x^(${pick(r, ["3/2", "5/2", "2/3", "4/3"])})`, `${coef(r)}/x^${rint(r, 2, 4)}`),
+      (r) => sum(`${coef(r)}*x^(-${pick(r, ["1/2", "3/2"])})`, `${coef(r)}*x^${rint(r, 3, 5)}`, `${coef(r)}`),
+    ],
+  ],
+  chain: [
+    [
+      (r) => `(${sum(`${coef(r)}*x`, coef(r))})^${rint(r, 2, 6)}`,
+      (r) => `sqrt(${sum(`${rint(r, 2, 9)}*x`, rint(r, 1, 9))})`,
+    ],
+    [
+      (r) => `(${sum(`${coef(r)}*x^2`, coef(r))})^${rint(r, 3, 5)}`,
+      (r) => `sqrt(${sum("x^2", `${coef(r)}*x`, rint(r, 10, 20))})`,
+    ],
+    [
+      (r) => `1/(${sum(`${rint(r, 2, 6)}*x^2`, rint(r, 1, 9))})^${rint(r, 2, 3)}`,
+      (r) => `(${sum(`x^3`, `${coef(r)}*x`)})^(${pick(r, ["2/3", "3/2", "1/3"])})`,
+    ],
+  ],
+  product: [
+    [
+      (r) => `(${sum(`${coef(r)}*x`, coef(r))})*(${sum(`${coef(r)}*x^2`, coef(r))})`,
+      (r) => `x^${rint(r, 2, 4)}*(${sum(`${coef(r)}*x`, coef(r))})`,
+    ],
+    [
+      (r) => `x^${rint(r, 2, 3)}*sin(${rint(r, 2, 5)}*x)`,
+      (r) => `(${sum(`${coef(r)}*x`, coef(r))})/(${sum("x", coef(r))})`,
+      (r) => `x^${rint(r, 1, 3)}*exp(${coef(r, 2, 4)}*x)`,
+    ],
+    [
+      (r) => `x^2*sin(x)/(${sum("x", rint(r, 2, 9))})`,
+      (r) => `(${sum("x^2", coef(r))})/sqrt(${sum("x", rint(r, 2, 9))})`,
+      (r) => `x*exp(${coef(r, 2, 4)}*x)*cos(${rint(r, 2, 5)}*x)`,
+    ],
+  ],
+  trig: [
+    [
+      (r) => sum(`${coef(r)}*sin(x)`, `${coef(r)}*cos(x)`),
+      (r) => sum(`${coef(r)}*tan(x)`, `${coef(r)}*x`),
+    ],
+    [
+      (r) => `sin(${sum(`${coef(r)}*x`, coef(r))})`,
+      (r) => `cos(x^${rint(r, 2, 3)})`,
+      (r) => `sin(${rint(r, 2, 5)}*x)^2`,
+    ],
+    [
+      (r) => `sin(cos(${rint(r, 2, 4)}*x))`,
+      (r) => `tan(${rint(r, 2, 4)}*x)^${rint(r, 2, 3)}`,
+      (r) => `cos(x)^${rint(r, 2, 4)}*sin(${rint(r, 2, 3)}*x)`,
+    ],
+  ],
+  explog: [
+    [
+      (r) => sum(`${coef(r)}*exp(x)`, `${coef(r)}*ln(x)`),
+      (r) => `exp(${coef(r)}*x)`,
+    ],
+    [
+      (r) => `exp(${coef(r, 2, 4)}*x^2)`,
+      (r) => `ln(${sum(`${rint(r, 2, 9)}*x`, rint(r, 1, 9))})`,
+      (r) => `x^${rint(r, 2, 4)}*ln(x)`,
+    ],
+    [
+      (r) => `ln(${sum("x^2", rint(r, 1, 9))})`,
+      (r) => `exp(sin(${rint(r, 2, 4)}*x))`,
+      (r) => `exp(x)/x^${rint(r, 1, 3)}`,
+      (r) => `ln(${sum("sqrt(x)", rint(r, 1, 9))})`,
+    ],
+  ],
+};
+
+// 3/2, −5 gibi sayı yazımları tek düğüm sayılır: 1.5 ile 3/2 aynı uzunlukta
+const isLiteral = (n) => n.isConstantNode
+  || (n.isOperatorNode && n.fn === "unaryMinus" && isLiteral(n.args[0]))
+  || (n.isOperatorNode && n.op === "/" && n.args.every(isLiteral));
+const size = (node) => node
+  .transform(n => n.isParenthesisNode ? n.content : n)
+  .transform(n => isLiteral(n) ? new math.ConstantNode(1) : n)
+  .filter(() => true).length;
+
+// f ve f' birlikte sonlu olan rastgele noktalar ([-4, 4] içinde; log gibi tanım kümeleri kendiliğinden elenir)
+function testPoints(f, df, rng, count = CHECK_POINTS) {
+  const xs = [];
+  for (let k = 0; k < count * 10 && xs.length < count; k++) {
+    const x = -4 + 8 * rng();
+    const y = f(x), d = df(x);
+    if (Number.isFinite(y) && Number.isFinite(d) && Math.abs(d) < 1e8) xs.push(x);
+  }
+  return xs;
+}
+
+// math.derivative'in bölümlerde bıraktığı iç içe kesirler yerine, rasyonel fonksiyonlarda tek kesir daha kısaysa o.
+// rationalize kuvvetleri açar: (4x² + 8)⁴ gibi bir toplamın yüksek kuvveti saniyeler sürer ve kısalmaz, denenmez
+const expandsPower = (d) => d.filter(n => n.isOperatorNode && n.op === "^" && !n.args[0].isSymbolNode
+  && !(n.args[1].isConstantNode && Math.abs(n.args[1].value) <= 2)).length > 0;
+function tidyDerivative(d) {
+  if (expandsPower(d)) return d;
+  try {
+    const r = math.rationalize(d);
+    return size(r) < size(d) ? r : d;
+  } catch { return d; }
+}
+
+// topic: PRACTICE_TOPICS anahtarı ya da "all"; level: 0..2
+// → { topic, level, expr, derivative, tex: { f, df } }
+export function generateExercise(topic, level, rng = Math.random) {
+  const topics = topic === "all" ? Object.keys(TEMPLATES) : [topic];
+  for (let attempt = 0; attempt < 20; attempt++) {
+    const t = pick(rng, topics);
+    const expr = pick(rng, TEMPLATES[t][level])(rng);
+    try {
+      const node = math.parse(normalizeExpr(expr)), d = tidyDerivative(math.derivative(node, "x"));
+      const f = compileExpression(expr, {}), df = compileExpression(exprText(d), {});
+      if (testPoints(f, df, rng).length < MIN_POINTS) continue;
+      return { topic: t, level, expr, derivative: exprText(d), tex: { f: node.toTex(), df: d.toTex() } };
+    } catch { /* başka şablon dene */ }
+  }
+  return null;
+}
+
+// Doğru türevle her noktada sabit oranlıysa (ör. zincir kuralında iç türev unutulmuş) bunu söyleyen ipucu
+function ratioHint(pairs) {
+  const ratios = pairs.filter(([e]) => Math.abs(e) > 1e-9).map(([e, g]) => g / e);
+  if (ratios.length < MIN_POINTS / 2) return null;
+  const k = ratios[0];
+  if (!ratios.every(q => Math.abs(q - k) <= 1e-7 * Math.max(1, Math.abs(k)))) return null;
+  if (Math.abs(k + 1) <= 1e-7) return msg("practice.hint.negated");
+  return msg("practice.hint.multiple", { k: +k.toPrecision(4) });
+}
+
+// → { verdict: "correct" | "unsimplified" | "wrong" | "invalid", message?, symbolic?, at?: { x, expected, got }, hint?, expr?, tex? }
+// message ve hint: msg (arayüzde çevrilir)
+// expr: cevabın kullanıcı yazımında metni (grafik için); tex: cevabın nasıl okunduğu
+export function checkAnswer(ex, answer, rng = Math.random) {
+  const preview = previewExpr(answer);
+  if (!preview) return { verdict: "invalid", message: msg("practice.empty") };
+  if (preview.error) return { verdict: "invalid", message: msg("practice.unreadableAt", { pos: preview.error.pos + 1, error: preview.error.message }) };
+  const node = math.parse(normalizeExpr(answer));
+  const expr = exprText(node);
+  const unknown = freeSymbols(expr);
+  if (unknown.length) return { verdict: "invalid", message: msg("practice.symbols", { list: unknown.join(", ") }) };
+  const f = compileExpression(ex.expr, {}), expected = compileExpression(ex.derivative, {}), given = compileExpression(expr, {});
+  if (!given) return { verdict: "invalid", message: msg("practice.unreadable") };
+  const xs = testPoints(f, expected, rng);
+  const pairs = xs.map(x => [expected(x), given(x)]);
+  const bad = pairs.findIndex(([e, g]) => !(Number.isFinite(g) && Math.abs(e - g) <= 1e-7 * Math.max(1, Math.abs(e), Math.abs(g))));
+  if (bad >= 0) {
+    return { verdict: "wrong", expr, tex: node.toTex(), at: { x: xs[bad], expected: pairs[bad][0], got: pairs[bad][1] }, hint: ratioHint(pairs) };
+  }
+  let symbolic = false;
+  try {
+    const diff = math.simplify(new math.OperatorNode("-", "subtract", [math.parse(normalizeExpr(ex.derivative)), new math.ParenthesisNode(node)]));
+    symbolic = !!diff.isConstantNode && Number(diff.value) === 0;
+  } catch { /* yalnız sayısal karar */ }
+  return { verdict: unsimplified(node) ? "unsimplified" : "correct", expr, tex: node.toTex(), symbolic };
+}
+
+const unwrap = (n) => n.isParenthesisNode ? unwrap(n.content) : n.isOperatorNode && n.fn === "unaryMinus" ? unwrap(n.args[0]) : n;
+// + / − zincirinin terimleri ya da · zincirinin çarpanları (parantez ve işaret atılarak)
+const chain = (n, ops) => {
+  const u = unwrap(n);
+  return u.isOperatorNode && ops.includes(u.op) && u.args.length === 2 ? u.args.flatMap(a => chain(a, ops)) : [u];
+};
+const ADD = ["+", "-"], MUL = ["*"];
+// Benzer terimler (x + x, 3x² − x²: katsayı dışındaki çarpanlar aynı) ya da aynı tabanlı çarpanlar (x·x², eˣ·eˣ)
+// aynı zincirde duruyorsa; bunlar toplam boyutu değiştirmeden birleştiğinden boyut karşılaştırması görmez
+function likeParts(node) {
+  const repeated = (keys) => keys.some((k, i) => k && keys.indexOf(k) !== i);
+  const termKey = (t) => chain(t, MUL).filter(f => !isLiteral(f)).map(f => f.toString()).sort().join("·");
+  const base = (f) => f.isOperatorNode && f.op === "^" ? unwrap(f.args[0]) : f;
+  return node.filter(n => n.isOperatorNode && n.args.length === 2 && (ADD.includes(n.op) || MUL.includes(n.op))).some(n =>
+    ADD.includes(n.op)
+      ? repeated(chain(n, ADD).map(termKey))
+      : repeated(chain(n, MUL).map(base).map(b => isLiteral(b) ? "" : b.toString())));
+}
+
+// Sabitler birleştirilince ya da x·1, x + 0, x^1 gibi kalıntılar atılınca kısalıyorsa, benzer terimler ya da aynı
+// tabanlı çarpanlar birleştirilmemişse, ya da tam sadeleştirme ifadeyi dörtte birden fazla kısaltıyorsa sadeleştirilmemiş
+// sayılır. Çarpanlara ayırmamak (ör. 3x²ln x + x²) kusur değil.
+function unsimplified(node) {
+  const n = size(node);
+  try {
+    if (size(math.simplifyCore(math.simplifyConstant(node))) < n || likeParts(node)) return true;
+    return size(math.simplify(node)) <= 0.75 * n;
+  } catch { return false; }
+}
+
+// Doğru türev ile cevabın aynı panelde grafiği (sceneToSvg ile çizilir); cevap yoksa yalnız f'. t: etiketlerin çevirisi
+export function comparisonScene(ex, answerExpr, height = 220, t = null) {
+  const list = [
+    { id: "d", name: "f'", expr: ex.derivative, color: "#16a34a" },
+    ...(answerExpr ? [{ id: "a", name: t ? t("practice.answer") : "cevap", expr: answerExpr, color: "#dc2626" }] : []),
+  ];
+  const xMin = -5, xMax = 5, samples = 600;
+  const sampled = sampleJob({ curves: list.map(c => ({ id: c.id, expr: c.expr, orders: [0] })), scope: {}, xMin, xMax, samples });
+  const curves = list.map(c => ({ ...c, visible: true, f: compileExpression(c.expr, {}) })).filter(c => c.f);
+  return {
+    layout: layoutPanels([{ order: 0, visible: true }], height),
+    xMin, xMax, ranges: [sampled.ranges[0] ?? [-5, 5]], samples, sampled, curves,
+    tangentCurve: null, analysis: null, integral: null, plane: null, implicit: null, t,
+  };
+}
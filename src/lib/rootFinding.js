@@ -0,0 +1,98 @@
+// Kök bulma yöntemleri adım adım: Newton, ikiye bölme ve kesen. Her yöntem tüm adımları ve
+// neden durduğunu döndürür; grafik ve tablo aynı adımları gösterir.
+
+// Durumlar: converged, zeroDerivative, diverged, cycle, undefined, noSignChange, maxIter
+// (metinleri i18n kataloğunda root.status.*)
+
+const MAX_ITER = 40;
+const TOL = 1e-12;
+const F_TOL = 1e-14;
+const close = (p, q) => Math.abs(p - q) <= 1e-9 * Math.max(1, Math.abs(p), Math.abs(q));
+const settled = (x, next) => Math.abs(next - x) <= TOL * Math.max(1, Math.abs(x));
+
+// Yakınsadıysa her adımın hatası |xₙ − r|, değilse son adımların hatası bilinemez (NaN)
+function withErrors(steps, root) {
+  return steps.map(s => ({ ...s, err: Number.isFinite(root) ? Math.abs(s.x - root) : NaN }));
+}
+
+// xₙ₊₁ = xₙ − f(xₙ)/f'(xₙ). steps: [{ n, x, fx, dfx, next, err }]
+// → { steps, status, root, period? }
+export function newton(f, df, x0, maxIter = MAX_ITER) {
+  const steps = [];
+  let x = x0;
+  for (let n = 0; n < maxIter; n++) {
+    const fx = f(x), dfx = df(x);
+    if (!Number.isFinite(fx) || !Number.isFinite(dfx)) {
+      steps.push({ n, x, fx, dfx, next: NaN });
+      return { steps: withErrors(steps, NaN), status: "undefined", root: NaN };
+    }
+    if (Math.abs(fx) <= F_TOL) {
+      steps.push({ n, x, fx, dfx, next: x });
+      return { steps: withErrors(steps, x), status: "converged", root: x };
+    }
+    if (Math.abs(dfx) <= 1e-14 * Math.max(1, Math.abs(fx))) {
+      steps.push({ n, x, fx, dfx, next: NaN });
+      return { steps: withErrors(steps, NaN), status: "zeroDerivative", root: NaN };
+    }
+    const next = x - fx / dfx;
+    steps.push({ n, x, fx, dfx, next });
+    if (settled(x, next)) return { steps: withErrors(steps, next), status: "converged", root: next };
+    if (!Number.isFinite(next) || Math.abs(next) > 1e8 * Math.max(1, Math.abs(x0))) {
+      return { steps: withErrors(steps, NaN), status: "diverged", root: NaN };
+    }
+    // adımlar küçülmeden daha önce uğranan bir noktaya dönüldüyse döngü
+    const k = steps.findIndex(s => close(s.x, next));
+    if (k >= 0 && steps.length - k >= 2 && Math.abs(next - x) > 1e-6 * Math.max(1, Math.abs(x))) {
+      return { steps: withErrors(steps, NaN), status: "cycle", root: NaN, period: steps.length - k };
+    }
+    x = next;
+  }
+  return { steps: withErrors(steps, NaN), status: "maxIter", root: NaN };
+}
+
+// İkiye bölme: f(a)·f(b) < 0 iken orta noktayla aralığı daralt. steps: [{ n, a, b, x, fx }]
+export function bisection(f, a, b, maxIter = MAX_ITER * 2) {
+  let fa = f(a), fb = f(b);
+  if (!Number.isFinite(fa) || !Number.isFinite(fb)) return { steps: [], status: "undefined", root: NaN };
+  if (fa === 0) return { steps: [{ n: 0, a, b, x: a, fx: 0 }], status: "converged", root: a };
+  if (fb === 0) return { steps: [{ n: 0, a, b, x: b, fx: 0 }], status: "converged", root: b };
+  if (Math.sign(fa) === Math.sign(fb)) return { steps: [], status: "noSignChange", root: NaN };
+  const steps = [];
+  for (let n = 0; n < maxIter; n++) {
+    const x = 0.5 * (a + b), fx = f(x);
+    steps.push({ n, a, b, x, fx });
+    if (!Number.isFinite(fx)) return { steps, status: "undefined", root: NaN };
+    if (fx === 0 || settled(a, b)) return { steps: withErrors(steps, x), status: "converged", root: x };
+    if (Math.sign(fx) === Math.sign(fa)) { a = x; fa = fx; } else { b = x; fb = fx; }
+  }
+  return { steps: withErrors(steps, NaN), status: "maxIter", root: NaN };
+}
+
+// Kesen yöntemi: türev yerine son iki noktadan geçen kesenin eğimi. steps: [{ n, x, fx, next }]
+export function secantMethod(f, x0, x1, maxIter = MAX_ITER) {
+  const steps = [];
+  let xp = x0, fp = f(x0), x = x1;
+  for (let n = 0; n < maxIter; n++) {
+    const fx = f(x);
+    if (!Number.isFinite(fx) || !Number.isFinite(fp)) {
+      steps.push({ n, x, fx, next: NaN });
+      return { steps: withErrors(steps, NaN), status: "undefined", root: NaN };
+    }
+    if (Math.abs(fx) <= F_TOL) {
+      steps.push({ n, x, fx, next: x });
+      return { steps: withErrors(steps, x), status: "converged", root: x };
+    }
+    if (fx === fp) {
+      steps.push({ n, x, fx, next: NaN });
+      return { steps: withErrors(steps, NaN), status: "zeroDerivative", root: NaN };
+    }
+    const next = x - fx * (x - xp) / (fx - fp);
+    steps.push({ n, x, fx, next });
+    if (settled(x, next)) return { steps: withErrors(steps, next), status: "converged", root: next };
+    if (!Number.isFinite(next) || Math.abs(next) > 1e8 * Math.max(1, Math.abs(x0), Math.abs(x1))) {
+      return { steps: withErrors(steps, NaN), status: "diverged", root: NaN };
+    }
+    xp = x; fp = fx; x = next;
+  }
+  return { steps: withErrors(steps, NaN), status: "maxIter", root: NaN };
+}
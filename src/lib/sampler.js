@@ -0,0 +1,70 @@
+// Örnekleme işlerini worker'a gönderir. Aynı anda tek iş yürür; beklerken gelen yeni iş
+// bekleyeni geçersiz kılar (o söz null ile çözülür). Sonuçlar iş anahtarına göre önbellekte tutulur.
+// Worker kullanılamıyorsa iş aynı iş parçacığında yapılır.
+
+import { sampleJob } from "./sampling.js";
+
+const CACHE_MAX = 16;
+const cache = new Map();
+const inFlight = new Map();
+let worker = null, workerFailed = false, busy = false, pending = null, seq = 0;
+
+function remember(key, result) {
+  cache.delete(key);
+  cache.set(key, result);
+  if (cache.size > CACHE_MAX) cache.delete(cache.keys().next().value);
+  return result;
+}
+
+function runLocal(job, key) {
+  try { return remember(key, sampleJob(job)); } catch { return null; }
+}
+
+function getWorker() {
+  if (worker || workerFailed) return worker;
+  if (typeof Worker === "undefined") { workerFailed = true; return null; }
+  try {
+    worker = new Worker(new URL("./sampling.worker.js", import.meta.url), { type: "module" });
+  } catch {
+    workerFailed = true;
+    return null;
+  }
+  worker.onmessage = (e) => {
+    const { id, result } = e.data;
+    const req = inFlight.get(id);
+    inFlight.delete(id);
+    busy = false;
+    req?.resolve(result ? remember(req.key, result) : null);
+    pump();
+  };
+  worker.onerror = () => {
+    // worker yüklenemedi ya da çöktü: kalan işleri burada bitir
+    workerFailed = true;
+    worker.terminate(); worker = null; busy = false;
+    for (const req of inFlight.values()) req.resolve(runLocal(req.job, req.key));
+    inFlight.clear();
+    pump();
+  };
+  return worker;
+}
+
+function pump() {
+  if (busy || !pending) return;
+  const req = pending; pending = null;
+  const w = getWorker();
+  if (!w) { req.resolve(runLocal(req.job, req.key)); return; }
+  busy = true;
+  const id = ++seq;
+  inFlight.set(id, req);
+  w.postMessage({ id, job: req.job });
+}
+
+export function requestSamples(job) {
+  const key = JSON.stringify(job);
+  if (cache.has(key)) return Promise.resolve(remember(key, cache.get(key)));
+  return new Promise(resolve => {
+    pending?.resolve(null);
+    pending = { job, key, resolve };
+    pump();
+  });
+}
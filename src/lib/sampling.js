@@ -0,0 +1,419 @@
+// Görünüm başına bir kez yapılan örnekleme: eğrilerin uyarlamalı örnekleri, otomatik y aralıkları,
+// türev panellerindeki köşe/kesiklik işaretleri, tekillikler ve asimptotlar, seçili eğrinin analizi.
+// Hem Web Worker'da hem (worker yoksa ya da Node'da) ana iş parçacığında çalışır; sonuç düz veridir.
+
+import { linspace } from "./numeric.js";
+import { compileExpression } from "./expr.js";
+import { functionCodes, bindFunction } from "./piecewise.js";
+import { accumulate } from "./integrate.js";
+import { derivativeChain } from "./taylor.js";
+import { planeCodes, bindPlane } from "./parametric.js";
+import { implicitCodes, bindImplicit, marchingSquares, nodeValues, verticalTangents } from "./implicit.js";
+import { odeCodes, bindOde, solveOde, maxGap } from "./ode.js";
+import { surfaceCodes, bindSurface, sliceY, contourLevels } from "./surface.js";
+import { analyzeCurve } from "./analysis.js";
+import { suspectPoints } from "./inspect.js";
+import { singularityCodes, singularCandidates, classifySingularity, farAsymptotes, verticalLabel } from "./asymptotes.js";
+
+const MAX_DEPTH = 6;       // taban aralığı en fazla 2^6 parçaya bölünür
+const CODE_CACHE_MAX = 64;
+const codeCache = new Map();
+
+function codesFor(def, maxOrder) {
+  const key = `${maxOrder}|${def.pieces ? JSON.stringify(def.pieces) : def.expr}`;
+  if (!codeCache.has(key)) {
+    if (codeCache.size >= CODE_CACHE_MAX) codeCache.delete(codeCache.keys().next().value);
+    codeCache.set(key, functionCodes(def, maxOrder));
+  }
+  return codeCache.get(key);
+}
+function gatesFor(def) {
+  const key = `gates|${def.pieces ? JSON.stringify(def.pieces) : def.expr}`;
+  if (!codeCache.has(key)) {
+    if (codeCache.size >= CODE_CACHE_MAX) codeCache.delete(codeCache.keys().next().value);
+    codeCache.set(key, singularityCodes(def));
+  }
+  return codeCache.get(key);
+}
+
+// Aykırı değerlerden (kutuplar) etkilenmeyen değer yayılımı: %5–%95 arası
+function robustSpread(ys) {
+  const v = ys.filter(Number.isFinite).sort((a, b) => a - b);
+  if (v.length === 0) return 1;
+  const lo = v[Math.floor(v.length * 0.05)], hi = v[Math.ceil(v.length * 0.95) - 1];
+  return Math.max(hi - lo, 1e-6 * Math.max(Math.abs(lo), Math.abs(hi)), 1e-12);
+}
+
+// [a, b] üzerinde uyarlamalı örnekleme. samples/4 aralıklı taban ızgara, orta noktası kirişten
+// sapan ya da tanım kümesi sınırına denk gelen aralıklar ikiye bölünür. Sıçramalarda (ve kutuplarda)
+// araya NaN konur, çizim orada kopar.
+export function adaptiveSample(fun, a, b, samples) {
+  const n = Math.max(64, Math.ceil(samples / 4));
+  const base = linspace(a, b, n + 1);
+  const baseY = base.map(fun);
+  const spread = robustSpread(baseY);
+  const tol = 1e-3 * spread, jumpTol = 0.05 * spread;
+  const budget = samples * 4;
+  const xs = [a], ys = [baseY[0]];
+  let extra = 0;
+
+  const isJump = (y0, ym, y1) => {
+    const gap = Math.abs(y1 - y0);
+    if (gap < jumpTol) return false;
+    if (!Number.isFinite(ym)) return true;
+    // sürekli dik bir parçada orta nokta iki ucun arasında kalır
+    return (ym - y0) * (y1 - ym) < 0 || Math.min(Math.abs(ym - y0), Math.abs(y1 - ym)) < 0.1 * gap;
+  };
+  const refine = (x0, y0, x1, y1, depth) => {
+    const xm = 0.5 * (x0 + x1), ym = fun(xm);
+    const f0 = Number.isFinite(y0), f1 = Number.isFinite(y1);
+    const bent = f0 && f1 && (!Number.isFinite(ym) || Math.abs(ym - 0.5 * (y0 + y1)) > tol);
+    if ((bent || f0 !== f1) && depth < MAX_DEPTH && extra < budget) {
+      extra++;
+      refine(x0, y0, xm, ym, depth + 1);
+      refine(xm, ym, x1, y1, depth + 1);
+      return;
+    }
+    if (f0 && f1 && isJump(y0, ym, y1)) { xs.push(xm); ys.push(NaN); }
+    xs.push(x1); ys.push(y1);
+  };
+  for (let i = 0; i < n; i++) refine(base[i], baseY[i], base[i + 1], baseY[i + 1], 0);
+  return { xs: Float64Array.from(xs), ys: Float64Array.from(ys) };
+}
+
+// Düzlem eğrisi (x(t), y(t)) için aynı yaklaşım: orta noktası kirişin ortasından eğrinin boyutuna göre
+// sapan parametre aralıkları bölünür, uzun ve orta noktası bir uca yapışık kalan parçalarda çizgi kopar.
+export function samplePlane(fx, fy, a, b, samples) {
+  const n = Math.max(64, Math.ceil(samples / 2));
+  const base = linspace(a, b, n + 1);
+  const pts = base.map(t => [fx(t), fy(t)]);
+  const ok = ([x, y]) => Number.isFinite(x) && Number.isFinite(y);
+  const sx = robustSpread(pts.map(p => p[0])), sy = robustSpread(pts.map(p => p[1]));
+  const diag = Math.hypot(sx, sy);
+  const tol = 1e-3 * diag, jumpTol = 0.05 * diag;
+  const budget = samples * 4;
+  const ts = [a], xs = [pts[0][0]], ys = [pts[0][1]];
+  let extra = 0;
+
+  const dist = (p, q) => Math.hypot(p[0] - q[0], p[1] - q[1]);
+  const refine = (t0, p0, t1, p1, depth) => {
+    const tm = 0.5 * (t0 + t1), pm = [fx(tm), fy(tm)];
+    const f0 = ok(p0), f1 = ok(p1);
+    const bent = f0 && f1 && (!ok(pm) || dist(pm, [0.5 * (p0[0] + p1[0]), 0.5 * (p0[1] + p1[1])]) > tol);
+    if ((bent || f0 !== f1) && depth < MAX_DEPTH && extra < budget) {
+      extra++;
+      refine(t0, p0, tm, pm, depth + 1);
+      refine(tm, pm, t1, p1, depth + 1);
+      return;
+    }
+    const gap = f0 && f1 ? dist(p0, p1) : 0;
+    if (gap >= jumpTol && (!ok(pm) || Math.min(dist(pm, p0), dist(p1, pm)) < 0.1 * gap)) {
+      ts.push(tm); xs.push(NaN); ys.push(NaN);
+    }
+    ts.push(t1); xs.push(p1[0]); ys.push(p1[1]);
+  };
+  for (let i = 0; i < n; i++) refine(base[i], pts[i], base[i + 1], pts[i + 1], 0);
+  return { ts: Float64Array.from(ts), xs: Float64Array.from(xs), ys: Float64Array.from(ys) };
+}
+
+// f^(n-1)'in köşe ve sıçramaları: f^(n) panelinde kopma yerleri ve köşelerde boş halkalar (sol/sağ eğim)
+function derivativeMarks(f, a, b, samples) {
+  const holes = [], cuts = [];
+
+  const xs = linspace(a, b, Math.min(samples, 500));
+  const H = (b - a) / (xs.length - 1);
+  const h = Math.max(1e-6, 0.5 * H);
+  for (let i = 1; i < xs.length - 1; i++) {
+    const x = xs[i];
+    const ym = f(x - h), yp = f(x + h);
+    const contAbs = Math.abs(yp - ym);
+    const contRel = contAbs / Math.max(1e-9, Math.max(Math.abs(yp), Math.abs(ym)));
+    if (!(Number.isFinite(ym) && Number.isFinite(yp)) || (contAbs > 0.6 && contRel > 0.35)) {
+      cuts.push(x);
+      continue;
+    }
+    const left = (f(x) - ym) / h, right = (yp - f(x)) / h;
+    const slopeAbs = Math.abs(left - right);
+    const slopeRel = slopeAbs / Math.max(1e-9, Math.max(Math.abs(left), Math.abs(right)));
+    if (slopeAbs > 0.6 && slopeRel > 0.35) {
+      holes.push({ x, left, right });
+      cuts.push(x);
+    }
+  }
+
+  return { holes, cuts };
+}
+
+// Kesme noktalarında polyline'a NaN ekle
+function applyCuts({ xs, ys }, cuts) {
+  if (cuts.length === 0) return { xs, ys };
+  const ox = [], oy = [];
+  let j = 0;
+  for (let i = 0; i < xs.length; i++) {
+    while (j < cuts.length && cuts[j] <= xs[i]) {
+      if (i > 0 && cuts[j] > xs[i - 1]) { ox.push(cuts[j]); oy.push(NaN); }
+      j++;
+    }
+    ox.push(xs[i]); oy.push(ys[i]);
+  }
+  return { xs: Float64Array.from(ox), ys: Float64Array.from(oy) };
+}
+
+// Eşit aralıklı örneklerden y aralığı; kutupların (poles: x listesi) bir ızgara adımı yanındaki örnekler
+// atılır, yoksa tan(x)'in kutba en yakın örneği aralığı ±150'ye şişirir
+function autoRange(curves, a, b, samples) {
+  const n = Math.min(samples, 400);
+  const xs = linspace(a, b, n), gap = 2 * (b - a) / n;
+  return paddedRange(curves.flatMap(({ fun, poles }) => xs
+    .filter(x => !poles.some(p => Math.abs(x - p) < gap))
+    .map(fun)));
+}
+function paddedRange(values) {
+  let ymin = Infinity, ymax = -Infinity;
+  for (const y of values) {
+    if (!Number.isFinite(y)) continue;
+    ymin = Math.min(ymin, y); ymax = Math.max(ymax, y);
+  }
+  if (!Number.isFinite(ymin) || !Number.isFinite(ymax)) { ymin = -1; ymax = 1; }
+  if (ymin === ymax) { ymin -= 1; ymax += 1; }
+  const pad = (ymax - ymin) * 0.1 + 1e-9;
+  return [ymin - pad, ymax + pad];
+}
+
+// Bilinen tekilliklerde (stops: artan { x, kind }) aralık bölünür, her parça ayrı örneklenir: çizgi
+// tam orada kopar. Kutupta hesaplanan değer (tan(π/2) ≈ 1.6e16 gibi) ve sıçramadaki tek değer kullanılmaz,
+// parça ucu noktanın bir kıl yanından başlar; tanım kümesi ucunda ise uç tam noktadır (√x çizgisi 0'a değer).
+function splitSample(fun, a, b, samples, stops) {
+  const inner = stops.filter(s => s.x > a && s.x < b);
+  if (inner.length === 0) return adaptiveSample(fun, a, b, samples);
+  const eps = 1e-7 * (b - a);
+  const exact = (s) => (!s.kind || s.kind === "edge") && Number.isFinite(fun(s.x));
+  const ends = [{ x: a }, ...inner, { x: b }];
+  const xs = [], ys = [];
+  for (let i = 0; i + 1 < ends.length; i++) {
+    const p = ends[i], q = ends[i + 1];
+    const lo = exact(p) ? p.x : p.x + eps, hi = exact(q) ? q.x : q.x - eps;
+    if (!(hi > lo)) continue;
+    const part = adaptiveSample(fun, lo, hi, Math.max(16, Math.round(samples * (hi - lo) / (b - a))));
+    if (xs.length) { xs.push(p.x); ys.push(NaN); }
+    xs.push(...part.xs); ys.push(...part.ys);
+  }
+  return { xs: Float64Array.from(xs), ys: Float64Array.from(ys) };
+}
+
+// Parçalı fonksiyonda her dal kendi aralığında ayrı örneklenir; kesim noktalarında çizgi kopar ve
+// uçlar dalın tam limit değerine ulaşır. Düz ifadede tek aralık. İki durumda da tekilliklerde bölünür.
+function sampleCurve(c, order, a, b, samples, stops) {
+  if (!c.regions) return splitSample(c.ders[order], a, b, samples, stops);
+  const xs = [], ys = [];
+  for (const { from, to, row } of c.regions) {
+    const lo = Math.max(from, a), hi = Math.min(to, b);
+    if (!(hi > lo) || row < 0) continue;
+    const part = splitSample(c.rowDers[row][order], lo, hi, Math.max(16, Math.round(samples * (hi - lo) / (b - a))), stops);
+    xs.push(...part.xs, hi); ys.push(...part.ys, NaN);
+  }
+  return { xs: Float64Array.from(xs), ys: Float64Array.from(ys) };
+}
+// Adayların bu mertebedeki türü; parçalı fonksiyonun kesim noktalarında sıçrama ve boşluklar
+// zaten dallardan tam çiziliyor, oradan yalnızca kutuplar alınır
+function singularities(c, order, candidates) {
+  const out = [];
+  for (const { x, boundary } of candidates) {
+    const s = classifySingularity(c.ders[order], x);
+    if (!s || (boundary && s.kind !== "pole")) continue;
+    out.push(s.kind === "pole" ? { ...s, label: verticalLabel(x) } : s);
+  }
+  return out;
+}
+function curveMarks(c, order, a, b, samples) {
+  if (!c.regions) return derivativeMarks(c.ders[order - 1], a, b, samples);
+  // kesim noktaları tam olarak ayrıca işlenir; burada yalnızca dalların iç kısımları
+  const out = { holes: [], cuts: [] };
+  for (const { from, to, row } of c.regions) {
+    const lo = Math.max(from, a), hi = Math.min(to, b);
+    if (!(hi > lo) || row < 0) continue;
+    const m = derivativeMarks(c.rowDers[row][order - 1], lo, hi, Math.max(16, Math.round(samples * (hi - lo) / (b - a))));
+    out.holes.push(...m.holes); out.cuts.push(...m.cuts);
+  }
+  return out;
+}
+
+// F(x) = ∫ₐˣ f: sayısal biriktirme; sembolik ters türev G verilmişse a'nın bulunduğu tanımlı
+// parçada G(x) − G(a) uyarlamalı örneklenir
+function antiderivativeCurve(c, { a, expr }, xMin, xMax, samples, scope) {
+  const grid = linspace(xMin, xMax, Math.max(400, samples));
+  const acc = accumulate(c.ders[0], a, grid);
+  const G = expr ? compileExpression(expr, scope) : null;
+  const Ga = G ? G(a) : NaN;
+  if (!Number.isFinite(Ga)) return { xs: Float64Array.from(grid), ys: acc, range: paddedRange(acc) };
+
+  let lo = grid.findIndex(x => x >= a);
+  if (lo < 0) lo = grid.length - 1;
+  let hi = lo;
+  while (lo > 0 && Number.isFinite(acc[lo - 1])) lo--;
+  while (hi < grid.length - 1 && Number.isFinite(acc[hi + 1])) hi++;
+  if (!(grid[hi] > grid[lo])) return { xs: Float64Array.from(grid), ys: acc, range: paddedRange(acc) };
+  const pts = adaptiveSample(x => G(x) - Ga, grid[lo], grid[hi], samples);
+  return { ...pts, range: paddedRange(pts.ys) };
+}
+
+// Kutuplara giden parametrik kolların (tan(t) gibi) kutuyu şişirmemesi için uçlardaki %1'ler atılır
+function trimmedRange(values) {
+  const v = [...values].filter(Number.isFinite).sort((a, b) => a - b);
+  if (v.length < 10) return paddedRange(v);
+  return paddedRange([v[Math.floor(v.length * 0.01)], v[Math.ceil(v.length * 0.99) - 1]]);
+}
+
+// Parametrik ya da kutupsal eğri: düzlemdeki yol, kutusu ve parametreye karşı x'(t), y'(t)
+function planeCurve({ mode, x, y, r, tMin, tMax }, samples, scope) {
+  const key = `plane|${JSON.stringify({ mode, x, y, r })}`;
+  if (!codeCache.has(key)) {
+    if (codeCache.size >= CODE_CACHE_MAX) codeCache.delete(codeCache.keys().next().value);
+    codeCache.set(key, planeCodes({ mode, x, y, r }));
+  }
+  const bound = bindPlane(codeCache.get(key), scope);
+  if (!bound) return null;
+  const path = samplePlane(bound.x, bound.y, tMin, tMax, samples);
+  const dx = adaptiveSample(bound.dx, tMin, tMax, samples), dy = adaptiveSample(bound.dy, tMin, tMax, samples);
+  return {
+    ...path,
+    box: { x: trimmedRange(path.xs), y: trimmedRange(path.ys) },
+    dx, dy, dRange: trimmedRange([...dx.ys, ...dy.ys]),
+  };
+}
+
+// Kapalı eğri F(x, y) = 0: görünür bölgedeki parçalar, dikey teğetler ve tekil noktalar
+function implicitCurve({ eq, xMin, xMax, yMin, yMax, nx, ny }, scope) {
+  const key = `implicit|${eq}`;
+  if (!codeCache.has(key)) {
+    if (codeCache.size >= CODE_CACHE_MAX) codeCache.delete(codeCache.keys().next().value);
+    codeCache.set(key, implicitCodes(eq));
+  }
+  const fns = bindImplicit(codeCache.get(key), scope);
+  if (!fns) return null;
+  const segments = marchingSquares(fns.F, xMin, xMax, yMin, yMax, nx, ny);
+  const cell = Math.max((xMax - xMin) / nx, (yMax - yMin) / ny);
+  return { segments, ...verticalTangents(fns, segments, cell) };
+}
+
+// dy/dx = g(x, y): her başlangıç noktasından RK4 çözümü (istenirse aynı adımla Euler) ve alt panel için
+// çözümlerin türevlerinin aralığı
+function odeSolutions({ g, seeds, h, dir, euler, xMin, xMax, yMin, yMax }, scope) {
+  const key = `ode|${g}`;
+  if (!codeCache.has(key)) {
+    if (codeCache.size >= CODE_CACHE_MAX) codeCache.delete(codeCache.keys().next().value);
+    codeCache.set(key, odeCodes(g));
+  }
+  const fun = bindOde(codeCache.get(key), scope);
+  if (!fun) return null;
+  const view = { xMin, xMax, yMin, yMax };
+  const solutions = seeds.map(seed => {
+    const rk4 = solveOde(fun, seed, { h, dir }, view);
+    const eu = euler ? solveOde(fun, seed, { h, dir, method: "euler" }, view) : null;
+    return { seed, rk4, euler: eu, gap: eu ? maxGap(rk4, eu) : null };
+  });
+  // alt panelin aralığı yalnızca üst panelde görünen parçalardan; kaçan kolların türevleri onu şişirmez
+  const shown = ({ ys, ds }) => Array.from(ds).filter((_, i) => ys[i] >= yMin && ys[i] <= yMax);
+  return { solutions, dRange: trimmedRange(solutions.flatMap(s => [...shown(s.rk4), ...(s.euler ? shown(s.euler) : [])])) };
+}
+
+// z = f(x, y): hücre merkezlerinde değer ızgarası (seviye haritası), yuvarlak seviyelerin eğrileri ve alt panel
+// için kesit doğrusu boyunca h(x) = f(x, y(x))
+function surfaceMap({ z, xMin, xMax, yMin, yMax, nx, ny, slice }, samples, scope) {
+  const key = `surface|${z}`;
+  if (!codeCache.has(key)) {
+    if (codeCache.size >= CODE_CACHE_MAX) codeCache.delete(codeCache.keys().next().value);
+    codeCache.set(key, surfaceCodes(z));
+  }
+  const fns = bindSurface(codeCache.get(key), scope);
+  if (!fns) return null;
+  const hx = (xMax - xMin) / nx, hy = (yMax - yMin) / ny;
+  const values = new Float64Array(nx * ny);
+  for (let j = 0; j < ny; j++) {
+    for (let i = 0; i < nx; i++) values[j * nx + i] = fns.f(xMin + (i + 0.5) * hx, yMin + (j + 0.5) * hy);
+  }
+  const range = trimmedRange(values);
+  const levels = contourLevels(range[0], range[1]);
+  // düğüm değerleri bir kez; her seviye için yalnızca kesişen kenarlarda f yeniden hesaplanır
+  const nodes = nodeValues(fns.f, xMin, xMax, yMin, yMax, nx, ny);
+  const contours = levels.map(c => marchingSquares((x, y) => fns.f(x, y) - c, xMin, xMax, yMin, yMax, nx, ny, nodes.map(v => v - c)));
+  const y = sliceY(slice), h = (x) => fns.f(x, y(x));
+  const cut = adaptiveSample(h, xMin, xMax, samples);
+  // aralık eşit aralıklı örneklerden: uyarlamalı örnekler kutup yanında yığılır
+  return { xMin, xMax, yMin, yMax, nx, ny, values, range, levels, contours, slice: cut, sliceRange: trimmedRange(linspace(xMin, xMax, 400).map(h)) };
+}
+
+// job: { curves: [{ id, expr, pieces?, orders }], scope, xMin, xMax, samples, analyzeId, inspectId,
+//        antiderivative?: { id, a, expr | null }, taylor?: { exprs: [expr] }, plane?: { mode, x, y, r, tMin, tMax },
+//        implicit?: { eq, xMin, xMax, yMin, yMax, nx, ny }, ode?: { g, seeds: [[x, y]], h, dir, euler, xMin, xMax, yMin, yMax },
+//        surface?: { z, xMin, xMax, yMin, yMax, nx, ny, slice: { x0, y0, angle } } }
+// → { curves: { [id]: { [order]: { xs, ys, holes?, singular: [{ x, kind, left, right, value, label? }] } } },
+//     asymptotes: { [id]: { left, right } } (x → ∓∞ için { m, b, label } | null),
+//     ranges: [order → [min, max] | null], analyzeId, analysis,
+//     inspectId, suspects: [x], antiderivative: { id, xs, ys, range } | null, taylor: { exprs, chains: [[expr]] } | null,
+//     plane: { ts, xs, ys, box: { x, y }, dx: { xs, ys }, dy: { xs, ys }, dRange } | null,
+//     implicit: { segments: [x1, y1, x2, y2, …], verticals: [[x, y]], singular: [[x, y]] } | null,
+//     ode: { solutions: [{ seed, rk4: { xs, ys, ds }, euler: { xs, ys, ds } | null, gap }], dRange } | null,
+//     surface: { xMin, xMax, yMin, yMax, nx, ny, values, range, levels, contours: [[x1, y1, x2, y2, …]], slice: { xs, ys }, sliceRange } | null }
+export function sampleJob(job) {
+  const { curves, scope, xMin, xMax, samples, analyzeId, inspectId, antiderivative, taylor, plane, implicit, ode, surface } = job;
+  const allOrders = [...new Set(curves.flatMap(c => c.orders))];
+  const maxOrder = Math.max(2, ...allOrders);
+  const bound = curves.map(c => ({ ...c, ...bindFunction(codesFor(c, maxOrder), scope) }))
+    .filter(c => c.ders[0]);
+
+  const out = {}, asymptotes = {};
+  for (const c of bound) {
+    const per = {};
+    const candidates = singularCandidates(gatesFor(c), c, scope, xMin, xMax, Math.max(400, Math.min(samples, 2000)));
+    for (const order of c.orders) {
+      const fun = c.ders[order];
+      if (!fun) continue;
+      const singular = singularities(c, order, candidates);
+      const pts = sampleCurve(c, order, xMin, xMax, samples, singular);
+      if (order === 0) { per[order] = { ...pts, singular }; continue; }
+      // tekillik yanındaki dik parçalar kesik sayılmaz; eğri orada zaten tam noktada bölündü
+      const near = (x) => singular.some(s => Math.abs(s.x - x) <= (xMax - xMin) / 100);
+      const { holes, cuts } = curveMarks(c, order, xMin, xMax, samples);
+      per[order] = { ...applyCuts(pts, cuts.filter(x => !near(x))), holes, singular };
+    }
+    out[c.id] = per;
+    asymptotes[c.id] = farAsymptotes(c.ders[0], xMin, xMax);
+  }
+
+  const ranges = [];
+  for (const order of allOrders) {
+    const shown = bound.filter(c => c.orders.includes(order) && c.ders[order]).map(c => ({
+      fun: c.ders[order],
+      poles: out[c.id][order].singular.filter(s => s.kind === "pole").map(s => s.x),
+    }));
+    ranges[order] = autoRange(shown, xMin, xMax, samples);
+  }
+
+  const target = analyzeId != null ? bound.find(c => c.id === analyzeId) : null;
+  // İncelemeye değer noktalar; parçalı fonksiyonda türevlenemeyen kesim noktaları tam konumlarıyla
+  const probe = inspectId != null ? bound.find(c => c.id === inspectId) : null;
+  const suspects = probe ? [
+    ...suspectPoints(probe.ders, xMin, xMax),
+    ...(probe.breakpoints ?? []).filter(bp => !bp.differentiable && bp.x >= xMin && bp.x <= xMax).map(bp => bp.x),
+  ].sort((p, q) => p - q).filter((x, i, arr) => i === 0 || x - arr[i - 1] > (xMax - xMin) / 400) : [];
+  const integrand = antiderivative ? bound.find(c => c.id === antiderivative.id) : null;
+  return {
+    curves: out,
+    asymptotes,
+    ranges,
+    antiderivative: integrand
+      ? { id: integrand.id, ...antiderivativeCurve(integrand, antiderivative, xMin, xMax, samples, scope) }
+      : null,
+    analyzeId: target ? analyzeId : null,
+    analysis: target ? analyzeCurve(target.ders, xMin, xMax) : null,
+    inspectId: probe ? inspectId : null,
+    suspects,
+    // Taylor için yüksek mertebe türev zincirleri (ifade başına önbellekte; ilk hesap uzun sürebilir)
+    taylor: taylor ? { exprs: taylor.exprs, chains: taylor.exprs.map(e => derivativeChain(e)) } : null,
+    plane: plane ? planeCurve(plane, samples, scope) : null,
+    implicit: implicit ? implicitCurve(implicit, scope) : null,
+    ode: ode ? odeSolutions(ode, scope) : null,
+    surface: surface ? surfaceMap(surface, samples, scope) : null,
+  };
+}
@@ -0,0 +1,17 @@
+import { sampleJob } from "./sampling.js";
+
+self.onmessage = (e) => {
+  const { id, job } = e.data;
+  try {
+    const result = sampleJob(job);
+    const pts = Object.values(result.curves).flatMap(per => Object.values(per));
+    if (result.antiderivative) pts.push(result.antiderivative);
+    if (result.plane) pts.push(result.plane, result.plane.dx, result.plane.dy);
+    const buffers = pts.flatMap(p => [p.xs.buffer, p.ys.buffer]);
+    if (result.plane) buffers.push(result.plane.ts.buffer);
+    if (result.implicit) buffers.push(result.implicit.segments.buffer);
+    self.postMessage({ id, result }, buffers);
+  } catch (err) {
+    self.postMessage({ id, error: String(err?.message ?? err) });
+  }
+};
@@ -0,0 +1,91 @@
+// Sesle okuma: eğrinin değeri perdeye dönüşür (yüksek perde = büyük değer), x soldan sağa zaman ve stereo konum.
+// Ölçek görünür aralıktaki değerlerin uç %2'leri kırpılmış aralığından; tanımsız yerlerde ses kesilir.
+
+import { clamp } from "./numeric.js";
+
+export const PITCH_HZ = [220, 880];   // iki oktav
+const TRACK_POINTS = 240;
+const TRACK_GAP_S = 0.4;
+const VOLUME = 0.2;
+
+// fun'un [a, b]'deki değerleri için y → Hz (logaritmik, böylece eşit farklar eşit aralık duyulur)
+export function pitchScale(fun, a, b, n = TRACK_POINTS) {
+  const ys = [];
+  for (let i = 0; i < n; i++) {
+    const y = fun(a + (b - a) * i / (n - 1));
+    if (Number.isFinite(y)) ys.push(y);
+  }
+  ys.sort((p, q) => p - q);
+  const lo = ys[Math.floor(0.02 * (ys.length - 1))], hi = ys[Math.ceil(0.98 * (ys.length - 1))];
+  const [h0, h1] = PITCH_HZ;
+  return (y) => {
+    if (!Number.isFinite(y) || !ys.length) return NaN;
+    const u = hi > lo ? clamp((y - lo) / (hi - lo), 0, 1) : 0.5;
+    return h0 * (h1 / h0) ** u;
+  };
+}
+
+// [a, b] boyunca n eşit adımda perde; tanımsız yerler NaN
+export function pitchTrack(fun, a, b, n = TRACK_POINTS) {
+  const hz = pitchScale(fun, a, b, n);
+  return Float64Array.from({ length: n }, (_, i) => hz(fun(a + (b - a) * i / (n - 1))));
+}
+
+// Tek bir ses bağlamı; tarayıcı kullanıcı etkileşimi gelene kadar askıda tutabilir
+let audio = null;
+function context() {
+  const AC = globalThis.AudioContext ?? globalThis.webkitAudioContext;
+  if (!AC) return null;
+  audio ??= new AC();
+  if (audio.state === "suspended") audio.resume();
+  return audio;
+}
+export const audioSupported = () => !!(globalThis.AudioContext ?? globalThis.webkitAudioContext);
+
+// Perde dizilerini art arda çalar: [{ hz, type }] (type: osilatör dalga biçimi, eğrileri ayırt etmek için).
+// Her biri seconds sürer. → durdurma fonksiyonu ya da Web Audio yoksa null; bitince onEnd
+export function playTracks(tracks, seconds, onEnd) {
+  const ctx = context();
+  if (!ctx || !tracks.length) return null;
+  const out = ctx.createGain();
+  out.connect(ctx.destination);
+  let start = ctx.currentTime + 0.05, last = null;
+  for (const { hz, type } of tracks) {
+    const osc = ctx.createOscillator(), gain = ctx.createGain(), pan = ctx.createStereoPanner();
+    osc.type = type;
+    gain.gain.value = 0;
+    osc.connect(gain).connect(pan).connect(out);
+    const dt = seconds / (hz.length - 1);
+    let on = false;
+    hz.forEach((f, i) => {
+      const at = start + i * dt;
+      pan.pan.setValueAtTime(-1 + 2 * i / (hz.length - 1), at);
+      if (Number.isFinite(f)) {
+        if (on) osc.frequency.linearRampToValueAtTime(f, at);
+        else { osc.frequency.setValueAtTime(f, at); gain.gain.setTargetAtTime(VOLUME, at, 0.01); }
+      } else if (on) gain.gain.setTargetAtTime(0, at, 0.01);
+      on = Number.isFinite(f);
+    });
+    gain.gain.setTargetAtTime(0, start + seconds, 0.02);
+    osc.start(start);
+    osc.stop(start + seconds + 0.1);
+    start += seconds + TRACK_GAP_S;
+    last = osc;
+  }
+  last.onended = () => { out.disconnect(); onEnd?.(); };
+  return () => { last.onended = null; out.disconnect(); };
+}
+
+// Kısa tek ton (klavyeyle adım atarken o noktadaki değer)
+export function playTone(hz, ms = 120) {
+  const ctx = context();
+  if (!ctx || !Number.isFinite(hz)) return;
+  const osc = ctx.createOscillator(), gain = ctx.createGain();
+  const t0 = ctx.currentTime;
+  osc.frequency.value = hz;
+  gain.gain.setValueAtTime(VOLUME, t0);
+  gain.gain.setTargetAtTime(0, t0 + ms / 1000, 0.02);
+  osc.connect(gain).connect(ctx.destination);
+  osc.start(t0);
+  osc.stop(t0 + ms / 1000 + 0.1);
+}
@@ -0,0 +1,75 @@
+import { sanitizeSnapshot } from "./viewState.js";
+import { msgError } from "./i18n.js";
+
+// Kayıtlı grafik kitaplığı, son ifadeler ve arayüz dili; hepsi localStorage'da JSON olarak
+const LIBRARY_KEY = "turev.library";
+const HISTORY_KEY = "turev.history";
+const LANG_KEY = "turev.lang";
+const HISTORY_MAX = 20;
+const FILE_APP = "turev";
+
+function read(key, fallback) {
+  try {
+    const v = JSON.parse(localStorage.getItem(key));
+    return v ?? fallback;
+  } catch { return fallback; }
+}
+function write(key, value) {
+  // kota dolu ya da depolama kapalıysa sessizce vazgeç
+  try { localStorage.setItem(key, JSON.stringify(value)); } catch { /* yok say */ }
+}
+
+function sanitizeEntry(e) {
+  if (!e || typeof e !== "object" || typeof e.name !== "string") return null;
+  const state = sanitizeSnapshot(e.state);
+  if (!state) return null;
+  return {
+    id: typeof e.id === "string" ? e.id : newEntryId(),
+    name: e.name,
+    savedAt: Number.isFinite(e.savedAt) ? e.savedAt : Date.now(),
+    state,
+  };
+}
+
+export function newEntryId() {
+  return `g${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+export function loadLibrary() {
+  const list = read(LIBRARY_KEY, []);
+  return Array.isArray(list) ? list.map(sanitizeEntry).filter(Boolean) : [];
+}
+export function saveLibrary(list) { write(LIBRARY_KEY, list); }
+
+export function loadHistory() {
+  const list = read(HISTORY_KEY, []);
+  return Array.isArray(list) ? list.filter(s => typeof s === "string").slice(0, HISTORY_MAX) : [];
+}
+export function saveHistory(list) { write(HISTORY_KEY, list); }
+// En yeni başta, tekrarsız
+export function pushHistory(list, expr) {
+  const e = expr.trim();
+  if (!e || list[0] === e) return list;
+  return [e, ...list.filter(s => s !== e)].slice(0, HISTORY_MAX);
+}
+
+// Seçilmemişse Türkçe
+export function loadLang(langs) {
+  const lang = read(LANG_KEY, "tr");
+  return Object.hasOwn(langs, lang) ? lang : "tr";
+}
+export function saveLang(lang) { write(LANG_KEY, lang); }
+
+export function libraryToJson(list) {
+  return JSON.stringify({ app: FILE_APP, version: 1, graphs: list }, null, 2);
+}
+// Tek bir kayıt dizisi ya da dışa aktarılmış dosya kabul edilir
+export function parseLibraryJson(text) {
+  let data;
+  try { data = JSON.parse(text); } catch { throw msgError("library.badJson"); }
+  const graphs = Array.isArray(data) ? data : data?.graphs;
+  if (!Array.isArray(graphs)) throw msgError("library.noList");
+  const entries = graphs.map(sanitizeEntry).filter(Boolean);
+  if (graphs.length && !entries.length) throw msgError("library.unreadable");
+  return entries;
+}
@@ -0,0 +1,77 @@
+// İki değişkenli z = f(x, y): kısmi türevler ∂f/∂x, ∂f/∂y math.derivative ile. Renkli seviye haritası ve
+// seviye eğrileri (marching squares) worker'da; gradyan alanı, yönlü türev ve teğet düzlem çizimde.
+// Alt panel seçilen doğru boyunca kesit: h(x) = f(x, y₀ + (x − x₀) tan θ).
+
+import { math, normalizeExpr, exprText, compileXY } from "./expr.js";
+import { splitXY } from "./implicit.js";
+import { msg } from "./i18n.js";
+
+export const SLICE_MAX_DEG = 80;   // kesit x'e göre çizildiği için doğru dikeye yaklaşamaz
+
+// z → { exprs, tex } ya da { error } (error: msg). exprs/tex: { f, fx, fy }
+export function surfaceCodes(z) {
+  const src = normalizeExpr(z);
+  if (!src) return { error: msg("error.empty", { what: "f(x, y)" }) };
+  const nodes = {};
+  try {
+    nodes.f = splitXY(math.parse(src));
+  } catch {
+    return { error: msg("error.syntax", { what: "f(x, y)" }) };
+  }
+  try {
+    nodes.fx = math.derivative(nodes.f, "x");
+    nodes.fy = math.derivative(nodes.f, "y");
+  } catch {
+    return { error: msg("error.derivative") };
+  }
+  const map = (fn) => Object.fromEntries(Object.entries(nodes).map(([k, n]) => [k, fn(n)]));
+  return { exprs: map(exprText), tex: map(n => n.toTex()) };
+}
+
+// (x, y) → sayı fonksiyonları: f, ∂f/∂x, ∂f/∂y
+export function bindSurface(codes, scope) {
+  if (!codes?.exprs) return null;
+  const f = compileXY(codes.exprs.f, scope);
+  const fx = compileXY(codes.exprs.fx, scope);
+  const fy = compileXY(codes.exprs.fy, scope);
+  if (!f || !fx || !fy) return null;
+  return { f, fx, fy };
+}
+
+// Kesit doğrusu slice: { x0, y0, angle } (derece); x → doğrunun y'si
+export const sliceY = ({ x0, y0, angle }) => {
+  const k = Math.tan(angle * Math.PI / 180);
+  return (x) => y0 + k * (x - x0);
+};
+const num = (v) => String(+v.toFixed(3));
+export function sliceLabel({ x0, y0, angle }) {
+  if (angle === 0) return `y = ${num(y0)}`;
+  const m = +Math.tan(angle * Math.PI / 180).toFixed(3);
+  const k = m === 1 ? "" : m === -1 ? "-" : num(m);
+  const dx = x0 === 0 ? "x" : `(x ${x0 < 0 ? "+" : "-"} ${num(Math.abs(x0))})`;
+  return y0 === 0 ? `y = ${k}${dx}` : `y = ${num(y0)} + ${k}${dx}`;
+}
+
+// (x, y)'deki değerler: z, ∇f, |∇f|, u = (cos θ, sin θ) yönünde yönlü türev D_u f = ∇f · u ve teğet düzlem
+// z ≈ z₀ + fₓ (x − x₀) + f_y (y − y₀) (plane(x, y) olarak)
+export function surfaceAt(fns, x, y, angle) {
+  const z = fns.f(x, y), fx = fns.fx(x, y), fy = fns.fy(x, y);
+  const a = angle * Math.PI / 180;
+  return {
+    x, y, z, fx, fy,
+    grad: Math.hypot(fx, fy),
+    du: fx * Math.cos(a) + fy * Math.sin(a),
+    plane: (px, py) => z + fx * (px - x) + fy * (py - y),
+  };
+}
+
+// [lo, hi] içinde yaklaşık count adet "yuvarlak" seviye (1, 2, 5 × 10ᵏ adımlarla)
+export function contourLevels(lo, hi, count = 10) {
+  if (!(hi > lo)) return [];
+  const raw = (hi - lo) / count, p = 10 ** Math.floor(Math.log10(raw)), r = raw / p;
+  const step = (r >= 5 ? 5 : r >= 2 ? 2 : 1) * p;
+  const out = [];
+  for (let v = Math.ceil(lo / step) * step; v < hi; v += step) out.push(+v.toFixed(12) || 0);
+  return out.filter(v => v > lo);
+}
+
@@ -0,0 +1,117 @@
+// CanvasRenderingContext2D'nin plot.js'te kullanılan alt kümesini SVG öğelerine çeviren bağlam.
+// Yalnızca öteleme ve ölçekleme dönüşümleri desteklenir.
+
+const esc = (s) => String(s).replace(/[&<>"]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;" }[c]));
+const num = (v) => +v.toFixed(2);
+const ANCHOR = { left: "start", start: "start", center: "middle", right: "end", end: "end" };
+const BASELINE = { top: "text-before-edge", hanging: "hanging", middle: "central", alphabetic: "alphabetic", bottom: "text-after-edge", ideographic: "ideographic" };
+const STYLE_KEYS = ["fillStyle", "strokeStyle", "lineWidth", "font", "textAlign", "textBaseline", "globalAlpha", "lineCap", "lineJoin"];
+
+export class SvgContext {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.parts = [];
+    this.stack = [];
+    this.state = {
+      tx: 0, ty: 0, sx: 1, sy: 1, dash: [],
+      fillStyle: "#000", strokeStyle: "#000", lineWidth: 1, font: "10px sans-serif",
+      textAlign: "start", textBaseline: "alphabetic", globalAlpha: 1, lineCap: "butt", lineJoin: "miter",
+    };
+    this.beginPath();
+  }
+
+  save() { this.stack.push({ ...this.state, dash: [...this.state.dash] }); }
+  restore() { if (this.stack.length) this.state = this.stack.pop(); }
+  translate(x, y) { this.state.tx += x * this.state.sx; this.state.ty += y * this.state.sy; }
+  scale(a, b) { this.state.sx *= a; this.state.sy *= b; }
+  setTransform(a, b, c, d, e, f) { Object.assign(this.state, { sx: a, sy: d, tx: e, ty: f }); }
+  setLineDash(d) { this.state.dash = [...d]; }
+  getLineDash() { return [...this.state.dash]; }
+
+  pt(x, y) { return [this.state.tx + x * this.state.sx, this.state.ty + y * this.state.sy]; }
+  beginPath() { this.d = ""; this.cur = null; this.start = null; }
+  moveTo(x, y) {
+    const [X, Y] = this.pt(x, y);
+    this.d += `M${num(X)} ${num(Y)}`;
+    this.cur = this.start = [X, Y];
+  }
+  lineTo(x, y) {
+    if (!this.cur) return this.moveTo(x, y);
+    const [X, Y] = this.pt(x, y);
+    this.d += `L${num(X)} ${num(Y)}`;
+    this.cur = [X, Y];
+  }
+  closePath() { if (this.start) { this.d += "Z"; this.cur = this.start; } }
+  rect(x, y, w, h) { this.moveTo(x, y); this.lineTo(x + w, y); this.lineTo(x + w, y + h); this.lineTo(x, y + h); this.closePath(); }
+  arc(cx, cy, r, a0, a1, ccw = false) {
+    const [X, Y] = this.pt(cx, cy);
+    const R = r * Math.abs(this.state.sx);
+    const TAU = Math.PI * 2;
+    let sweep = ccw ? a0 - a1 : a1 - a0;
+    const full = sweep >= TAU - 1e-9;
+    if (!full) sweep = ((sweep % TAU) + TAU) % TAU;
+    const at = (a) => [X + R * Math.cos(a), Y + R * Math.sin(a)];
+    const [x0, y0] = at(a0);
+    this.d += `${this.cur ? "L" : "M"}${num(x0)} ${num(y0)}`;
+    if (!this.start) this.start = [x0, y0];
+    const flag = ccw ? 0 : 1;
+    if (full) {
+      const [xm, ym] = at(a0 + (ccw ? -Math.PI : Math.PI));
+      this.d += `A${num(R)} ${num(R)} 0 1 ${flag} ${num(xm)} ${num(ym)}A${num(R)} ${num(R)} 0 1 ${flag} ${num(x0)} ${num(y0)}`;
+      this.cur = [x0, y0];
+      return;
+    }
+    const [x1, y1] = at(ccw ? a0 - sweep : a0 + sweep);
+    this.d += `A${num(R)} ${num(R)} 0 ${sweep > Math.PI ? 1 : 0} ${flag} ${num(x1)} ${num(y1)}`;
+    this.cur = [x1, y1];
+  }
+
+  alphaAttr() { return this.state.globalAlpha < 1 ? ` opacity="${this.state.globalAlpha}"` : ""; }
+  strokeAttrs() {
+    const { strokeStyle, lineWidth, dash, sx, lineCap, lineJoin } = this.state;
+    let a = ` fill="none" stroke="${esc(strokeStyle)}" stroke-width="${num(lineWidth * Math.abs(sx))}"`;
+    if (lineCap !== "butt") a += ` stroke-linecap="${lineCap}"`;
+    if (lineJoin !== "miter") a += ` stroke-linejoin="${lineJoin}"`;
+    if (dash.length) a += ` stroke-dasharray="${dash.map(v => num(v * Math.abs(sx))).join(" ")}"`;
+    return a + this.alphaAttr();
+  }
+  fill() { if (this.d) this.parts.push(`<path d="${this.d}" fill="${esc(this.state.fillStyle)}"${this.alphaAttr()}/>`); }
+  stroke() { if (this.d) this.parts.push(`<path d="${this.d}"${this.strokeAttrs()}/>`); }
+  rectEl(x, y, w, h) {
+    const [X, Y] = this.pt(x, y);
+    return `<rect x="${num(X)}" y="${num(Y)}" width="${num(w * this.state.sx)}" height="${num(h * this.state.sy)}"`;
+  }
+  fillRect(x, y, w, h) { this.parts.push(`${this.rectEl(x, y, w, h)} fill="${esc(this.state.fillStyle)}"${this.alphaAttr()}/>`); }
+  strokeRect(x, y, w, h) { this.parts.push(`${this.rectEl(x, y, w, h)}${this.strokeAttrs()}/>`); }
+  clearRect() {}
+
+  fontParts() {
+    const m = /^(.*?)(\d+(?:\.\d+)?)px\s+(.+)$/.exec(this.state.font) ?? [];
+    return { weight: (m[1] ?? "").trim(), size: parseFloat(m[2] ?? "10"), family: m[3] ?? "sans-serif" };
+  }
+  measureText(text) { return { width: String(text).length * this.fontParts().size * 0.55 }; }
+  fillText(text, x, y) {
+    const [X, Y] = this.pt(x, y);
+    const { weight, size, family } = this.fontParts();
+    const { textAlign, textBaseline, fillStyle } = this.state;
+    this.parts.push(
+      `<text x="${num(X)}" y="${num(Y)}" font-size="${num(size * Math.abs(this.state.sx))}" font-family="${esc(family)}"` +
+      (weight ? ` font-weight="${esc(weight)}"` : "") +
+      ` text-anchor="${ANCHOR[textAlign] ?? "start"}" dominant-baseline="${BASELINE[textBaseline] ?? "alphabetic"}"` +
+      ` fill="${esc(fillStyle)}"${this.alphaAttr()}>${esc(text)}</text>`,
+    );
+  }
+
+  toString() {
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}" viewBox="0 0 ${this.width} ${this.height}">\n` +
+      this.parts.join("\n") + "\n</svg>\n";
+  }
+}
+
+for (const key of STYLE_KEYS) {
+  Object.defineProperty(SvgContext.prototype, key, {
+    get() { return this.state[key]; },
+    set(v) { this.state[key] = v; },
+  });
+}
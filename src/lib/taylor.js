@@ -0,0 +1,107 @@
+// Taylor polinomu Pₙ(x) = Σ f⁽ᵏ⁾(x₀)/k! · (x − x₀)ᵏ. Yüksek türevler art arda math.derivative ile
+// alınır; ifade büyüdükçe her adım pahalılaşır, bu yüzden zincir bir süre ve boyut sınırında kesilir
+// ve polinomun mertebesi sembolik türevin ulaştığı yerle sınırlı kalır.
+
+import { math, normalizeExpr, exprText, compileExpression } from "./expr.js";
+import { msg } from "./i18n.js";
+
+export const TAYLOR_MAX_ORDER = 10;
+const CHAIN_BUDGET_MS = 1500;
+const CHAIN_MAX_NODES = 400;
+const CHAIN_CACHE_MAX = 32;
+const chainCache = new Map();
+
+// [f, f', f'', …] ifade metinleri olarak; süre ya da boyut sınırı aşılınca ya da türev alınamayınca kısa kalır
+export function derivativeChain(expr, maxOrder = TAYLOR_MAX_ORDER) {
+  const key = `${maxOrder}|${expr}`;
+  if (chainCache.has(key)) return chainCache.get(key);
+  const src = normalizeExpr(expr);
+  const chain = [];
+  try {
+    let node = math.parse(src);
+    chain.push(exprText(node));
+    const start = Date.now();
+    for (let k = 1; k <= maxOrder; k++) {
+      node = math.derivative(node, "x");
+      chain.push(exprText(node));
+      if (Date.now() - start > CHAIN_BUDGET_MS || node.filter(() => true).length > CHAIN_MAX_NODES) break;
+    }
+  } catch { /* zincir buraya kadar */ }
+  if (chainCache.size >= CHAIN_CACHE_MAX) chainCache.delete(chainCache.keys().next().value);
+  chainCache.set(key, chain);
+  return chain;
+}
+
+// Zincirin x → sayı fonksiyonları; derlenemeyen ilk mertebede kesilir
+export function bindChain(chain, scope) {
+  const ders = [];
+  for (const e of chain) {
+    const f = compileExpression(e, scope);
+    if (!f) break;
+    ders.push(f);
+  }
+  return ders;
+}
+
+// Katsayılar cₖ = f⁽ᵏ⁾(x₀)/k!; ilk tanımsız türevde kesilir.
+// → { coeffs, cut }; cut: kesilen mertebe ve nedeni ({ order, reason: msg }) ya da null
+export function taylorCoefficients(ders, x0) {
+  const coeffs = [];
+  let fact = 1;
+  for (let k = 0; k < ders.length; k++) {
+    if (k > 0) fact *= k;
+    const d = ders[k](x0);
+    if (!Number.isFinite(d)) return { coeffs, cut: { order: k, reason: msg("taylor.undefinedAt", { order: k, last: k - 1 }) } };
+    coeffs.push({ d, c: d / fact, fact });
+  }
+  return { coeffs, cut: null };
+}
+
+export function taylorEval(coeffs, x0, x) {
+  let y = 0;
+  for (let k = coeffs.length - 1; k >= 0; k--) y = y * (x - x0) + coeffs[k].c;
+  return y;
+}
+
+// x₀'dan iki yana, |f − Pₙ| < eps kaldığı sürece ilerleyerek bulunan aralık (ızgara adımı çözünürlüğünde).
+// Görünür aralığın kenarına ulaşılırsa o uç açık (open*) işaretlenir.
+export function accurateInterval(f, coeffs, x0, a, b, eps, steps = 800) {
+  const h = (b - a) / steps;
+  const ok = (x) => Math.abs(f(x) - taylorEval(coeffs, x0, x)) < eps;
+  if (!ok(x0)) return null;
+  let lo = x0, hi = x0;
+  while (lo - h >= a && ok(lo - h)) lo -= h;
+  while (hi + h <= b && ok(hi + h)) hi += h;
+  return { lo, hi, openLo: lo - h < a, openHi: hi + h > b };
+}
+
+function gcd(p, q) { return q ? gcd(q, p % q) : p; }
+const nearInt = (v) => Math.abs(v - Math.round(v)) <= 1e-9 * Math.max(1, Math.abs(v)) && Math.abs(v) < 1e12;
+const fracTex = (m, q) => {
+  const g = gcd(Math.abs(m), q) || 1;
+  const p = Math.abs(m) / g, r = q / g;
+  return { neg: m < 0, tex: r === 1 ? String(p) : `\\frac{${p}}{${r}}`, one: p === 1 && r === 1 };
+};
+// cₖ = f⁽ᵏ⁾(x₀)/k!; türev tam sayıysa ya da cₖ küçük paydalı bir kesirse sadeleştirilmiş kesir, değilse ondalık
+function coefTex(d, fact) {
+  if (nearInt(d)) return fracTex(Math.round(d), fact);
+  const c = d / fact;
+  for (let q = 2; q <= 1000; q++) if (nearInt(c * q)) return fracTex(Math.round(c * q), q);
+  const s = String(+Math.abs(c).toPrecision(6));
+  return { neg: c < 0, tex: s.includes("e") ? `${s.replace(/e([+-]?\d+)/, "\\cdot 10^{$1}")}` : s, one: false };
+}
+
+// Pₙ(x)'in TeX biçimi; x₀ = 0 ise Maclaurin (xᵏ), değilse (x − x₀)ᵏ
+export function taylorTex(coeffs, x0) {
+  const base = x0 === 0 ? "x" : `(x ${x0 < 0 ? "+" : "-"} ${+Math.abs(x0).toPrecision(6)})`;
+  const terms = [];
+  coeffs.forEach(({ d, fact }, k) => {
+    if (d === 0) return;
+    const { neg, tex, one } = coefTex(d, fact);
+    const pow = k === 0 ? "" : k === 1 ? base : `${base}^{${k}}`;
+    const body = k === 0 ? tex : one ? pow : `${tex}\\,${pow}`;
+    terms.push({ neg, body });
+  });
+  if (terms.length === 0) return "0";
+  return terms.map(({ neg, body }, i) => i === 0 ? (neg ? "-" : "") + body : (neg ? " - " : " + ") + body).join("");
+}
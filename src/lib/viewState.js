@@ -0,0 +1,95 @@
+// Görünüm durumunun düz (JSON) anlık görüntüsü ve URL hash'i için kodlaması.
+// Kimlikler yerine dizinler saklanır; geri yüklerken fonksiyonlara yeni kimlik verilir.
+
+export const SNAPSHOT_VERSION = 1;
+
+export function toSnapshot(s) {
+  const index = (id) => Math.max(0, s.fns.findIndex(fn => fn.id === id));
+  return {
+    v: SNAPSHOT_VERSION,
+    fns: s.fns.map(({ name, expr, pieces, color, visible, showDerivative }) => ({ name, expr, pieces, color, visible, showDerivative })),
+    active: index(s.activeId),
+    tangent: index(s.tangentId),
+    lockTangent: s.lockTangent,
+    tangentX: s.tangentX,
+    x: [s.xMin, s.xMax],
+    samples: s.samples,
+    panels: s.panels.map(({ order, visible, lock, min, max }) => ({ order, visible, lock, min, max })),
+    panelHeight: s.panelHeight,
+    showTangent: s.showTangent,
+    showAnalysis: s.showAnalysis,
+    params: Object.fromEntries(Object.entries(s.params).map(([k, { value, min, max, step }]) => [k, { value, min, max, step }])),
+    pw: s.pw,
+    plane: s.plane,
+  };
+}
+
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+const isObj = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+const pick = (v, ok) => ok(v) ? v : undefined;
+const isBool = (v) => typeof v === "boolean";
+const isStr = (v) => typeof v === "string";
+const PLANE_KEYS = ["mode", "x", "y", "r", "tMin", "tMax", "eq", "g", "z"];
+const isPieces = (v) => Array.isArray(v) && v.length > 0 && v.every(r => isObj(r) && isStr(r.cond) && isStr(r.expr));
+
+// Dışarıdan gelen (hash, dosya) veriyi doğrular; geçersiz alanlar undefined olur, hiç fonksiyon yoksa null
+export function sanitizeSnapshot(raw) {
+  if (!isObj(raw) || !Array.isArray(raw.fns)) return null;
+  const fns = raw.fns.filter(isObj).filter(fn => isStr(fn.expr)).map(fn => ({
+    name: pick(fn.name, isStr),
+    expr: fn.expr,
+    pieces: isPieces(fn.pieces) ? fn.pieces.map(({ cond, expr }) => ({ cond, expr })) : undefined,
+    color: pick(fn.color, c => isStr(c) && /^#[0-9a-f]{6}$/i.test(c)),
+    visible: pick(fn.visible, isBool),
+    showDerivative: pick(fn.showDerivative, isBool),
+  }));
+  if (fns.length === 0) return null;
+  const x = Array.isArray(raw.x) && raw.x.length === 2 && raw.x.every(isNum) && raw.x[0] < raw.x[1] ? raw.x : undefined;
+  const panels = Array.isArray(raw.panels)
+    ? raw.panels.filter(p => isObj(p) && Number.isInteger(p.order) && isBool(p.visible) && isBool(p.lock) && isNum(p.min) && isNum(p.max) && p.min < p.max)
+    : undefined;
+  const params = isObj(raw.params)
+    ? Object.fromEntries(Object.entries(raw.params).filter(([, p]) => isObj(p) && ["value", "min", "max", "step"].every(k => isNum(p[k])) && p.min < p.max))
+    : undefined;
+  const pw = isPieces(raw.pw) ? raw.pw.map(({ cond, expr }) => ({ cond, expr })) : undefined;
+  const plane = isObj(raw.plane) && ["fx", "param", "polar", "implicit", "ode", "surface"].includes(raw.plane.mode)
+    ? Object.fromEntries(PLANE_KEYS.filter(k => isStr(raw.plane[k])).map(k => [k, raw.plane[k]]))
+    : undefined;
+  const inRange = (i) => Number.isInteger(i) && i >= 0 && i < fns.length;
+  return {
+    fns,
+    active: pick(raw.active, inRange),
+    tangent: pick(raw.tangent, inRange),
+    lockTangent: pick(raw.lockTangent, isBool),
+    tangentX: pick(raw.tangentX, isStr),
+    x,
+    samples: pick(raw.samples, isNum),
+    panels,
+    panelHeight: pick(raw.panelHeight, isNum),
+    showTangent: pick(raw.showTangent, isBool),
+    showAnalysis: pick(raw.showAnalysis, isBool),
+    params,
+    pw,
+    plane,
+  };
+}
+
+// JSON → UTF-8 → base64url; bağlantılarda kaçış gerektirmez
+export function encodeState(snapshot) {
+  const bytes = new TextEncoder().encode(JSON.stringify(snapshot));
+  let bin = "";
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+export function decodeState(hash) {
+  const m = /^#?s=([A-Za-z0-9_-]+)$/.exec(hash ?? "");
+  if (!m) return null;
+  try {
+    const bin = atob(m[1].replace(/-/g, "+").replace(/_/g, "/"));
+    const bytes = Uint8Array.from(bin, ch => ch.charCodeAt(0));
+    return sanitizeSnapshot(JSON.parse(new TextDecoder().decode(bytes)));
+  } catch { return null; }
+}
+
+export const stateHash = (snapshot) => `#s=${encodeState(snapshot)}`;